@@ -1,8 +1,14 @@
 import React from 'react';
 import { StyleSheet, View, Text, SafeAreaView, ScrollView, StatusBar } from 'react-native';
 import RecordingComponent from './src/components/RecordingComponent';
+import GlossaryPanel from './src/components/GlossaryPanel';
+import RedactionNamesPanel from './src/components/RedactionNamesPanel';
+import ReviewQueuePanel from './src/components/ReviewQueuePanel';
+import { useAppStore } from './src/store/appStore';
 
 export default function App() {
+  const storageError = useAppStore((state) => state.storageError);
+
   return (
     <SafeAreaView style={styles.container}>
       <StatusBar style="auto" />
@@ -11,7 +17,15 @@ export default function App() {
           <Text style={styles.title}>음성-텍스트 문서 앱</Text>
           <Text style={styles.subtitle}>음성을 녹음하고 문서를 생성하세요</Text>
         </View>
+        {storageError ? (
+          <Text style={styles.storageWarning}>
+            기기에 저장하지 못했습니다. 저장 공간을 확인해주세요. 이대로 앱을 닫으면 최근 작업이 사라질 수 있습니다.
+          </Text>
+        ) : null}
+        <ReviewQueuePanel />
         <RecordingComponent />
+        <GlossaryPanel />
+        <RedactionNamesPanel />
       </ScrollView>
     </SafeAreaView>
   );
@@ -38,4 +52,11 @@ const styles = StyleSheet.create({
     fontSize: 16,
     color: '#666',
   },
+  storageWarning: {
+    color: '#d4380d',
+    backgroundColor: '#fff2e8',
+    borderRadius: 4,
+    padding: 10,
+    marginBottom: 16,
+  },
 });
@@ -0,0 +1,278 @@
+// javascript
+/**
+ * API key authentication, per-key rate limits and daily quotas for /api/*.
+ * - Clients send `Authorization: Bearer <key>` (or `X-API-Key: <key>`). Keys are issued and revoked through
+ *   the admin routes (see ./routes/apiKeys.js); only their SHA-256 hash is stored.
+ * - Rate limit: requests per minute per key (sliding window, in memory). Keys idle for a whole window are dropped
+ *   from memory, so a long-running server does not keep an entry for every key it has ever seen.
+ * - Daily quota: successful model calls (generate/refine...) per key per day in Asia/Seoul, persisted in `apiUsage`.
+ *   A call reserves its units when it starts (so concurrent calls cannot overshoot the quota) and gives them back when
+ *   it fails: validation errors, failed model calls, streams that end with `event: error` or are cancelled.
+ *   Most routes use one unit per request; translation uses one per target language and keeps only the languages
+ *   that were translated.
+ * - ADMIN_TOKEN is accepted everywhere and is not limited. API_AUTH=off disables authentication (local development).
+ * - Each key has a review role ('author' or 'approver', see ./workflow.js). The admin token and unauthenticated local
+ *   development act as approvers.
+ */
+import crypto from 'crypto';
+import { apiKeys, apiUsage } from './db.js';
+import { formatZonedTime, zonedTimeToUtc } from './timezone.js';
+
+export const AUTH_ENABLED = process.env.API_AUTH !== 'off';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = Number(process.env.API_RATE_LIMIT_PER_MINUTE) || 60;
+export const DEFAULT_DAILY_QUOTA = Number(process.env.API_DAILY_QUOTA) || 200;
+
+/** 문서 검토 역할: 작성자는 검토 요청까지, 승인자는 승인·반려도 가능 */
+export const ROLES = ['author', 'approver'];
+
+const WINDOW_MS = 60 * 1000;
+const KEY_PREFIX = 'vtk_';
+const USAGE_RETENTION_DAYS = 31;
+
+/** 키별 최근 1분 요청 시각 (재시작하면 비워짐) */
+const recentRequests = new Map();
+/** 마지막으로 recentRequests를 정리한 시각 */
+let lastPrunedAt = 0;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const safeEqual = (a, b) => {
+  const [x, y] = [Buffer.from(a), Buffer.from(b)];
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+/** 오늘 날짜 (Asia/Seoul, "YYYY-MM-DD") */
+const today = (now = new Date()) => formatZonedTime(now).slice(0, 10);
+
+/** 다음 날 0시(Asia/Seoul)까지 남은 초 */
+function secondsUntilTomorrow(now = new Date()) {
+  const tomorrow = new Date(zonedTimeToUtc(`${today(now)} 00:00`).getTime() + 24 * 60 * 60 * 1000);
+  return Math.max(1, Math.ceil((tomorrow.getTime() - now.getTime()) / 1000));
+}
+
+/**
+ * 요청에서 자격 증명을 읽습니다.
+ * @param {import('express').Request} req
+ * @returns {string | null}
+ */
+function readCredential(req) {
+  const [scheme, token] = (req.get('authorization') || '').split(' ');
+  if (/^bearer$/i.test(scheme) && token) return token.trim();
+  return req.get('x-api-key')?.trim() || null;
+}
+
+const isAdminToken = (credential) => Boolean(ADMIN_TOKEN && credential && safeEqual(credential, ADMIN_TOKEN));
+
+/**
+ * 401/429 응답. 429에는 Retry-After 헤더와 본문의 retryAfter(초)로 다시 시도할 시점을 알립니다.
+ */
+function reject(res, status, error, extra = {}) {
+  if (status === 401) res.set('WWW-Authenticate', 'Bearer');
+  if (extra.retryAfter) res.set('Retry-After', String(extra.retryAfter));
+  return res.status(status).json({ error, ...extra });
+}
+
+/**
+ * 저장된 키를 응답용으로 바꿉니다. (해시 제외, 오늘 사용량 포함)
+ * @param {object} record
+ * @returns {object}
+ */
+export function toPublicKey({ keyHash, ...record }) {
+  const usage = apiUsage.list((u) => u.keyId === record.id && u.date === today())[0];
+  return { ...record, role: record.role || 'author', usageToday: usage?.count || 0 };
+}
+
+/**
+ * 키 입력값(이름·한도)을 검증합니다.
+ * @param {object} body
+ * @param {{ partial?: boolean }} [options]
+ * @returns {{ value?: object, error?: string }}
+ */
+export function validateKeyInput(body, { partial = false } = {}) {
+  const value = {};
+  if (!partial || body?.name !== undefined) {
+    if (typeof body?.name !== 'string' || !body.name.trim()) return { error: 'name은 비어 있지 않은 문자열이어야 합니다.' };
+    value.name = body.name.trim();
+  }
+  if (!partial || body?.role !== undefined) {
+    const role = body?.role ?? 'author';
+    if (!ROLES.includes(role)) return { error: `role은 ${ROLES.join(' | ')} 중 하나여야 합니다.` };
+    value.role = role;
+  }
+  // null이면 서버 기본값 (API_RATE_LIMIT_PER_MINUTE / API_DAILY_QUOTA)
+  for (const field of ['rateLimitPerMinute', 'dailyQuota']) {
+    const limit = body?.[field];
+    if (limit === undefined) {
+      if (!partial) value[field] = null;
+      continue;
+    }
+    if (limit !== null && (!Number.isInteger(limit) || limit < 1)) return { error: `${field}는 1 이상의 정수여야 합니다.` };
+    value[field] = limit;
+  }
+  return { value };
+}
+
+/**
+ * 새 API 키를 발급합니다. 키 원문은 이때 한 번만 돌려줍니다.
+ * @param {{ name: string, rateLimitPerMinute: number | null, dailyQuota: number | null }} input
+ * @returns {{ key: string, apiKey: object }}
+ */
+export function issueKey(input) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const record = apiKeys.insert({
+    ...input,
+    keyHash: hashKey(key),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    revokedAt: null,
+    lastUsedAt: null,
+  });
+  return { key, apiKey: toPublicKey(record) };
+}
+
+/**
+ * 키를 폐기합니다. 폐기된 키는 되살릴 수 없습니다.
+ * @param {object} record
+ * @returns {object}
+ */
+export function revokeKey(record) {
+  recentRequests.delete(record.id);
+  return toPublicKey(record.revokedAt ? record : apiKeys.update(record.id, { revokedAt: new Date().toISOString() }));
+}
+
+/**
+ * 1분 넘게 요청이 없던 키의 요청 기록을 지웁니다. (요청을 받을 때 1분에 한 번 실행)
+ * @param {number} [now]
+ * @returns {number} 남은 키 수
+ */
+export function pruneRecentRequests(now = Date.now()) {
+  for (const [id, times] of recentRequests) {
+    if (now - times[times.length - 1] >= WINDOW_MS) recentRequests.delete(id);
+  }
+  lastPrunedAt = now;
+  return recentRequests.size;
+}
+
+/**
+ * /api/* 인증 + 분당 요청 제한 미들웨어. 통과하면 req.apiKey에 키 정보가 들어갑니다.
+ */
+export function requireApiKey(req, res, next) {
+  if (!AUTH_ENABLED || req.method === 'OPTIONS') return next();
+
+  const credential = readCredential(req);
+  if (!credential) return reject(res, 401, 'API 키가 필요합니다.');
+  if (isAdminToken(credential)) {
+    req.apiKey = { id: 'admin', admin: true };
+    return next();
+  }
+
+  const record = apiKeys.list((k) => k.keyHash === hashKey(credential))[0];
+  if (!record) return reject(res, 401, '유효하지 않은 API 키입니다.');
+  if (record.revokedAt) return reject(res, 401, '폐기된 API 키입니다.');
+
+  const now = Date.now();
+  if (now - lastPrunedAt >= WINDOW_MS) pruneRecentRequests(now);
+  const limit = record.rateLimitPerMinute || DEFAULT_RATE_LIMIT_PER_MINUTE;
+  const recent = (recentRequests.get(record.id) || []).filter((t) => now - t < WINDOW_MS);
+  res.set({ 'X-RateLimit-Limit': String(limit), 'X-RateLimit-Remaining': String(Math.max(0, limit - recent.length - 1)) });
+  if (recent.length >= limit) {
+    recentRequests.set(record.id, recent);
+    const retryAfter = Math.max(1, Math.ceil((recent[0] + WINDOW_MS - now) / 1000));
+    return reject(res, 429, `요청이 너무 많습니다. ${retryAfter}초 후 다시 시도해주세요.`, { code: 'rate_limited', limit, retryAfter });
+  }
+  recentRequests.set(record.id, [...recent, now]);
+
+  // 마지막 사용 시각은 1분에 한 번만 기록 (요청마다 파일에 쓰지 않도록)
+  if (!record.lastUsedAt || now - Date.parse(record.lastUsedAt) > WINDOW_MS) {
+    apiKeys.update(record.id, { lastUsedAt: new Date(now).toISOString() });
+  }
+  req.apiKey = record;
+  next();
+}
+
+/**
+ * 요청한 사람 (감사 기록과 역할 확인용). requireApiKey 뒤에서 씁니다.
+ * @param {import('express').Request} req
+ * @returns {{ id: string, name: string, role: 'author' | 'approver' }}
+ */
+export function requestActor(req) {
+  const key = req.apiKey;
+  if (!key) return { id: 'local', name: '로컬 사용자', role: 'approver' };
+  if (key.admin) return { id: 'admin', name: '관리자', role: 'approver' };
+  return { id: key.id, name: key.name, role: key.role || 'author' };
+}
+
+/**
+ * 하루 모델 호출 수를 바꿉니다. (예약은 +, 실패했거나 쓰지 않은 호출의 반납은 -)
+ * @param {string} keyId
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {number} delta
+ */
+function adjustUsage(keyId, date, delta) {
+  const usage = apiUsage.list((u) => u.keyId === keyId && u.date === date)[0];
+  if (usage) {
+    apiUsage.update(usage.id, { count: Math.max(0, usage.count + delta) });
+  } else if (delta > 0) {
+    // 날짜가 바뀌면 보관 기간이 지난 기록 정리
+    apiUsage.removeWhere((u) => u.date < today(new Date(Date.now() - USAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000)));
+    apiUsage.insert({ keyId, date, count: delta });
+  }
+}
+
+/**
+ * 모델을 호출하는 경로의 일일 사용량 미들웨어를 만듭니다. requireApiKey 뒤에 둡니다.
+ * 한도가 남았으면 요청을 시작할 때 unitsOf(req)회를 예약하고, 요청이 실패로 끝나면 돌려줍니다.
+ * 성공 여부는 res.locals.modelCallSucceeded가 있으면 그 값, 없으면 응답 상태(2xx·3xx)로 판단합니다.
+ * 헤더를 먼저 보내는 스트리밍 경로는 시작할 때 false로 두고 완성된 결과를 보낸 뒤 true로 바꿉니다.
+ * 일부만 성공한 요청은 res.locals.modelCallUnits에 실제로 쓴 횟수를 두면 나머지를 돌려줍니다.
+ * (검증 오류, 모델 호출 실패, 오류로 끝나거나 취소된 스트림은 한도를 쓰지 않음)
+ * @param {(req: import('express').Request) => number} unitsOf - 요청 하나가 예약할 횟수 (1 이상의 정수)
+ * @returns {import('express').RequestHandler}
+ */
+export function meterModelUsageBy(unitsOf) {
+  return (req, res, next) => {
+    const key = req.apiKey;
+    if (!key || key.admin) return next();
+
+    const date = today();
+    const quota = key.dailyQuota || DEFAULT_DAILY_QUOTA;
+    const units = unitsOf(req);
+    const used = apiUsage.list((u) => u.keyId === key.id && u.date === date)[0]?.count || 0;
+    if (used + units > quota) {
+      const retryAfter = secondsUntilTomorrow();
+      res.set({ 'X-Quota-Limit': String(quota), 'X-Quota-Remaining': String(Math.max(0, quota - used)) });
+      const message =
+        used >= quota
+          ? `오늘 사용량(${quota}회)을 모두 사용했습니다. 내일 다시 시도해주세요.`
+          : `이 요청에는 ${units}회가 필요하지만 오늘 ${quota - used}회만 남았습니다.`;
+      return reject(res, 429, message, { code: 'quota_exceeded', limit: quota, retryAfter });
+    }
+
+    // 검사와 예약 사이에 다른 요청이 끼어들지 않도록 바로 예약 (동시 요청이 한도를 넘지 않음)
+    adjustUsage(key.id, date, units);
+    // 'close'는 정상 완료와 연결 끊김 모두에서 한 번 발생
+    res.once('close', () => {
+      const succeeded = res.writableFinished && (res.locals.modelCallSucceeded ?? res.statusCode < 400);
+      const spent = succeeded ? Math.min(units, res.locals.modelCallUnits ?? units) : 0;
+      if (spent < units) adjustUsage(key.id, date, spent - units);
+    });
+    // 이 요청이 성공했을 때 남는 횟수
+    res.set({ 'X-Quota-Limit': String(quota), 'X-Quota-Remaining': String(quota - used - units) });
+    next();
+  };
+}
+
+/**
+ * 요청마다 1회를 쓰는 일일 사용량 미들웨어 (see meterModelUsageBy)
+ */
+export const meterModelUsage = meterModelUsageBy(() => 1);
+
+/**
+ * 관리자 경로 미들웨어 (ADMIN_TOKEN)
+ */
+export function requireAdmin(req, res, next) {
+  if (!ADMIN_TOKEN) return res.status(503).json({ error: '관리자 토큰(ADMIN_TOKEN)이 설정되지 않았습니다.' });
+  if (!isAdminToken(readCredential(req))) return reject(res, 401, '관리자 인증이 필요합니다.');
+  next();
+}
@@ -0,0 +1,169 @@
+// javascript
+/**
+ * API key authentication, per-minute rate limits and the daily quota reservation (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, serve, tick } from './testUtils.js';
+
+withTempDataDir('auth', { ADMIN_TOKEN: 'admin-secret', API_AUTH: undefined });
+const { apiKeys } = await import('./db.js');
+const { issueKey, revokeKey, toPublicKey, validateKeyInput, requireApiKey, meterModelUsage, meterModelUsageBy, pruneRecentRequests } =
+  await import('./auth.js');
+
+const app = express();
+app.use('/api', requireApiKey);
+app.use('/api/model', meterModelUsage);
+app.use('/api/batch', meterModelUsageBy((req) => Number(req.query.units)));
+// translate.js와 같은 방식: 요청마다 여러 회를 예약하고 성공한 만큼만 남김
+app.post('/api/batch', (req, res) => {
+  if (req.query.spent !== undefined) res.locals.modelCallUnits = Number(req.query.spent);
+  res.json({ ok: true });
+});
+app.post('/api/model/ok', (req, res) => res.json({ ok: true }));
+app.post('/api/model/invalid', (req, res) => res.status(400).json({ error: 'bad input' }));
+app.post('/api/model/fail', (req, res) => res.status(502).json({ error: 'model failed' }));
+// generate.js /stream과 같은 방식: 헤더를 먼저 보내고 done을 보낸 뒤에만 성공으로 표시
+app.post('/api/model/stream', (req, res) => {
+  res.set('Content-Type', 'text/event-stream');
+  res.flushHeaders();
+  res.locals.modelCallSucceeded = false;
+  res.write('event: chunk\ndata: {}\n\n');
+  if (req.query.outcome === 'done') {
+    res.write('event: done\ndata: {}\n\n');
+    res.locals.modelCallSucceeded = true;
+  } else {
+    res.write('event: error\ndata: {}\n\n');
+  }
+  res.end();
+});
+app.post('/api/model/slow', (req, res) => setTimeout(() => res.json({ ok: true }), 50));
+app.get('/api/ping', (req, res) => res.json({ ok: true }));
+const base = serve(app);
+
+const call = (route, key, method = route === 'ping' ? 'GET' : 'POST') =>
+  fetch(`${base}/api/${route}`, { method, headers: key ? { Authorization: `Bearer ${key}` } : {} });
+
+/** 사용량 반납은 응답의 'close' 뒤에 일어나므로 잠시 기다린 뒤 읽음 */
+const usageToday = async (apiKey) => {
+  await tick(20);
+  return toPublicKey(apiKeys.get(apiKey.id)).usageToday;
+};
+
+test('requests without a valid key are refused with 401', async () => {
+  let res = await call('ping');
+  assert.equal(res.status, 401);
+  assert.equal(res.headers.get('www-authenticate'), 'Bearer');
+
+  res = await call('ping', 'vtk_unknown');
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).error, '유효하지 않은 API 키입니다.');
+
+  const { key, apiKey } = issueKey({ name: '폐기', rateLimitPerMinute: null, dailyQuota: null });
+  assert.equal((await call('ping', key)).status, 200);
+  revokeKey(apiKeys.get(apiKey.id));
+  res = await call('ping', key);
+  assert.equal(res.status, 401);
+  assert.equal((await res.json()).error, '폐기된 API 키입니다.');
+});
+
+test('X-API-Key and the admin token are accepted; the admin token is not metered', async () => {
+  const { key } = issueKey({ name: '헤더', rateLimitPerMinute: null, dailyQuota: null });
+  const res = await fetch(`${base}/api/ping`, { headers: { 'X-API-Key': key } });
+  assert.equal(res.status, 200);
+
+  const admin = await call('model/ok', 'admin-secret');
+  assert.equal(admin.status, 200);
+  assert.equal(admin.headers.get('x-quota-limit'), null);
+});
+
+test('the per-minute rate limit answers 429 with Retry-After', async () => {
+  const { key } = issueKey({ name: '분당', rateLimitPerMinute: 2, dailyQuota: null });
+  assert.equal((await call('ping', key)).status, 200);
+  assert.equal((await call('ping', key)).status, 200);
+  const res = await call('ping', key);
+  assert.equal(res.status, 429);
+  assert.ok(Number(res.headers.get('retry-after')) >= 1);
+  const body = await res.json();
+  assert.equal(body.code, 'rate_limited');
+  assert.equal(body.limit, 2);
+});
+
+test('only successful model calls use the daily quota', async () => {
+  const { key, apiKey } = issueKey({ name: '한도', rateLimitPerMinute: null, dailyQuota: 2 });
+
+  assert.equal((await call('model/invalid', key)).status, 400);
+  assert.equal((await call('model/fail', key)).status, 502);
+  assert.equal(await usageToday(apiKey), 0);
+
+  const ok = await call('model/ok', key);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get('x-quota-limit'), '2');
+  assert.equal(ok.headers.get('x-quota-remaining'), '1');
+  assert.equal((await call('model/ok', key)).status, 200);
+  assert.equal(await usageToday(apiKey), 2);
+
+  const res = await call('model/ok', key);
+  assert.equal(res.status, 429);
+  assert.equal(res.headers.get('x-quota-remaining'), '0');
+  const body = await res.json();
+  assert.equal(body.code, 'quota_exceeded');
+  assert.ok(body.retryAfter >= 1);
+});
+
+test('a stream is counted only when it sends done', async () => {
+  const { key, apiKey } = issueKey({ name: '스트림', rateLimitPerMinute: null, dailyQuota: 5 });
+
+  const failed = await call('model/stream?outcome=error', key);
+  assert.equal(failed.status, 200);
+  assert.match(await failed.text(), /event: error/);
+  assert.equal(await usageToday(apiKey), 0);
+
+  const done = await call('model/stream?outcome=done', key);
+  assert.match(await done.text(), /event: done/);
+  assert.equal(await usageToday(apiKey), 1);
+});
+
+test('concurrent calls reserve the quota and cannot overshoot it', async () => {
+  const { key, apiKey } = issueKey({ name: '동시', rateLimitPerMinute: null, dailyQuota: 2 });
+  const statuses = (await Promise.all([1, 2, 3, 4].map(() => call('model/slow', key)))).map((res) => res.status);
+  assert.deepEqual(statuses.sort(), [200, 200, 429, 429]);
+  assert.equal(await usageToday(apiKey), 2);
+});
+
+test('validateKeyInput checks the name, role and limits', () => {
+  assert.deepEqual(validateKeyInput({ name: ' 교무실 ' }), {
+    value: { name: '교무실', role: 'author', rateLimitPerMinute: null, dailyQuota: null },
+  });
+  assert.match(validateKeyInput({ name: '' }).error, /name/);
+  assert.match(validateKeyInput({ name: 'a', role: 'owner' }).error, /role/);
+  assert.match(validateKeyInput({ name: 'a', dailyQuota: 0 }).error, /dailyQuota/);
+  assert.match(validateKeyInput({ name: 'a', rateLimitPerMinute: 1.5 }).error, /rateLimitPerMinute/);
+  assert.deepEqual(validateKeyInput({ dailyQuota: 10 }, { partial: true }), { value: { dailyQuota: 10 } });
+});
+
+test('a call that reserves several units keeps only the units it spent', async () => {
+  const { key, apiKey } = issueKey({ name: '번역', rateLimitPerMinute: null, dailyQuota: 5 });
+
+  const ok = await call('batch?units=3', key);
+  assert.equal(ok.status, 200);
+  assert.equal(ok.headers.get('x-quota-remaining'), '2');
+  assert.equal(await usageToday(apiKey), 3);
+
+  // 남은 2회로는 3회짜리 요청을 받지 않음
+  const over = await call('batch?units=3', key);
+  assert.equal(over.status, 429);
+  assert.equal(over.headers.get('x-quota-remaining'), '2');
+  assert.match((await over.json()).error, /3회가 필요하지만 오늘 2회만 남았습니다/);
+
+  assert.equal((await call('batch?units=2&spent=1', key)).status, 200);
+  assert.equal(await usageToday(apiKey), 4);
+});
+
+test('keys idle for a whole minute are dropped from the rate-limit memory', async () => {
+  const { key } = issueKey({ name: '정리', rateLimitPerMinute: null, dailyQuota: null });
+  assert.equal((await call('ping', key)).status, 200);
+  assert.ok(pruneRecentRequests() >= 1);
+  assert.equal(pruneRecentRequests(Date.now() + 60 * 1000), 0);
+});
@@ -0,0 +1,126 @@
+// javascript
+/**
+ * iCalendar (RFC 5545) export of checklist items with a date.
+ * - Items with a time become one-hour events in Asia/Seoul; items without a time become all-day events.
+ * - Deadlines get a reminder one day before. Lines are folded at 75 octets without splitting UTF-8 characters.
+ */
+import { DEFAULT_TIMEZONE } from './timezone.js';
+
+const TYPE_PREFIXES = { event: '', deadline: '[마감] ', action: '[할 일] ' };
+
+// 서울은 일광절약시간이 없으므로 표준시 하나로 충분
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${DEFAULT_TIMEZONE}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0900',
+  'TZOFFSETTO:+0900',
+  'TZNAME:KST',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+/** TEXT 값 이스케이프 */
+const escapeText = (text) =>
+  String(text ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+/**
+ * 75바이트가 넘는 줄을 접습니다. (이어지는 줄은 공백 하나로 시작)
+ * @param {string} line
+ * @returns {string}
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length ? 74 : 75;
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+const compact = (date) => date.replace(/-/g, '');
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * 벽시계 날짜·시각에 시간을 더합니다.
+ * @param {string} date - "YYYY-MM-DD"
+ * @param {string | null} time - "HH:mm" (null이면 종일, 하루를 더함)
+ * @returns {string} iCalendar 날짜 또는 날짜-시각 값
+ */
+function endOf(date, time) {
+  const [year, month, day] = date.split('-').map(Number);
+  const [hour, minute] = time ? time.split(':').map(Number) : [0, 0];
+  const end = new Date(Date.UTC(year, month - 1, day, hour, minute) + (time ? 60 : 24 * 60) * 60 * 1000);
+  const value = `${end.getUTCFullYear()}${pad(end.getUTCMonth() + 1)}${pad(end.getUTCDate())}`;
+  return time ? `${value}T${pad(end.getUTCHours())}${pad(end.getUTCMinutes())}00` : value;
+}
+
+/** @param {Date} date @returns {string} UTC 날짜-시각 값 */
+const utcStamp = (date) => date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * 체크리스트 항목 하나를 VEVENT로
+ * @param {object} item
+ * @param {string} stamp - DTSTAMP
+ * @returns {string[]}
+ */
+function renderEvent(item, stamp) {
+  const start = item.time
+    ? `DTSTART;TZID=${DEFAULT_TIMEZONE}:${compact(item.date)}T${item.time.replace(':', '')}00`
+    : `DTSTART;VALUE=DATE:${compact(item.date)}`;
+  const end = item.time ? `DTEND;TZID=${DEFAULT_TIMEZONE}:${endOf(item.date, item.time)}` : `DTEND;VALUE=DATE:${endOf(item.date, null)}`;
+  const description = [item.assignee && `담당: ${item.assignee}`, item.quote && `원문: ${item.quote}`].filter(Boolean).join('\n');
+  const summary = `${item.done ? '(완료) ' : ''}${TYPE_PREFIXES[item.type] ?? ''}${item.title}${item.assignee ? ` (${item.assignee})` : ''}`;
+  return [
+    'BEGIN:VEVENT',
+    `UID:${item.id}@voice-to-text`,
+    `DTSTAMP:${stamp}`,
+    start,
+    end,
+    `SUMMARY:${escapeText(summary)}`,
+    description ? `DESCRIPTION:${escapeText(description)}` : null,
+    `LAST-MODIFIED:${utcStamp(new Date(item.updatedAt))}`,
+    ...(item.type === 'deadline' && !item.done
+      ? ['BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-P1D', `DESCRIPTION:${escapeText(`내일 마감: ${item.title}`)}`, 'END:VALARM']
+      : []),
+    'END:VEVENT',
+  ].filter(Boolean);
+}
+
+/**
+ * 날짜가 있는 항목을 .ics 달력 파일로 만듭니다.
+ * @param {object[]} items - 체크리스트 항목 (날짜 없는 항목은 건너뜀)
+ * @param {{ name: string }} options - 달력 이름
+ * @returns {string}
+ */
+export function renderCalendar(items, { name }) {
+  const stamp = utcStamp(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//voice-to-text//action items//KO',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${DEFAULT_TIMEZONE}`,
+    ...VTIMEZONE,
+    ...items.filter((item) => item.date).flatMap((item) => renderEvent(item, stamp)),
+    'END:VCALENDAR',
+  ];
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
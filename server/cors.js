@@ -0,0 +1,30 @@
+// javascript
+/**
+ * CORS allowlist
+ * - CORS_ORIGINS: comma-separated origins allowed to call the API from a browser (e.g. "https://app.example.com").
+ *   When unset every origin is allowed (development); "*" allows every origin explicitly.
+ * - Requests without an Origin header (native app, curl, same-origin) are not affected.
+ */
+
+/**
+ * 환경 변수로 cors() 옵션을 만듭니다.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{ allowed: string[] | null, options: import('cors').CorsOptions }} allowed가 null이면 모든 출처 허용
+ */
+export function loadCorsOptions(env = process.env) {
+  const list = (env.CORS_ORIGINS || '')
+    .split(',')
+    .map((o) => o.trim().replace(/\/$/, ''))
+    .filter(Boolean);
+  const allowed = list.length === 0 || list.includes('*') ? null : list;
+  return {
+    allowed,
+    options: {
+      origin: allowed ? (origin, callback) => callback(null, !origin || allowed.includes(origin)) : true,
+      // 클라이언트가 한도 초과 시 다시 시도할 시점을 읽을 수 있도록 노출
+      exposedHeaders: ['Content-Disposition', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-Quota-Limit', 'X-Quota-Remaining'],
+    },
+  };
+}
+
+export const corsConfig = loadCorsOptions();
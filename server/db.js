@@ -0,0 +1,84 @@
+// javascript
+/**
+ * Persistent collections shared by the API routes.
+ */
+import { createCollection } from './store.js';
+
+/**
+ * 녹음 세션: { id, timestamp, transcript, segments[{ id, text, startMs, endMs, confidence }], language,
+ *   corrections[{ id, segmentId, start, end, original, replacement, term, entryId, reverted }],
+ *   source?('upload'), filename?, createdAt, updatedAt }
+ */
+export const sessions = createCollection('sessions');
+
+/**
+ * 세션별 문서: { id, sessionId, documentType, templateId, generatedContent, editedContent, structured, sourceSessionIds,
+ *   status('draft' | 'in_review' | 'approved' | 'sent'), createdBy, approvedBy, approvedAt, createdAt, updatedAt }
+ *   (status가 없는 문서는 초안)
+ */
+export const documents = createCollection('documents');
+
+/**
+ * 문서 리비전: { id, documentId, sessionId, action('generated' | 'edited' | 'refined' | 'restored'), content, structured,
+ *   documentType, templateId, restoredFrom, createdAt, updatedAt }
+ */
+export const revisions = createCollection('revisions');
+
+/**
+ * 게시된 문서 페이지 (/n/:slug): { id, slug, documentId, sessionId, title, content, structured, letterhead, publishedAt,
+ *   expiresAt, localExpiresAt, unpublishedAt, createdAt, updatedAt } (publishedAt은 게시하거나 내용을 새로 고친 시각)
+ */
+export const publications = createCollection('publications');
+
+/**
+ * 게시 페이지 조회 수: { id, publicationId, views, lastViewedAt, createdAt, updatedAt }
+ * (조회할 때마다 게시 기록을 다시 쓰지 않도록 따로 보관)
+ */
+export const publicationViews = createCollection('publicationViews');
+
+/**
+ * 일정·마감·할 일 체크리스트: { id, documentId, sessionIds[], type('event' | 'deadline' | 'action'), title, assignee,
+ *   date("YYYY-MM-DD" | null), time("HH:mm" | null), dateText, quote, referenceTime, done, source('extracted' | 'manual'),
+ *   edited, createdAt, updatedAt }
+ */
+export const actionItems = createCollection('actionItems');
+
+/**
+ * 문서 검토·승인 감사 기록: { id, documentId, sessionId, action, from, to, actor{ id, name, role }, comment, detail,
+ *   createdAt, updatedAt } (문서를 지워도 남음, see ./workflow.js)
+ */
+export const documentEvents = createCollection('documentEvents');
+
+/**
+ * 문서에서 만든 별도 문자 문안(요약본·번역본·링크 문자)과 그 승인: { id, documentId, sessionId,
+ *   kind('short' | 'translation' | 'link'), language(번역본만), content, status('draft' | 'in_review' | 'approved'),
+ *   submittedBy, approvedBy, approvedAt, createdAt, updatedAt } (see ./workflow.js)
+ */
+export const messageVariants = createCollection('messageVariants');
+
+/** 문서 템플릿: { id, name, instructions, sections[], tone, maxLength, createdAt, updatedAt } */
+export const templates = createCollection('templates');
+
+/** 메시지 전송 기록: { id, batchId, recipient, bodyHash, bytes, messageType, documentId, gateway, status, gatewayMessageId, gatewayResponse, sentAt, createdAt, updatedAt } */
+export const messages = createCollection('messages');
+
+/**
+ * 예약 전송 작업: { id, recipients[], messages[], documentId, createdBy, sendAt, timezone, status, attempts, nextAttemptAt,
+ *   remaining[{ part, recipients[] }], batchIds[], lastError, sentAt, createdAt, updatedAt }
+ */
+export const scheduledJobs = createCollection('scheduledJobs');
+
+/** 용어집: { id, term, variants[], aliases[], description, createdAt, updatedAt } */
+export const glossary = createCollection('glossary');
+
+/** 개인정보 가림 이름 목록: { id, name, createdAt, updatedAt } */
+export const redactionNames = createCollection('redactionNames');
+
+/**
+ * API 키: { id, name, role('author' | 'approver'), keyHash, prefix, rateLimitPerMinute, dailyQuota, revokedAt, lastUsedAt,
+ *   createdAt, updatedAt } (한도가 null이면 기본값, role이 없으면 작성자)
+ */
+export const apiKeys = createCollection('apiKeys');
+
+/** API 키별 일일 모델 호출 수: { id, keyId, date(Asia/Seoul "YYYY-MM-DD"), count, createdAt, updatedAt } */
+export const apiUsage = createCollection('apiUsage');
@@ -0,0 +1,194 @@
+// javascript
+/**
+ * Document export: the ZIP container of DOCX files, WordprocessingML escaping, the PDF cross-reference table and
+ * pagination, PDF refusing translations its Korean font cannot show, and the export route (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'zlib';
+import express from 'express';
+import { withTempDataDir, serve } from './testUtils.js';
+
+withTempDataDir('export');
+const { documents } = await import('./db.js');
+const { EXPORT_FORMATS, toExportModel } = await import('./export/index.js');
+const { createZip } = await import('./export/zip.js');
+const { default: exportRouter } = await import('./routes/export.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/export', exportRouter);
+const base = serve(app);
+
+const LETTERHEAD = { orgName: '한빛초등학교', date: '2026년 10월 19일', signer: '한빛초등학교장' };
+const STRUCTURED = {
+  title: '현장 체험학습 안내',
+  summary: '10월 25일 체험학습',
+  sections: [{ heading: '준비물', body: '도시락 & 물 <필수>' }],
+  closing: '감사합니다.',
+};
+
+/**
+ * ZIP을 중앙 디렉터리부터 읽어 파일별 내용을 풉니다. CRC와 크기가 맞지 않으면 실패합니다.
+ * @param {Buffer} zip
+ * @returns {Map<string, Buffer>}
+ */
+function readZip(zip) {
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  assert.ok(end >= 0, 'end of central directory');
+  const count = zip.readUInt16LE(end + 10);
+  let at = zip.readUInt32LE(end + 16);
+  const files = new Map();
+  for (let i = 0; i < count; i++) {
+    assert.equal(zip.readUInt32LE(at), 0x02014b50);
+    const crc = zip.readUInt32LE(at + 16);
+    const compressedSize = zip.readUInt32LE(at + 20);
+    const size = zip.readUInt32LE(at + 24);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const offset = zip.readUInt32LE(at + 42);
+    const name = zip.toString('utf8', at + 46, at + 46 + nameLength);
+
+    assert.equal(zip.readUInt32LE(offset), 0x04034b50, `local header of ${name}`);
+    assert.equal(zip.readUInt32LE(offset + 14), crc);
+    const start = offset + 30 + zip.readUInt16LE(offset + 26) + zip.readUInt16LE(offset + 28);
+    const data = zlib.inflateRawSync(zip.subarray(start, start + compressedSize));
+    assert.equal(data.length, size);
+    assert.equal(zlib.crc32(data), crc, `CRC of ${name}`);
+    files.set(name, data);
+    at += 46 + nameLength + zip.readUInt16LE(at + 30) + zip.readUInt16LE(at + 32);
+  }
+  return files;
+}
+
+/**
+ * PDF 쪽 콘텐츠 스트림을 풀어 쪽마다 보이는 글자를 돌려줍니다.
+ * @param {Buffer} pdf
+ * @returns {string[]}
+ */
+function pdfPages(pdf) {
+  const pages = [];
+  let at = 0;
+  while ((at = pdf.indexOf('>>\nstream\n', at)) >= 0) {
+    const start = at + '>>\nstream\n'.length;
+    const stop = pdf.indexOf('\nendstream', start);
+    const ops = zlib.inflateSync(pdf.subarray(start, stop)).toString('latin1');
+    const text = [...ops.matchAll(/<([0-9a-f]+)> Tj/g)]
+      .map(([, hex]) => String.fromCharCode(...hex.match(/.{4}/g).map((h) => parseInt(h, 16))))
+      .join('\n');
+    pages.push(text);
+    at = stop;
+  }
+  return pages;
+}
+
+test('the ZIP writer stores every file with matching CRCs and UTF-8 names', () => {
+  const zip = createZip([
+    { name: 'a.txt', data: 'hello' },
+    { name: '한글/파일.xml', data: '가'.repeat(1000) },
+    { name: 'empty', data: Buffer.alloc(0) },
+  ]);
+  const files = readZip(zip);
+  assert.deepEqual([...files.keys()], ['a.txt', '한글/파일.xml', 'empty']);
+  assert.equal(files.get('한글/파일.xml').toString('utf8'), '가'.repeat(1000));
+  assert.equal(files.get('empty').length, 0);
+});
+
+test('DOCX parts parse and document.xml escapes markup while keeping Korean text', () => {
+  const docx = EXPORT_FORMATS.docx.render(toExportModel({ content: '', structured: STRUCTURED, letterhead: LETTERHEAD }));
+  const files = readZip(docx);
+  assert.deepEqual([...files.keys()], ['[Content_Types].xml', '_rels/.rels', 'word/document.xml', 'docProps/core.xml']);
+
+  const xml = files.get('word/document.xml').toString('utf8');
+  assert.match(xml, /<w:t xml:space="preserve">도시락 &amp; 물 &lt;필수&gt;<\/w:t>/);
+  assert.doesNotMatch(xml, /<필수>/);
+  for (const text of ['한빛초등학교', '현장 체험학습 안내', '준비물', '감사합니다.', '한빛초등학교장']) {
+    assert.ok(xml.includes(text), text);
+  }
+  assert.match(files.get('docProps/core.xml').toString('utf8'), /<dc:title>현장 체험학습 안내<\/dc:title>/);
+});
+
+test('PDF cross-reference offsets point at their objects and long bodies run onto more pages', () => {
+  const body = Array.from({ length: 120 }, (_, i) => `${i + 1}번째 줄: 체험학습 일정과 준비물을 확인해 주세요.`).join('\n');
+  const pdf = EXPORT_FORMATS.pdf.render(toExportModel({ content: body, letterhead: LETTERHEAD }));
+  const text = pdf.toString('latin1');
+  assert.ok(text.startsWith('%PDF-1.4\n'));
+  assert.ok(text.trimEnd().endsWith('%%EOF'));
+
+  const startxref = Number(text.match(/startxref\n(\d+)\n%%EOF/)[1]);
+  assert.ok(text.startsWith('xref\n', startxref));
+  const [, size] = text.slice(startxref).match(/^xref\n0 (\d+)\n/);
+  const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(([, offset]) => Number(offset));
+  assert.equal(offsets.length, Number(size) - 1);
+  offsets.forEach((offset, i) => assert.ok(text.startsWith(`${i + 1} 0 obj\n`, offset), `object ${i + 1}`));
+
+  const pages = pdfPages(pdf);
+  const count = Number(text.match(/\/Type \/Pages \/Kids \[[^\]]+\] \/Count (\d+)/)[1]);
+  assert.ok(count > 1);
+  assert.equal(pages.length, count);
+  assert.match(pages[0], /^한빛초등학교\n2026년 10월 19일\n1번째 줄/);
+  assert.match(pages.at(-1), /한빛초등학교장$/);
+  // 쪽을 넘어가도 줄이 빠지거나 겹치지 않음
+  const lines = pages.join('\n').split('\n');
+  assert.deepEqual(
+    lines.filter((line) => line.includes('번째 줄')),
+    body.split('\n')
+  );
+});
+
+const exportDocument = (body) =>
+  fetch(`${base}/api/export`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+
+test('the route sends the file with an encoded Korean filename', async () => {
+  const document = documents.insert({ sessionId: 's1', editedContent: '안내문', structured: STRUCTURED });
+  const res = await exportDocument({ format: 'md', documentId: document.id, letterhead: { date: '' } });
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get('content-type'), 'text/markdown; charset=utf-8');
+  assert.equal(
+    res.headers.get('content-disposition'),
+    `attachment; filename="document.md"; filename*=UTF-8''${encodeURIComponent('현장 체험학습 안내.md')}`
+  );
+  assert.match(await res.text(), /^# 현장 체험학습 안내\n/);
+
+  const plain = await exportDocument({ format: 'txt', content: '내일 체험학습이 있습니다.' });
+  assert.match(plain.headers.get('content-disposition'), /filename\*=UTF-8''%EB%AC%B8%EC%84%9C\.txt$/);
+});
+
+test('unknown formats, missing documents and malformed input are rejected', async () => {
+  for (const format of ['constructor', 'toString', '__proto__', 'hwp', undefined]) {
+    const res = await exportDocument({ format, content: '안내문' });
+    assert.equal(res.status, 400, String(format));
+    assert.match((await res.json()).error, /format은 docx, pdf, md, txt 중 하나/);
+  }
+  assert.equal((await exportDocument({ format: 'pdf', documentId: 'missing' })).status, 404);
+  assert.equal((await exportDocument({ format: 'pdf', content: ' ' })).status, 400);
+  assert.equal((await exportDocument({ format: 'pdf', content: '안내문', structured: { title: '' } })).status, 400);
+  assert.equal((await exportDocument({ format: 'pdf', content: '안내문', letterhead: { orgName: 3 } })).status, 400);
+});
+
+test('a translation the Korean PDF font cannot show is refused as PDF and still exported in other formats', async () => {
+  const translations = {
+    vi: 'Kính gửi phụ huynh: ngày mai có chuyến dã ngoại.',
+    zh: '尊敬的家长：明天学校有校外活动。',
+    th: 'เรียนผู้ปกครอง พรุ่งนี้มีทัศนศึกษา',
+  };
+  for (const [language, content] of Object.entries(translations)) {
+    const pdf = await exportDocument({ format: 'pdf', content });
+    assert.equal(pdf.status, 400, language);
+    assert.match((await pdf.json()).error, /PDF 글꼴에 없는 글자가 있습니다: .+Word·Markdown·텍스트/);
+    assert.equal((await exportDocument({ format: 'docx', content })).status, 200, language);
+  }
+  // 구조화된 번역본의 제목·섹션도 검사
+  const structured = { ...STRUCTURED, sections: [{ heading: 'Chuẩn bị', body: 'cơm hộp' }] };
+  assert.equal((await exportDocument({ format: 'pdf', content: '안내문', structured })).status, 400);
+
+  // 한국어 문서의 기호나 글꼴이 가진 외국 문자(영어, 러시아어)는 지금처럼 PDF로
+  for (const content of ['내일 체험학습 ※ 우천 시 취소 😊', 'Field trip tomorrow', 'Уважаемые родители']) {
+    const res = await exportDocument({ format: 'pdf', content });
+    assert.equal(res.status, 200, content);
+    assert.equal(res.headers.get('content-type'), 'application/pdf');
+  }
+});
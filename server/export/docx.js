@@ -0,0 +1,94 @@
+// javascript
+/**
+ * DOCX renderer (WordprocessingML written directly, zipped with ./zip.js).
+ * Korean text uses the "Malgun Gothic" East Asian font; Word substitutes a Korean font when it is not installed.
+ */
+import { createZip } from './zip.js';
+
+const FONT = 'Malgun Gothic';
+
+const CONTENT_TYPES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+<Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`;
+
+const ROOT_RELS = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`;
+
+const escapeXml = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    // XML 1.0에서 허용되지 않는 제어 문자 제거
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '');
+
+/**
+ * 문단 하나를 만듭니다.
+ * @param {string} text
+ * @param {{ bold?: boolean, size?: number, align?: 'left' | 'center' | 'right', after?: number, rule?: boolean }} [style]
+ *   - size: pt, after: 문단 뒤 간격(pt), rule: 아래쪽 구분선
+ * @returns {string}
+ */
+function paragraph(text, { bold = false, size = 11, align = 'left', after = 6, rule = false } = {}) {
+  const pPr = [
+    rule ? '<w:pBdr><w:bottom w:val="single" w:sz="8" w:space="4" w:color="444444"/></w:pBdr>' : '',
+    `<w:spacing w:after="${after * 20}" w:line="360" w:lineRule="auto"/>`,
+    align === 'left' ? '' : `<w:jc w:val="${align}"/>`,
+  ].join('');
+  const rPr = [
+    `<w:rFonts w:ascii="${FONT}" w:hAnsi="${FONT}" w:eastAsia="${FONT}"/>`,
+    bold ? '<w:b/>' : '',
+    `<w:sz w:val="${size * 2}"/><w:szCs w:val="${size * 2}"/>`,
+  ].join('');
+  return `<w:p><w:pPr>${pPr}</w:pPr><w:r><w:rPr>${rPr}</w:rPr><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r></w:p>`;
+}
+
+/** 여러 줄 텍스트를 줄마다 문단으로 */
+const paragraphs = (text, style) =>
+  text
+    .split('\n')
+    .map((line) => paragraph(line, style))
+    .join('');
+
+/**
+ * @param {import('./index.js').ExportModel} model
+ * @returns {Buffer}
+ */
+export function renderDocx(model) {
+  const body = [
+    model.orgName ? paragraph(model.orgName, { bold: true, size: 16, align: 'center', after: 4, rule: true }) : '',
+    model.date ? paragraph(model.date, { align: 'right', after: 12 }) : '',
+    model.title ? paragraph(model.title, { bold: true, size: 15, align: 'center', after: 12 }) : '',
+    model.summary ? paragraph('요약', { bold: true, size: 12 }) + paragraphs(model.summary) : '',
+    ...model.sections.map((s) => (s.heading ? paragraph(s.heading, { bold: true, size: 12 }) : '') + paragraphs(s.body)),
+    model.closing ? paragraphs(model.closing) : '',
+    model.signer ? paragraph(model.signer, { bold: true, size: 13, align: 'right', after: 0 }) : '',
+  ].join('');
+
+  const document = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:body>${body}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1418" w:right="1134" w:bottom="1418" w:left="1134" w:header="851" w:footer="992" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+  const core = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+<dc:title>${escapeXml(model.title)}</dc:title>
+<dc:creator>${escapeXml(model.signer || model.orgName)}</dc:creator>
+<dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString()}</dcterms:created>
+</cp:coreProperties>`;
+
+  return createZip([
+    { name: '[Content_Types].xml', data: CONTENT_TYPES },
+    { name: '_rels/.rels', data: ROOT_RELS },
+    { name: 'word/document.xml', data: document },
+    { name: 'docProps/core.xml', data: core },
+  ]);
+}
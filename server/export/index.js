@@ -0,0 +1,116 @@
+// javascript
+/**
+ * Document export formats
+ * - docx / pdf / md / txt, each rendering the same export model with an optional letterhead
+ *   (organisation name and date at the top, signer at the bottom).
+ * - Structured documents keep their title, summary, sections and closing; plain text is exported as one body.
+ */
+import { renderDocx } from './docx.js';
+import { renderPdf, unsupportedPdfChars } from './pdf.js';
+import { renderMarkdown, renderText } from './text.js';
+import { formatZonedTime } from '../timezone.js';
+
+/**
+ * @typedef {object} ExportModel
+ * @property {string} orgName - 기관명 (빈 문자열이면 생략)
+ * @property {string} date - 표시할 날짜 (빈 문자열이면 생략)
+ * @property {string} signer - 서명/발신인 (빈 문자열이면 생략)
+ * @property {string} title
+ * @property {string} summary
+ * @property {{ heading: string, body: string }[]} sections - heading이 빈 문자열이면 본문만
+ * @property {string} closing
+ */
+
+/**
+ * @typedef {object} ExportFormat
+ * @property {string} id
+ * @property {string} label
+ * @property {string} extension
+ * @property {string} mimeType
+ * @property {(model: ExportModel) => Buffer | string} render
+ * @property {(model: ExportModel) => string[]} [unsupportedChars] - 이 형식으로 나타낼 수 없는 글자 (있으면 내보내지 않음)
+ */
+
+/** @type {Record<string, ExportFormat>} */
+export const EXPORT_FORMATS = {
+  docx: {
+    id: 'docx',
+    label: 'Word',
+    extension: 'docx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    render: renderDocx,
+  },
+  pdf: {
+    id: 'pdf',
+    label: 'PDF',
+    extension: 'pdf',
+    mimeType: 'application/pdf',
+    render: renderPdf,
+    unsupportedChars: unsupportedPdfChars,
+  },
+  md: { id: 'md', label: 'Markdown', extension: 'md', mimeType: 'text/markdown; charset=utf-8', render: renderMarkdown },
+  txt: { id: 'txt', label: '텍스트', extension: 'txt', mimeType: 'text/plain; charset=utf-8', render: renderText },
+};
+
+const LETTERHEAD_FIELDS = ['orgName', 'date', 'signer'];
+const MAX_LETTERHEAD_LENGTH = 100;
+
+/**
+ * 오늘 날짜를 한국어 공문 형식으로 표시합니다. (Asia/Seoul)
+ * @param {Date} [now]
+ * @returns {string} 예: "2025년 3월 4일"
+ */
+export function formatKoreanDate(now = new Date()) {
+  const [year, month, day] = formatZonedTime(now).slice(0, 10).split('-').map(Number);
+  return `${year}년 ${month}월 ${day}일`;
+}
+
+/**
+ * 레터헤드 입력을 검증합니다. date를 지정하지 않으면 오늘 날짜, 빈 문자열이면 날짜를 넣지 않습니다.
+ * @param {unknown} input - { orgName?, date?, signer? }
+ * @returns {{ value?: { orgName: string, date: string, signer: string }, error?: string }}
+ */
+export function validateLetterhead(input) {
+  if (input === undefined || input === null) return { value: { orgName: '', date: formatKoreanDate(), signer: '' } };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'letterhead는 객체여야 합니다.' };
+  const value = {};
+  for (const field of LETTERHEAD_FIELDS) {
+    const raw = input[field];
+    if (raw !== undefined && typeof raw !== 'string') return { error: `letterhead.${field}는 문자열이어야 합니다.` };
+    if (raw && raw.length > MAX_LETTERHEAD_LENGTH) {
+      return { error: `letterhead.${field}는 ${MAX_LETTERHEAD_LENGTH}자 이하여야 합니다.` };
+    }
+    value[field] = (raw ?? '').trim();
+  }
+  if (input.date === undefined) value.date = formatKoreanDate();
+  return { value };
+}
+
+/**
+ * 문서 내용과 레터헤드로 내보내기 모델을 만듭니다.
+ * @param {{ content: string, structured?: object | null, letterhead: { orgName: string, date: string, signer: string } }} input
+ * @returns {ExportModel}
+ */
+export function toExportModel({ content, structured, letterhead }) {
+  if (structured) {
+    return {
+      ...letterhead,
+      title: structured.title,
+      summary: structured.summary,
+      sections: structured.sections.map((s) => ({ heading: s.heading, body: s.body })),
+      closing: structured.closing || '',
+    };
+  }
+  return { ...letterhead, title: '', summary: '', sections: [{ heading: '', body: content }], closing: '' };
+}
+
+/**
+ * 파일 이름 (제목이 없으면 "문서", 경로에 쓸 수 없는 문자는 밑줄)
+ * @param {ExportModel} model
+ * @param {ExportFormat} format
+ * @returns {string}
+ */
+export function exportFilename(model, format) {
+  const base = (model.title || '문서').replace(/[\\/:*?"<>|\r\n]+/g, '_').slice(0, 60).trim() || '문서';
+  return `${base}.${format.extension}`;
+}
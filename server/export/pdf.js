@@ -0,0 +1,196 @@
+// javascript
+/**
+ * PDF renderer (A4, no external dependencies).
+ * - Text uses the standard Korean CID font HYSMyeongJo-Medium (Adobe-Korea1, UniKS-UCS2-H) without embedding,
+ *   which PDF viewers provide or substitute with a Korean system font.
+ * - That font only covers KS X 1001 (Hangul, Hanja, kana, Greek and Cyrillic). Documents with letters outside it, such as
+ *   Vietnamese, simplified Chinese or Thai translations, are refused (see unsupportedPdfChars) rather than rendered
+ *   without glyphs.
+ * - Lines are wrapped with an approximate width (Hangul/CJK full width, ASCII half width) and paginated.
+ */
+import zlib from 'zlib';
+import { isEucKrChar } from '../../shared/eucKr.js';
+
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const MARGIN = 56;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+const LINE_HEIGHT = 1.6;
+const FONT_NAME = 'HYSMyeongJo-Medium';
+
+/** 글자 폭 (글꼴 크기 대비) */
+const charWidth = (ch) => (ch.charCodeAt(0) < 0x80 ? 0.5 : 1);
+
+const textWidth = (text, size) => Array.from(text).reduce((sum, ch) => sum + charWidth(ch), 0) * size;
+
+/**
+ * 한 문단을 너비에 맞춰 줄로 나눕니다. 가능하면 띄어쓰기에서, 긴 어절은 글자 단위로 나눕니다.
+ * @param {string} text
+ * @param {number} size
+ * @returns {string[]}
+ */
+function wrapLine(text, size) {
+  const max = CONTENT_WIDTH / size;
+  const lines = [];
+  let line = '';
+  let width = 0;
+  for (const word of text.split(/(\s+)/).filter(Boolean)) {
+    const w = textWidth(word, 1);
+    if (width + w <= max) {
+      line += word;
+      width += w;
+      continue;
+    }
+    if (line.trim()) lines.push(line.trimEnd());
+    line = '';
+    width = 0;
+    if (/^\s+$/.test(word)) continue;
+    for (const ch of Array.from(word)) {
+      if (width + charWidth(ch) > max) {
+        lines.push(line);
+        line = '';
+        width = 0;
+      }
+      line += ch;
+      width += charWidth(ch);
+    }
+  }
+  if (line.trim() || lines.length === 0) lines.push(line.trimEnd());
+  return lines;
+}
+
+/** UCS-2 16진 문자열 (BMP 밖의 글자는 '?') */
+const toHex = (text) =>
+  Array.from(text)
+    .map((ch) => (ch.codePointAt(0) > 0xffff ? 0x3f : ch.codePointAt(0)).toString(16).padStart(4, '0'))
+    .join('');
+
+/**
+ * 모델을 배치할 블록 목록으로 바꿉니다.
+ * @param {import('./index.js').ExportModel} model
+ * @returns {{ text: string, size: number, align?: string, before?: number, rule?: boolean }[]}
+ */
+function layoutBlocks(model) {
+  const blocks = [];
+  const add = (text, style) => text.split('\n').forEach((line) => blocks.push({ text: line, size: 11, ...style }));
+  if (model.orgName) add(model.orgName, { size: 16, align: 'center', rule: true });
+  if (model.date) add(model.date, { align: 'right', before: 6 });
+  if (model.title) add(model.title, { size: 15, align: 'center', before: 16 });
+  if (model.summary) {
+    add('요약', { size: 12, before: 12 });
+    add(model.summary);
+  }
+  for (const section of model.sections) {
+    if (section.heading) add(section.heading, { size: 12, before: 12 });
+    add(section.body);
+  }
+  if (model.closing) add(model.closing, { before: 12 });
+  if (model.signer) add(model.signer, { size: 13, align: 'right', before: 24 });
+  return blocks;
+}
+
+/**
+ * 블록을 쪽별 콘텐츠 스트림(PDF 연산자)으로 배치합니다.
+ * @param {ReturnType<typeof layoutBlocks>} blocks
+ * @returns {string[]}
+ */
+function paginate(blocks) {
+  const pages = [];
+  let ops = [];
+  let y = PAGE_HEIGHT - MARGIN;
+  const newPage = () => {
+    pages.push(ops.join('\n'));
+    ops = [];
+    y = PAGE_HEIGHT - MARGIN;
+  };
+
+  for (const block of blocks) {
+    const lead = block.size * LINE_HEIGHT;
+    if (block.before && y < PAGE_HEIGHT - MARGIN) y -= block.before;
+    for (const line of wrapLine(block.text, block.size)) {
+      if (y - lead < MARGIN) newPage();
+      y -= lead;
+      const width = textWidth(line, block.size);
+      const x =
+        block.align === 'center' ? MARGIN + (CONTENT_WIDTH - width) / 2 : block.align === 'right' ? MARGIN + CONTENT_WIDTH - width : MARGIN;
+      if (line) ops.push(`BT /F1 ${block.size} Tf ${x.toFixed(2)} ${(y + lead * 0.25).toFixed(2)} Td <${toHex(line)}> Tj ET`);
+    }
+    if (block.rule) {
+      y -= 6;
+      ops.push(`0.5 w ${MARGIN} ${y.toFixed(2)} m ${MARGIN + CONTENT_WIDTH} ${y.toFixed(2)} l S`);
+    }
+  }
+  newPage();
+  return pages;
+}
+
+/**
+ * PDF 글꼴에 없는 글자 (문자·결합 부호만. 기호는 지금처럼 뷰어가 대신 그리거나 '?'로 둠)
+ * @param {import('./index.js').ExportModel} model
+ * @returns {string[]} 처음 나온 순서, 중복 없음
+ */
+export function unsupportedPdfChars(model) {
+  const text = [model.orgName, model.date, model.signer, model.title, model.summary, model.closing]
+    .concat(model.sections.flatMap((s) => [s.heading, s.body]))
+    .join('\n');
+  return [...new Set(Array.from(text).filter((ch) => /[\p{L}\p{M}]/u.test(ch) && !isEucKrChar(ch)))];
+}
+
+/**
+ * @param {import('./index.js').ExportModel} model
+ * @returns {Buffer}
+ */
+export function renderPdf(model) {
+  const pages = paginate(layoutBlocks(model));
+  // 1 카탈로그, 2 쪽 트리, 3~5 글꼴, 6 정보, 이후 쪽마다 (쪽, 콘텐츠)
+  const pageIds = pages.map((_, i) => 7 + i * 2);
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+    `<< /Type /Font /Subtype /Type0 /BaseFont /${FONT_NAME} /Encoding /UniKS-UCS2-H /DescendantFonts [4 0 R] >>`,
+    `<< /Type /Font /Subtype /CIDFontType0 /BaseFont /${FONT_NAME} ` +
+      '/CIDSystemInfo << /Registry (Adobe) /Ordering (Korea1) /Supplement 1 >> /FontDescriptor 5 0 R /DW 1000 /W [1 95 500] >>',
+    `<< /Type /FontDescriptor /FontName /${FONT_NAME} /Flags 6 /FontBBox [0 -148 1001 880] /ItalicAngle 0 ` +
+      '/Ascent 880 /Descent -120 /CapHeight 880 /StemV 93 >>',
+    `<< /Title <feff${toHex(model.title || model.orgName || '')}> /Producer (voice-to-text-app) >>`,
+  ];
+  pages.forEach((ops, i) => {
+    const stream = zlib.deflateSync(Buffer.from(ops, 'latin1'));
+    objects.push(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+        `/Resources << /Font << /F1 3 0 R >> >> /Contents ${pageIds[i] + 1} 0 R >>`,
+      { stream }
+    );
+  });
+
+  const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+  let length = chunks[0].length;
+  const offsets = [];
+  const push = (buffer) => {
+    chunks.push(buffer);
+    length += buffer.length;
+  };
+  objects.forEach((object, i) => {
+    offsets.push(length);
+    if (typeof object === 'string') {
+      push(Buffer.from(`${i + 1} 0 obj\n${object}\nendobj\n`, 'latin1'));
+    } else {
+      push(Buffer.from(`${i + 1} 0 obj\n<< /Length ${object.stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'));
+      push(object.stream);
+      push(Buffer.from('\nendstream\nendobj\n', 'latin1'));
+    }
+  });
+  const xref = [
+    'xref',
+    `0 ${objects.length + 1}`,
+    '0000000000 65535 f ',
+    ...offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>`,
+    'startxref',
+    String(length),
+    '%%EOF',
+  ].join('\n');
+  push(Buffer.from(`${xref}\n`, 'latin1'));
+  return Buffer.concat(chunks);
+}
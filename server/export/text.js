@@ -0,0 +1,49 @@
+// javascript
+/**
+ * Plain text and Markdown renderers for document export.
+ */
+
+/**
+ * @param {import('./index.js').ExportModel} model
+ * @returns {string}
+ */
+export function renderText(model) {
+  const header = [model.orgName, model.date].filter(Boolean).join('\n');
+  return [
+    header,
+    model.title,
+    model.summary ? `[요약]\n${model.summary}` : '',
+    ...model.sections.map((s) => (s.heading ? `[${s.heading}]\n${s.body}` : s.body)),
+    model.closing,
+    model.signer,
+  ]
+    .filter((part) => part && part.trim())
+    .join('\n\n')
+    .concat('\n');
+}
+
+// 본문 줄이 Markdown 문법으로 해석되지 않도록 줄 앞의 기호만 이스케이프 (목록 "- ", 번호 "1. "는 그대로 둠)
+const escapeLine = (line) => line.replace(/^(\s*)([#>|]|={3,}|-{3,})/, '$1\\$2');
+
+// 한 줄 바꿈도 그대로 보이도록 줄 끝에 강제 줄바꿈(공백 두 개)
+const escapeBlock = (text) => text.split('\n').map(escapeLine).join('  \n');
+
+/**
+ * @param {import('./index.js').ExportModel} model
+ * @returns {string}
+ */
+export function renderMarkdown(model) {
+  const letterhead = [model.orgName ? `**${model.orgName}**` : '', model.date].filter(Boolean).join('  \n');
+  return [
+    letterhead,
+    letterhead ? '---' : '',
+    model.title ? `# ${model.title}` : '',
+    model.summary ? `## 요약\n\n${escapeBlock(model.summary)}` : '',
+    ...model.sections.map((s) => (s.heading ? `## ${s.heading}\n\n${escapeBlock(s.body)}` : escapeBlock(s.body))),
+    model.closing ? escapeBlock(model.closing) : '',
+    model.signer ? `**${model.signer}**` : '',
+  ]
+    .filter(Boolean)
+    .join('\n\n')
+    .concat('\n');
+}
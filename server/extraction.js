@@ -0,0 +1,226 @@
+// javascript
+/**
+ * Event, deadline and action item extraction
+ * - The model lists items found in a transcript or document as JSON and quotes each item's date words verbatim
+ *   (dateText). Dates are resolved here rather than by the model: dateText is parsed by ./koreanDates.js against the
+ *   recording time of the session the item came from, and the model's own date is only a fallback.
+ * - Items are stored as an editable checklist (actionItems) scoped to a document or to the sessions they were
+ *   extracted from. Extracting again replaces only the items nobody has edited or checked off.
+ */
+import { actionItems } from './db.js';
+import { resolveKoreanDate } from './koreanDates.js';
+import { checkSchema, parseModelJson, generateJson } from './structured.js';
+
+export const ACTION_ITEM_TYPES = ['event', 'deadline', 'action'];
+
+/** 추출 결과 JSON 스키마 (프롬프트에 그대로 포함됨) */
+export const EXTRACTION_SCHEMA = {
+  type: 'object',
+  required: ['items'],
+  properties: {
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type', 'title', 'dateText', 'assignee', 'quote'],
+        properties: {
+          type: { type: 'string', minLength: 1 },
+          title: { type: 'string', minLength: 1 },
+          dateText: { type: 'string' },
+          date: { type: 'string' },
+          assignee: { type: 'string' },
+          quote: { type: 'string' },
+        },
+      },
+    },
+  },
+};
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_FIELD_LENGTH = 100;
+const MAX_QUOTE_LENGTH = 500;
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/** "YYYY-MM-DD" 형식의 실제 날짜인지 (2월 30일 등 제외) */
+function isCalendarDate(value) {
+  if (!DATE_RE.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+/**
+ * 추출 프롬프트를 만듭니다.
+ * @param {string} text - 원문 (여러 세션이면 buildMergedSource 결과)
+ * @param {{ references: string[], redactionGuidance?: string | null }} options
+ *   - references: 세션 순서대로 녹음 시각 (describeReference), 둘 이상이면 항목마다 세션 번호를 요청
+ * @returns {string}
+ */
+export function buildExtractionPrompt(text, { references, redactionGuidance = null }) {
+  const multiSession = references.length > 1;
+  const requirements = [
+    '- type: 정해진 날짜·시각에 열리는 일(행사, 회의, 상담 등)은 "event", 제출·신청·회신 기한은 "deadline", 날짜 없이 해야 할 일은 "action"',
+    '- title: 무엇을 하는지 짧게 (예: "현장체험학습 동의서 제출")',
+    '- dateText: 원문에 나온 날짜·시각 표현을 고치지 말고 그대로 (예: "다음 주 금요일 오후 3시까지"), 없으면 빈 문자열',
+    multiSession
+      ? `- 원문은 [세션 N | 녹음 시각] 머리글로 나뉩니다. 녹음 시각: ${references.map((r, i) => `세션 ${i + 1} ${r}`).join(', ')}`
+      : `- 녹음 시각: ${references[0]}`,
+    '- date: 녹음 시각 기준으로 계산한 날짜 "YYYY-MM-DD" (모르면 빈 문자열)',
+    multiSession ? '- session: 항목이 나온 세션 번호 (숫자)' : null,
+    '- assignee: 담당자나 대상 (예: "3학년 담임", "학부모"), 없으면 빈 문자열',
+    '- quote: 근거가 된 원문 문장',
+    '- 원문에 없는 일정이나 할 일을 지어내지 말 것',
+    redactionGuidance,
+  ].filter(Boolean);
+  return `아래 내용에서 일정, 마감, 담당자, 할 일 항목을 추출하세요. 내용은 다음과 같습니다:\n\n${text}\n\n요구사항:\n${requirements.join('\n')}\n\n출력 형식:\n- 아래 JSON 스키마를 따르는 JSON 객체 하나만 출력 (설명, 코드 블록 표시 없이, 항목이 없으면 items는 빈 배열)\n${JSON.stringify(EXTRACTION_SCHEMA)}`;
+}
+
+/**
+ * 모델 응답을 파싱·검증합니다.
+ * @param {string} raw
+ * @returns {{ value?: object, errors: string[] }}
+ */
+function checkExtraction(raw) {
+  const { value, error } = parseModelJson(raw);
+  if (error) return { errors: [error] };
+  const errors = checkSchema(value, EXTRACTION_SCHEMA, 'result');
+  if (errors.length === 0) {
+    value.items.forEach((item, i) => {
+      if (!ACTION_ITEM_TYPES.includes(item.type)) {
+        errors.push(`result.items[${i}].type: ${ACTION_ITEM_TYPES.join(' | ')} 중 하나여야 합니다.`);
+      }
+    });
+  }
+  return errors.length ? { errors } : { value, errors };
+}
+
+/**
+ * 모델이 추출한 항목의 날짜를 기준 시각에 맞춰 정합니다.
+ * @param {object} item - 모델 출력 항목
+ * @param {string} reference - 항목이 나온 세션의 녹음 시각 (ISO)
+ * @returns {{ date: string | null, time: string | null }}
+ */
+function resolveItemDate(item, reference) {
+  const resolved = item.dateText ? resolveKoreanDate(item.dateText, reference) : null;
+  if (resolved) return { date: resolved.date, time: resolved.time };
+  // 표현을 읽지 못했으면 모델이 계산한 날짜 사용
+  return { date: isCalendarDate(item.date || '') ? item.date : null, time: null };
+}
+
+/**
+ * 원문에서 일정·마감·할 일을 추출합니다. (저장하지 않음)
+ * @param {string} prompt - buildExtractionPrompt 결과
+ * @param {{ references: string[], source: string, provider?: string, model?: string }} options
+ *   - references: 세션별 녹음 시각 (ISO), source: 프롬프트에 넣은 원문 (개인정보를 가린 텍스트)
+ * @returns {Promise<{ items: object[], provider?: string, model?: string }>}
+ *   items: { type, title, assignee, date, time, dateText, quote, referenceTime }
+ */
+export async function extractItems(prompt, { references, source, provider, model }) {
+  const { value, ...meta } = await generateJson(prompt, checkExtraction, {
+    provider,
+    model,
+    task: { kind: 'extract', source },
+    failure: '추출 결과 검증 실패',
+  });
+  const items = value.items.map((item) => {
+    const referenceTime = references[Number(item.session) - 1] || references[0];
+    return {
+      type: item.type,
+      title: item.title.trim().slice(0, MAX_TITLE_LENGTH),
+      assignee: (item.assignee || '').trim().slice(0, MAX_FIELD_LENGTH),
+      ...resolveItemDate(item, referenceTime),
+      dateText: (item.dateText || '').trim().slice(0, MAX_FIELD_LENGTH),
+      quote: (item.quote || '').trim().slice(0, MAX_QUOTE_LENGTH),
+      referenceTime,
+    };
+  });
+  return { items, provider: meta.provider, model: meta.model };
+}
+
+/**
+ * 체크리스트 범위 조건: 문서, 또는 (문서 없이) 세션
+ * @param {{ documentId?: string | null, sessionId?: string | null }} scope
+ * @returns {(item: object) => boolean}
+ */
+export const inScope = ({ documentId, sessionId }) =>
+  documentId ? (item) => item.documentId === documentId : (item) => !item.documentId && item.sessionIds.includes(sessionId);
+
+/**
+ * 체크리스트 정렬: 날짜 순 (날짜 없는 항목은 뒤), 같은 날은 시각·등록 순
+ * @param {object} a
+ * @param {object} b
+ */
+export const compareActionItems = (a, b) =>
+  (a.date || '9999').localeCompare(b.date || '9999') ||
+  (a.time || '').localeCompare(b.time || '') ||
+  a.createdAt.localeCompare(b.createdAt);
+
+/**
+ * 범위의 체크리스트 항목
+ * @param {{ documentId?: string | null, sessionId?: string | null }} scope
+ * @returns {object[]}
+ */
+export const listActionItems = (scope) => actionItems.list(inScope(scope)).sort(compareActionItems);
+
+/**
+ * 새로 추출한 항목으로 바꿉니다. 고치거나 완료한 항목, 직접 추가한 항목은 남기고 그 항목과 같은 원문의 새 항목은 버립니다.
+ * @param {{ documentId: string | null, sessionIds: string[] }} scope
+ * @param {object[]} items - extractItems 결과
+ * @returns {object[]} 범위의 전체 항목
+ */
+export function replaceExtractedItems({ documentId, sessionIds }, items) {
+  const matches = inScope({ documentId, sessionId: sessionIds[0] });
+  actionItems.removeWhere((item) => matches(item) && item.source === 'extracted' && !item.edited && !item.done);
+  // 남긴 항목과 같은 원문에서 나온 항목은 다시 넣지 않음
+  const kept = new Set(actionItems.list((item) => matches(item) && item.source === 'extracted').map((item) => item.quote));
+  for (const item of items.filter((i) => !i.quote || !kept.has(i.quote))) {
+    actionItems.insert({ documentId, sessionIds, ...item, done: false, source: 'extracted', edited: false });
+  }
+  return listActionItems({ documentId, sessionId: sessionIds[0] });
+}
+
+/**
+ * 체크리스트 항목 입력값을 검증합니다.
+ * @param {object} body
+ * @param {{ partial?: boolean, current?: object }} [options] - partial=true 이면 전달된 필드만 검증 (수정용)
+ * @returns {{ value?: object, error?: string }}
+ */
+export function validateActionItem(body, { partial = false, current = null } = {}) {
+  const input = body || {};
+  const value = {};
+  const has = (key) => input[key] !== undefined;
+
+  if (!partial || has('type')) {
+    if (!ACTION_ITEM_TYPES.includes(input.type)) return { error: `type은 ${ACTION_ITEM_TYPES.join(' | ')} 중 하나여야 합니다.` };
+    value.type = input.type;
+  }
+  if (!partial || has('title')) {
+    if (typeof input.title !== 'string' || !input.title.trim()) return { error: 'title(할 일)을 입력해주세요.' };
+    if (input.title.length > MAX_TITLE_LENGTH) return { error: `title은 ${MAX_TITLE_LENGTH}자 이하여야 합니다.` };
+    value.title = input.title.trim();
+  }
+  if (has('assignee')) {
+    if (typeof input.assignee !== 'string' || input.assignee.length > MAX_FIELD_LENGTH) {
+      return { error: `assignee는 ${MAX_FIELD_LENGTH}자 이하의 문자열이어야 합니다.` };
+    }
+    value.assignee = input.assignee.trim();
+  }
+  if (has('date')) {
+    if (input.date !== null && !isCalendarDate(String(input.date))) return { error: 'date는 YYYY-MM-DD 형식이거나 null이어야 합니다.' };
+    value.date = input.date;
+  }
+  if (has('time')) {
+    if (input.time !== null && !TIME_RE.test(String(input.time))) return { error: 'time은 HH:mm 형식이거나 null이어야 합니다.' };
+    value.time = input.time;
+  }
+  if (has('done')) {
+    if (typeof input.done !== 'boolean') return { error: 'done은 true 또는 false여야 합니다.' };
+    value.done = input.done;
+  }
+  // 날짜를 지우면 시각도 지움
+  if (has('date') && value.date === null) value.time = null;
+  if (value.time && !(has('date') ? value.date : current?.date)) return { error: '시각을 넣으려면 날짜도 필요합니다.' };
+  return { value };
+}
@@ -0,0 +1,124 @@
+// javascript
+/**
+ * Action item extraction: dates resolved from the quoted words, schema repair, checklist replacement and
+ * validation (run with `npm test`). The model is a local fake OpenAI-compatible server with scripted replies.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withTempDataDir, useFakeModel } from './testUtils.js';
+
+/** 다음 응답들 (비면 항목 없음) */
+const replies = [];
+await useFakeModel(() => replies.shift() ?? JSON.stringify({ items: [] }));
+withTempDataDir('extraction');
+const { actionItems } = await import('./db.js');
+const { buildExtractionPrompt, extractItems, replaceExtractedItems, listActionItems, validateActionItem } = await import(
+  './extraction.js'
+);
+
+// 세션 1: 2026-10-19(월), 세션 2: 2026-11-02(월) 서울
+const REFERENCES = ['2026-10-19T00:00:00Z', '2026-11-02T00:00:00Z'];
+
+const item = (fields) => ({ type: 'deadline', title: '동의서 제출', dateText: '', assignee: '', quote: '', ...fields });
+
+test('the prompt asks for session numbers only when several sessions are merged', () => {
+  const single = buildExtractionPrompt('내용', { references: ['2026-10-19(월) 09:00'] });
+  assert.match(single, /녹음 시각: 2026-10-19\(월\) 09:00/);
+  assert.doesNotMatch(single, /session:/);
+
+  const merged = buildExtractionPrompt('내용', { references: ['2026-10-19(월) 09:00', '2026-11-02(월) 09:00'] });
+  assert.match(merged, /세션 1 2026-10-19\(월\) 09:00, 세션 2 2026-11-02\(월\) 09:00/);
+  assert.match(merged, /- session: 항목이 나온 세션 번호/);
+});
+
+test('dates come from the quoted words and the recording time of the item\'s session', async () => {
+  replies.push(
+    JSON.stringify({
+      items: [
+        item({ dateText: '다음 주 금요일 오후 3시까지', date: '2026-01-01', session: 1, quote: '  동의서는 다음 주 금요일 오후 3시까지  ' }),
+        item({ type: 'event', title: '학부모 상담', dateText: '다음 주 금요일', session: 2 }),
+        item({ type: 'action', title: '준비물 안내', dateText: '곧', date: '2026-10-21' }),
+        item({ type: 'action', title: '가정통신문 배부', dateText: '', date: '2026-02-30' }),
+      ],
+    })
+  );
+  const { items, provider, model } = await extractItems('prompt', { references: REFERENCES, source: '원문' });
+  assert.equal(provider, 'openai');
+  assert.equal(model, 'fake');
+
+  assert.deepEqual(
+    items.map(({ date, time, referenceTime }) => ({ date, time, referenceTime })),
+    [
+      // 모델의 날짜보다 원문 표현을 우선
+      { date: '2026-10-30', time: '15:00', referenceTime: REFERENCES[0] },
+      { date: '2026-11-13', time: null, referenceTime: REFERENCES[1] },
+      // 표현을 읽지 못하면 모델의 날짜, 실제로 없는 날짜는 버림
+      { date: '2026-10-21', time: null, referenceTime: REFERENCES[0] },
+      { date: null, time: null, referenceTime: REFERENCES[0] },
+    ]
+  );
+  assert.equal(items[0].quote, '동의서는 다음 주 금요일 오후 3시까지');
+});
+
+test('an unknown item type is sent back to the model for repair', async () => {
+  replies.push(JSON.stringify({ items: [item({ type: 'meeting' })] }), JSON.stringify({ items: [item({ type: 'event' })] }));
+  const { items } = await extractItems('prompt', { references: REFERENCES, source: '원문' });
+  assert.equal(items[0].type, 'event');
+  assert.equal(replies.length, 0);
+});
+
+test('extracting again keeps edited, checked and hand-added items and skips their duplicates', () => {
+  const scope = { documentId: 'doc-1', sessionIds: ['s1'] };
+  const extracted = (title, quote, date = null) => ({ ...item({ title, quote }), date, time: null, referenceTime: REFERENCES[0] });
+
+  replaceExtractedItems(scope, [
+    extracted('동의서 제출', '동의서 제출 문장', '2026-10-30'),
+    extracted('준비물 안내', '준비물 문장'),
+    extracted('상담 신청', '상담 문장', '2026-10-23'),
+  ]);
+  const [consult, consent] = listActionItems({ documentId: 'doc-1' });
+  assert.equal(consult.title, '상담 신청');
+  assert.equal(consent.title, '동의서 제출');
+  actionItems.update(consult.id, { done: true });
+  actionItems.update(consent.id, { title: '동의서 제출 (수정)', edited: true });
+  actionItems.insert({ ...scope, ...item({ title: '직접 추가' }), date: null, time: null, done: false, source: 'manual', edited: false });
+  // 다른 문서의 항목은 그대로
+  replaceExtractedItems({ documentId: 'doc-2', sessionIds: ['s1'] }, [extracted('다른 문서', '다른 문장')]);
+
+  const list = replaceExtractedItems(scope, [
+    extracted('동의서 제출', '동의서 제출 문장', '2026-10-30'),
+    extracted('새 항목', '새 문장', '2026-10-20'),
+  ]);
+  assert.deepEqual(
+    list.map((i) => i.title),
+    ['새 항목', '상담 신청', '동의서 제출 (수정)', '직접 추가']
+  );
+  assert.equal(listActionItems({ documentId: 'doc-2' }).length, 1);
+});
+
+test('session checklists hold items of every merged session but not document items', () => {
+  replaceExtractedItems({ documentId: null, sessionIds: ['s9', 's10'] }, [
+    { ...item({ title: '세션 항목', quote: '세션 문장' }), date: null, time: null, referenceTime: REFERENCES[0] },
+  ]);
+  assert.deepEqual(
+    listActionItems({ sessionId: 's9' }).map((i) => i.title),
+    ['세션 항목']
+  );
+  assert.equal(listActionItems({ sessionId: 's10' }).length, 1);
+  // 세션 s1에서 만든 문서의 항목은 세션 체크리스트에 나오지 않음
+  assert.equal(listActionItems({ sessionId: 's1' }).length, 0);
+});
+
+test('validateActionItem checks types, dates and times', () => {
+  assert.deepEqual(validateActionItem({ type: 'action', title: ' 회신 ' }), { value: { type: 'action', title: '회신' } });
+  assert.match(validateActionItem({ type: 'todo', title: '회신' }).error, /type/);
+  assert.match(validateActionItem({ type: 'action', title: ' ' }).error, /title/);
+  assert.match(validateActionItem({ date: '2026-02-30' }, { partial: true }).error, /date/);
+  assert.match(validateActionItem({ time: '24:00' }, { partial: true, current: { date: '2026-10-20' } }).error, /time/);
+  assert.match(validateActionItem({ time: '09:00' }, { partial: true, current: { date: null } }).error, /날짜도 필요/);
+  assert.deepEqual(validateActionItem({ time: '09:00' }, { partial: true, current: { date: '2026-10-20' } }), {
+    value: { time: '09:00' },
+  });
+  // 날짜를 지우면 시각도 지움
+  assert.deepEqual(validateActionItem({ date: null }, { partial: true }), { value: { date: null, time: null } });
+});
@@ -0,0 +1,20 @@
+// javascript
+/**
+ * Console stub gateway: logs that a message would be sent instead of sending it.
+ * Only the message id and length are logged; recipients and bodies are personal data and stay out of the logs.
+ */
+import crypto from 'crypto';
+
+/**
+ * @returns {import('./index.js').MessageGateway}
+ */
+export function createConsoleGateway() {
+  return {
+    id: 'console',
+    async send({ body }) {
+      const messageId = `console-${crypto.randomUUID()}`;
+      console.log(`[Gateway:console] ${messageId}: ${body.length}자 (전송하지 않음)`);
+      return { status: 'sent', messageId, response: { stub: true } };
+    },
+  };
+}
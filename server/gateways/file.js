@@ -0,0 +1,29 @@
+// javascript
+/**
+ * File stub gateway: appends each message as one JSON line to an outbox file.
+ * - MESSAGE_OUTBOX_FILE overrides the path (default `<DATA_DIR>/outbox.jsonl`).
+ * - Recipients listed in MESSAGE_FAIL_NUMBERS (comma separated) fail, to exercise error handling in tests.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { DATA_DIR } from '../store.js';
+
+/**
+ * @param {{ file?: string, failNumbers?: string[] }} [config]
+ * @returns {import('./index.js').MessageGateway}
+ */
+export function createFileGateway({ file = path.join(DATA_DIR, 'outbox.jsonl'), failNumbers = [] } = {}) {
+  return {
+    id: 'file',
+    async send({ to, body, encoding }) {
+      if (failNumbers.includes(to)) {
+        return { status: 'failed', messageId: null, response: { error: 'recipient configured to fail' } };
+      }
+      const messageId = `file-${crypto.randomUUID()}`;
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, `${JSON.stringify({ messageId, to, body, encoding, at: new Date().toISOString() })}\n`);
+      return { status: 'sent', messageId, response: { file } };
+    },
+  };
+}
@@ -0,0 +1,49 @@
+// javascript
+/**
+ * Messaging gateway registry
+ * - MESSAGE_GATEWAY selects the gateway:
+ *   - console: logs the message id and length instead of sending (development only; never recipients or bodies)
+ *   - file: appends each message to an outbox file (development and tests)
+ *   Both are stubs that report messages as sent, so neither is picked by default. Without MESSAGE_GATEWAY,
+ *   /api/messages answers 503 and scheduled jobs stay pending. An unknown id stops the server at startup.
+ * - A real carrier/SMS API adapter only needs to implement MessageGateway and be registered here.
+ */
+import { createConsoleGateway } from './console.js';
+import { createFileGateway } from './file.js';
+
+/**
+ * @typedef {object} MessageGateway
+ * @property {string} id - 게이트웨이 ID
+ * @property {(message: { to: string, body: string, encoding: 'EUC-KR' | 'UCS-2' }) => Promise<{ status: 'sent' | 'failed', messageId: string | null, response: object }>} send
+ *   - 한 수신자에게 메시지 한 건을 보냄. encoding이 UCS-2면 유니코드 LMS로 보내야 함.
+ *     전송 실패는 예외 대신 status='failed'로 반환해도 됨
+ */
+
+export const GATEWAY_IDS = ['console', 'file'];
+
+const parseList = (value) =>
+  (value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * 환경 변수로 게이트웨이를 생성합니다.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {MessageGateway | null} 설정되지 않았으면 null
+ * @throws {Error} 알 수 없는 MESSAGE_GATEWAY (잘못 적은 설정으로 조용히 stub을 쓰지 않도록)
+ */
+export function loadGateway(env = process.env) {
+  const id = env.MESSAGE_GATEWAY;
+  if (!id) return null;
+  if (id === 'console') return createConsoleGateway();
+  if (id === 'file') {
+    return createFileGateway({
+      file: env.MESSAGE_OUTBOX_FILE || undefined,
+      failNumbers: parseList(env.MESSAGE_FAIL_NUMBERS),
+    });
+  }
+  throw new Error(`Unknown MESSAGE_GATEWAY "${id}" (expected one of: ${GATEWAY_IDS.join(', ')})`);
+}
+
+export const gateway = loadGateway();
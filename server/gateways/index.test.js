@@ -0,0 +1,74 @@
+// javascript
+/**
+ * Message gateways: opt-in stubs, unknown ids, console logging without personal data, and what happens when no
+ * gateway is configured (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, serve } from '../testUtils.js';
+
+withTempDataDir('gateways', { MESSAGE_GATEWAY: undefined });
+const { documents, messages, scheduledJobs } = await import('../db.js');
+const { gateway, loadGateway } = await import('./index.js');
+const { default: messagesRouter } = await import('../routes/messages.js');
+const { createJob, runDueJobs } = await import('../scheduler.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messagesRouter);
+const base = serve(app);
+
+const approved = () => documents.insert({ sessionId: 's1', editedContent: '내일은 현장체험학습입니다.', status: 'approved' });
+
+test('no gateway is loaded unless MESSAGE_GATEWAY names one', () => {
+  assert.equal(gateway, null);
+  assert.equal(loadGateway({}), null);
+  assert.equal(loadGateway({ MESSAGE_GATEWAY: '' }), null);
+  assert.equal(loadGateway({ MESSAGE_GATEWAY: 'console' }).id, 'console');
+  assert.equal(loadGateway({ MESSAGE_GATEWAY: 'file' }).id, 'file');
+});
+
+test('an unknown MESSAGE_GATEWAY fails instead of falling back to a stub', () => {
+  assert.throws(
+    () => loadGateway({ MESSAGE_GATEWAY: 'consol' }),
+    /Unknown MESSAGE_GATEWAY "consol" \(expected one of: console, file\)/
+  );
+});
+
+test('the console gateway logs neither the recipient nor the body', async (t) => {
+  const log = t.mock.method(console, 'log', () => {});
+  const result = await loadGateway({ MESSAGE_GATEWAY: 'console' }).send({ to: '01012345678', body: '비밀 상담 내용' });
+  assert.equal(result.status, 'sent');
+  const [line] = log.mock.calls[0].arguments;
+  assert.ok(line.includes(result.messageId));
+  assert.match(line, /8자/);
+  assert.doesNotMatch(line, /01012345678|비밀 상담 내용/);
+});
+
+test('without a gateway sending answers 503 and records no delivery', async () => {
+  const document = approved();
+  const res = await fetch(`${base}/api/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ recipients: ['010-1234-5678'], body: document.editedContent, documentId: document.id }),
+  });
+  assert.equal(res.status, 503);
+  assert.match((await res.json()).error, /MESSAGE_GATEWAY/);
+  assert.equal(messages.list().length, 0);
+  assert.equal(documents.get(document.id).status, 'approved');
+});
+
+test('without a gateway scheduled jobs are saved but stay pending', async () => {
+  const document = approved();
+  const sendAt = `${new Date().getFullYear() + 1}-05-02 08:00`;
+  const job = createJob(
+    { recipients: ['010-1234-5678'], body: document.editedContent, sendAt, documentId: document.id },
+    { id: 'k1', name: '담임', role: 'approver' }
+  );
+  scheduledJobs.update(job.id, { nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+  await runDueJobs();
+  const current = scheduledJobs.get(job.id);
+  assert.equal(current.status, 'pending');
+  assert.equal(current.attempts, 0);
+});
@@ -0,0 +1,297 @@
+// javascript
+/**
+ * Glossary (custom vocabulary) and the transcript correction pass.
+ * - Each entry has a canonical `term` plus `variants` (known misrecognitions) and `aliases` (phonetic spellings,
+ *   e.g. "에이아이" for "AI"). Variants/aliases found in a transcript are replaced by the term.
+ * - Corrections are stored on the session with their position so the UI can highlight and revert them.
+ *   A reverted correction is remembered and not applied again.
+ */
+import crypto from 'crypto';
+import { glossary, sessions } from './db.js';
+import { joinSegments } from './transcript.js';
+
+/** 프롬프트에 넣을 최대 용어 수 */
+const MAX_PROMPT_TERMS = 100;
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * 표현 하나를 찾는 정규식 본문을 만듭니다.
+ * - 공백은 있어도 없어도 일치 (인식기마다 띄어쓰기가 다름)
+ * - 영문/숫자로 시작·끝나는 표현은 다른 영문/숫자에 붙어 있으면 일치하지 않음 (약어가 단어 일부를 바꾸지 않도록)
+ * @param {string} phrase
+ * @returns {string}
+ */
+function phrasePattern(phrase) {
+  const body = phrase.trim().split(/\s+/).map(escapeRegExp).join('\\s*');
+  const start = /^[A-Za-z0-9]/.test(phrase) ? '(?<![A-Za-z0-9])' : '';
+  const end = /[A-Za-z0-9]$/.test(phrase) ? '(?![A-Za-z0-9])' : '';
+  return `${start}${body}${end}`;
+}
+
+const findAll = (text, pattern, flags = 'g') => [...text.matchAll(new RegExp(pattern, flags))];
+
+/**
+ * 텍스트에서 용어집 교정 대상을 찾습니다. 긴 표현을 우선하고 겹치는 일치는 버리며,
+ * 이미 정식 표기로 쓰인 부분은 건드리지 않습니다.
+ * @param {string} text
+ * @param {object[]} entries - 용어집 항목
+ * @param {(match: { start: number, original: string }) => boolean} [skip] - true면 교정하지 않음 (되돌린 교정)
+ * @returns {{ start: number, end: number, original: string, replacement: string, term: string, entryId: string }[]}
+ */
+export function findCorrections(text, entries, skip = () => false) {
+  const protectedRanges = entries.flatMap((entry) =>
+    findAll(text, escapeRegExp(entry.term)).map((m) => [m.index, m.index + m[0].length])
+  );
+  const overlaps = (start, end, [s, e]) => start < e && s < end;
+
+  const candidates = entries.flatMap((entry) =>
+    [...entry.variants, ...entry.aliases].flatMap((phrase) =>
+      // 영문 약어는 대소문자 구분 없이
+      findAll(text, phrasePattern(phrase), /[A-Za-z]/.test(phrase) ? 'gi' : 'g').map((m) => ({
+        start: m.index,
+        end: m.index + m[0].length,
+        original: m[0],
+        replacement: entry.term,
+        term: entry.term,
+        entryId: entry.id,
+      }))
+    )
+  );
+  candidates.sort((a, b) => a.start - b.start || b.end - a.end);
+
+  const picked = [];
+  for (const c of candidates) {
+    if (c.original === c.replacement) continue;
+    if (protectedRanges.some((range) => overlaps(c.start, c.end, range))) continue;
+    if (picked.some((p) => overlaps(c.start, c.end, [p.start, p.end]))) continue;
+    if (skip(c)) continue;
+    picked.push(c);
+  }
+  return picked;
+}
+
+/**
+ * 찾은 교정을 적용합니다. 반환하는 교정의 위치는 교정된 텍스트 기준입니다.
+ * @param {string} text
+ * @param {ReturnType<typeof findCorrections>} matches - 위치순으로 정렬된 교정 대상
+ * @returns {{ text: string, corrections: object[], shifts: { at: number, delta: number }[] }}
+ *   shifts는 원래 텍스트의 at 위치 이후가 delta만큼 밀렸음을 뜻함
+ */
+function applyMatches(text, matches) {
+  let result = '';
+  let cursor = 0;
+  let offset = 0;
+  const corrections = [];
+  const shifts = [];
+  for (const m of matches) {
+    result += text.slice(cursor, m.start) + m.replacement;
+    const start = m.start + offset;
+    corrections.push({ ...m, start, end: start + m.replacement.length });
+    const delta = m.replacement.length - m.original.length;
+    shifts.push({ at: m.end, delta });
+    offset += delta;
+    cursor = m.end;
+  }
+  return { text: result + text.slice(cursor), corrections, shifts };
+}
+
+/**
+ * 기존 교정 위치를 텍스트 변경에 맞게 옮깁니다.
+ * @param {object} correction
+ * @param {{ at: number, delta: number }[]} shifts
+ */
+const shiftCorrection = (correction, shifts) => {
+  const delta = shifts.filter((s) => s.at <= correction.start).reduce((sum, s) => sum + s.delta, 0);
+  return delta ? { ...correction, start: correction.start + delta, end: correction.end + delta } : correction;
+};
+
+/**
+ * 텍스트 하나에 용어집을 적용합니다. (저장하지 않는 교정: 직접 입력한 원문 등)
+ * @param {string} text
+ * @param {object[]} [entries=glossary.list()]
+ * @returns {{ text: string, corrections: object[] }}
+ */
+export function correctText(text, entries = glossary.list()) {
+  const { text: corrected, corrections } = applyMatches(text, findCorrections(text, entries));
+  return { text: corrected, corrections };
+}
+
+/**
+ * 세션 원문(구간이 있으면 구간별)에 용어집을 적용합니다. 되돌린 교정은 다시 적용하지 않습니다.
+ * @param {{ transcript: string, segments?: object[], corrections?: object[] }} session
+ * @param {object[]} [entries=glossary.list()]
+ * @returns {{ transcript: string, segments: object[], corrections: object[] } | null} 바뀐 것이 없으면 null
+ */
+export function correctSession(session, entries = glossary.list()) {
+  if (entries.length === 0) return null;
+  const existing = session.corrections || [];
+  const targets = session.segments?.length
+    ? session.segments.map((s) => ({ segmentId: s.id, text: s.text }))
+    : [{ segmentId: null, text: session.transcript }];
+
+  let changed = false;
+  let corrections = existing;
+  const texts = new Map();
+  for (const { segmentId, text } of targets) {
+    const reverted = existing.filter((c) => c.segmentId === segmentId && c.reverted);
+    const matches = findCorrections(text, entries, (m) =>
+      reverted.some((c) => c.start === m.start && c.original === m.original)
+    );
+    if (matches.length === 0) continue;
+
+    changed = true;
+    const applied = applyMatches(text, matches);
+    texts.set(segmentId, applied.text);
+    corrections = [
+      ...corrections.map((c) => (c.segmentId === segmentId ? shiftCorrection(c, applied.shifts) : c)),
+      ...applied.corrections.map((c) => ({ id: crypto.randomUUID(), segmentId, ...c, reverted: false })),
+    ];
+  }
+  if (!changed) return null;
+
+  if (!session.segments?.length) {
+    return { transcript: texts.get(null), segments: [], corrections };
+  }
+  const segments = session.segments.map((s) => (texts.has(s.id) ? { ...s, text: texts.get(s.id) } : s));
+  return { transcript: joinSegments(segments), segments, corrections };
+}
+
+/**
+ * 교정 하나를 되돌리거나(원래 표현 복원) 다시 적용합니다.
+ * @param {{ transcript: string, segments?: object[], corrections?: object[] }} session
+ * @param {string} correctionId
+ * @param {boolean} reverted - true면 되돌림, false면 다시 적용
+ * @returns {{ transcript: string, segments: object[], corrections: object[] }}
+ * @throws {Error} 교정이 없으면 404, 해당 부분이 이미 수정되었으면 409
+ */
+export function setCorrectionReverted(session, correctionId, reverted) {
+  const correction = (session.corrections || []).find((c) => c.id === correctionId);
+  if (!correction) throw Object.assign(new Error('교정을 찾을 수 없습니다.'), { status: 404 });
+  if (correction.reverted === reverted) {
+    return { transcript: session.transcript, segments: session.segments || [], corrections: session.corrections };
+  }
+
+  const { segmentId } = correction;
+  const segment = segmentId ? session.segments?.find((s) => s.id === segmentId) : null;
+  const text = segmentId ? segment?.text : session.transcript;
+  const [current, next] = reverted
+    ? [correction.replacement, correction.original]
+    : [correction.original, correction.replacement];
+  if (text === undefined || text.slice(correction.start, correction.end) !== current) {
+    throw Object.assign(new Error('교정된 부분이 이미 수정되어 되돌릴 수 없습니다.'), { status: 409 });
+  }
+
+  const updatedText = text.slice(0, correction.start) + next + text.slice(correction.end);
+  const shifts = [{ at: correction.end, delta: next.length - current.length }];
+  const corrections = session.corrections.map((c) => {
+    if (c.id === correction.id) return { ...c, end: c.start + next.length, reverted };
+    return c.segmentId === segmentId ? shiftCorrection(c, shifts) : c;
+  });
+
+  if (!segmentId) return { transcript: updatedText, segments: [], corrections };
+  const segments = session.segments.map((s) => (s.id === segmentId ? { ...s, text: updatedText } : s));
+  return { transcript: joinSegments(segments), segments, corrections };
+}
+
+/**
+ * 텍스트에 정식 표기나 잘못 인식된 표현이 나오는 용어집 항목 (프롬프트에는 원문과 관련된 용어만 보냄)
+ * 개인정보를 가린 원문을 넘기면 가려진 이름 등은 고르지 않습니다.
+ * @param {string} text
+ * @param {object[]} [entries=glossary.list()]
+ * @returns {object[]}
+ */
+export const findRelevantEntries = (text, entries = glossary.list()) =>
+  entries.filter((entry) =>
+    [entry.term, ...entry.variants, ...entry.aliases].some((phrase) =>
+      new RegExp(phrasePattern(phrase), /[A-Za-z]/.test(phrase) ? 'i' : '').test(text)
+    )
+  );
+
+/**
+ * 모델에게 줄 용어 표기 지침
+ * @param {object[]} entries - 보통 findRelevantEntries 결과
+ * @returns {string | null} 용어가 없으면 null
+ * @example
+ * buildGlossaryGuidance([{ term: 'AI', variants: [], aliases: ['에이아이'] }]);
+ * // => '- 용어 표기: 다음 용어는 반드시 이 표기로 작성 (괄호 안은 잘못 인식되기 쉬운 표현): AI(에이아이)'
+ */
+export function buildGlossaryGuidance(entries) {
+  if (entries.length === 0) return null;
+  const terms = entries.slice(0, MAX_PROMPT_TERMS).map((e) => {
+    const wrong = [...e.variants, ...e.aliases];
+    return wrong.length ? `${e.term}(${wrong.join(', ')})` : e.term;
+  });
+  return `- 용어 표기: 다음 용어는 반드시 이 표기로 작성 (괄호 안은 잘못 인식되기 쉬운 표현): ${terms.join('; ')}`;
+}
+
+/**
+ * 텍스트에 정식 표기로 쓰인 용어집 용어 (번역할 때 그대로 남길 용어)
+ * @param {string} text
+ * @param {object[]} [entries=glossary.list()]
+ * @returns {string[]}
+ */
+export function findGlossaryTerms(text, entries = glossary.list()) {
+  return [...new Set(entries.map((e) => e.term))].filter((term) => new RegExp(phrasePattern(term)).test(text));
+}
+
+/**
+ * 번역 시 용어 유지 지침
+ * @param {string[]} terms - findGlossaryTerms 결과
+ * @returns {string | null} 용어가 없으면 null
+ */
+export function buildTermPreservationGuidance(terms) {
+  if (terms.length === 0) return null;
+  return `- 용어 유지: 다음 용어는 번역하지 말고 원문 표기 그대로 쓰고, 뜻을 알리려면 바로 뒤 괄호에 번역을 덧붙임: ${terms.slice(0, MAX_PROMPT_TERMS).join('; ')}`;
+}
+
+/**
+ * 번역문에서 빠진 용어 (모델이 용어를 번역하거나 빠뜨린 경우)
+ * @param {string} translated
+ * @param {string[]} terms
+ * @returns {string[]}
+ */
+export const findMissingTerms = (translated, terms) => terms.filter((term) => !new RegExp(phrasePattern(term)).test(translated));
+
+/**
+ * 용어집 항목 입력값을 검증하고 정규화합니다.
+ * @param {object} body
+ * @param {{ partial?: boolean, current?: object }} [options] - partial=true 이면 전달된 필드만 검증 (수정용)
+ * @returns {{ value?: object, error?: string }}
+ */
+export function validateGlossaryEntry(body, { partial = false, current = null } = {}) {
+  const value = {};
+  const has = (field) => body?.[field] !== undefined;
+
+  if (!partial || has('term')) {
+    if (typeof body?.term !== 'string' || !body.term.trim()) return { error: 'term은 비어 있지 않은 문자열이어야 합니다.' };
+    value.term = body.term.trim();
+  }
+  const term = value.term ?? current?.term;
+  for (const field of ['variants', 'aliases']) {
+    if (!has(field)) {
+      if (!partial) value[field] = [];
+      continue;
+    }
+    const list = body[field];
+    if (!Array.isArray(list) || list.some((s) => typeof s !== 'string')) {
+      return { error: `${field}는 문자열 배열이어야 합니다.` };
+    }
+    value[field] = [...new Set(list.map((s) => s.trim()).filter((s) => s && s !== term))];
+  }
+  if (!partial || has('description')) {
+    if (has('description') && typeof body.description !== 'string') return { error: 'description은 문자열이어야 합니다.' };
+    value.description = (body?.description || '').trim();
+  }
+  return { value };
+}
+
+/**
+ * 저장된 세션에 용어집을 적용하고 바뀌었으면 저장합니다.
+ * @param {object} session
+ * @returns {object} 최신 세션
+ */
+export function correctStoredSession(session) {
+  const patch = correctSession(session);
+  return patch ? sessions.update(session.id, patch) : session;
+}
@@ -0,0 +1,109 @@
+// javascript
+/**
+ * Glossary corrections, reverting them and the prompt guidance (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withTempDataDir } from './testUtils.js';
+
+withTempDataDir('glossary');
+const {
+  buildGlossaryGuidance,
+  correctSession,
+  correctText,
+  findCorrections,
+  findGlossaryTerms,
+  findMissingTerms,
+  setCorrectionReverted,
+  validateGlossaryEntry,
+} = await import('./glossary.js');
+
+const entries = [
+  { id: 'e1', term: 'AI', variants: [], aliases: ['에이아이'] },
+  { id: 'e2', term: '늘봄학교', variants: ['늘 봄 학교', '늘보 학교'], aliases: [] },
+  { id: 'e3', term: 'SW', variants: ['sw'], aliases: [] },
+];
+
+test('variants and aliases are replaced by the term, with spacing ignored', () => {
+  const { text, corrections } = correctText('에이아이 수업과 늘봄 학교 안내', entries);
+  assert.equal(text, 'AI 수업과 늘봄학교 안내');
+  assert.deepEqual(
+    corrections.map(({ original, replacement, start, end }) => ({ original, replacement, start, end })),
+    [
+      { original: '에이아이', replacement: 'AI', start: 0, end: 2 },
+      { original: '늘봄 학교', replacement: '늘봄학교', start: 7, end: 11 },
+    ]
+  );
+});
+
+test('English abbreviations only match as whole words', () => {
+  assert.equal(correctText('swim 수업과 sw 교육', entries).text, 'swim 수업과 SW 교육');
+});
+
+test('text already spelled as the term is left alone', () => {
+  assert.deepEqual(findCorrections('늘봄학교 안내', entries), []);
+});
+
+test('a session with segments is corrected per segment and the transcript is rebuilt', () => {
+  const session = {
+    transcript: '에이아이 수업 늘보 학교',
+    segments: [
+      { id: 'a', text: '에이아이 수업', startMs: 0, endMs: 1000 },
+      { id: 'b', text: '늘보 학교', startMs: 1000, endMs: 2000 },
+    ],
+    corrections: [],
+  };
+  const patch = correctSession(session, entries);
+  assert.deepEqual(patch.segments.map((s) => s.text), ['AI 수업', '늘봄학교']);
+  assert.equal(patch.transcript, 'AI 수업 늘봄학교');
+  assert.deepEqual(patch.corrections.map((c) => c.segmentId), ['a', 'b']);
+  assert.equal(correctSession({ ...session, ...patch }, entries), null);
+});
+
+test('a reverted correction restores the original and is not applied again', () => {
+  const session = { transcript: '에이아이와 에이아이', corrections: [] };
+  const corrected = { ...session, ...correctSession(session, entries) };
+  assert.equal(corrected.transcript, 'AI와 AI');
+
+  const reverted = { ...corrected, ...setCorrectionReverted(corrected, corrected.corrections[0].id, true) };
+  assert.equal(reverted.transcript, '에이아이와 AI');
+  // 뒤 교정의 위치도 함께 옮겨짐
+  assert.deepEqual([reverted.corrections[1].start, reverted.corrections[1].end], [6, 8]);
+  assert.equal(correctSession(reverted, entries), null);
+
+  const reapplied = setCorrectionReverted(reverted, reverted.corrections[0].id, false);
+  assert.equal(reapplied.transcript, 'AI와 AI');
+});
+
+test('reverting a correction whose text was edited afterwards is a 409', () => {
+  const correction = { id: 'c1', segmentId: null, start: 0, end: 2, original: '에이아이', replacement: 'AI', reverted: false };
+  const corrected = { transcript: 'AI 수업', corrections: [correction] };
+  assert.throws(() => setCorrectionReverted({ ...corrected, transcript: 'ML 수업' }, 'c1', true), { status: 409 });
+  assert.throws(() => setCorrectionReverted(corrected, 'missing', true), { status: 404 });
+});
+
+test('glossary guidance lists each term with its misrecognitions', () => {
+  assert.equal(
+    buildGlossaryGuidance(entries.slice(0, 2)),
+    '- 용어 표기: 다음 용어는 반드시 이 표기로 작성 (괄호 안은 잘못 인식되기 쉬운 표현): AI(에이아이); 늘봄학교(늘 봄 학교, 늘보 학교)'
+  );
+  assert.equal(buildGlossaryGuidance([]), null);
+});
+
+test('terms used in a document are found and the ones a translation dropped are reported', () => {
+  const terms = findGlossaryTerms('늘봄학교 AI 교실 안내', entries);
+  assert.deepEqual(terms, ['AI', '늘봄학교']);
+  assert.deepEqual(findMissingTerms('Lớp AI của trường', terms), ['늘봄학교']);
+});
+
+test('entries are validated and variants equal to the term are dropped', () => {
+  assert.deepEqual(validateGlossaryEntry({ term: ' AI ', variants: ['AI', ' 에이 아이 ', ''] }).value, {
+    term: 'AI',
+    variants: ['에이 아이'],
+    aliases: [],
+    description: '',
+  });
+  assert.match(validateGlossaryEntry({ term: '' }).error, /term/);
+  assert.match(validateGlossaryEntry({ term: 'AI', aliases: 'x' }).error, /aliases/);
+  assert.deepEqual(validateGlossaryEntry({ description: '설명' }, { partial: true }).value, { description: '설명' });
+});
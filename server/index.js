@@ -1,82 +1,132 @@
 // javascript
 /**
- * Simple Gemini proxy server
+ * Simple LLM proxy server
  * - Port: 8000
- * - Purpose: Safely call Google Generative AI from server-side and avoid browser CORS/security issues.
+ * - Purpose: Safely call the configured LLM provider (Gemini, OpenAI-compatible, mock) from server-side
+ *   and avoid browser CORS/security issues. See ./providers/index.js for configuration.
  *
  * Endpoints:
- * @api {post} /api/generate Generate structured document from text
- * @apiName GenerateDocument
- * @apiGroup Documents
- * @apiDescription
- *  Uses Gemini models to convert raw speech text into a structured Korean document.
- *  Validates inputs and falls back across models when necessary.
+ * @api {get} /api/providers List configured providers and their models
+ * @apiName ListProviders
+ * @apiGroup Providers
  *
- * @apiBody {String} text        Source text (required, min 3 chars)
- * @apiBody {String} documentType Document type label (optional, defaults to "보고서")
+ * Document generation: see ./routes/generate.js (/api/generate, /api/generate/stream)
+ * Document refinement: see ./routes/refine.js (/api/refine)
+ * Document translation into parallel versions: see ./routes/translate.js (/api/translate)
+ * Event/deadline/action item extraction: see ./routes/extract.js (/api/extract),
+ *   checklist & .ics calendar: see ./routes/actionItems.js (/api/action-items)
+ * Document templates: see ./routes/templates.js (/api/templates)
+ * Session & document CRUD: see ./routes/sessions.js (/api/sessions, /api/sessions/:id/documents)
+ * Document review, approval & audit trail: see ./routes/reviews.js (/api/reviews), rules in ./workflow.js
+ * Full-text search over transcripts and documents: see ./routes/search.js (/api/search), index in ./search.js
+ * Audio upload transcription: see ./routes/transcribe.js (/api/transcribe)
+ * Glossary (transcript correction terms): see ./routes/glossary.js (/api/glossary)
+ * PII redaction name list & preview: see ./routes/redaction.js (/api/redaction), applied by ./redaction.js
+ * Message sending & delivery log: see ./routes/messages.js (/api/messages)
+ * Scheduled delivery: see ./routes/schedules.js (/api/schedules), jobs run by ./scheduler.js
+ * Document export (DOCX/PDF/Markdown/TXT with letterhead): see ./routes/export.js (/api/export), renderers in ./export/
+ * Published document pages: see ./routes/publications.js (/api/publications) and ./routes/publicPages.js (/n/:slug, public)
+ * API key administration: see ./routes/apiKeys.js (/api/admin/keys)
  *
- * @apiSuccess {String} content  Generated document content
- * @apiError {String} error      Error message
+ * Every /api route requires an API key (see ./auth.js); successful model and speech-to-text calls also
+ * count toward the key's daily quota. Browser origins are limited by CORS_ORIGINS (see ./cors.js).
  */
+// Load .env before other modules read process.env at import time
+import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import dotenv from 'dotenv';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-
-dotenv.config();
+import sessionsRouter from './routes/sessions.js';
+import generateRouter from './routes/generate.js';
+import templatesRouter from './routes/templates.js';
+import refineRouter from './routes/refine.js';
+import translateRouter, { translationUnits } from './routes/translate.js';
+import extractRouter from './routes/extract.js';
+import actionItemsRouter from './routes/actionItems.js';
+import messagesRouter from './routes/messages.js';
+import schedulesRouter from './routes/schedules.js';
+import transcribeRouter from './routes/transcribe.js';
+import glossaryRouter from './routes/glossary.js';
+import apiKeysRouter from './routes/apiKeys.js';
+import redactionRouter from './routes/redaction.js';
+import exportRouter from './routes/export.js';
+import publicationsRouter from './routes/publications.js';
+import reviewsRouter from './routes/reviews.js';
+import searchRouter from './routes/search.js';
+import publicPagesRouter from './routes/publicPages.js';
+import { listProviders, defaultProviderId } from './providers/index.js';
+import { seedDefaultTemplates } from './templates.js';
+import { gateway } from './gateways/index.js';
+import { startScheduler } from './scheduler.js';
+import { sttBackend } from './stt/index.js';
+import { REDACTION_ENABLED } from './redaction.js';
+import { AUTH_ENABLED, requireAdmin, requireApiKey, meterModelUsage, meterModelUsageBy } from './auth.js';
+import { corsConfig } from './cors.js';
 
 const app = express();
-app.use(cors());
+app.use(cors(corsConfig.options));
 app.use(express.json());
 
-const apiKey = process.env.GEMINI_API_KEY;
-if (!apiKey) {
-  // Fail fast to avoid silent errors
-  console.error('[Server] Missing GEMINI_API_KEY in environment');
-  process.exit(1);
+console.log('[Server] Default LLM provider:', defaultProviderId);
+if (defaultProviderId === 'mock') {
+  console.warn('[Server] No LLM provider configured (GEMINI_API_KEY / OPENAI_BASE_URL); using offline mock provider');
 }
 
-const genAI = new GoogleGenerativeAI(apiKey);
-
-app.post('/api/generate', async (req, res) => {
-  try {
-    const { text, documentType = '보고서' } = req.body || {};
+seedDefaultTemplates();
+if (gateway) {
+  console.log('[Server] Message gateway:', gateway.id);
+} else {
+  console.warn('[Server] No message gateway configured (MESSAGE_GATEWAY); /api/messages answers 503 and scheduled jobs wait');
+}
+if (sttBackend) {
+  console.log('[Server] Speech-to-text backend:', sttBackend.id);
+} else {
+  console.warn('[Server] No speech-to-text backend configured (STT_BACKEND); /api/transcribe answers 503');
+}
+console.log('[Server] PII redaction:', REDACTION_ENABLED ? 'on' : 'off (REDACTION=off)');
+console.log('[Server] CORS origins:', corsConfig.allowed ? corsConfig.allowed.join(', ') : '* (set CORS_ORIGINS to restrict)');
+if (!AUTH_ENABLED) {
+  console.warn('[Server] API authentication disabled (API_AUTH=off)');
+}
 
-    // Basic validation
-    if (!text || typeof text !== 'string' || text.trim().length < 3) {
-      return res.status(400).json({ error: '유효한 텍스트가 필요합니다(3자 이상).' });
-    }
+// 관리자 경로는 API 키 대신 ADMIN_TOKEN으로 인증
+app.use('/api/admin/keys', requireAdmin, apiKeysRouter);
+app.use('/api', requireApiKey);
 
-    const prompt = `사용자가 말한 내용을 바탕으로 ${documentType} 형식의 한국어 문서를 작성하세요. 내용은 다음과 같습니다:\n\n${text}\n\n요구사항:\n- 제목, 요약, 본문(항목) 형태로 명확하게 구조화\n- 중복 제거 및 문장 다듬기\n- 핵심만 압축, 불필요한 표현 제거\n- 맞춤법 및 띄어쓰기 보정`;
+app.get('/api/providers', (req, res) => {
+  res.json({ providers: listProviders() });
+});
 
-    // Try models in order of preference (v1beta-supported names)
-    const candidates = [process.env.GEMINI_MODEL || 'gemini-2.5-flash', 'gemini-1.5-flash'];
-    let lastError = null;
-    for (const modelName of candidates) {
-      try {
-        console.log('[Server] Trying model:', modelName);
-        const model = genAI.getGenerativeModel({ model: modelName });
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        const generatedText = response.text();
-        return res.json({ content: generatedText });
-      } catch (err) {
-        console.error('[Server] Model failed:', modelName, err?.message || err);
-        lastError = err;
-      }
-    }
+app.use('/api/generate', meterModelUsage, generateRouter);
+app.use('/api/refine', meterModelUsage, refineRouter);
+app.use('/api/translate', meterModelUsageBy(translationUnits), translateRouter);
+app.use('/api/extract', meterModelUsage, extractRouter);
+app.use('/api/action-items', actionItemsRouter);
+app.use('/api/templates', templatesRouter);
+app.use('/api/sessions', sessionsRouter);
+app.use('/api/reviews', reviewsRouter);
+app.use('/api/search', searchRouter);
+app.use('/api/transcribe', meterModelUsage, transcribeRouter);
+app.use('/api/glossary', glossaryRouter);
+app.use('/api/redaction', redactionRouter);
+app.use('/api/messages', messagesRouter);
+app.use('/api/schedules', schedulesRouter);
+app.use('/api/export', exportRouter);
+app.use('/api/publications', publicationsRouter);
 
-    throw lastError || new Error('문서 생성 실패');
-  } catch (error) {
-    console.error('[Server] /api/generate error:', error);
-    const msg = error?.message || '알 수 없는 오류';
-    return res.status(500).json({ error: msg });
-  }
+// API 오류는 HTML 대신 JSON으로 응답
+app.use('/api', (err, req, res, next) => {
+  console.error('[Server] API error:', req.method, req.originalUrl, err);
+  if (res.headersSent) return next(err);
+  const status = err?.status || err?.statusCode || 500;
+  return res.status(status).json({ error: err?.message || '알 수 없는 오류' });
 });
 
+// 문자로 보낸 짧은 링크의 공개 페이지 (API 키 없이 열림, 웹 빌드의 * 라우트보다 먼저)
+app.use('/n', publicPagesRouter);
+
 // Serve static web build if present
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -98,5 +148,6 @@ if (staticDir) {
 
 const PORT = process.env.PORT || 8000;
 app.listen(PORT, '0.0.0.0', () => { // <--- 여기에 , '0.0.0.0'을 추가합니다.
-   console.log(`[Server] Gemini proxy server started on http://0.0.0.0:${PORT}/`); // 로그도 수정 (선택사항)
+   console.log(`[Server] LLM proxy server started on http://0.0.0.0:${PORT}/`); // 로그도 수정 (선택사항)
+   startScheduler();
  });
@@ -0,0 +1,257 @@
+// javascript
+/**
+ * Korean date expressions ("다음 주 금요일까지", "모레 오후 3시", "이번 달 말", "3월 15일") resolved against a
+ * reference time (usually the recording timestamp) on the Asia/Seoul calendar.
+ * - Weeks start on Monday. A week or month without a day means its first day, or its last working day / last day
+ *   when followed by "까지"/"안에"/"중" (a deadline).
+ * - "N월 N일" without a year uses the reference year, or the next year when that date is more than 60 days past.
+ * - A bare hour from 1 to 7 without 오전/오후 is read as afternoon ("3시까지 제출" → 15:00).
+ * - "M/D" is a date only with date context: a weekday, "까지"/"부터", or a word boundary not followed by a unit, so
+ *   fractions and ratios ("1/2층", "3/4 분량") are not read as dates.
+ */
+import { DEFAULT_TIMEZONE, formatZonedTime } from './timezone.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = '월화수목금토일'; // 월요일이 0
+const PAST_YEAR_ROLLOVER_DAYS = 60;
+
+const DAY_WORDS = { 그저께: -2, 엊그제: -2, 그제: -2, 어제: -1, 오늘: 0, 금일: 0, 내일: 1, 명일: 1, 모레: 2, 글피: 3 };
+const WEEK_OFFSETS = { 지난: -1, 저번: -1, 이번: 0, 금: 0, 다음: 1, 차: 1, 내: 1, 다다음: 2 };
+const MONTH_OFFSETS = { 지난: -1, 저번: -1, 이번: 0, 이: 0, 다음: 1, 내: 1, 다다음: 2 };
+const NATIVE_NUMBERS = { 한: 1, 두: 2, 세: 3, 네: 4, 다섯: 5, 여섯: 6, 일곱: 7, 여덟: 8, 아홉: 9, 열: 10, 열한: 11, 열두: 12 };
+const NATIVE = Object.keys(NATIVE_NUMBERS).sort((a, b) => b.length - a.length).join('|');
+/** 분수·비율 뒤에 오는 말 ("3/4 분량", "1/2 이상") */
+const FRACTION_UNITS = '층|분량|인분|쪽|페이지|정도|가량|이상|이하|이내|만큼|배|개|명|컵|큰술|작은술|조각|%';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/** 달력 날짜 (UTC 자정으로 표현) */
+const calendarDate = (year, month, day) => new Date(Date.UTC(year, month - 1, day));
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+const weekdayIndex = (date) => (date.getUTCDay() + 6) % 7;
+const lastDayOfMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+const toIsoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * 기준 시점 다음 달(들)의 날짜 (말일을 넘으면 말일)
+ * @param {Date} base
+ * @param {number} months
+ * @param {number | 'last'} day
+ */
+function monthDate(base, months, day) {
+  const index = base.getUTCFullYear() * 12 + base.getUTCMonth() + months;
+  const year = Math.floor(index / 12);
+  const month = (index % 12) + 1;
+  const last = lastDayOfMonth(year, month);
+  return calendarDate(year, month, day === 'last' ? last : Math.min(day, last));
+}
+
+/** 연도 없는 월/일: 기준일보다 60일 넘게 지난 날짜면 다음 해 */
+function withoutYear(base, month, day) {
+  const date = calendarDate(base.getUTCFullYear(), month, day);
+  return base.getTime() - date.getTime() > PAST_YEAR_ROLLOVER_DAYS * DAY_MS
+    ? calendarDate(base.getUTCFullYear() + 1, month, day)
+    : date;
+}
+
+/** 유효한 달력 날짜인지 (2월 30일 등 제외) */
+const isValidDate = (date, month, day) => date.getUTCMonth() + 1 === month && date.getUTCDate() === day;
+
+const toNumber = (value) => NATIVE_NUMBERS[value] ?? Number(value);
+
+/**
+ * 날짜 표현 규칙. resolve는 (일치, 기준일, 뒤따르는 글) → Date | null
+ * @type {{ pattern: RegExp, resolve: (m: RegExpExecArray, base: Date, rest: string) => Date | null }[]}
+ */
+const DATE_RULES = [
+  {
+    // 2024-03-15, 2024.3.15.
+    pattern: /(?<!\d)(\d{4})\s*[-./]\s*(\d{1,2})\s*[-./]\s*(\d{1,2})(?!\d)\.?/g,
+    resolve: (m) => {
+      const [year, month, day] = m.slice(1, 4).map(Number);
+      const date = calendarDate(year, month, day);
+      return isValidDate(date, month, day) ? date : null;
+    },
+  },
+  {
+    // 2024년 3월 15일, 3월 15일
+    pattern: /(?:(\d{4})\s*년\s*)?(\d{1,2})\s*월\s*(\d{1,2})\s*일/g,
+    resolve: (m, base) => {
+      const [month, day] = [Number(m[2]), Number(m[3])];
+      const date = m[1] ? calendarDate(Number(m[1]), month, day) : withoutYear(base, month, day);
+      return isValidDate(date, month, day) ? date : null;
+    },
+  },
+  {
+    // 3/15(금), 3/15 금요일, 3/15까지, 3/15 행사 (뒤에 단위가 오면 분수)
+    pattern: new RegExp(
+      '(?<![\\d/.])(\\d{1,2})/(\\d{1,2})(?![\\d/.])' +
+        `(?=\\s*\\(\\s*[${WEEKDAYS}]|\\s*[${WEEKDAYS}]요일|까지|부터|[ \\t]*(?:[,.)~]|$)|\\s(?!\\s*(?:${FRACTION_UNITS})))`,
+      'gm'
+    ),
+    resolve: (m, base) => {
+      const [month, day] = [Number(m[1]), Number(m[2])];
+      const date = withoutYear(base, month, day);
+      return isValidDate(date, month, day) ? date : null;
+    },
+  },
+  {
+    // 이번 달 말, 다음 달 5일, 이달 중순, 내달 초, 월말, 다음 달(까지)
+    pattern: /(?:(다다음|다음|이번|지난|저번)\s*달|(?<![가-힣])(이|내)달|(?<![가-힣])월(?=말))(?![리력성])\s*(초|중순|말|(\d{1,2})\s*일)?/g,
+    resolve: (m, base, rest) => {
+      const months = MONTH_OFFSETS[m[1] || m[2]] ?? 0;
+      if (m[4]) return monthDate(base, months, Number(m[4]));
+      if (m[3] === '초') return monthDate(base, months, 1);
+      if (m[3] === '중순') return monthDate(base, months, 15);
+      if (m[3] === '말' || isDeadline(rest)) return monthDate(base, months, 'last');
+      return monthDate(base, months, 1);
+    },
+  },
+  {
+    // 다음 주 금요일, 이번 주말, 차주, 다음 주(까지)
+    pattern: /(?:(다다음|다음|이번|지난|저번)\s*주|(?<![가-힣])(금|차|내)주)(?![제소문식가인장년위])\s*(?:([월화수목금토일])\s*요일|(말))?/g,
+    resolve: (m, base, rest) => {
+      const monday = addDays(base, -weekdayIndex(base) + 7 * WEEK_OFFSETS[m[1] || m[2]]);
+      if (m[3]) return addDays(monday, WEEKDAYS.indexOf(m[3]));
+      if (m[4]) return addDays(monday, 5);
+      // 주 단위 마감은 그 주 금요일
+      return addDays(monday, isDeadline(rest) ? 4 : 0);
+    },
+  },
+  {
+    // 금요일, 주말: 기준일 이후 가장 가까운 날 (당일 포함)
+    pattern: /(?:([월화수목금토일])\s*요일|(?<![가-힣])(주말))/g,
+    resolve: (m, base) => {
+      const target = m[1] ? WEEKDAYS.indexOf(m[1]) : 5;
+      return addDays(base, (target - weekdayIndex(base) + 7) % 7);
+    },
+  },
+  {
+    pattern: new RegExp(`(?<![가-힣])(${Object.keys(DAY_WORDS).join('|')})`, 'g'),
+    resolve: (m, base) => addDays(base, DAY_WORDS[m[1]]),
+  },
+  {
+    // 25일(까지): 이번 달, 이미 지났으면 다음 달
+    pattern: /(?<![\d월]\s*)(?<!\d)(\d{1,2})\s*일(?!\s*(?:후|뒤|이후|이내|안에|전|간|동안|째))/g,
+    resolve: (m, base) => {
+      const day = Number(m[1]);
+      if (day < 1 || day > 31) return null;
+      return monthDate(base, day >= base.getUTCDate() ? 0 : 1, day);
+    },
+  },
+  {
+    // 3일 후, 2주 뒤, 한 달 후, 1개월 이내
+    pattern: new RegExp(`(\\d+|${NATIVE})\\s*(일|주일?|개월|달)\\s*(후|뒤|이후|이내|안에|전)`, 'g'),
+    resolve: (m, base) => {
+      const amount = toNumber(m[1]) * (m[3] === '전' ? -1 : 1);
+      if (m[2] === '일') return addDays(base, amount);
+      if (m[2].startsWith('주')) return addDays(base, amount * 7);
+      return monthDate(base, amount, base.getUTCDate());
+    },
+  },
+];
+
+const TIME_PATTERN = new RegExp(
+  `(?:(오전|오후|아침|낮|저녁|밤|새벽)\\s*)?(\\d{1,2}|${NATIVE})\\s*시(?=$|[^가-힣]|[에까부반쯤경로정])(?:\\s*(\\d{1,2})\\s*분|\\s*(반))?|(?<!\\d)(\\d{1,2}):(\\d{2})(?!\\d)`
+);
+
+/** 뒤따르는 말이 마감을 뜻하는지 ("까지", "안에", "중") */
+const isDeadline = (rest) => /^\s*(까지|안에|안으로|내로|내에|중으로|중에|중)/.test(rest);
+
+/**
+ * 시각 표현을 찾습니다. "밤 12시", "24시"는 다음 날 0시입니다.
+ * @param {string} text
+ * @returns {{ time: string, nextDay: boolean } | null} time "HH:mm", nextDay: 날짜 표현의 다음 날 시각인지
+ */
+function findTime(text) {
+  const m = TIME_PATTERN.exec(text);
+  if (!m) return null;
+  if (m[5] !== undefined) {
+    const [hour, minute] = [Number(m[5]), Number(m[6])];
+    return hour < 24 && minute < 60 ? { time: `${pad(hour)}:${pad(minute)}`, nextDay: false } : null;
+  }
+  let hour = toNumber(m[2]);
+  const minute = m[4] ? 30 : Number(m[3] || 0);
+  if (hour > 24 || minute >= 60) return null;
+  const meridiem = m[1];
+  if (meridiem === '오전' || meridiem === '아침' || meridiem === '새벽') {
+    if (hour === 12) hour = 0;
+  } else if (meridiem === '낮') {
+    if (hour < 7) hour += 12;
+  } else if (meridiem) {
+    if (hour < 12) hour += 12;
+    else if (hour === 12 && meridiem !== '오후') hour = 24; // "밤 12시까지" → 자정
+  } else if (hour >= 1 && hour <= 7) {
+    hour += 12; // "3시까지" → 오후 3시
+  }
+  return { time: `${pad(hour % 24)}:${pad(minute)}`, nextDay: hour >= 24 };
+}
+
+/**
+ * 기준 시점의 서울 달력 날짜
+ * @param {Date | string} reference
+ * @returns {Date}
+ */
+function referenceDate(reference) {
+  const [year, month, day] = formatZonedTime(reference, DEFAULT_TIMEZONE).slice(0, 10).split('-').map(Number);
+  return calendarDate(year, month, day);
+}
+
+/**
+ * 텍스트에서 가장 앞에 나오는 날짜 표현을 찾습니다. (같은 위치면 더 긴 표현)
+ * @param {string} text
+ * @returns {{ rule: object, match: RegExpExecArray } | null}
+ */
+function findDateMatch(text) {
+  let best = null;
+  for (const rule of DATE_RULES) {
+    rule.pattern.lastIndex = 0;
+    const match = rule.pattern.exec(text);
+    if (!match) continue;
+    if (!best || match.index < best.match.index || (match.index === best.match.index && match[0].length > best.match[0].length)) {
+      best = { rule, match };
+    }
+  }
+  return best;
+}
+
+/**
+ * 한국어 날짜·시각 표현을 기준 시점에 맞춰 실제 날짜로 바꿉니다.
+ * @param {string} text - 날짜 표현이 들어 있는 글 (예: "다음 주 금요일 오후 3시까지")
+ * @param {Date | string} reference - 기준 시점 (녹음 시각 등)
+ * @returns {{ date: string, time: string | null, expression: string } | null} 날짜 "YYYY-MM-DD", 시각 "HH:mm"
+ * @example
+ * // 2026-10-19(월) 녹음 기준
+ * resolveKoreanDate('다음 주 금요일까지 제출', '2026-10-19T00:00:00Z');
+ * // => { date: '2026-10-30', time: null, expression: '다음 주 금요일' }
+ */
+export function resolveKoreanDate(text, reference) {
+  const source = String(text || '');
+  const found = findDateMatch(source);
+  if (!found) return null;
+  const { rule, match } = found;
+  const date = rule.resolve(match, referenceDate(reference), source.slice(match.index + match[0].length));
+  if (!date) return null;
+  const time = findTime(source);
+  return { date: toIsoDate(time?.nextDay ? addDays(date, 1) : date), time: time?.time ?? null, expression: match[0].trim() };
+}
+
+/**
+ * 텍스트에서 날짜 표현만 찾습니다. (mock 공급자의 추출 흉내용)
+ * @param {string} text
+ * @returns {string | null}
+ */
+export function findDateExpression(text) {
+  const found = findDateMatch(String(text || ''));
+  return found ? found.match[0].trim() : null;
+}
+
+/**
+ * 프롬프트에 넣을 기준 시점 표시
+ * @param {Date | string} reference
+ * @returns {string} 예: "2026-10-19(월) 09:00"
+ */
+export function describeReference(reference) {
+  const local = formatZonedTime(reference, DEFAULT_TIMEZONE);
+  return `${local.slice(0, 10)}(${WEEKDAYS[weekdayIndex(referenceDate(reference))]}) ${local.slice(11)}`;
+}
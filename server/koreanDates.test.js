@@ -0,0 +1,119 @@
+// javascript
+/**
+ * Korean date expressions resolved against a recording time on the Asia/Seoul calendar (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveKoreanDate, findDateExpression, describeReference } from './koreanDates.js';
+
+// 2026-10-19(월) 09:00 서울
+const MONDAY = '2026-10-19T00:00:00Z';
+
+const dateOf = (text, reference = MONDAY) => resolveKoreanDate(text, reference)?.date ?? null;
+
+test('relative days and weekdays count from the reference day', () => {
+  assert.equal(dateOf('오늘 회의'), '2026-10-19');
+  assert.equal(dateOf('내일 제출'), '2026-10-20');
+  assert.equal(dateOf('모레 상담'), '2026-10-21');
+  assert.equal(dateOf('어제 말씀드린 내용'), '2026-10-18');
+  // 가장 가까운 그 요일 (당일 포함)
+  assert.equal(dateOf('금요일 행사'), '2026-10-23');
+  assert.equal(dateOf('월요일 행사'), '2026-10-19');
+  assert.equal(dateOf('주말 봉사'), '2026-10-24');
+});
+
+test('weeks start on Monday and a week deadline means its Friday', () => {
+  assert.deepEqual(resolveKoreanDate('다음 주 금요일까지 제출', MONDAY), {
+    date: '2026-10-30',
+    time: null,
+    expression: '다음 주 금요일',
+  });
+  assert.equal(dateOf('다음 주 회의'), '2026-10-26');
+  assert.equal(dateOf('다음 주까지 회신'), '2026-10-30');
+  assert.equal(dateOf('이번 주말'), '2026-10-24');
+  assert.equal(dateOf('차주 화요일'), '2026-10-27');
+});
+
+test('months resolve to their first day, middle or last day', () => {
+  assert.equal(dateOf('이번 달 말'), '2026-10-31');
+  assert.equal(dateOf('다음 달 초'), '2026-11-01');
+  assert.equal(dateOf('다음 달 5일'), '2026-11-05');
+  assert.equal(dateOf('이달 중순'), '2026-10-15');
+  assert.equal(dateOf('다음 달까지 신청'), '2026-11-30');
+  assert.equal(dateOf('월말 정산'), '2026-10-31');
+});
+
+test('dates without a year roll over only when they are long past', () => {
+  assert.equal(dateOf('10월 1일 행사'), '2026-10-01');
+  assert.equal(dateOf('3월 15일 입학식'), '2027-03-15');
+  assert.equal(dateOf('2024년 3월 15일'), '2024-03-15');
+  assert.equal(dateOf('2024.3.15. 공지'), '2024-03-15');
+  assert.equal(dateOf('12/24 행사'), '2026-12-24');
+  assert.equal(dateOf('2월 30일'), null);
+});
+
+test('M/D is a date only with date context, not a fraction or a ratio', () => {
+  assert.equal(dateOf('11/20(금) 발표회'), '2026-11-20');
+  assert.equal(dateOf('11/20 금요일 발표회'), '2026-11-20');
+  assert.equal(dateOf('11/20까지 제출'), '2026-11-20');
+  assert.equal(dateOf('제출 마감: 11/20, 늦으면 감점'), '2026-11-20');
+  assert.equal(dateOf('1/2층 강당에 모입니다'), null);
+  assert.equal(dateOf('3/4 분량만 준비합니다'), null);
+  assert.equal(dateOf('학생의 1/2 이상 찬성'), null);
+  assert.equal(dateOf('밥 1/3 컵'), null);
+  assert.equal(dateOf('1.1/2 비율'), null);
+});
+
+test('a bare day of the month is this month, or next month once it has passed', () => {
+  assert.equal(dateOf('25일까지 제출'), '2026-10-25');
+  assert.equal(dateOf('5일까지 제출'), '2026-11-05');
+});
+
+test('durations count forward or back from the reference day', () => {
+  assert.equal(dateOf('3일 후'), '2026-10-22');
+  assert.equal(dateOf('2주 뒤'), '2026-11-02');
+  assert.equal(dateOf('한 달 후'), '2026-11-19');
+  assert.equal(dateOf('3일 전'), '2026-10-16');
+});
+
+test('times are read with 오전/오후 and bare afternoon hours', () => {
+  const timeOf = (text) => resolveKoreanDate(text, MONDAY)?.time ?? null;
+  assert.equal(timeOf('모레 오후 3시'), '15:00');
+  assert.equal(timeOf('내일 3시까지 제출'), '15:00');
+  assert.equal(timeOf('내일 9시 반'), '09:30');
+  assert.equal(timeOf('내일 오전 10시 20분'), '10:20');
+  assert.equal(timeOf('내일 저녁 7시'), '19:00');
+  assert.equal(timeOf('내일 14:00'), '14:00');
+  assert.equal(timeOf('내일'), null);
+});
+
+test('밤·저녁 12시 and 24시 are midnight at the start of the next day', () => {
+  const resolve = (text) => {
+    const { date, time } = resolveKoreanDate(text, MONDAY);
+    return `${date} ${time}`;
+  };
+  assert.equal(resolve('오늘 밤 12시까지 제출'), '2026-10-20 00:00');
+  assert.equal(resolve('내일 저녁 12시까지'), '2026-10-21 00:00');
+  assert.equal(resolve('오늘 밤 12시 30분'), '2026-10-20 00:30');
+  assert.equal(resolve('오늘 24시까지'), '2026-10-20 00:00');
+  // 낮·오후 12시는 정오, 오전·새벽 12시는 그날 0시
+  assert.equal(resolve('오늘 오후 12시'), '2026-10-19 12:00');
+  assert.equal(resolve('오늘 12시까지'), '2026-10-19 12:00');
+  assert.equal(resolve('내일 오전 12시'), '2026-10-20 00:00');
+});
+
+test('the reference day is taken on the Seoul calendar', () => {
+  // UTC로는 10월 18일이지만 서울은 10월 19일 01:00
+  assert.equal(dateOf('내일', '2026-10-18T16:00:00Z'), '2026-10-20');
+});
+
+test('text without a date expression resolves to null', () => {
+  assert.equal(resolveKoreanDate('준비물을 챙겨 주세요.', MONDAY), null);
+  assert.equal(resolveKoreanDate('', MONDAY), null);
+  assert.equal(findDateExpression('준비물을 챙겨 주세요.'), null);
+});
+
+test('findDateExpression and describeReference', () => {
+  assert.equal(findDateExpression('상담은 다음 주 화요일에 합니다.'), '다음 주 화요일');
+  assert.equal(describeReference(MONDAY), '2026-10-19(월) 09:00');
+});
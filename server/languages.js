@@ -0,0 +1,34 @@
+// javascript
+/**
+ * Recognition language codes (BCP 47, e.g. "ko-KR", "en-US")
+ */
+
+export const DEFAULT_LANGUAGE = 'ko-KR';
+
+/**
+ * @param {unknown} code
+ * @returns {boolean} 형식이 올바른 언어 코드인지
+ */
+export const isValidLanguage = (code) => typeof code === 'string' && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(code);
+
+/**
+ * 번역 대상 언어 (문서 원문은 한국어)
+ * - code: 요청·저장에 쓰는 언어 코드, label: 그 언어로 쓴 이름, name: 프롬프트에 쓰는 한국어 이름
+ */
+export const TRANSLATION_LANGUAGES = [
+  { code: 'vi', label: 'Tiếng Việt', name: '베트남어' },
+  { code: 'zh', label: '中文(简体)', name: '중국어 간체' },
+  { code: 'en', label: 'English', name: '영어' },
+  { code: 'ja', label: '日本語', name: '일본어' },
+  { code: 'th', label: 'ภาษาไทย', name: '태국어' },
+  { code: 'fil', label: 'Filipino', name: '필리핀어(타갈로그어)' },
+  { code: 'mn', label: 'Монгол', name: '몽골어' },
+  { code: 'ru', label: 'Русский', name: '러시아어' },
+  { code: 'uz', label: 'Oʻzbek', name: '우즈베크어' },
+];
+
+/**
+ * @param {unknown} code
+ * @returns {{ code: string, label: string, name: string } | null}
+ */
+export const findTranslationLanguage = (code) => TRANSLATION_LANGUAGES.find((l) => l.code === code) || null;
@@ -0,0 +1,112 @@
+// javascript
+/**
+ * Message delivery through the configured gateway (see ./gateways/index.js)
+ * - Every recipient gets its own delivery log entry in the messages collection.
+ * - Only a SHA-256 hash of the body is stored, not the body itself.
+ * - Without a configured gateway nothing is sent: sendMessages fails with status 503.
+ * - Bodies go out as EUC-KR by default. Translations that need other scripts (Vietnamese, Chinese, Thai, ...) are sent
+ *   with encoding 'UCS-2' as Unicode LMS (see ../shared/messageLength.js).
+ */
+import crypto from 'crypto';
+import { messages } from './db.js';
+import { gateway } from './gateways/index.js';
+import { getByteLength, classifyMessage, LMS_MAX_BYTES, ENCODINGS } from '../shared/messageLength.js';
+import { normalizePhoneNumber } from '../shared/phoneNumbers.js';
+
+/** 한 요청에서 보낼 수 있는 최대 수신자 수 */
+export const MAX_RECIPIENTS = 100;
+
+const hashBody = (body) => crypto.createHash('sha256').update(body, 'utf8').digest('hex');
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * 게이트웨이가 설정되어 있는지 확인합니다.
+ * @throws {Error} 설정되지 않았으면 status=503 오류
+ */
+export function assertGatewayConfigured() {
+  if (!gateway) {
+    throw Object.assign(new Error('문자 전송 게이트웨이가 설정되지 않았습니다. (MESSAGE_GATEWAY)'), { status: 503 });
+  }
+}
+
+/**
+ * 수신자 목록과 본문을 검증합니다.
+ * @param {unknown} recipients
+ * @param {unknown} body
+ * @param {unknown} [encoding='EUC-KR'] - 'EUC-KR' | 'UCS-2'
+ * @returns {string[]} 숫자만 남긴 수신자 목록 (중복 제거)
+ * @throws {Error} 형식이 잘못되면 status=400 오류
+ */
+export function validateMessage(recipients, body, encoding = 'EUC-KR') {
+  if (!ENCODINGS.includes(encoding)) throw badRequest(`encoding은 ${ENCODINGS.join(' 또는 ')}이어야 합니다.`);
+  if (typeof body !== 'string' || !body.trim()) throw badRequest('body(메시지 내용)가 필요합니다.');
+  const { type, unsupported } = classifyMessage(body, encoding);
+  if (type === 'OVER') {
+    throw badRequest(`메시지가 LMS 최대 ${LMS_MAX_BYTES}바이트를 넘습니다. (${getByteLength(body, encoding)}바이트)`);
+  }
+  // 통신사에서 깨지거나 거부되므로 보내지 않음
+  if (unsupported.length > 0) {
+    throw badRequest(
+      `문자로 보낼 수 없는 글자가 있습니다: ${unsupported.join(' ')}` +
+        (encoding === 'EUC-KR' ? ' (번역본은 encoding UCS-2로 보내세요)' : '')
+    );
+  }
+  if (!Array.isArray(recipients) || recipients.length === 0) throw badRequest('recipients(수신자 목록)가 필요합니다.');
+  if (recipients.length > MAX_RECIPIENTS) throw badRequest(`수신자는 최대 ${MAX_RECIPIENTS}명까지 가능합니다.`);
+
+  const invalid = recipients.filter((r) => !normalizePhoneNumber(r));
+  if (invalid.length > 0) throw badRequest(`잘못된 전화번호가 있습니다: ${invalid.join(', ')}`);
+  return [...new Set(recipients.map(normalizePhoneNumber))];
+}
+
+/**
+ * 수신자별로 메시지를 보내고 전송 기록을 남깁니다. 한 수신자의 실패가 나머지 전송을 막지 않습니다.
+ * @param {{ recipients: string[], body: string, documentId?: string | null, encoding?: string }} message
+ * @returns {Promise<{ batchId: string, messages: object[] }>} 수신자별 전송 기록
+ * @throws {Error} 수신자/본문이 잘못되면 status=400, 게이트웨이가 없으면 status=503 오류
+ */
+export async function sendMessages({ recipients, body, documentId = null, encoding = 'EUC-KR' }) {
+  assertGatewayConfigured();
+  const numbers = validateMessage(recipients, body, encoding);
+  const batchId = crypto.randomUUID();
+  const meta = {
+    batchId,
+    bodyHash: hashBody(body),
+    bytes: getByteLength(body, encoding),
+    messageType: classifyMessage(body, encoding).type,
+    encoding,
+    documentId,
+    gateway: gateway.id,
+  };
+
+  const results = [];
+  for (const recipient of numbers) {
+    const entry = messages.insert({
+      ...meta,
+      recipient,
+      status: 'queued',
+      gatewayMessageId: null,
+      gatewayResponse: null,
+      sentAt: null,
+    });
+    let patch;
+    try {
+      const { status, messageId, response } = await gateway.send({ to: recipient, body, encoding });
+      patch = {
+        status: status === 'sent' ? 'sent' : 'failed',
+        gatewayMessageId: messageId ?? null,
+        gatewayResponse: response ?? null,
+        sentAt: status === 'sent' ? new Date().toISOString() : null,
+      };
+    } catch (err) {
+      console.error('[Gateway] Send failed:', recipient, err?.message || err);
+      patch = { status: 'failed', gatewayResponse: { error: err?.message || String(err) } };
+    }
+    results.push(messages.update(entry.id, patch));
+  }
+
+  const failed = results.filter((m) => m.status === 'failed').length;
+  console.log(`[Gateway] Batch ${batchId}: ${results.length - failed} sent, ${failed} failed (${gateway.id})`);
+  return { batchId, messages: results };
+}
@@ -0,0 +1,127 @@
+// javascript
+/**
+ * Prompt builders shared by the generation endpoints.
+ */
+import { buildTimedTranscript } from './transcript.js';
+
+/**
+ * 원문 텍스트 검증 (3자 이상 문자열)
+ * @param {unknown} text
+ * @returns {string | null} 오류 메시지 (유효하면 null)
+ */
+export function validateSourceText(text) {
+  if (!text || typeof text !== 'string' || text.trim().length < 3) {
+    return '유효한 텍스트가 필요합니다(3자 이상).';
+  }
+  return null;
+}
+
+/**
+ * 음성 원문을 구조화된 한국어 문서로 변환하는 프롬프트를 만듭니다.
+ * 템플릿이 있으면 템플릿의 지침/섹션/어조/분량을 적용하고, 없으면 문서 유형 이름만으로 일반 구조를 요청합니다.
+ * @param {string} text - 원문 텍스트 (여러 세션이면 buildMergedSource 결과)
+ * @param {{ name: string, instructions?: string, sections?: string[], tone?: string, maxLength?: number | null } | string} [template='보고서']
+ *   - 템플릿 객체 또는 문서 유형 이름
+ * @param {{ multiSession?: boolean, timed?: boolean }} [options]
+ *   - multiSession=true 이면 세션 통합/출처 표기 지시 추가
+ *   - timed=true 이면 원문 줄 앞의 [mm:ss] 발언 시점을 인용하라는 지시 추가 (buildTimedTranscript)
+ * @param {string | null} [options.glossaryGuidance] - 용어 표기 지침 (buildGlossaryGuidance)
+ * @param {string | null} [options.redactionGuidance] - 개인정보 자리표시자 유지 지침 (buildRedactionGuidance)
+ * @returns {string}
+ */
+export function buildDocumentPrompt(
+  text,
+  template = '보고서',
+  { multiSession = false, timed = false, glossaryGuidance = null, redactionGuidance = null } = {}
+) {
+  const name = typeof template === 'string' ? template : template.name;
+  const requirements =
+    typeof template === 'string'
+      ? [
+          '- 제목, 요약, 본문(항목) 형태로 명확하게 구조화',
+          '- 중복 제거 및 문장 다듬기',
+          '- 핵심만 압축, 불필요한 표현 제거',
+          '- 맞춤법 및 띄어쓰기 보정',
+        ]
+      : [
+          template.instructions && `- 작성 지침: ${template.instructions}`,
+          template.sections?.length && `- 다음 섹션을 순서대로 모두 포함: ${template.sections.join(', ')}`,
+          template.tone && `- 어조: ${template.tone}`,
+          template.maxLength && `- 분량: 공백 포함 ${template.maxLength}자 이내`,
+          '- 중복 제거 및 문장 다듬기',
+          '- 맞춤법 및 띄어쓰기 보정',
+        ].filter(Boolean);
+
+  if (multiSession) {
+    requirements.push(
+      '- 원문은 여러 녹음 세션을 [세션 N | 녹음 시각] 머리글로 구분해 순서대로 이어 붙인 것입니다. 세션별로 나누지 말고 하나의 문서로 통합',
+      '- 각 항목이나 문장 끝에 근거가 된 세션을 (세션 N) 형식으로 표기 (여러 세션이면 (세션 1, 3))'
+    );
+  }
+
+  if (timed) {
+    requirements.push(
+      '- 원문 줄 앞의 [mm:ss]는 녹음 시작부터 잰 발언 시점입니다. 결정 사항·일정·요청처럼 중요한 내용에는 말한 시점을 (mm:ss) 형식으로 함께 표기'
+    );
+  }
+
+  if (glossaryGuidance) requirements.push(glossaryGuidance);
+  if (redactionGuidance) requirements.push(redactionGuidance);
+
+  return `사용자가 말한 내용을 바탕으로 ${name} 형식의 한국어 문서를 작성하세요. 내용은 다음과 같습니다:\n\n${text}\n\n요구사항:\n${requirements.join('\n')}`;
+}
+
+/**
+ * 여러 녹음 세션을 세션 경계와 녹음 시각을 남긴 하나의 원문으로 합칩니다.
+ * 구간(segments)이 있는 세션은 줄마다 발언 시점을 붙입니다.
+ * @param {{ timestamp: string, transcript: string, segments?: object[] }[]} sessions - 합칠 순서대로 정렬된 세션
+ * @returns {string}
+ * @example
+ * buildMergedSource([{ timestamp: '2026-10-19T00:00:00Z', transcript: '안건 1' }]);
+ * // => '[세션 1 | 2026. 10. 19. 오전 9:00:00]\n안건 1'
+ */
+export function buildMergedSource(sessions) {
+  return sessions
+    .map((session, i) => {
+      const time = new Date(session.timestamp).toLocaleString('ko-KR', { timeZone: 'Asia/Seoul' });
+      return `[세션 ${i + 1} | ${time}]\n${buildTimedTranscript(session)}`;
+    })
+    .join('\n\n');
+}
+
+/**
+ * 기존 문서를 수정 요청에 따라 고쳐 쓰는 프롬프트를 만듭니다.
+ * @param {string} content - 현재 문서 텍스트
+ * @param {string} instruction - 수정 요청 (예: "더 간결하게", "3번 항목 삭제")
+ * @param {{ redactionGuidance?: string | null }} [options] - 개인정보 자리표시자 유지 지침 (buildRedactionGuidance)
+ * @returns {string}
+ */
+export function buildRefinePrompt(content, instruction, { redactionGuidance = null } = {}) {
+  const guidance = redactionGuidance ? `\n${redactionGuidance}` : '';
+  return `아래 한국어 문서를 사용자의 수정 요청에 맞게 고쳐 쓰세요. 문서는 다음과 같습니다:\n\n${content}\n\n요구사항:\n- 수정 요청: ${instruction}\n- 요청과 관련된 부분만 바꾸고 나머지 내용과 구조는 유지\n- 원문에 없는 사실을 지어내지 말 것\n- 맞춤법 및 띄어쓰기 보정${guidance}\n- 수정된 문서 전체만 출력 (설명 없이)`;
+}
+
+/**
+ * 한국어 문서를 다른 언어로 번역하는 프롬프트를 만듭니다.
+ * @param {string} content - 번역할 문서 텍스트 (구조화 문서는 renderStructuredDocument 결과)
+ * @param {{ code: string, name: string }} language - 대상 언어 (TRANSLATION_LANGUAGES 항목)
+ * @param {{ structured?: boolean, termGuidance?: string | null, redactionGuidance?: string | null }} [options]
+ *   - structured=true 이면 섹션 수와 순서를 유지하라는 지시 추가 (JSON 출력은 withJsonInstructions로 덧붙임)
+ *   - termGuidance: 번역하지 않을 용어 지침 (buildTermPreservationGuidance)
+ * @returns {string}
+ */
+export function buildTranslatePrompt(content, language, { structured = false, termGuidance = null, redactionGuidance = null } = {}) {
+  const requirements = [
+    `- 대상 언어: ${language.name} (${language.code})`,
+    structured
+      ? '- 제목, 요약, 섹션(제목과 본문), 맺음말을 모두 번역하고 섹션 수와 순서는 원문과 같게 유지'
+      : '- 문단, 줄바꿈, 번호·글머리 목록 등 원문 구조를 그대로 유지',
+    '- 원문에 없는 내용을 더하거나 빼지 말 것',
+    '- 날짜, 시각, 금액, 전화번호, (mm:ss)·(세션 N) 같은 표기는 원문 값 그대로',
+    '- 가정에 보내는 안내문이므로 정중하고 이해하기 쉬운 표현',
+    termGuidance,
+    redactionGuidance,
+    '- 번역문만 출력 (설명 없이)',
+  ].filter(Boolean);
+  return `아래 한국어 문서를 ${language.name}로 번역하세요. 문서는 다음과 같습니다:\n\n${content}\n\n요구사항:\n${requirements.join('\n')}`;
+}
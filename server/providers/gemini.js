@@ -0,0 +1,36 @@
+// javascript
+/**
+ * Gemini provider adapter (@google/generative-ai)
+ */
+import { GoogleGenerativeAI } from '@google/generative-ai';
+
+/**
+ * @param {{ apiKey: string, models: string[] }} config
+ * @returns {import('./index.js').LLMProvider}
+ */
+export function createGeminiProvider({ apiKey, models }) {
+  const genAI = new GoogleGenerativeAI(apiKey);
+  const getModel = (model, json) =>
+    genAI.getGenerativeModel({
+      model,
+      ...(json ? { generationConfig: { responseMimeType: 'application/json' } } : {}),
+    });
+
+  return {
+    id: 'gemini',
+    label: 'Google Gemini',
+    models,
+    async generate(prompt, { model, json }) {
+      const result = await getModel(model, json).generateContent(prompt);
+      const response = await result.response;
+      return response.text();
+    },
+    async *stream(prompt, { model, json, signal }) {
+      const result = await getModel(model, json).generateContentStream(prompt, { signal });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+    },
+  };
+}
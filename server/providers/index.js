@@ -0,0 +1,216 @@
+// javascript
+/**
+ * LLM provider registry
+ * - Providers are enabled from environment configuration:
+ *   - gemini: GEMINI_API_KEY, GEMINI_MODEL (preferred), GEMINI_FALLBACK_MODELS (comma separated, default "gemini-1.5-flash")
+ *   - openai: OPENAI_BASE_URL (e.g. http://localhost:11434/v1), OPENAI_API_KEY (optional), OPENAI_MODELS (comma separated)
+ *   - mock:   deterministic and offline; in production (NODE_ENV=production) only with LLM_PROVIDER=mock
+ * - LLM_PROVIDER selects the default provider. Without it, gemini is used when configured, otherwise mock.
+ * - Outside production a missing or unknown default falls back to mock with a warning. In production the server refuses
+ *   to start instead, so a misconfigured deploy never sends mock documents to parents.
+ */
+import { createGeminiProvider } from './gemini.js';
+import { createOpenAICompatibleProvider } from './openai.js';
+import { createMockProvider } from './mock.js';
+
+/**
+ * @typedef {object} LLMProvider
+ * @property {string} id - 공급자 ID ('gemini' | 'openai' | 'mock')
+ * @property {string} label - 표시 이름
+ * @property {string[]} models - 선호 순서대로 나열한 모델 목록 (앞에서부터 폴백)
+ * @property {(prompt: string, options: GenerateOptions) => Promise<string>} generate - 프롬프트로 텍스트 생성
+ * @property {(prompt: string, options: GenerateOptions & { signal?: AbortSignal }) => AsyncIterable<string>} stream
+ *   - 프롬프트로 텍스트를 생성하며 조각(chunk) 단위로 반환
+ */
+
+/**
+ * @typedef {object} GenerateOptions
+ * @property {string} model - 사용할 모델
+ * @property {boolean} [json] - JSON 객체만 출력하도록 요청 (공급자가 지원하는 JSON 모드 사용)
+ * @property {GenerationTask} [task] - 프롬프트가 요청하는 작업 (실제 공급자는 무시하고 mock이 출력을 만들 때 사용)
+ */
+
+/**
+ * @typedef {object} GenerationTask
+ * @property {'document' | 'refine' | 'translate' | 'extract'} kind - 작업 종류
+ * @property {string} source - 프롬프트에 넣은 원문 (개인정보를 가린 뒤의 텍스트)
+ * @property {string[]} [sections] - 문서에 요구한 섹션 (템플릿 섹션)
+ * @property {string} [language] - 번역 대상 언어 코드
+ */
+
+const parseList = (value) =>
+  (value || '')
+    .split(',')
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+const unique = (list) => [...new Set(list)];
+
+/**
+ * 환경 변수로부터 공급자 목록을 구성합니다.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {{ providers: Map<string, LLMProvider>, defaultProviderId: string }}
+ * @throws {Error} 운영 환경에서 기본 공급자가 설정되지 않은 경우 (조용히 mock을 쓰지 않도록)
+ */
+export function loadProviders(env = process.env) {
+  const providers = new Map();
+  const production = env.NODE_ENV === 'production';
+
+  if (env.GEMINI_API_KEY) {
+    const fallbacks = env.GEMINI_FALLBACK_MODELS !== undefined ? parseList(env.GEMINI_FALLBACK_MODELS) : ['gemini-1.5-flash'];
+    providers.set(
+      'gemini',
+      createGeminiProvider({
+        apiKey: env.GEMINI_API_KEY,
+        models: unique([env.GEMINI_MODEL || 'gemini-2.5-flash', ...fallbacks]),
+      })
+    );
+  }
+
+  if (env.OPENAI_BASE_URL) {
+    const models = parseList(env.OPENAI_MODELS);
+    if (models.length === 0) {
+      console.warn('[Providers] OPENAI_BASE_URL is set but OPENAI_MODELS is empty; openai provider disabled');
+    } else {
+      providers.set(
+        'openai',
+        createOpenAICompatibleProvider({ baseUrl: env.OPENAI_BASE_URL, apiKey: env.OPENAI_API_KEY, models })
+      );
+    }
+  }
+
+  if (!production || env.LLM_PROVIDER === 'mock') providers.set('mock', createMockProvider());
+
+  let defaultProviderId = env.LLM_PROVIDER || (providers.has('gemini') ? 'gemini' : 'mock');
+  if (!providers.has(defaultProviderId)) {
+    if (production) {
+      throw new Error(
+        `LLM provider "${defaultProviderId}" is not configured (set GEMINI_API_KEY, or OPENAI_BASE_URL and OPENAI_MODELS ` +
+          'with LLM_PROVIDER=openai; LLM_PROVIDER=mock uses the offline mock on purpose)'
+      );
+    }
+    console.warn(`[Providers] LLM_PROVIDER "${defaultProviderId}" is not configured; falling back to mock`);
+    defaultProviderId = 'mock';
+  }
+
+  return { providers, defaultProviderId };
+}
+
+const { providers, defaultProviderId } = loadProviders();
+
+export { defaultProviderId };
+
+/**
+ * 공급자/모델 목록 (클라이언트 노출용)
+ * @returns {{ id: string, label: string, models: string[], default: boolean }[]}
+ */
+export function listProviders() {
+  return [...providers.values()].map((p) => ({
+    id: p.id,
+    label: p.label,
+    models: p.models,
+    default: p.id === defaultProviderId,
+  }));
+}
+
+/**
+ * 공급자를 조회합니다.
+ * @param {string} [id=defaultProviderId]
+ * @returns {LLMProvider | null}
+ */
+export function getProvider(id = defaultProviderId) {
+  return providers.get(id) || null;
+}
+
+/**
+ * 요청 본문의 공급자·모델 선택을 검증합니다. (둘 다 선택, 지정하면 비어 있지 않은 문자열이고 공급자는 등록된 ID)
+ * @param {{ provider?: unknown, model?: unknown }} [body]
+ * @returns {string | null} 오류 메시지 (유효하면 null)
+ */
+export function validateModelSelection({ provider, model } = {}) {
+  if (provider !== undefined) {
+    if (typeof provider !== 'string' || !provider.trim()) return 'provider는 비어 있지 않은 문자열이어야 합니다.';
+    if (!providers.has(provider)) return `알 수 없는 공급자입니다: ${provider}`;
+  }
+  if (model !== undefined && (typeof model !== 'string' || !model.trim())) {
+    return 'model은 비어 있지 않은 문자열이어야 합니다.';
+  }
+  return null;
+}
+
+/**
+ * 선택한 공급자의 모델을 순서대로 시도하여 텍스트를 생성합니다.
+ * @param {string} prompt - 모델 프롬프트
+ * @param {{ provider?: string, model?: string, json?: boolean, task?: GenerationTask }} [options]
+ *   - model을 지정하면 해당 모델을 먼저 시도
+ * @returns {Promise<{ content: string, provider: string, model: string }>}
+ * @throws {Error} 공급자가 없거나 모든 모델이 실패한 경우
+ */
+export async function generateText(prompt, { provider: providerId, model, json = false, task } = {}) {
+  const { provider, candidates } = resolveCandidates(providerId, model);
+  let lastError = null;
+  for (const modelName of candidates) {
+    try {
+      console.log('[Server] Trying model:', `${provider.id}/${modelName}`);
+      const content = await provider.generate(prompt, { model: modelName, json, task });
+      return { content, provider: provider.id, model: modelName };
+    } catch (err) {
+      console.error('[Server] Model failed:', `${provider.id}/${modelName}`, err?.message || err);
+      lastError = err;
+    }
+  }
+
+  throw lastError || new Error('문서 생성 실패');
+}
+
+/**
+ * 공급자와 시도할 모델 순서를 결정합니다.
+ * @param {string} [providerId]
+ * @param {string} [model]
+ * @returns {{ provider: LLMProvider, candidates: string[] }}
+ */
+function resolveCandidates(providerId, model) {
+  const provider = getProvider(providerId || defaultProviderId);
+  if (!provider) {
+    const err = new Error(`알 수 없는 공급자입니다: ${providerId}`);
+    err.status = 400;
+    throw err;
+  }
+  return { provider, candidates: model ? unique([model, ...provider.models]) : provider.models };
+}
+
+/**
+ * 스트리밍 생성. 첫 조각을 받기 전에 실패한 모델은 다음 모델로 폴백하고,
+ * 출력이 시작된 뒤의 오류는 그대로 전달합니다(이미 보낸 조각을 되돌릴 수 없으므로).
+ * @param {string} prompt - 모델 프롬프트
+ * @param {{ provider?: string, model?: string, json?: boolean, task?: GenerationTask, signal?: AbortSignal }} [options]
+ * @yields {{ type: 'start', provider: string, model: string } | { type: 'chunk', text: string }}
+ * @throws {Error} 공급자가 없거나 모든 모델이 실패한 경우
+ */
+export async function* streamText(prompt, { provider: providerId, model, json = false, task, signal } = {}) {
+  const { provider, candidates } = resolveCandidates(providerId, model);
+
+  let lastError = null;
+  for (const modelName of candidates) {
+    let iterator;
+    let first;
+    try {
+      console.log('[Server] Streaming model:', `${provider.id}/${modelName}`);
+      iterator = provider.stream(prompt, { model: modelName, json, task, signal })[Symbol.asyncIterator]();
+      first = await iterator.next();
+    } catch (err) {
+      if (signal?.aborted) throw err;
+      console.error('[Server] Model failed:', `${provider.id}/${modelName}`, err?.message || err);
+      lastError = err;
+      continue;
+    }
+
+    yield { type: 'start', provider: provider.id, model: modelName };
+    for (let step = first; !step.done; step = await iterator.next()) {
+      yield { type: 'chunk', text: step.value };
+    }
+    return;
+  }
+
+  throw lastError || new Error('문서 생성 실패');
+}
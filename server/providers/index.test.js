@@ -0,0 +1,111 @@
+// javascript
+/**
+ * Provider registry: configuration and model fallback (run with `npm test`).
+ * The OpenAI-compatible adapter is pointed at a local fake server whose first model always fails.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { useFakeModel, serve } from '../testUtils.js';
+
+const { requests } = await useFakeModel(
+  ({ model, stream }) => {
+    if (model === 'broken') throw new Error('model overloaded');
+    return stream ? ['안녕', '하세요'] : `${model} 응답`;
+  },
+  { models: 'broken,working' }
+);
+const { loadProviders, listProviders, generateText, streamText } = await import('./index.js');
+const { createOpenAICompatibleProvider } = await import('./openai.js');
+
+const models = () => requests.map((r) => r.model);
+
+test('without configuration only the mock provider is available and it is the default', () => {
+  const { providers, defaultProviderId } = loadProviders({});
+  assert.deepEqual([...providers.keys()], ['mock']);
+  assert.equal(defaultProviderId, 'mock');
+});
+
+test('gemini becomes the default when its key is set and keeps the configured model order', () => {
+  const { providers, defaultProviderId } = loadProviders({ GEMINI_API_KEY: 'k', GEMINI_MODEL: 'a', GEMINI_FALLBACK_MODELS: 'b, a' });
+  assert.equal(defaultProviderId, 'gemini');
+  assert.deepEqual(providers.get('gemini').models, ['a', 'b']);
+});
+
+test('an unknown LLM_PROVIDER or an openai provider without models falls back to mock', () => {
+  assert.equal(loadProviders({ LLM_PROVIDER: 'nope' }).defaultProviderId, 'mock');
+  assert.equal(loadProviders({ OPENAI_BASE_URL: 'http://x', LLM_PROVIDER: 'openai' }).defaultProviderId, 'mock');
+});
+
+test('in production a missing or unknown provider stops the server instead of falling back to mock', () => {
+  const production = { NODE_ENV: 'production' };
+  assert.throws(() => loadProviders(production), /LLM provider "mock" is not configured/);
+  assert.throws(() => loadProviders({ ...production, LLM_PROVIDER: 'nope' }), /LLM provider "nope" is not configured/);
+  assert.throws(() => loadProviders({ ...production, OPENAI_BASE_URL: 'http://x', LLM_PROVIDER: 'openai' }), /"openai"/);
+
+  // 실제 공급자가 있으면 mock은 목록에도 없고, mock은 직접 지정해야만 씀
+  assert.deepEqual([...loadProviders({ ...production, GEMINI_API_KEY: 'k' }).providers.keys()], ['gemini']);
+  assert.equal(loadProviders({ ...production, LLM_PROVIDER: 'mock' }).defaultProviderId, 'mock');
+});
+
+test('listProviders marks the default provider', () => {
+  const openai = listProviders().find((p) => p.id === 'openai');
+  assert.deepEqual(openai, { id: 'openai', label: 'OpenAI-compatible', models: ['broken', 'working'], default: true });
+});
+
+test('generateText falls back to the next model when one fails', async () => {
+  requests.length = 0;
+  const result = await generateText('프롬프트');
+  assert.deepEqual(result, { content: 'working 응답', provider: 'openai', model: 'working' });
+  assert.deepEqual(models(), ['broken', 'working']);
+});
+
+test('generateText tries the requested model first', async () => {
+  requests.length = 0;
+  const result = await generateText('프롬프트', { model: 'working' });
+  assert.equal(result.model, 'working');
+  assert.deepEqual(models(), ['working']);
+});
+
+test('an unknown provider is a 400 error', async () => {
+  await assert.rejects(generateText('프롬프트', { provider: 'missing' }), { status: 400 });
+});
+
+test('streamText falls back before the first chunk and announces the model that answered', async () => {
+  const events = [];
+  for await (const event of streamText('프롬프트')) events.push(event);
+  assert.deepEqual(events, [
+    { type: 'start', provider: 'openai', model: 'working' },
+    { type: 'chunk', text: '안녕' },
+    { type: 'chunk', text: '하세요' },
+  ]);
+});
+
+test('stream lines that are not JSON are skipped, and a stream without content fails', async () => {
+  // 모델 이름이 곧 보낼 SSE 본문
+  const lines = {
+    mixed: [
+      'data: {"choices":[{"delta":{"content":"안녕"}}]}',
+      'data: {"choices":[{"del',
+      'data: keep-alive',
+      'data: {"choices":[{"delta":{"content":"하세요"}}]}',
+    ],
+    garbled: ['data: {"choices"', 'data: [DONE]'],
+    empty: ['data: [DONE]'],
+  };
+  const app = express();
+  app.use(express.json());
+  app.post('/v1/chat/completions', (req, res) => {
+    res.type('text/event-stream').end(lines[req.body.model].map((line) => `${line}\n\n`).join(''));
+  });
+  const provider = createOpenAICompatibleProvider({ baseUrl: `${serve(app)}/v1`, models: Object.keys(lines) });
+  const collect = async (model) => {
+    const chunks = [];
+    for await (const text of provider.stream('프롬프트', { model })) chunks.push(text);
+    return chunks;
+  };
+
+  assert.deepEqual(await collect('mixed'), ['안녕', '하세요']);
+  await assert.rejects(collect('garbled'), /no readable content \(1 unparseable lines\)/);
+  await assert.rejects(collect('empty'), /stream had no content/);
+});
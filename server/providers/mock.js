@@ -0,0 +1,180 @@
+// javascript
+/**
+ * Deterministic local mock provider
+ * - No network, no API key. Same prompt always yields the same output.
+ * - Intended for local development and automated tests.
+ * - What to produce is decided by the caller's `task` option (kind, source, sections, language), never by reading
+ *   the prompt wording, so editing ../prompts.js does not change the mock's output. Without a task the whole
+ *   prompt is treated as the source of a document.
+ */
+import crypto from 'crypto';
+import { findDateExpression } from '../koreanDates.js';
+
+/**
+ * @returns {import('./index.js').LLMProvider}
+ */
+export function createMockProvider() {
+  return {
+    id: 'mock',
+    label: 'Mock (offline)',
+    models: ['mock-1'],
+    generate: (prompt, options) => generateMock(prompt, options),
+    async *stream(prompt, options) {
+      // 줄 단위로 나누어 스트리밍을 흉내냄 (출력은 generate와 동일)
+      const content = await generateMock(prompt, options);
+      for (const line of content.split(/(?<=\n)/)) {
+        if (options?.signal?.aborted) return;
+        yield line;
+      }
+    },
+  };
+}
+
+/**
+ * 원문을 문장 단위로 나눕니다. 여러 세션을 합친 원문([세션 N | 시각] 머리글)이면
+ * 머리글은 빼고 각 문장 끝에 (세션 N) 출처를 붙입니다.
+ * @param {string} source
+ * @returns {string[]}
+ */
+function splitSentences(source) {
+  // "[mm:ss] 문장" 줄(발언 시점이 붙은 구간)은 시점을 문장 끝 (mm:ss) 인용으로 옮김
+  const split = (text) =>
+    text.split(/\n+/).flatMap((line) => {
+      const timed = line.match(/^\[(\d{1,2}:\d{2}(?::\d{2})?)\]\s*(.*)$/);
+      return (timed ? timed[2] : line)
+        .split(/(?<=[.!?。])\s+/)
+        .map((s) => s.trim())
+        .filter(Boolean)
+        .map((s) => (timed ? `${s} (${timed[1]})` : s));
+    });
+
+  const parts = source.split(/^\[세션 (\d+) \| [^\]]*\]\n/m);
+  if (parts.length === 1) return split(source);
+
+  const sentences = [];
+  for (let i = 1; i < parts.length; i += 2) {
+    split(parts[i + 1] || '').forEach((sentence) => sentences.push(`${sentence} (세션 ${parts[i]})`));
+  }
+  return sentences;
+}
+
+/**
+ * 렌더링된 구조화 문서 텍스트(structured.js의 renderStructuredDocument 형식)를 다시 구조로 읽습니다.
+ * 수정(refine) 요청처럼 기존 문서가 원문으로 들어온 경우 구조를 유지하기 위해 사용합니다.
+ * @param {string} source
+ * @returns {object | null} 형식이 아니면 null
+ */
+function parseRenderedDocument(source) {
+  const blocks = source.split(/\n{2,}/);
+  const summaryBlock = blocks[1]?.match(/^\[요약\]\n([\s\S]*)$/);
+  if (!summaryBlock) return null;
+
+  const sections = [];
+  let closing = '';
+  for (const block of blocks.slice(2)) {
+    const section = block.match(/^\[(.+?)\]\n([\s\S]*)$/);
+    if (section) sections.push({ heading: section[1], body: section[2] });
+    else closing = block;
+  }
+  return sections.length ? { title: blocks[0], summary: summaryBlock[1], sections, closing } : null;
+}
+
+const ACTION_WORDS = /해\s*주세요|해주시기|바랍니다|부탁|제출|신청|준비|챙겨|회신|확인/;
+const ASSIGNEE = /([가-힣]{2,4})\s*(선생님|님|씨)|\[이름\d+\]/;
+
+/**
+ * 추출 요청(buildExtractionPrompt)을 흉내냅니다. 날짜 표현이나 요청 표현이 있는 문장을 항목으로 만듭니다.
+ * @param {string[]} sentences - splitSentences 결과
+ * @returns {object[]}
+ */
+function extractMockItems(sentences) {
+  return sentences.flatMap((sentence) => {
+    const session = sentence.match(/ \(세션 (\d+)\)$/);
+    const quote = sentence.replace(/ \(세션 \d+\)$/, '');
+    const expression = findDateExpression(quote);
+    if (!expression && !ACTION_WORDS.test(quote)) return [];
+
+    const rest = expression ? quote.slice(quote.indexOf(expression)) : '';
+    const dateText = expression ? (rest.match(/^.{0,25}?(?:까지|\d{1,2}\s*시(?:\s*(?:\d{1,2}\s*분|반))?)/)?.[0] ?? expression) : '';
+    const type = /까지|마감|제출/.test(quote) ? 'deadline' : expression ? 'event' : 'action';
+    return [
+      {
+        type,
+        title: quote.replace(/ \(\d{1,2}:\d{2}(?::\d{2})?\)$/, '').slice(0, 40),
+        dateText,
+        date: '',
+        assignee: quote.match(ASSIGNEE)?.[0] ?? '',
+        quote,
+        ...(session ? { session: Number(session[1]) } : {}),
+      },
+    ];
+  });
+}
+
+/**
+ * @param {string} prompt
+ * @param {import('./index.js').GenerateOptions} options
+ * @returns {Promise<string>}
+ */
+async function generateMock(prompt, { model, json, task }) {
+  const { kind = 'document', source = prompt, sections = [], language = null } = task || {};
+  const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 8);
+  const sentences = splitSentences(source.trim());
+  const title = (sentences[0] || '문서').slice(0, 30);
+  // 번역 요청이면 원문 구조를 그대로 두고 줄마다 [언어 코드]를 붙여 번역을 흉내냄
+  const target = kind === 'translate' ? language : null;
+  const mark = (text) => text.replace(/^(?=.*\S)/gm, `[${target}] `);
+
+  if (json && kind === 'extract') {
+    return JSON.stringify({ items: extractMockItems(sentences) }, null, 2);
+  }
+
+  if (json) {
+    // 수정·번역 요청은 기존 문서가 원문으로 들어오므로 구조를 유지
+    const rendered = kind === 'refine' || kind === 'translate' ? parseRenderedDocument(source.trim()) : null;
+    if (rendered && target) {
+      return JSON.stringify(
+        {
+          title: mark(rendered.title),
+          summary: mark(rendered.summary),
+          sections: rendered.sections.map((s) => ({ heading: mark(s.heading), body: mark(s.body) })),
+          closing: `(mock:${model}:${digest})`,
+        },
+        null,
+        2
+      );
+    }
+    if (rendered) return JSON.stringify({ ...rendered, closing: `(mock:${model}:${digest})` }, null, 2);
+
+    // 요구 섹션이 있으면 문장을 섹션마다 고르게 나눠 담음
+    const headings = sections.filter((h) => !['제목', '요약', '맺음말'].includes(h));
+    const groups = headings.length ? headings : ['본문'];
+    const size = Math.max(1, Math.ceil(sentences.length / groups.length));
+    return JSON.stringify(
+      {
+        title,
+        summary: sentences.join(' ').slice(0, 80),
+        sections: groups.map((heading, i) => ({
+          heading,
+          body: sentences.slice(i * size, (i + 1) * size).join(' ') || '-',
+        })),
+        closing: `(mock:${model}:${digest})`,
+      },
+      null,
+      2
+    );
+  }
+
+  if (target) return `${mark(source.trim())}\n\n(mock:${model}:${digest})`;
+
+  return [
+    `제목: ${title}`,
+    '',
+    `요약: ${sentences.join(' ').slice(0, 80)}`,
+    '',
+    '본문:',
+    ...sentences.map((s, i) => `${i + 1}. ${s}`),
+    '',
+    `(mock:${model}:${digest})`,
+  ].join('\n');
+}
@@ -0,0 +1,68 @@
+// javascript
+/**
+ * Mock provider output is chosen by the caller's task, not by the prompt wording (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMockProvider } from './mock.js';
+
+const mock = createMockProvider();
+const source = '운동회는 다음 주 금요일에 열립니다. 체육복을 챙겨 주세요.';
+
+test('the same prompt always gives the same output', async () => {
+  const options = { model: 'mock-1', json: true, task: { kind: 'document', source } };
+  assert.equal(await mock.generate('프롬프트', options), await mock.generate('프롬프트', options));
+});
+
+test('a document task spreads the sentences over the requested sections', async () => {
+  const doc = JSON.parse(
+    await mock.generate('아무 문구', { model: 'mock-1', json: true, task: { kind: 'document', source, sections: ['제목', '일정', '준비물'] } })
+  );
+  assert.deepEqual(doc.sections.map((s) => s.heading), ['일정', '준비물']);
+  assert.equal(doc.sections[1].body, '체육복을 챙겨 주세요.');
+});
+
+test('the prompt wording does not change the document built from the task', async () => {
+  const task = { kind: 'document', source };
+  const body = (text) => text.split('\n').slice(0, -1).join('\n');
+  const a = await mock.generate('다음과 같습니다:\n\n다른 내용\n\n요구사항:', { model: 'mock-1', task });
+  const b = await mock.generate('전혀 다른 문구', { model: 'mock-1', task });
+  assert.equal(body(a), body(b));
+  assert.match(a, /^제목: 운동회는 다음 주 금요일에 열립니다\.\n\n요약: 운동회는/);
+  assert.match(a, /\n1\. 운동회는 다음 주 금요일에 열립니다\.\n2\. 체육복을 챙겨 주세요\.\n/);
+});
+
+test('the prompt wording does not change what the task produces', async () => {
+  const task = { kind: 'extract', source };
+  const a = JSON.parse(await mock.generate('추출하세요', { model: 'mock-1', json: true, task }));
+  const b = JSON.parse(await mock.generate('전혀 다른 문구', { model: 'mock-1', json: true, task }));
+  assert.deepEqual(a, b);
+  assert.deepEqual(a.items.map((i) => i.type), ['event', 'action']);
+});
+
+test('a translate task keeps the document structure and marks each line with the language', async () => {
+  const rendered = '운동회 안내\n\n[요약]\n운동회가 열립니다.\n\n[일정]\n금요일';
+  const doc = JSON.parse(
+    await mock.generate('p', { model: 'mock-1', json: true, task: { kind: 'translate', source: rendered, language: 'vi' } })
+  );
+  assert.equal(doc.title, '[vi] 운동회 안내');
+  assert.deepEqual(doc.sections, [{ heading: '[vi] 일정', body: '[vi] 금요일' }]);
+});
+
+test('a refine task returns the rendered document it was given', async () => {
+  const rendered = '운동회 안내\n\n[요약]\n운동회가 열립니다.\n\n[일정]\n금요일';
+  const doc = JSON.parse(await mock.generate('p', { model: 'mock-1', json: true, task: { kind: 'refine', source: rendered } }));
+  assert.equal(doc.summary, '운동회가 열립니다.');
+});
+
+test('without a task the whole prompt is the source', async () => {
+  const text = await mock.generate(source, { model: 'mock-1' });
+  assert.match(text, /^제목: 운동회는 다음 주 금요일에 열립니다\./);
+});
+
+test('streaming yields the same text as generate', async () => {
+  const options = { model: 'mock-1', json: true, task: { kind: 'document', source } };
+  let streamed = '';
+  for await (const chunk of mock.stream('p', options)) streamed += chunk;
+  assert.equal(streamed, await mock.generate('p', options));
+});
@@ -0,0 +1,119 @@
+// javascript
+/**
+ * OpenAI-compatible HTTP adapter
+ * - Works with any server exposing `POST {baseUrl}/chat/completions`
+ *   (vLLM, Ollama, LM Studio, llama.cpp server, OpenAI itself, ...).
+ * - `timeoutMs` bounds a whole non-streaming request; a stream only times out when no bytes arrive for `timeoutMs`,
+ *   so a long document that keeps producing tokens is never cut off.
+ * - Stream lines that are not valid JSON are skipped; a stream fails only when no content arrives at all.
+ */
+
+/**
+ * @param {{ baseUrl: string, apiKey?: string, models: string[], timeoutMs?: number }} config
+ * @returns {import('./index.js').LLMProvider}
+ */
+export function createOpenAICompatibleProvider({ baseUrl, apiKey, models, timeoutMs = 60000 }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    id: 'openai',
+    label: 'OpenAI-compatible',
+    models,
+    async generate(prompt, { model, json }) {
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+        },
+        body: JSON.stringify({
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          ...(json ? { response_format: { type: 'json_object' } } : {}),
+        }),
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw new Error(data?.error?.message || `OpenAI-compatible request failed (${res.status})`);
+      }
+      const content = data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('OpenAI-compatible response has no message content');
+      }
+      return content;
+    },
+    async *stream(prompt, { model, json, signal }) {
+      // 응답이 멈춘 채 timeoutMs가 지나면 중단 (받는 동안에는 조각마다 다시 잼)
+      const idle = new AbortController();
+      let timer;
+      const resetIdleTimer = () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => idle.abort(new DOMException(`No response for ${timeoutMs}ms`, 'TimeoutError')), timeoutMs);
+      };
+      resetIdleTimer();
+
+      try {
+        const res = await fetch(endpoint, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+          },
+          body: JSON.stringify({
+            model,
+            stream: true,
+            messages: [{ role: 'user', content: prompt }],
+            ...(json ? { response_format: { type: 'json_object' } } : {}),
+          }),
+          signal: signal ? AbortSignal.any([signal, idle.signal]) : idle.signal,
+        });
+
+        if (!res.ok) {
+          const data = await res.json().catch(() => null);
+          throw new Error(data?.error?.message || `OpenAI-compatible request failed (${res.status})`);
+        }
+
+        // SSE: "data: {json}\n\n" ... "data: [DONE]"
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let received = false;
+        let unreadable = 0;
+        for await (const bytes of res.body) {
+          resetIdleTimer();
+          buffer += decoder.decode(bytes, { stream: true });
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          for (const line of lines) {
+            const data = line.replace(/^data:\s*/, '').trim();
+            if (!line.startsWith('data:') || !data || data === '[DONE]') continue;
+            // 일부 서버가 섞어 보내는 keep-alive·잘린 줄은 건너뜀
+            let event;
+            try {
+              event = JSON.parse(data);
+            } catch {
+              unreadable += 1;
+              continue;
+            }
+            const text = event?.choices?.[0]?.delta?.content;
+            if (text) {
+              received = true;
+              yield text;
+            }
+          }
+        }
+        // 내용이 하나도 없으면 실패로 보고 다음 모델로 넘어가게 함
+        if (!received) {
+          throw new Error(
+            unreadable > 0
+              ? `OpenAI-compatible stream had no readable content (${unreadable} unparseable lines)`
+              : 'OpenAI-compatible stream had no content'
+          );
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
@@ -0,0 +1,89 @@
+// javascript
+/**
+ * Read-only HTML for published document pages (/n/:slug): a single self-contained, mobile-first page
+ * without scripts, so it opens quickly from an SMS link on any phone browser.
+ */
+import { formatZonedTime } from './timezone.js';
+
+const STYLE = `
+  * { box-sizing: border-box; }
+  body { margin: 0; background: #f5f5f5; color: #222; font: 17px/1.7 -apple-system, "Apple SD Gothic Neo", "Malgun Gothic", "Noto Sans KR", sans-serif; word-break: keep-all; overflow-wrap: anywhere; }
+  main { max-width: 720px; margin: 0 auto; padding: 20px 18px 40px; background: #fff; min-height: 100vh; }
+  .org { font-weight: 700; font-size: 15px; color: #555; border-bottom: 2px solid #333; padding-bottom: 6px; }
+  .date { text-align: right; color: #777; font-size: 14px; margin-top: 6px; }
+  h1 { font-size: 22px; line-height: 1.4; margin: 18px 0 12px; text-align: center; }
+  h2 { font-size: 18px; margin: 22px 0 6px; }
+  .summary { background: #f0f5ff; border-radius: 6px; padding: 10px 12px; }
+  p { margin: 0 0 10px; white-space: pre-wrap; }
+  .signer { text-align: right; font-weight: 700; margin-top: 28px; }
+  footer { margin-top: 32px; font-size: 12px; color: #999; text-align: center; }
+  .notice { text-align: center; padding-top: 30vh; color: #555; }
+`;
+
+const escapeHtml = (text) =>
+  String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/** 빈 줄로 나뉜 문단을 <p>로 (한 줄 바꿈은 pre-wrap으로 유지) */
+const paragraphs = (text) =>
+  String(text || '')
+    .split(/\n{2,}/)
+    .filter((block) => block.trim())
+    .map((block) => `<p>${escapeHtml(block)}</p>`)
+    .join('\n');
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+${body}
+</main>
+</body>
+</html>`;
+
+/**
+ * 게시된 문서 페이지
+ * @param {object} publication - { title, content, structured, letterhead, publishedAt }
+ * @returns {string} HTML
+ */
+export function renderPublicationPage(publication) {
+  const { structured, letterhead = {} } = publication;
+  const body = structured
+    ? [
+        `<h1>${escapeHtml(structured.title)}</h1>`,
+        `<div class="summary">${paragraphs(structured.summary)}</div>`,
+        ...structured.sections.map((s) => `<h2>${escapeHtml(s.heading)}</h2>\n${paragraphs(s.body)}`),
+        paragraphs(structured.closing),
+      ]
+    : [paragraphs(publication.content)];
+  return page(
+    publication.title,
+    [
+      letterhead.orgName ? `<div class="org">${escapeHtml(letterhead.orgName)}</div>` : '',
+      letterhead.date ? `<div class="date">${escapeHtml(letterhead.date)}</div>` : '',
+      ...body,
+      letterhead.signer ? `<div class="signer">${escapeHtml(letterhead.signer)}</div>` : '',
+      `<footer>${escapeHtml(formatZonedTime(publication.publishedAt))} 게시</footer>`,
+    ]
+      .filter(Boolean)
+      .join('\n')
+  );
+}
+
+/**
+ * 볼 수 없는 페이지 (없거나 게시가 끝남)
+ * @param {string} message
+ * @returns {string} HTML
+ */
+export const renderUnavailablePage = (message) => page(message, `<p class="notice">${escapeHtml(message)}</p>`);
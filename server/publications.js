@@ -0,0 +1,177 @@
+// javascript
+/**
+ * Published document pages (/n/:slug)
+ * - Publishing snapshots a saved document's content into a publication with a short random slug, so the link stays
+ *   stable while the page is live. Publishing the same document again refreshes the snapshot behind the same link.
+ * - The page shows when it was published (publishedAt). Views are counted in a separate collection, so a visit
+ *   neither rewrites the publication nor changes its updatedAt.
+ * - A publication stops being served when it expires (expiresAt) or is unpublished; publishing again afterwards
+ *   issues a new link.
+ * - PUBLIC_BASE_URL sets the origin used in short links (defaults to the origin of the publishing request).
+ */
+import crypto from 'crypto';
+import { publications, publicationViews } from './db.js';
+import { DEFAULT_TIMEZONE, zonedTimeToUtc, formatZonedTime } from './timezone.js';
+
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+// 헷갈리는 글자(0/O, 1/l/I)를 뺀 문자
+const SLUG_ALPHABET = '23456789abcdefghijkmnopqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ';
+const SLUG_LENGTH = 7;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/** @returns {string} 사용 중이지 않은 짧은 주소 */
+function createSlug() {
+  for (;;) {
+    const slug = Array.from(crypto.randomBytes(SLUG_LENGTH), (b) => SLUG_ALPHABET[b % SLUG_ALPHABET.length]).join('');
+    if (!publications.list((p) => p.slug === slug).length) return slug;
+  }
+}
+
+/**
+ * 만료 시각을 읽습니다. null이면 만료 없음.
+ * @param {unknown} expiresAt - 서울 시각 "YYYY-MM-DD HH:mm" 또는 시간대가 붙은 ISO 8601, null
+ * @returns {Date | null}
+ */
+function parseExpiresAt(expiresAt) {
+  if (expiresAt === null) return null;
+  if (typeof expiresAt !== 'string' || !expiresAt.trim()) throw badRequest('expiresAt은 시각 문자열 또는 null이어야 합니다.');
+  const value = expiresAt.trim();
+  const date = /(Z|[+-]\d{2}:?\d{2})$/.test(value) ? new Date(value) : zonedTimeToUtc(value, DEFAULT_TIMEZONE);
+  if (!date || Number.isNaN(date.getTime())) {
+    throw badRequest('expiresAt 형식이 올바르지 않습니다. (예: 2024-05-31 18:00)');
+  }
+  if (date.getTime() <= Date.now()) throw badRequest('만료 시각은 지금 이후여야 합니다.');
+  return date;
+}
+
+/** 만료 입력을 저장 필드로 */
+const expiryFields = (expiresAt) => {
+  const date = parseExpiresAt(expiresAt);
+  return { expiresAt: date ? date.toISOString() : null, localExpiresAt: date ? formatZonedTime(date) : null };
+};
+
+/**
+ * 게시 상태
+ * @param {object} publication
+ * @param {Date} [now]
+ * @returns {'live' | 'expired' | 'unpublished'}
+ */
+export function publicationStatus(publication, now = new Date()) {
+  if (publication.unpublishedAt) return 'unpublished';
+  if (publication.expiresAt && Date.parse(publication.expiresAt) <= now.getTime()) return 'expired';
+  return 'live';
+}
+
+/**
+ * 짧은 링크의 기준 주소 (PUBLIC_BASE_URL, 없으면 요청한 주소. Cloud Run 등 프록시 뒤에서는 X-Forwarded-Proto 사용)
+ * @param {import('express').Request} req
+ * @returns {string}
+ */
+export function publicBaseUrl(req) {
+  if (PUBLIC_BASE_URL) return PUBLIC_BASE_URL;
+  const protocol = req.get('x-forwarded-proto')?.split(',')[0].trim() || req.protocol;
+  return `${protocol}://${req.get('host')}`;
+}
+
+/**
+ * 페이지 조회 수
+ * @param {object} publication
+ * @returns {{ views: number, lastViewedAt: string | null }}
+ */
+export function viewCount(publication) {
+  const counter = publicationViews.list((v) => v.publicationId === publication.id)[0];
+  return { views: counter?.views || 0, lastViewedAt: counter?.lastViewedAt || null };
+}
+
+/**
+ * 응답용 게시 정보 (상태, 조회 수, 짧은 링크 포함)
+ * @param {object} publication
+ * @param {string} baseUrl
+ * @returns {object}
+ */
+export const toPublicPublication = (publication, baseUrl) => ({
+  ...publication,
+  ...viewCount(publication),
+  status: publicationStatus(publication),
+  url: `${baseUrl}/n/${publication.slug}`,
+});
+
+/**
+ * 문서를 게시합니다. 같은 문서가 게시 중이면 그 페이지의 내용을 새로 고칩니다.
+ * @param {object} document - 저장된 문서
+ * @param {{ expiresAt?: string | null, letterhead: { orgName: string, date: string, signer: string } }} options
+ *   - expiresAt을 빼면 새 게시는 만료 없음, 기존 게시는 만료를 그대로 둠
+ * @returns {{ publication: object, created: boolean }}
+ */
+export function publishDocument(document, { expiresAt, letterhead }) {
+  const snapshot = {
+    title: document.structured?.title || document.editedContent.split('\n').find((line) => line.trim())?.trim() || '안내문',
+    content: document.editedContent,
+    structured: document.structured ?? null,
+    letterhead,
+    publishedAt: new Date().toISOString(),
+    ...(expiresAt !== undefined ? expiryFields(expiresAt) : {}),
+  };
+  const live = publications.list((p) => p.documentId === document.id && publicationStatus(p) === 'live')[0];
+  if (live) return { publication: publications.update(live.id, snapshot), created: false };
+  return {
+    publication: publications.insert({
+      slug: createSlug(),
+      documentId: document.id,
+      sessionId: document.sessionId,
+      expiresAt: null,
+      localExpiresAt: null,
+      ...snapshot,
+      unpublishedAt: null,
+    }),
+    created: true,
+  };
+}
+
+/**
+ * 만료 시각을 바꿉니다. (게시 중인 페이지만)
+ * @param {object} publication
+ * @param {string | null} expiresAt
+ * @returns {object}
+ */
+export function setExpiry(publication, expiresAt) {
+  if (publicationStatus(publication) !== 'live') {
+    throw Object.assign(new Error('게시가 끝난 페이지는 수정할 수 없습니다. 다시 게시해주세요.'), { status: 409 });
+  }
+  return publications.update(publication.id, expiryFields(expiresAt));
+}
+
+/**
+ * 게시를 중단합니다. 중단한 링크는 되살리지 않습니다.
+ * @param {object} publication
+ * @returns {object}
+ */
+export const unpublish = (publication) =>
+  publication.unpublishedAt ? publication : publications.update(publication.id, { unpublishedAt: new Date().toISOString() });
+
+/**
+ * 문서의 게시를 모두 중단합니다. (문서를 지울 때)
+ * @param {(publication: object) => boolean} predicate - 예: (p) => p.documentId === id
+ * @returns {number} 중단한 페이지 수
+ */
+export function unpublishWhere(predicate) {
+  const live = publications.list((p) => predicate(p) && !p.unpublishedAt);
+  live.forEach(unpublish);
+  return live.length;
+}
+
+/**
+ * 페이지 조회를 기록합니다. (게시 기록은 그대로 두고 조회 수만 올림)
+ * @param {object} publication
+ * @returns {{ views: number, lastViewedAt: string }}
+ */
+export function recordView(publication) {
+  const counter = publicationViews.list((v) => v.publicationId === publication.id)[0];
+  const lastViewedAt = new Date().toISOString();
+  const saved = counter
+    ? publicationViews.update(counter.id, { views: counter.views + 1, lastViewedAt })
+    : publicationViews.insert({ publicationId: publication.id, views: 1, lastViewedAt });
+  return { views: saved.views, lastViewedAt };
+}
@@ -0,0 +1,181 @@
+// javascript
+/**
+ * PII redaction before text is sent to the model provider.
+ * - Detects 주민등록번호, phone numbers, street/lot addresses and names from the stored name list
+ *   (see ./routes/redaction.js) and replaces each distinct value with a placeholder such as "[이름1]".
+ * - The model is told to keep placeholders as they are; they are restored in the returned document.
+ * - REDACTION=off disables the stage (e.g. for local debugging with the mock provider).
+ */
+import { redactionNames } from './db.js';
+
+export const REDACTION_ENABLED = process.env.REDACTION !== 'off';
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 시·도 약칭 (주소 앞에 붙는 "서울", "경기" 등)
+const PROVINCES = '서울|부산|대구|인천|광주|대전|울산|세종|경기|강원|충북|충남|전북|전남|경북|경남|제주';
+// 행정구역 단위 (두 글자 이상 + 단위: "다시", "연구" 같은 일반 단어를 제외하기 위함)
+const REGION = '[가-힣]{2,}(?:특별시|광역시|특별자치시|특별자치도|시|도|군|구)';
+
+/**
+ * 개인정보 유형. 앞에 있을수록 같은 위치에서 우선합니다.
+ * - normalize: 같은 값을 같은 자리표시자로 묶기 위한 정규화 (전화번호 구분자 차이 등)
+ */
+const PII_TYPES = [
+  {
+    type: 'rrn',
+    label: '주민등록번호',
+    pattern: /(?<!\d)\d{2}(?:0[1-9]|1[0-2])(?:0[1-9]|[12]\d|3[01])\s?-?\s?[1-8]\d{6}(?!\d)/g,
+    normalize: (s) => s.replace(/\D/g, ''),
+  },
+  {
+    type: 'phone',
+    label: '전화번호',
+    pattern: /(?<![\d+])(?:\+82[-.\s]?|\(?0)(?:1[016789]|2|[3-6][1-5]|70)\)?[-.\s]?\d{3,4}[-.\s]?\d{4}(?!\d)/g,
+    normalize: (s) => s.replace(/\D/g, '').replace(/^82/, '0'),
+  },
+  {
+    type: 'address',
+    label: '주소',
+    pattern: new RegExp(
+      [
+        // 도로명/지번 주소: 행정구역 1개 이상 + 도로명·동 + 번지 (+ 동·호)
+        `(?<![가-힣])(?:(?:${PROVINCES})\\s+)?(?:${REGION}\\s+){1,3}[가-힣0-9]+(?:로|길|동|리|가)\\s*\\d+(?:-\\d+)?(?:번지|번길)?(?:\\s*\\d+동)?(?:\\s*\\d+호)?`,
+        // 공동주택 동·호수
+        '(?<!\\d)\\d{1,4}동\\s*\\d{1,4}호',
+      ].join('|'),
+      'g'
+    ),
+    normalize: (s) => s.replace(/\s+/g, ' '),
+  },
+  {
+    type: 'name',
+    label: '이름',
+    pattern: null, // 저장된 이름 목록으로 만듦
+    normalize: (s) => s,
+  },
+];
+
+const LABELS = Object.fromEntries(PII_TYPES.map((t) => [t.type, t.label]));
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(${PII_TYPES.map((t) => t.label).join('|')})(\\d+)\\]`, 'g');
+
+/**
+ * 이름 목록으로 이름 정규식을 만듭니다. 긴 이름을 먼저 찾고, 다른 단어 중간에서는 찾지 않습니다. (조사는 허용)
+ * @param {string[]} names
+ * @returns {RegExp | null}
+ */
+function namePattern(names) {
+  const list = [...new Set(names.map((n) => n.trim()).filter(Boolean))].sort((a, b) => b.length - a.length);
+  if (list.length === 0) return null;
+  return new RegExp(`(?<![가-힣A-Za-z])(?:${list.map(escapeRegExp).join('|')})`, 'g');
+}
+
+/**
+ * 텍스트에서 개인정보 위치를 찾습니다. 겹치면 먼저 시작하는(같으면 긴) 것을 씁니다.
+ * @param {string} text
+ * @param {RegExp | null} names - namePattern 결과
+ * @returns {{ type: string, start: number, end: number, value: string }[]}
+ */
+export function findPii(text, names) {
+  const found = PII_TYPES.flatMap(({ type, pattern }, priority) => {
+    const regex = type === 'name' ? names : pattern;
+    if (!regex) return [];
+    return [...text.matchAll(regex)].map((m) => ({ type, priority, start: m.index, end: m.index + m[0].length, value: m[0] }));
+  });
+  found.sort((a, b) => a.start - b.start || b.end - a.end || a.priority - b.priority);
+
+  const picked = [];
+  for (const { priority, ...match } of found) {
+    if (picked.length && match.start < picked[picked.length - 1].end) continue;
+    picked.push(match);
+  }
+  return picked;
+}
+
+/**
+ * 요청 하나의 개인정보 가리기 도구를 만듭니다. 같은 요청의 여러 텍스트(원문, 수정 요청 등)에서
+ * 같은 값은 같은 자리표시자를 씁니다.
+ * @param {{ names?: string[], enabled?: boolean }} [options] - names 기본값은 저장된 이름 목록
+ * @returns {{
+ *   redact: (text: string) => string,
+ *   restore: (text: string) => string,
+ *   restoreDeep: <T>(value: T) => T,
+ *   report: () => { placeholder: string, type: string, label: string, original: string, count: number }[],
+ * }}
+ * @example
+ * const redactor = createRedactor({ names: ['김민수'] });
+ * redactor.redact('김민수 학생 보호자 010-1234-5678'); // => '[이름1] 학생 보호자 [전화번호1]'
+ * redactor.restore('[이름1] 학생'); // => '김민수 학생'
+ */
+export function createRedactor({ names = redactionNames.list().map((n) => n.name), enabled = REDACTION_ENABLED } = {}) {
+  const nameRegex = namePattern(names);
+  const byKey = new Map(); // `${type}:${정규화 값}` → 항목
+  const byPlaceholder = new Map();
+  const counters = {};
+
+  const entryFor = ({ type, value }) => {
+    const key = `${type}:${PII_TYPES.find((t) => t.type === type).normalize(value)}`;
+    let entry = byKey.get(key);
+    if (!entry) {
+      counters[type] = (counters[type] || 0) + 1;
+      entry = { placeholder: `[${LABELS[type]}${counters[type]}]`, type, label: LABELS[type], original: value, count: 0 };
+      byKey.set(key, entry);
+      byPlaceholder.set(entry.placeholder, entry);
+    }
+    entry.count += 1;
+    return entry;
+  };
+
+  const restore = (text) =>
+    typeof text === 'string' ? text.replace(PLACEHOLDER_PATTERN, (m) => byPlaceholder.get(m)?.original ?? m) : text;
+
+  const restoreDeep = (value) => {
+    if (typeof value === 'string') return restore(value);
+    if (Array.isArray(value)) return value.map(restoreDeep);
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restoreDeep(v)]));
+    }
+    return value;
+  };
+
+  return {
+    redact(text) {
+      if (!enabled || !text) return text;
+      let result = '';
+      let cursor = 0;
+      for (const match of findPii(text, nameRegex)) {
+        result += text.slice(cursor, match.start) + entryFor(match).placeholder;
+        cursor = match.end;
+      }
+      return result + text.slice(cursor);
+    },
+    restore,
+    restoreDeep,
+    report: () => [...byKey.values()].map((entry) => ({ ...entry })),
+  };
+}
+
+/**
+ * 모델에게 줄 자리표시자 유지 지침
+ * @param {ReturnType<typeof createRedactor>} redactor
+ * @returns {string | null} 가린 값이 없으면 null
+ */
+export function buildRedactionGuidance(redactor) {
+  const placeholders = redactor.report().map((e) => e.placeholder);
+  if (placeholders.length === 0) return null;
+  return `- ${placeholders.slice(0, 3).join(', ')} 같은 대괄호 표시는 개인정보를 가린 것입니다. 표시를 바꾸거나 풀어 쓰지 말고 그대로 사용`;
+}
+
+/**
+ * 이름 목록 입력값을 검증하고 정규화합니다.
+ * @param {unknown} names
+ * @returns {{ value?: string[], error?: string }}
+ */
+export function validateNames(names) {
+  if (!Array.isArray(names) || names.some((n) => typeof n !== 'string')) {
+    return { error: 'names는 문자열 배열이어야 합니다.' };
+  }
+  const value = [...new Set(names.map((n) => n.trim()).filter(Boolean))];
+  if (value.some((n) => n.length > 50)) return { error: '이름은 50자 이내로 입력해주세요.' };
+  return { value };
+}
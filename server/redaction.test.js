@@ -0,0 +1,57 @@
+// javascript
+/**
+ * PII detection, placeholders and restoring them (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withTempDataDir } from './testUtils.js';
+
+withTempDataDir('redaction');
+const { createRedactor, buildRedactionGuidance, validateNames } = await import('./redaction.js');
+
+test('names, phone numbers, resident numbers and addresses are replaced by placeholders', () => {
+  const redactor = createRedactor({ names: ['김민수'], enabled: true });
+  const text = '김민수 학생 보호자 010-1234-5678, 주민번호 900101-1234567, 주소 서울 강남구 테헤란로 123 101동 1203호';
+  assert.equal(redactor.redact(text), '[이름1] 학생 보호자 [전화번호1], 주민번호 [주민등록번호1], 주소 [주소1]');
+});
+
+test('the same value gets the same placeholder across texts of one request', () => {
+  const redactor = createRedactor({ names: ['김민수', '이서연'], enabled: true });
+  assert.equal(redactor.redact('김민수, 이서연'), '[이름1], [이름2]');
+  assert.equal(redactor.redact('김민수에게 010 1234 5678로'), '[이름1]에게 [전화번호1]로');
+  assert.equal(redactor.redact('+82-10-1234-5678'), '[전화번호1]');
+  assert.deepEqual(
+    redactor.report().map(({ placeholder, count }) => [placeholder, count]),
+    [['[이름1]', 2], ['[이름2]', 1], ['[전화번호1]', 2]]
+  );
+});
+
+test('names inside other words are not masked', () => {
+  const redactor = createRedactor({ names: ['민수'], enabled: true });
+  assert.equal(redactor.redact('김민수와 민수는'), '김민수와 [이름1]는');
+});
+
+test('placeholders are restored in strings and nested documents, unknown ones are kept', () => {
+  const redactor = createRedactor({ names: ['김민수'], enabled: true });
+  redactor.redact('김민수');
+  assert.equal(redactor.restore('[이름1] 학생, [이름9]'), '김민수 학생, [이름9]');
+  assert.deepEqual(redactor.restoreDeep({ sections: [{ body: '[이름1]' }], repairs: 0 }), { sections: [{ body: '김민수' }], repairs: 0 });
+});
+
+test('a disabled redactor leaves text unchanged and gives no guidance', () => {
+  const redactor = createRedactor({ names: ['김민수'], enabled: false });
+  assert.equal(redactor.redact('김민수 010-1234-5678'), '김민수 010-1234-5678');
+  assert.equal(buildRedactionGuidance(redactor), null);
+});
+
+test('the guidance names a few placeholders', () => {
+  const redactor = createRedactor({ names: ['김민수'], enabled: true });
+  redactor.redact('김민수 010-1234-5678');
+  assert.match(buildRedactionGuidance(redactor), /^- \[이름1\], \[전화번호1\] 같은 대괄호 표시는/);
+});
+
+test('name lists are trimmed, deduplicated and length-checked', () => {
+  assert.deepEqual(validateNames([' 김민수 ', '김민수', '']).value, ['김민수']);
+  assert.match(validateNames('김민수').error, /배열/);
+  assert.match(validateNames(['가'.repeat(51)]).error, /50자/);
+});
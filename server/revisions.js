@@ -0,0 +1,83 @@
+// javascript
+/**
+ * Document revision history.
+ * - Every generation, saved edit, refinement and restore of a document is kept as a revision
+ *   { id, documentId, sessionId, action, content, structured, documentType, templateId, restoredFrom, createdAt }.
+ * - Documents created before revisions existed get their stored state recorded as a baseline before the first change.
+ */
+import { documents, revisions } from './db.js';
+
+export const REVISION_ACTIONS = ['generated', 'edited', 'refined', 'restored'];
+
+const byNewest = (a, b) => String(b.createdAt).localeCompare(String(a.createdAt));
+
+/**
+ * 문서의 리비전 목록 (최신순)
+ * @param {string} documentId
+ * @returns {object[]}
+ */
+export const listRevisions = (documentId) => revisions.list((r) => r.documentId === documentId).sort(byNewest);
+
+/**
+ * 문서의 현재 상태를 리비전으로 기록합니다.
+ * @param {object} document - 저장된 문서
+ * @param {string} action - 'generated' | 'edited' | 'refined' | 'restored'
+ * @param {{ restoredFrom?: string | null, createdAt?: string }} [options]
+ * @returns {object} 기록된 리비전
+ */
+export function recordRevision(document, action, { restoredFrom = null, createdAt } = {}) {
+  return revisions.insert({
+    ...(createdAt ? { createdAt } : {}),
+    documentId: document.id,
+    sessionId: document.sessionId,
+    action,
+    content: document.editedContent,
+    structured: document.structured ?? null,
+    documentType: document.documentType,
+    templateId: document.templateId ?? null,
+    restoredFrom,
+  });
+}
+
+/**
+ * 리비전이 없는 (기능 도입 전) 문서의 현재 상태를 기준 리비전으로 남깁니다.
+ * @param {object} document
+ */
+function ensureBaseline(document) {
+  if (revisions.list((r) => r.documentId === document.id).length > 0) return;
+  recordRevision(document, document.editedContent === document.generatedContent ? 'generated' : 'edited', {
+    createdAt: document.updatedAt,
+  });
+}
+
+/**
+ * 문서를 수정하고, 내용(편집본/구조)이 바뀌었으면 리비전으로 기록합니다.
+ * @param {object} document - 기존 문서
+ * @param {object} patch - 바꿀 필드
+ * @param {string} [action='edited']
+ * @returns {object} 수정된 문서
+ */
+export function updateWithRevision(document, patch, action = 'edited') {
+  ensureBaseline(document);
+  const updated = documents.update(document.id, patch);
+  const changed =
+    updated.editedContent !== document.editedContent ||
+    JSON.stringify(updated.structured ?? null) !== JSON.stringify(document.structured ?? null);
+  if (changed) recordRevision(updated, action);
+  return updated;
+}
+
+/**
+ * 이전 리비전의 내용으로 문서를 되돌립니다. 되돌린 상태도 새 리비전('restored')으로 남깁니다.
+ * @param {object} document
+ * @param {object} revision - 되돌릴 리비전 (같은 문서)
+ * @returns {{ document: object, revision: object }}
+ */
+export function restoreRevision(document, revision) {
+  ensureBaseline(document);
+  const updated = documents.update(document.id, {
+    editedContent: revision.content,
+    structured: revision.structured ?? null,
+  });
+  return { document: updated, revision: recordRevision(updated, 'restored', { restoredFrom: revision.id }) };
+}
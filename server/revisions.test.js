@@ -0,0 +1,79 @@
+// javascript
+/**
+ * Document revisions: baselines for older documents, recording only real changes and restoring (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withTempDataDir, tick } from './testUtils.js';
+
+withTempDataDir('revisions');
+const { documents } = await import('./db.js');
+const { listRevisions, recordRevision, updateWithRevision, restoreRevision } = await import('./revisions.js');
+
+const createDocument = (content, extra = {}) =>
+  documents.insert({
+    sessionId: 'session-1',
+    documentType: '가정통신문',
+    templateId: 'notice',
+    generatedContent: content,
+    editedContent: content,
+    structured: null,
+    ...extra,
+  });
+
+test('recordRevision keeps the document content and metadata', () => {
+  const document = createDocument('현장 체험학습 안내', { structured: { title: '안내', sections: [] } });
+  const revision = recordRevision(document, 'generated');
+  assert.equal(revision.documentId, document.id);
+  assert.equal(revision.sessionId, 'session-1');
+  assert.equal(revision.action, 'generated');
+  assert.equal(revision.content, '현장 체험학습 안내');
+  assert.deepEqual(revision.structured, { title: '안내', sections: [] });
+  assert.equal(revision.templateId, 'notice');
+  assert.equal(revision.restoredFrom, null);
+});
+
+test('a document without revisions gets its stored state as a baseline before the first change', async () => {
+  const document = createDocument('원래 내용', { editedContent: '손본 내용' });
+  await tick();
+  const updated = updateWithRevision(document, { editedContent: '다시 손본 내용' });
+  assert.equal(updated.editedContent, '다시 손본 내용');
+
+  const [latest, baseline] = listRevisions(document.id);
+  assert.equal(latest.action, 'edited');
+  assert.equal(latest.content, '다시 손본 내용');
+  // 생성본과 편집본이 달랐으므로 기준 리비전은 'edited'
+  assert.equal(baseline.action, 'edited');
+  assert.equal(baseline.content, '손본 내용');
+  assert.equal(baseline.createdAt, document.updatedAt);
+});
+
+test('updates that do not change the content or structure record no revision', async () => {
+  const document = createDocument('그대로인 내용');
+  await tick();
+  updateWithRevision(document, { title: '제목만 바꿈' });
+  const revisions = listRevisions(document.id);
+  assert.equal(revisions.length, 1);
+  assert.equal(revisions[0].action, 'generated');
+
+  updateWithRevision(documents.get(document.id), { structured: { title: '새 구조', sections: [] } }, 'refined');
+  assert.equal(listRevisions(document.id)[0].action, 'refined');
+});
+
+test('restoreRevision brings back an earlier revision and records it as restored', async () => {
+  const document = createDocument('첫 번째');
+  await tick();
+  const edited = updateWithRevision(document, { editedContent: '두 번째' });
+  const first = listRevisions(document.id).find((r) => r.content === '첫 번째');
+  await tick();
+
+  const { document: restored, revision } = restoreRevision(edited, first);
+  assert.equal(restored.editedContent, '첫 번째');
+  assert.equal(documents.get(document.id).editedContent, '첫 번째');
+  assert.equal(revision.action, 'restored');
+  assert.equal(revision.restoredFrom, first.id);
+  assert.deepEqual(
+    listRevisions(document.id).map((r) => r.action),
+    ['restored', 'edited', 'generated']
+  );
+});
@@ -0,0 +1,134 @@
+// javascript
+/**
+ * Checklist routes for extracted and hand-written events, deadlines and to-dos (see ../extraction.js)
+ *
+ * @api {get} /api/action-items List a checklist (by date, undated items last)
+ * @apiQuery {String} [documentId] Checklist of a document
+ * @apiQuery {String} [sessionId]  Checklist of sessions extracted without a document (used when documentId is omitted)
+ * @api {post} /api/action-items Add an item by hand
+ * @api {put} /api/action-items/:id Update an item (only the given fields)
+ * @api {delete} /api/action-items/:id Delete an item
+ * @api {get} /api/action-items/calendar.ics Download the dated items of a checklist as an iCalendar file
+ * @apiGroup ActionItems
+ *
+ * @apiBody {String}   [documentId] Document the item belongs to (POST; required unless sessionIds is given)
+ * @apiBody {String[]} [sessionIds] Sessions the item belongs to (POST without documentId)
+ * @apiBody {String}   type         'event' | 'deadline' | 'action'
+ * @apiBody {String}   title        What has to happen
+ * @apiBody {String}   [assignee]   Who is responsible
+ * @apiBody {String}   [date]       "YYYY-MM-DD" (null to clear, which also clears the time)
+ * @apiBody {String}   [time]       "HH:mm" in Asia/Seoul (null for an all-day item)
+ * @apiBody {Boolean}  [done]       Checked off
+ *
+ * @apiSuccess {Object} item { id, documentId, sessionIds, type, title, assignee, date, time, dateText, quote,
+ *   referenceTime, done, source ('extracted' | 'manual'), edited, createdAt, updatedAt }
+ *   (editing anything but `done` marks an extracted item as edited so that re-extraction keeps it)
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { actionItems, sessions, documents } from '../db.js';
+import { listActionItems, validateActionItem } from '../extraction.js';
+import { renderCalendar } from '../calendar.js';
+
+const router = Router();
+
+/**
+ * 조회 범위를 검증합니다.
+ * @param {{ documentId?: unknown, sessionId?: unknown }} query
+ * @returns {{ value?: { documentId: string | null, sessionId: string | null }, error?: string }}
+ */
+function parseScope({ documentId, sessionId }) {
+  if (typeof documentId === 'string' && documentId) return { value: { documentId, sessionId: null } };
+  if (typeof sessionId === 'string' && sessionId) return { value: { documentId: null, sessionId } };
+  return { error: 'documentId 또는 sessionId가 필요합니다.' };
+}
+
+/** .ics 파일 이름 (문서 제목이나 세션 기준) */
+function calendarName({ documentId, sessionId }) {
+  const document = documentId ? documents.get(documentId) : null;
+  const title = document?.structured?.title || document?.documentType;
+  if (title) return `${title} 일정`;
+  const session = sessions.get(sessionId || document?.sessionId);
+  return session ? `${session.timestamp.slice(0, 10)} 녹음 일정` : '일정';
+}
+
+// GET /:id 보다 먼저 등록해야 calendar.ics가 id로 잡히지 않음
+router.get('/calendar.ics', (req, res) => {
+  const scope = parseScope(req.query);
+  if (scope.error) return res.status(400).json({ error: scope.error });
+  const items = listActionItems(scope.value).filter((item) => item.date);
+  if (items.length === 0) return res.status(404).json({ error: '달력에 넣을 날짜가 있는 항목이 없습니다.' });
+
+  const name = calendarName(scope.value);
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  res.set('Content-Disposition', `attachment; filename="calendar.ics"; filename*=UTF-8''${encodeURIComponent(name)}.ics`);
+  res.send(renderCalendar(items, { name }));
+});
+
+router.param('id', (req, res, next, id) => {
+  const item = actionItems.get(id);
+  if (!item) {
+    return res.status(404).json({ error: '항목을 찾을 수 없습니다.' });
+  }
+  req.actionItem = item;
+  next();
+});
+
+router.get('/', (req, res) => {
+  const scope = parseScope(req.query);
+  if (scope.error) return res.status(400).json({ error: scope.error });
+  res.json({ items: listActionItems(scope.value) });
+});
+
+router.post('/', (req, res) => {
+  const { documentId, sessionIds } = req.body || {};
+  let owner;
+  if (documentId !== undefined) {
+    const document = typeof documentId === 'string' ? documents.get(documentId) : null;
+    if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+    owner = { documentId, sessionIds: document.sourceSessionIds?.length ? document.sourceSessionIds : [document.sessionId] };
+  } else {
+    if (!Array.isArray(sessionIds) || sessionIds.length === 0 || sessionIds.some((id) => typeof id !== 'string')) {
+      return res.status(400).json({ error: 'documentId 또는 sessionIds가 필요합니다.' });
+    }
+    const missing = sessionIds.filter((id) => !sessions.get(id));
+    if (missing.length) return res.status(404).json({ error: `세션을 찾을 수 없습니다: ${missing.join(', ')}` });
+    owner = { documentId: null, sessionIds };
+  }
+
+  const { value, error } = validateActionItem(req.body);
+  if (error) return res.status(400).json({ error });
+  const item = actionItems.insert({
+    ...owner,
+    assignee: '',
+    date: null,
+    time: null,
+    done: false,
+    ...value,
+    dateText: '',
+    quote: '',
+    referenceTime: null,
+    source: 'manual',
+    edited: false,
+  });
+  res.status(201).json({ item });
+});
+
+router.get('/:id', (req, res) => {
+  res.json({ item: req.actionItem });
+});
+
+router.put('/:id', (req, res) => {
+  const { value, error } = validateActionItem(req.body, { partial: true, current: req.actionItem });
+  if (error) return res.status(400).json({ error });
+  // 완료 표시만 바꾼 경우는 고친 것으로 치지 않음
+  const edited = req.actionItem.edited || Object.keys(value).some((key) => key !== 'done');
+  res.json({ item: actionItems.update(req.actionItem.id, { ...value, edited }) });
+});
+
+router.delete('/:id', (req, res) => {
+  actionItems.remove(req.actionItem.id);
+  res.status(204).end();
+});
+
+export default router;
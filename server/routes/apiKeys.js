@@ -0,0 +1,57 @@
+// javascript
+/**
+ * API key administration (requires `Authorization: Bearer <ADMIN_TOKEN>`, see ../auth.js)
+ *
+ * @api {get} /api/admin/keys List keys with today's model usage
+ * @api {post} /api/admin/keys Issue a key (the key itself is only returned here)
+ * @api {put} /api/admin/keys/:id Update name or limits
+ * @api {post} /api/admin/keys/:id/revoke Revoke a key (cannot be undone)
+ * @apiGroup Admin
+ *
+ * @apiBody {String} name                  Who/what the key is for (e.g. "교무실 태블릿")
+ * @apiBody {String} [role]                "author" (default) or "approver" (can approve documents for sending)
+ * @apiBody {Number} [rateLimitPerMinute]  Requests per minute (null = API_RATE_LIMIT_PER_MINUTE)
+ * @apiBody {Number} [dailyQuota]          Model calls per day, Asia/Seoul (null = API_DAILY_QUOTA)
+ *
+ * @apiSuccess {String} key     Issued key (POST only)
+ * @apiSuccess {Object} apiKey  { id, name, role, prefix, rateLimitPerMinute, dailyQuota, revokedAt, lastUsedAt, usageToday }
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { apiKeys } from '../db.js';
+import { issueKey, revokeKey, toPublicKey, validateKeyInput } from '../auth.js';
+
+const router = Router();
+
+router.param('id', (req, res, next, id) => {
+  const record = apiKeys.get(id);
+  if (!record) {
+    return res.status(404).json({ error: 'API 키를 찾을 수 없습니다.' });
+  }
+  req.keyRecord = record;
+  next();
+});
+
+router.get('/', (req, res) => {
+  const keys = apiKeys.list().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json({ keys: keys.map(toPublicKey) });
+});
+
+router.post('/', (req, res) => {
+  const { value, error } = validateKeyInput(req.body);
+  if (error) return res.status(400).json({ error });
+  res.status(201).json(issueKey(value));
+});
+
+router.put('/:id', (req, res) => {
+  const { value, error } = validateKeyInput(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (req.keyRecord.revokedAt) return res.status(409).json({ error: '폐기된 API 키는 수정할 수 없습니다.' });
+  res.json({ apiKey: toPublicKey(apiKeys.update(req.keyRecord.id, value)) });
+});
+
+router.post('/:id/revoke', (req, res) => {
+  res.json({ apiKey: revokeKey(req.keyRecord) });
+});
+
+export default router;
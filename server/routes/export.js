@@ -0,0 +1,71 @@
+// javascript
+/**
+ * Document export route
+ *
+ * @api {post} /api/export Download a document as DOCX, PDF, Markdown or plain text
+ * @apiName ExportDocument
+ * @apiGroup Documents
+ * @apiDescription
+ *  Renders a saved document (documentId) or the given content with an optional letterhead and responds with the file
+ *  (Content-Disposition: attachment). Structured documents keep their title, summary and sections.
+ *  PDF uses a Korean font only: text with letters outside KS X 1001 (most translations) answers 400, use another format.
+ *
+ * @apiBody {String} format        "docx" | "pdf" | "md" | "txt"
+ * @apiBody {String} [documentId]  Saved document to export (its edited content and structure)
+ * @apiBody {String} [content]     Document text (when documentId is not given)
+ * @apiBody {Object} [structured]  Structured document { title, summary, sections[], closing } for content
+ * @apiBody {Object} [letterhead]  { orgName?, date?, signer? } (date defaults to today in Asia/Seoul, "" omits it)
+ *
+ * @apiSuccess {File} file Rendered document
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { documents } from '../db.js';
+import { validateStructuredDocument } from '../structured.js';
+import { EXPORT_FORMATS, validateLetterhead, toExportModel, exportFilename } from '../export/index.js';
+
+const router = Router();
+
+router.post('/', (req, res) => {
+  const { format: formatId, documentId, letterhead } = req.body || {};
+  // 프로토타입의 속성(constructor 등)은 형식이 아님
+  const format = Object.hasOwn(EXPORT_FORMATS, formatId) ? EXPORT_FORMATS[formatId] : null;
+  if (!format) {
+    return res.status(400).json({ error: `format은 ${Object.keys(EXPORT_FORMATS).join(', ')} 중 하나여야 합니다.` });
+  }
+
+  let { content, structured } = req.body || {};
+  if (documentId !== undefined) {
+    const document = typeof documentId === 'string' ? documents.get(documentId) : null;
+    if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+    ({ editedContent: content, structured } = document);
+  } else {
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: '내보낼 문서가 필요합니다.' });
+    }
+    if (structured) {
+      const errors = validateStructuredDocument(structured);
+      if (errors.length) return res.status(400).json({ error: `structured 형식 오류: ${errors.join(' / ')}` });
+    }
+  }
+
+  const { value: head, error } = validateLetterhead(letterhead);
+  if (error) return res.status(400).json({ error });
+
+  const model = toExportModel({ content, structured, letterhead: head });
+  const unsupported = format.unsupportedChars?.(model) || [];
+  if (unsupported.length) {
+    return res.status(400).json({
+      error: `${format.label} 글꼴에 없는 글자가 있습니다: ${unsupported.slice(0, 10).join(' ')} (번역본은 Word·Markdown·텍스트로 받아주세요)`,
+    });
+  }
+  const filename = exportFilename(model, format);
+  res.set({
+    'Content-Type': format.mimeType,
+    // 한글 파일명은 filename*(RFC 5987), 옛 클라이언트용 filename은 ASCII로
+    'Content-Disposition': `attachment; filename="document.${format.extension}"; filename*=UTF-8''${encodeURIComponent(filename)}`,
+  });
+  res.send(format.render(model));
+});
+
+export default router;
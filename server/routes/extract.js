@@ -0,0 +1,123 @@
+// javascript
+/**
+ * Event, deadline and action item extraction route
+ *
+ * @api {post} /api/extract Extract events, deadlines, assignees and action items
+ * @apiName ExtractActionItems
+ * @apiGroup ActionItems
+ * @apiDescription
+ *  Asks the model for the events, deadlines and to-dos in a saved document, in stored sessions or in a piece of
+ *  text. Relative Korean dates ("다음 주 금요일까지", "이번 달 말") are resolved against the recording time of the
+ *  session they were said in, not against the time of the request (see ../koreanDates.js).
+ *  Items extracted from a document or from sessions are saved as that scope's checklist (/api/action-items):
+ *  extracting again replaces the previous extracted items, but keeps items that were edited, checked off or
+ *  added by hand. Items extracted from plain text are only returned.
+ *
+ * @apiBody {String}   [documentId]    Saved document (its edited content is used; the reference time is the
+ *                                     recording time of its source sessions)
+ * @apiBody {String[]} [sessionIds]    Stored sessions, in order (used when documentId is omitted)
+ * @apiBody {String}   [text]          Free text (used when neither is given)
+ * @apiBody {String}   [referenceTime] ISO 8601 time the text was spoken (text only, defaults to now)
+ * @apiBody {String}   [provider]      Provider id (defaults to LLM_PROVIDER)
+ * @apiBody {String}   [model]         Preferred model
+ *
+ * @apiSuccess {Object[]} items     Checklist of the scope (saved items) or the extracted items (text)
+ * @apiSuccess {Number}   extracted Number of items found by this extraction
+ * @apiSuccess {Object[]} redactions PII masked before the model call { placeholder, type, label, original, count }
+ * @apiSuccess {String}   provider  Provider that produced the items
+ * @apiSuccess {String}   model     Model that produced the items
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { sessions, documents } from '../db.js';
+import { buildMergedSource, validateSourceText } from '../prompts.js';
+import { buildTimedTranscript } from '../transcript.js';
+import { createRedactor, buildRedactionGuidance } from '../redaction.js';
+import { describeReference } from '../koreanDates.js';
+import { buildExtractionPrompt, extractItems, replaceExtractedItems } from '../extraction.js';
+import { validateModelSelection } from '../providers/index.js';
+
+const router = Router();
+
+const MAX_SESSIONS = 20;
+
+/**
+ * 추출할 원문과 기준 시각, 저장 범위를 정합니다.
+ * @param {{ documentId?: string, sessionIds?: string[], text?: string, referenceTime?: string }} body
+ * @returns {{ text?: string, references?: string[], scope?: { documentId: string | null, sessionIds: string[] } | null,
+ *   error?: string, status?: number }}
+ */
+function prepareSource(body) {
+  const { documentId, sessionIds, text, referenceTime } = body || {};
+
+  if (documentId !== undefined) {
+    const document = typeof documentId === 'string' ? documents.get(documentId) : null;
+    if (!document) return { error: '문서를 찾을 수 없습니다.', status: 404 };
+    if (!document.editedContent?.trim()) return { error: '내용이 없는 문서입니다.' };
+    const ids = document.sourceSessionIds?.length ? document.sourceSessionIds : [document.sessionId];
+    // 원본 세션이 지워졌으면 문서를 만든 시각을 기준으로
+    const references = ids.map((id) => sessions.get(id)?.timestamp).filter(Boolean);
+    return {
+      text: document.editedContent,
+      references: references.length ? references : [document.createdAt],
+      scope: { documentId: document.id, sessionIds: ids },
+    };
+  }
+
+  if (sessionIds !== undefined) {
+    if (!Array.isArray(sessionIds) || sessionIds.length === 0 || sessionIds.some((id) => typeof id !== 'string')) {
+      return { error: 'sessionIds는 비어 있지 않은 문자열 배열이어야 합니다.' };
+    }
+    if (sessionIds.length > MAX_SESSIONS) return { error: `한 번에 최대 ${MAX_SESSIONS}개 세션까지 추출할 수 있습니다.` };
+    const found = sessionIds.map((id) => sessions.get(id));
+    const missing = sessionIds.filter((id, i) => !found[i]);
+    if (missing.length) return { error: `세션을 찾을 수 없습니다: ${missing.join(', ')}`, status: 404 };
+    const invalid = validateSourceText(found.map((s) => s.transcript).join('').trim());
+    if (invalid) return { error: invalid };
+    return {
+      text: found.length === 1 ? buildTimedTranscript(found[0]) : buildMergedSource(found),
+      references: found.map((s) => s.timestamp),
+      scope: { documentId: null, sessionIds },
+    };
+  }
+
+  const invalid = validateSourceText(text);
+  if (invalid) return { error: invalid };
+  if (referenceTime !== undefined && (typeof referenceTime !== 'string' || Number.isNaN(Date.parse(referenceTime)))) {
+    return { error: 'referenceTime은 ISO 8601 시각이어야 합니다.' };
+  }
+  return { text, references: [referenceTime ? new Date(referenceTime).toISOString() : new Date().toISOString()], scope: null };
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const source = prepareSource(req.body);
+    if (source.error) return res.status(source.status || 400).json({ error: source.error });
+    const invalidSelection = validateModelSelection(req.body);
+    if (invalidSelection) return res.status(400).json({ error: invalidSelection });
+
+    const { provider, model } = req.body;
+    const redactor = createRedactor();
+    const redacted = redactor.redact(source.text);
+    const prompt = buildExtractionPrompt(redacted, {
+      references: source.references.map((r) => describeReference(r)),
+      redactionGuidance: buildRedactionGuidance(redactor),
+    });
+    const result = await extractItems(prompt, { references: source.references, source: redacted, provider, model });
+    const extracted = redactor.restoreDeep(result.items);
+
+    return res.json({
+      items: source.scope ? replaceExtractedItems(source.scope, extracted) : extracted,
+      extracted: extracted.length,
+      redactions: redactor.report(),
+      provider: result.provider,
+      model: result.model,
+    });
+  } catch (error) {
+    console.error('[Server] /api/extract error:', error);
+    const msg = error?.message || '알 수 없는 오류';
+    return res.status(error?.status || 500).json({ error: msg });
+  }
+});
+
+export default router;
@@ -0,0 +1,237 @@
+// javascript
+/**
+ * Document generation routes
+ *
+ * @api {post} /api/generate Generate structured document from text
+ * @apiName GenerateDocument
+ * @apiGroup Documents
+ * @apiDescription
+ *  Uses the selected LLM provider to convert raw speech text into a structured Korean document.
+ *  Validates inputs and falls back across the provider's models when necessary.
+ *  The model is asked for JSON ({ title, summary, sections[], closing }); output that fails schema
+ *  validation is sent back with a repair instruction (see ../structured.js).
+ *
+ * @apiBody {String} [text]      Source text (min 3 chars; required unless sessionIds is given)
+ * @apiBody {String[]} [sessionIds] Stored sessions to combine into one document, in the given order.
+ *                                 Session boundaries and timestamps are kept in the prompt and the model
+ *                                 cites the source session of each point as "(세션 N)".
+ *                                 Sessions with transcript segments are sent with "[mm:ss]" offsets per line
+ *                                 and the model cites when important points were said as "(mm:ss)".
+ * @apiBody {String} [templateId] Template id from /api/templates (preferred)
+ * @apiBody {String} [documentType] Document type label, used when templateId is omitted
+ *                                 (matched to a template by name, defaults to "보고서")
+ * @apiBody {String} [provider]  Provider id (defaults to LLM_PROVIDER)
+ * @apiBody {String} [model]     Preferred model (tried first, then the provider's fallbacks)
+ *
+ * @apiSuccess {String} content  Generated document rendered as plain text
+ * @apiSuccess {Object} document Structured document { title, summary, sections: [{ heading, body }], closing }
+ * @apiSuccess {Number} repairs  Number of repair prompts that were needed
+ * @apiSuccess {Object[]} sources Combined sessions [{ index, sessionId, timestamp }] (null for a single text)
+ * @apiSuccess {Object[]} corrections Glossary corrections in the source { sessionId, original, replacement, term }
+ *                                 (applied to the prompt only; stored sessions are left unchanged)
+ * @apiSuccess {Object[]} redactions PII masked before the model call { placeholder, type, label, original, count }
+ *                                 (placeholders are restored in the returned document, see ../redaction.js)
+ * @apiSuccess {String} provider Provider that produced the content
+ * @apiSuccess {String} model    Model that produced the content
+ * @apiSuccess {String} templateId Template that was applied (null for a free-form type)
+ * @apiError {String} error      Error message
+ *
+ * @api {post} /api/generate/stream Generate document as a Server-Sent Events stream
+ * @apiName GenerateDocumentStream
+ * @apiGroup Documents
+ * @apiDescription
+ *  Same body and model fallback as /api/generate (fallback only before the first chunk).
+ *  Emits `event: start` {provider, model, templateId, sources, corrections, redactions}, `event: chunk` {text} (raw JSON being generated),
+ *  `event: done` {content, document, repairs}, `event: error` {error}.
+ *  Validation and repair run after the stream ends, before `done`.
+ *  Closing the connection cancels generation.
+ */
+import { Router } from 'express';
+import { streamText, validateModelSelection } from '../providers/index.js';
+import { buildDocumentPrompt, buildMergedSource, validateSourceText } from '../prompts.js';
+import { buildTimedTranscript, hasSegments } from '../transcript.js';
+import { correctText, correctSession, buildGlossaryGuidance, findRelevantEntries } from '../glossary.js';
+import { createRedactor, buildRedactionGuidance } from '../redaction.js';
+import { sessions, glossary } from '../db.js';
+import { findTemplate } from '../templates.js';
+import { generateStructured, withJsonInstructions } from '../structured.js';
+
+const router = Router();
+
+const MAX_COMBINED_SESSIONS = 20;
+
+/**
+ * 통합할 세션들을 저장소에서 찾아 하나의 원문으로 합칩니다.
+ * @param {unknown} sessionIds - 요청의 sessionIds
+ * @returns {{ text?: string, sources?: { index: number, sessionId: string, timestamp: string }[], timed?: boolean, corrections?: object[], error?: string, status?: number }}
+ */
+function mergeSessions(sessionIds) {
+  if (!Array.isArray(sessionIds) || sessionIds.length === 0 || sessionIds.some((id) => typeof id !== 'string')) {
+    return { error: 'sessionIds는 비어 있지 않은 문자열 배열이어야 합니다.' };
+  }
+  if (new Set(sessionIds).size !== sessionIds.length) {
+    return { error: 'sessionIds에 중복된 세션이 있습니다.' };
+  }
+  if (sessionIds.length > MAX_COMBINED_SESSIONS) {
+    return { error: `한 번에 최대 ${MAX_COMBINED_SESSIONS}개 세션까지 합칠 수 있습니다.` };
+  }
+
+  let found = sessionIds.map((id) => sessions.get(id));
+  const missing = sessionIds.filter((id, i) => !found[i]);
+  if (missing.length) {
+    return { error: `세션을 찾을 수 없습니다: ${missing.join(', ')}`, status: 404 };
+  }
+  // 세션이 만들어진 뒤 추가된 용어도 프롬프트에 반영 (저장된 세션은 바꾸지 않음)
+  found = found.map((s) => ({ ...s, ...correctSession(s) }));
+
+  // 세션 하나는 머리글 없이 원문만 사용
+  const text = found.length === 1 ? buildTimedTranscript(found[0]) : buildMergedSource(found);
+  const invalid = validateSourceText(found.map((s) => s.transcript).join('').trim());
+  if (invalid) return { error: invalid };
+
+  return {
+    text,
+    sources: found.map((s, i) => ({ index: i + 1, sessionId: s.id, timestamp: s.timestamp })),
+    timed: found.some(hasSegments),
+    corrections: found.flatMap((s) =>
+      (s.corrections || []).filter((c) => !c.reverted).map(({ original, replacement, term }) => ({ sessionId: s.id, original, replacement, term }))
+    ),
+  };
+}
+
+/**
+ * 생성 요청 본문을 검증하고 프롬프트를 만듭니다.
+ * @param {{ text?: string, sessionIds?: string[], templateId?: string, documentType?: string, provider?: string, model?: string }} body
+ * @returns {{
+ *   prompt?: string, task?: import('../providers/index.js').GenerationTask, template?: object | null, sources?: object[] | null,
+ *   corrections?: object[], redactor?: ReturnType<typeof createRedactor>, error?: string, status?: number,
+ * }} 프롬프트의 개인정보는 자리표시자로 가려져 있으며 redactor로 결과를 복원
+ */
+function prepareGeneration(body) {
+  const { text, sessionIds, templateId, documentType = '보고서' } = body || {};
+  const invalidSelection = validateModelSelection(body);
+  if (invalidSelection) return { error: invalidSelection };
+
+  let source = text;
+  let sources = null;
+  let timed = false;
+  let corrections = [];
+  if (sessionIds !== undefined) {
+    const merged = mergeSessions(sessionIds);
+    if (merged.error) return merged;
+    ({ text: source, sources, timed, corrections } = merged);
+  } else {
+    const invalid = validateSourceText(text);
+    if (invalid) return { error: invalid };
+    ({ text: source, corrections } = correctText(text));
+    corrections = corrections.map(({ original, replacement, term }) => ({ sessionId: null, original, replacement, term }));
+  }
+
+  const template = findTemplate({ templateId, documentType });
+  if (templateId && !template) return { error: '템플릿을 찾을 수 없습니다.' };
+
+  const redactor = createRedactor();
+  const redacted = redactor.redact(source);
+  const prompt = buildDocumentPrompt(redacted, template || documentType, {
+    multiSession: sources !== null && sources.length > 1,
+    timed,
+    // 가린 원문에 나오는 용어만, 지침도 같은 자리표시자로 가림 (용어집에는 교직원·학생 이름이 흔함)
+    glossaryGuidance: redactor.redact(buildGlossaryGuidance(findRelevantEntries(redacted, glossary.list()))),
+    redactionGuidance: buildRedactionGuidance(redactor),
+  });
+  return {
+    prompt: withJsonInstructions(prompt),
+    task: { kind: 'document', source: redacted, sections: template?.sections || [] },
+    template,
+    sources,
+    corrections,
+    redactor,
+  };
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const { provider, model } = req.body || {};
+
+    // Basic validation
+    const { prompt, task, template, sources, corrections, redactor, error, status } = prepareGeneration(req.body);
+    if (error) {
+      return res.status(status || 400).json({ error });
+    }
+
+    // Try the provider's models in order of preference, then validate/repair the JSON
+    const { document, content, ...result } = await generateStructured(prompt, { template, provider, model, task });
+    return res.json({
+      ...result,
+      document: redactor.restoreDeep(document),
+      content: redactor.restore(content),
+      templateId: template?.id || null,
+      sources,
+      corrections,
+      redactions: redactor.report(),
+    });
+  } catch (error) {
+    console.error('[Server] /api/generate error:', error);
+    const msg = error?.message || '알 수 없는 오류';
+    return res.status(error?.status || 500).json({ error: msg });
+  }
+});
+
+router.post('/stream', async (req, res) => {
+  const { provider, model } = req.body || {};
+  const { prompt, task, template, sources, corrections, redactor, error, status } = prepareGeneration(req.body);
+  if (error) {
+    return res.status(status || 400).json({ error });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  // 200 헤더를 이미 보냈으므로 일일 사용량은 done을 보낸 경우에만 셈 (see ../auth.js meterModelUsage)
+  res.locals.modelCallSucceeded = false;
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  // 클라이언트가 연결을 끊으면 생성 중단
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let raw = '';
+  let meta = {};
+  try {
+    for await (const event of streamText(prompt, { provider, model, json: true, task, signal: controller.signal })) {
+      if (controller.signal.aborted) break;
+      if (event.type === 'start') {
+        meta = { provider: event.provider, model: event.model };
+        send('start', { ...meta, templateId: template?.id || null, sources, corrections, redactions: redactor.report() });
+      } else {
+        raw += event.text;
+        send('chunk', { text: event.text });
+      }
+    }
+    if (controller.signal.aborted) {
+      console.log('[Server] /api/generate/stream cancelled by client');
+      return;
+    }
+    const { content, document, repairs } = await generateStructured(prompt, { template, task, ...meta, initialRaw: raw });
+    if (controller.signal.aborted) return;
+    // 조각(chunk)은 자리표시자 그대로 보내고 완성된 문서에서 복원
+    send('done', { content: redactor.restore(content), document: redactor.restoreDeep(document), repairs });
+    res.locals.modelCallSucceeded = true;
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('[Server] /api/generate/stream error:', error);
+    send('error', { error: error?.message || '알 수 없는 오류' });
+  } finally {
+    // 취소된 경우에도 응답을 닫음 (끊긴 연결이면 아무 일도 하지 않음)
+    if (!res.writableEnded) res.end();
+  }
+});
+
+export default router;
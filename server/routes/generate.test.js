@@ -0,0 +1,105 @@
+// javascript
+/**
+ * Document generation: merging recorded sessions into one source, and nothing the redaction stage masks reaching the
+ * model through the glossary guidance (run with `npm test`).
+ * The model is a local fake OpenAI-compatible server that records the prompts it receives.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, useFakeModel, serve } from '../testUtils.js';
+
+const MODEL_DOCUMENT = { title: '안내', summary: '[이름1] 학생 안내', sections: [{ heading: '본문', body: '[이름1] 학생' }], closing: '' };
+const { requests } = await useFakeModel(() => JSON.stringify(MODEL_DOCUMENT));
+withTempDataDir('generate', { REDACTION: undefined });
+const { sessions, glossary, redactionNames } = await import('../db.js');
+const { default: generateRouter } = await import('./generate.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/generate', generateRouter);
+const base = serve(app);
+
+glossary.insert({ term: '김민수', variants: ['김민 수'], aliases: [], description: '3반 학생' });
+glossary.insert({ term: 'AI', variants: [], aliases: ['에이아이'], description: '' });
+glossary.insert({ term: '박지훈', variants: ['박지 훈'], aliases: [], description: '교감' });
+redactionNames.insert({ name: '김민수' });
+redactionNames.insert({ name: '박지훈' });
+
+const generate = async (body) => {
+  const res = await fetch(`${base}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test('merged sessions keep the requested order and are labelled for citations', async () => {
+  const later = sessions.insert({ timestamp: '2026-10-20T00:00:00Z', transcript: '둘째 날 회의 내용입니다.' });
+  const earlier = sessions.insert({ timestamp: '2026-10-19T00:00:00Z', transcript: '첫째 날 회의 내용입니다.' });
+  const { status, body } = await generate({ sessionIds: [later.id, earlier.id] });
+  assert.equal(status, 200);
+  assert.deepEqual(body.sources, [
+    { index: 1, sessionId: later.id, timestamp: later.timestamp },
+    { index: 2, sessionId: earlier.id, timestamp: earlier.timestamp },
+  ]);
+
+  const { prompt } = requests.at(-1);
+  assert.match(prompt, /\[세션 1 \| 2026\. 10\. 20\. 오전 9:00:00\]\n둘째 날 회의 내용입니다\.\n\n\[세션 2 /);
+  assert.match(prompt, /\[세션 2 \| 2026\. 10\. 19\. 오전 9:00:00\]\n첫째 날 회의 내용입니다\./);
+  assert.match(prompt, /\(세션 N\) 형식으로 표기/);
+
+  // 세션 하나는 머리글과 출처 표기 지시 없이
+  await generate({ sessionIds: [earlier.id] });
+  assert.doesNotMatch(requests.at(-1).prompt, /세션 1|\(세션 N\)/);
+});
+
+test('merging answers 404 for missing sessions and 400 for malformed ids', async () => {
+  const session = sessions.insert({ timestamp: '2026-10-19T00:00:00Z', transcript: '회의 내용입니다.' });
+  const missing = await generate({ sessionIds: [session.id, 'gone-1', 'gone-2'] });
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.error, '세션을 찾을 수 없습니다: gone-1, gone-2');
+
+  assert.match((await generate({ sessionIds: [] })).body.error, /비어 있지 않은 문자열 배열/);
+  assert.match((await generate({ sessionIds: [session.id, session.id] })).body.error, /중복/);
+  assert.equal((await generate({ sessionIds: Array.from({ length: 21 }, (_, i) => `s${i}`) })).status, 400);
+});
+
+test('provider and model must be non-empty strings naming a registered provider, on both routes', async () => {
+  const before = requests.length;
+  const cases = [
+    [{ model: {} }, 'model은 비어 있지 않은 문자열이어야 합니다.'],
+    [{ model: ['gpt'] }, 'model은 비어 있지 않은 문자열이어야 합니다.'],
+    [{ provider: ' ' }, 'provider는 비어 있지 않은 문자열이어야 합니다.'],
+    [{ provider: 'nope' }, '알 수 없는 공급자입니다: nope'],
+  ];
+  for (const [selection, error] of cases) {
+    const body = { text: '내일 현장체험학습이 있습니다.', ...selection };
+    assert.deepEqual(await generate(body), { status: 400, body: { error } });
+    const stream = await fetch(`${base}/api/generate/stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    assert.equal(stream.status, 400);
+    assert.equal((await stream.json()).error, error);
+  }
+  assert.equal(requests.length, before);
+  assert.equal((await generate({ text: '내일 현장체험학습이 있습니다.', provider: 'openai', model: 'm' })).status, 200);
+});
+
+test('glossary terms for masked names and terms absent from the source stay out of the prompt', async () => {
+  const res = await fetch(`${base}/api/generate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ text: '김민 수 학생이 에이아이 수업에 참여합니다.' }),
+  });
+  assert.equal(res.status, 200);
+  const prompt = requests.at(-1).prompt;
+  assert.doesNotMatch(prompt, /김민|박지/);
+  assert.match(prompt, /\[이름1\] 학생이 AI 수업에/);
+  assert.match(prompt, /용어 표기: .*AI\(에이아이\)/);
+  // 모델 응답의 자리표시자는 복원됨
+  assert.equal((await res.json()).document.sections[0].body, '김민수 학생');
+});
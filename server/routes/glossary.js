@@ -0,0 +1,71 @@
+// javascript
+/**
+ * Glossary routes (custom vocabulary used by the transcript correction pass, see ../glossary.js)
+ *
+ * @api {get} /api/glossary List glossary entries
+ * @api {post} /api/glossary Create entry
+ * @api {put} /api/glossary/:id Update entry (partial)
+ * @api {delete} /api/glossary/:id Delete entry
+ * @apiGroup Glossary
+ *
+ * @apiBody {String}   term          Canonical spelling (e.g. "해오름초등학교")
+ * @apiBody {String[]} [variants]    Misrecognized forms to replace (e.g. "해 오름 초등학교")
+ * @apiBody {String[]} [aliases]     Phonetic aliases to replace (e.g. "에이아이" for "AI")
+ * @apiBody {String}   [description] Note for users
+ *
+ * @api {post} /api/glossary/preview Apply the glossary to a text without storing it
+ * @apiBody {String} text
+ * @apiSuccess {String}   text        Corrected text
+ * @apiSuccess {Object[]} corrections { start, end, original, replacement, term, entryId } (positions in the corrected text)
+ *
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { glossary } from '../db.js';
+import { validateGlossaryEntry, correctText } from '../glossary.js';
+
+const router = Router();
+
+router.param('id', (req, res, next, id) => {
+  const entry = glossary.get(id);
+  if (!entry) {
+    return res.status(404).json({ error: '용어를 찾을 수 없습니다.' });
+  }
+  req.entry = entry;
+  next();
+});
+
+const isTermTaken = (term, exceptId) => glossary.list((e) => e.term === term && e.id !== exceptId).length > 0;
+
+router.get('/', (req, res) => {
+  res.json({ entries: glossary.list().sort((a, b) => a.term.localeCompare(b.term, 'ko')) });
+});
+
+router.post('/', (req, res) => {
+  const { value, error } = validateGlossaryEntry(req.body);
+  if (error) return res.status(400).json({ error });
+  if (isTermTaken(value.term)) return res.status(409).json({ error: '이미 등록된 용어입니다.' });
+  res.status(201).json({ entry: glossary.insert(value) });
+});
+
+router.post('/preview', (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== 'string') return res.status(400).json({ error: 'text는 문자열이어야 합니다.' });
+  res.json(correctText(text));
+});
+
+router.put('/:id', (req, res) => {
+  const { value, error } = validateGlossaryEntry(req.body, { partial: true, current: req.entry });
+  if (error) return res.status(400).json({ error });
+  if (value.term && isTermTaken(value.term, req.entry.id)) {
+    return res.status(409).json({ error: '이미 등록된 용어입니다.' });
+  }
+  res.json({ entry: glossary.update(req.entry.id, value) });
+});
+
+router.delete('/:id', (req, res) => {
+  glossary.remove(req.entry.id);
+  res.status(204).end();
+});
+
+export default router;
@@ -0,0 +1,76 @@
+// javascript
+/**
+ * Server-side message sending (used when the device cannot send SMS itself, e.g. on web)
+ *
+ * @api {post} /api/messages Send a message to one or more recipients through the configured gateway
+ * @apiName SendMessages
+ * @apiGroup Messages
+ *
+ * @apiBody {String[]} recipients   Phone numbers (hyphens/spaces allowed, max 100)
+ * @apiBody {String}   body         Message body (up to the LMS limit of 2000 bytes)
+ * @apiBody {String}   [encoding]   EUC-KR (default) | UCS-2. Translations in scripts outside EUC-KR (Vietnamese, Chinese,
+ *                                 Thai, ...) are sent as UCS-2, always as LMS (2 bytes per character).
+ * @apiBody {String}   documentId   Document the message was created from. Only approved (or already sent) documents
+ *                                 can be sent (see ../workflow.js); the document is marked sent when a message goes out.
+ *                                 The body must be the approved content, one of its split parts, or an approved
+ *                                 message variant (short version, translation, link message; see ./reviews.js).
+ *
+ * @apiSuccess {String}   batchId  ID shared by the messages of this request
+ * @apiSuccess {Object[]} messages Delivery log entries, one per recipient
+ *   { id, batchId, recipient, bodyHash, bytes, messageType, encoding, documentId, gateway, status, gatewayMessageId, gatewayResponse, sentAt, createdAt, updatedAt }
+ *
+ * @api {get} /api/messages List delivery log entries (newest first)
+ * @apiQuery {String} [batchId]   Only entries of this batch
+ * @apiQuery {String} [recipient] Only entries for this phone number
+ * @apiQuery {String} [status]    queued | sent | failed
+ *
+ * @api {get} /api/messages/:id Get the delivery status of one message
+ *
+ * @apiError {String} error Error message (409 when the document or the body has not been approved,
+ *   503 when no gateway is configured (MESSAGE_GATEWAY))
+ */
+import { Router } from 'express';
+import { messages } from '../db.js';
+import { sendMessages, validateMessage, assertGatewayConfigured } from '../messaging.js';
+import { normalizePhoneNumber } from '../../shared/phoneNumbers.js';
+import { assertSendable, markDocumentSent } from '../workflow.js';
+import { requestActor } from '../auth.js';
+
+const router = Router();
+
+router.post('/', async (req, res) => {
+  const { recipients, body, documentId, encoding } = req.body || {};
+  try {
+    assertGatewayConfigured();
+    validateMessage(recipients, body, encoding);
+    const document = assertSendable(documentId, [body]);
+    const result = await sendMessages({ recipients, body, documentId: document.id, encoding });
+    const sent = result.messages.filter((m) => m.status === 'sent').length;
+    if (sent > 0) markDocumentSent(document.id, requestActor(req), { via: 'server', batchId: result.batchId, sent });
+    res.status(201).json(result);
+  } catch (error) {
+    const status = error?.status || 500;
+    if (status >= 500 && status !== 503) console.error('[Server] Message send failed:', error);
+    res.status(status).json({ error: error?.message || '메시지 전송 실패' });
+  }
+});
+
+router.get('/', (req, res) => {
+  const { batchId, recipient, status } = req.query;
+  const number = typeof recipient === 'string' ? normalizePhoneNumber(recipient) || recipient : null;
+  const list = messages
+    .list(
+      (m) =>
+        (!batchId || m.batchId === batchId) && (!number || m.recipient === number) && (!status || m.status === status)
+    )
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  res.json({ messages: list });
+});
+
+router.get('/:id', (req, res) => {
+  const message = messages.get(req.params.id);
+  if (!message) return res.status(404).json({ error: '메시지를 찾을 수 없습니다.' });
+  res.json({ message });
+});
+
+export default router;
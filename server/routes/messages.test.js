@@ -0,0 +1,91 @@
+// javascript
+/**
+ * Server-side sending of translated versions: Unicode (UCS-2) LMS for scripts outside EUC-KR, the delivery log and the
+ * outbox entries (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import express from 'express';
+import { withTempDataDir, serve } from '../testUtils.js';
+
+const dir = withTempDataDir('messages', { MESSAGE_GATEWAY: 'file', MESSAGE_OUTBOX_FILE: undefined });
+const { documents, messages, messageVariants } = await import('../db.js');
+const { default: messagesRouter } = await import('./messages.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/messages', messagesRouter);
+const base = serve(app);
+
+const send = async (body) => {
+  const res = await fetch(`${base}/api/messages`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const outbox = () =>
+  fs
+    .readFileSync(path.join(dir, 'outbox.jsonl'), 'utf8')
+    .trim()
+    .split('\n')
+    .map((line) => JSON.parse(line));
+
+const VIETNAMESE = 'Kính gửi phụ huynh: ngày mai có chuyến dã ngoại. Vui lòng chuẩn bị cơm hộp cho con.';
+const CHINESE = '尊敬的家长：明天学校有校外活动，请为孩子准备午餐。';
+
+/** 베트남어·중국어 번역본이 승인된 문서 */
+const approvedWithTranslations = () => {
+  const document = documents.insert({ sessionId: 's1', editedContent: '내일 현장체험학습이 있습니다.', status: 'approved' });
+  for (const [language, content] of [['vi', VIETNAMESE], ['zh', CHINESE]]) {
+    messageVariants.insert({ documentId: document.id, kind: 'translation', language, content, status: 'approved' });
+  }
+  return document;
+};
+
+test('Vietnamese and Chinese translation groups are sent as Unicode LMS', async () => {
+  const document = approvedWithTranslations();
+  const groups = [
+    { recipients: ['010-1111-2222'], body: VIETNAMESE },
+    { recipients: ['010-3333-4444', '010-5555-6666'], body: CHINESE },
+  ];
+  for (const group of groups) {
+    const { status, body } = await send({ ...group, documentId: document.id, encoding: 'UCS-2' });
+    assert.equal(status, 201);
+    assert.ok(body.messages.every((m) => m.status === 'sent' && m.encoding === 'UCS-2' && m.messageType === 'LMS'));
+    assert.equal(body.messages[0].bytes, group.body.length * 2);
+  }
+  assert.deepEqual(
+    outbox().map(({ to, body, encoding }) => ({ to, body, encoding })),
+    [
+      { to: '01011112222', body: VIETNAMESE, encoding: 'UCS-2' },
+      { to: '01033334444', body: CHINESE, encoding: 'UCS-2' },
+      { to: '01055556666', body: CHINESE, encoding: 'UCS-2' },
+    ]
+  );
+  assert.equal(documents.get(document.id).status, 'sent');
+});
+
+test('a translation outside EUC-KR is refused without UCS-2, and an unknown encoding is refused', async () => {
+  const document = approvedWithTranslations();
+  const sentBefore = messages.list().length;
+  const euckr = await send({ recipients: ['010-1111-2222'], body: VIETNAMESE, documentId: document.id });
+  assert.equal(euckr.status, 400);
+  assert.match(euckr.body.error, /문자로 보낼 수 없는 글자가 있습니다: .*ụ.*UCS-2/);
+  const unknown = await send({ recipients: ['010-1111-2222'], body: CHINESE, documentId: document.id, encoding: 'UTF-8' });
+  assert.equal(unknown.status, 400);
+  assert.match(unknown.body.error, /encoding/);
+  assert.equal(messages.list().length, sentBefore);
+});
+
+test('the Korean original still goes out as EUC-KR', async () => {
+  const document = approvedWithTranslations();
+  const { status, body } = await send({ recipients: ['010-1111-2222'], body: document.editedContent, documentId: document.id });
+  assert.equal(status, 201);
+  assert.equal(body.messages[0].encoding, 'EUC-KR');
+  assert.equal(body.messages[0].messageType, 'SMS');
+});
@@ -0,0 +1,32 @@
+// javascript
+/**
+ * Public read-only document pages
+ *
+ * @api {get} /n/:slug Published document page (HTML, no API key)
+ * @apiName ViewPublication
+ * @apiGroup Publications
+ * @apiDescription
+ *  Serves the snapshot published through /api/publications as a mobile-friendly page and counts the view.
+ *  Unknown links answer 404; expired or unpublished pages answer 410 with a short notice.
+ */
+import { Router } from 'express';
+import { publications } from '../db.js';
+import { publicationStatus, recordView } from '../publications.js';
+import { renderPublicationPage, renderUnavailablePage } from '../publicPage.js';
+
+const router = Router();
+
+router.get('/:slug', (req, res) => {
+  // 조회 수를 세고 게시 중단이 바로 반영되도록 캐시하지 않음
+  res.set({ 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' });
+  const publication = publications.list((p) => p.slug === req.params.slug)[0];
+  if (!publication) return res.status(404).type('html').send(renderUnavailablePage('페이지를 찾을 수 없습니다.'));
+  if (publicationStatus(publication) !== 'live') {
+    return res.status(410).type('html').send(renderUnavailablePage('게시가 끝난 안내문입니다.'));
+  }
+  // HEAD(링크 미리보기 확인 등)는 조회로 세지 않음
+  if (req.method !== 'HEAD') recordView(publication);
+  res.type('html').send(renderPublicationPage(publication));
+});
+
+export default router;
@@ -0,0 +1,133 @@
+// javascript
+/**
+ * Published pages: short links, republishing, expiry and unknown links, view counting, the published time, HTML escaping
+ * and caching
+ * (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, serve, tick } from '../testUtils.js';
+
+withTempDataDir('public-pages', { PUBLIC_BASE_URL: undefined });
+const { documents, publications } = await import('../db.js');
+const { default: publicationsRouter } = await import('./publications.js');
+const { default: publicPagesRouter } = await import('./publicPages.js');
+const { formatZonedTime } = await import('../timezone.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/publications', publicationsRouter);
+app.use('/n', publicPagesRouter);
+const base = serve(app);
+
+const publish = async (documentId, extra = {}) => {
+  const res = await fetch(`${base}/api/publications`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ documentId, ...extra }),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+/** 게시 관리 API로 본 게시 정보 (조회 수 포함) */
+const fetchPublication = async (id) => (await (await fetch(`${base}/api/publications/${id}`)).json()).publication;
+
+const footer = (html) => html.match(/<footer>(.*)<\/footer>/)[1];
+
+const approved = (editedContent = '가정통신문\n\n내일 현장체험학습이 있습니다.') =>
+  documents.insert({ sessionId: 's1', editedContent, structured: null, status: 'approved' });
+
+test('publishing creates a short link and republishing keeps it', async () => {
+  const document = approved();
+  const first = await publish(document.id);
+  assert.equal(first.status, 201);
+  const { slug, url, title, views } = first.body.publication;
+  // 헷갈리는 글자(0, O, 1, l, I) 없는 7자
+  assert.match(slug, /^[2-9a-km-zA-HJ-NP-Z]{7}$/);
+  assert.equal(url, `${base}/n/${slug}`);
+  assert.equal(title, '가정통신문');
+  assert.equal(views, 0);
+
+  documents.update(document.id, { editedContent: '가정통신문\n\n우천 시 취소됩니다.' });
+  const again = await publish(document.id);
+  assert.equal(again.status, 200);
+  assert.equal(again.body.publication.slug, slug);
+  assert.equal(again.body.publication.content, '가정통신문\n\n우천 시 취소됩니다.');
+  assert.equal(publications.list((p) => p.documentId === document.id).length, 1);
+  assert.notEqual((await publish(approved().id)).body.publication.slug, slug);
+});
+
+test('an unknown link answers 404 and an expired or unpublished page answers 410', async () => {
+  const missing = await fetch(`${base}/n/zzzzzzz`);
+  assert.equal(missing.status, 404);
+  assert.match(await missing.text(), /페이지를 찾을 수 없습니다/);
+
+  const { publication } = (await publish(approved().id, { expiresAt: '2099-12-31 18:00' })).body;
+  assert.equal(publication.localExpiresAt, '2099-12-31 18:00');
+  assert.equal((await fetch(publication.url)).status, 200);
+  publications.update(publication.id, { expiresAt: new Date(Date.now() - 1000).toISOString() });
+  const expired = await fetch(publication.url);
+  assert.equal(expired.status, 410);
+  assert.match(await expired.text(), /게시가 끝난 안내문입니다/);
+  assert.equal((await fetchPublication(publication.id)).views, 1);
+
+  const live = (await publish(approved().id)).body.publication;
+  await fetch(`${base}/api/publications/${live.id}/unpublish`, { method: 'POST' });
+  assert.equal((await fetch(live.url)).status, 410);
+});
+
+test('a past expiry is refused', async () => {
+  const { status, body } = await publish(approved().id, { expiresAt: '2020-01-01 09:00' });
+  assert.equal(status, 400);
+  assert.match(body.error, /만료 시각은 지금 이후/);
+});
+
+test('GET counts a view and HEAD does not', async () => {
+  const { publication } = (await publish(approved().id)).body;
+  assert.equal((await fetch(publication.url)).status, 200);
+  assert.equal((await fetch(publication.url)).status, 200);
+  const head = await fetch(publication.url, { method: 'HEAD' });
+  assert.equal(head.status, 200);
+  const viewed = await fetchPublication(publication.id);
+  assert.equal(viewed.views, 2);
+  assert.ok(viewed.lastViewedAt);
+});
+
+test('views leave the published time and the record alone, and republishing refreshes the published time', async () => {
+  const document = approved();
+  const { publication } = (await publish(document.id)).body;
+  const first = await (await fetch(publication.url)).text();
+  await tick();
+  const second = await (await fetch(publication.url)).text();
+  assert.equal(footer(second), footer(first));
+  assert.equal(footer(first), `${formatZonedTime(publication.publishedAt)} 게시`);
+  // 조회는 게시 기록을 다시 쓰지 않음
+  const stored = publications.get(publication.id);
+  assert.equal(stored.updatedAt, publication.updatedAt);
+  assert.equal(stored.publishedAt, publication.publishedAt);
+  assert.equal(stored.views, undefined);
+
+  await tick();
+  const again = (await publish(document.id)).body.publication;
+  assert.ok(again.publishedAt > publication.publishedAt);
+  assert.equal(again.views, 2);
+});
+
+test('document content is escaped in the page', async () => {
+  const document = approved('<script>alert("x")</script>\n\n체험학습 & "도시락" 안내');
+  const { publication } = (await publish(document.id)).body;
+  const html = await (await fetch(publication.url)).text();
+  assert.doesNotMatch(html, /<script>/);
+  assert.match(html, /&lt;script&gt;alert\(&quot;x&quot;\)&lt;\/script&gt;/);
+  assert.match(html, /체험학습 &amp; &quot;도시락&quot; 안내/);
+});
+
+test('pages are never cached or indexed', async () => {
+  const { publication } = (await publish(approved().id)).body;
+  for (const url of [publication.url, `${base}/n/zzzzzzz`]) {
+    const res = await fetch(url);
+    assert.equal(res.headers.get('cache-control'), 'no-store');
+    assert.equal(res.headers.get('x-robots-tag'), 'noindex');
+  }
+});
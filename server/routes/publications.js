@@ -0,0 +1,90 @@
+// javascript
+/**
+ * Document publishing routes (the public pages themselves are served by ./publicPages.js at /n/:slug)
+ *
+ * @api {get} /api/publications List publications (newest first)
+ * @apiQuery {String} [documentId] Only publications of this document
+ * @api {post} /api/publications Publish a saved document (or refresh the live page of that document)
+ * @api {get} /api/publications/:id Get a publication
+ * @api {put} /api/publications/:id Change the expiry of a live publication
+ * @api {post} /api/publications/:id/unpublish Stop serving the page
+ * @apiGroup Publications
+ *
+ * @apiBody {String} documentId   Saved document to publish (POST). Only approved (or already sent) documents can be
+ *                                published (see ../workflow.js); deleting the document unpublishes its pages.
+ * @apiBody {String} [expiresAt]  Expiry in Asia/Seoul ("YYYY-MM-DD HH:mm") or ISO 8601 with offset; null for none
+ * @apiBody {Object} [letterhead] { orgName?, date?, signer? } shown on the page (see ../export/index.js)
+ *
+ * @apiSuccess {Object} publication { id, slug, url, status ('live' | 'expired' | 'unpublished'), documentId, sessionId,
+ *   title, content, structured, letterhead, publishedAt, expiresAt, localExpiresAt, views, lastViewedAt, unpublishedAt, createdAt,
+ *   updatedAt }
+ *   (POST answers 201 when a new link was created, 200 when the live page was refreshed)
+ * @apiError {String} error Error message (409 when the document has not been approved)
+ */
+import { Router } from 'express';
+import { documents, publications } from '../db.js';
+import { validateLetterhead } from '../export/index.js';
+import { STATUS_LABELS, documentStatus, isApproved } from '../workflow.js';
+import { publishDocument, setExpiry, unpublish, toPublicPublication, publicBaseUrl } from '../publications.js';
+
+const router = Router();
+
+router.param('id', (req, res, next, id) => {
+  const publication = publications.get(id);
+  if (!publication) {
+    return res.status(404).json({ error: '게시된 페이지를 찾을 수 없습니다.' });
+  }
+  req.publication = publication;
+  next();
+});
+
+const sendError = (res, error) => res.status(error?.status || 500).json({ error: error?.message || '게시 처리 실패' });
+
+router.get('/', (req, res) => {
+  const { documentId } = req.query;
+  const base = publicBaseUrl(req);
+  const list = publications
+    .list((p) => !documentId || p.documentId === documentId)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .map((p) => toPublicPublication(p, base));
+  res.json({ publications: list });
+});
+
+router.post('/', (req, res) => {
+  const { documentId, expiresAt, letterhead } = req.body || {};
+  const document = typeof documentId === 'string' ? documents.get(documentId) : null;
+  if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+  if (!document.editedContent?.trim()) return res.status(400).json({ error: '내용이 없는 문서는 게시할 수 없습니다.' });
+  // 공개 페이지도 밖으로 나가는 것이므로 문자 전송과 같이 승인된 문서만
+  if (!isApproved(document)) {
+    return res.status(409).json({ error: `승인된 문서만 게시할 수 있습니다. (현재 상태: ${STATUS_LABELS[documentStatus(document)]})` });
+  }
+
+  const head = validateLetterhead(letterhead);
+  if (head.error) return res.status(400).json({ error: head.error });
+  try {
+    const { publication, created } = publishDocument(document, { expiresAt, letterhead: head.value });
+    res.status(created ? 201 : 200).json({ publication: toPublicPublication(publication, publicBaseUrl(req)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.get('/:id', (req, res) => {
+  res.json({ publication: toPublicPublication(req.publication, publicBaseUrl(req)) });
+});
+
+router.put('/:id', (req, res) => {
+  if (req.body?.expiresAt === undefined) return res.status(400).json({ error: 'expiresAt이 필요합니다. (만료 없음은 null)' });
+  try {
+    res.json({ publication: toPublicPublication(setExpiry(req.publication, req.body.expiresAt), publicBaseUrl(req)) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:id/unpublish', (req, res) => {
+  res.json({ publication: toPublicPublication(unpublish(req.publication), publicBaseUrl(req)) });
+});
+
+export default router;
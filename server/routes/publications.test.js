@@ -0,0 +1,39 @@
+// javascript
+/**
+ * Publishing goes through the same approval gate as sending (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, serve } from '../testUtils.js';
+
+withTempDataDir('publications');
+const { documents, publications } = await import('../db.js');
+const { default: publicationsRouter } = await import('./publications.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/publications', publicationsRouter);
+const base = serve(app);
+
+const publish = (documentId) =>
+  fetch(`${base}/api/publications`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ documentId }),
+  });
+
+test('publishing a draft document answers 409 and creates no page', async () => {
+  const draft = documents.insert({ sessionId: 's1', editedContent: '가정통신문 초안', status: 'draft' });
+  const res = await publish(draft.id);
+  assert.equal(res.status, 409);
+  assert.match((await res.json()).error, /승인된 문서만/);
+  assert.equal(publications.list((p) => p.documentId === draft.id).length, 0);
+});
+
+test('publishing an approved document creates a live page', async () => {
+  const approved = documents.insert({ sessionId: 's1', editedContent: '가정통신문', status: 'approved' });
+  const res = await publish(approved.id);
+  assert.equal(res.status, 201);
+  assert.equal((await res.json()).publication.status, 'live');
+});
@@ -0,0 +1,47 @@
+// javascript
+/**
+ * PII redaction settings (see ../redaction.js)
+ *
+ * @api {get} /api/redaction/names List names that are always masked (e.g. students)
+ * @api {put} /api/redaction/names Replace the name list
+ * @apiGroup Redaction
+ * @apiBody {String[]} names
+ * @apiSuccess {String[]} names
+ *
+ * @api {post} /api/redaction/preview Show what would be masked in a text (nothing is sent to a model)
+ * @apiGroup Redaction
+ * @apiBody {String} text
+ * @apiSuccess {String}   text       Text with placeholders
+ * @apiSuccess {Object[]} redactions { placeholder, type, label, original, count }
+ *
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { redactionNames } from '../db.js';
+import { createRedactor, validateNames } from '../redaction.js';
+
+const router = Router();
+
+const listNames = () => redactionNames.list().map((n) => n.name).sort((a, b) => a.localeCompare(b, 'ko'));
+
+router.get('/names', (req, res) => {
+  res.json({ names: listNames() });
+});
+
+router.put('/names', (req, res) => {
+  const { value, error } = validateNames(req.body?.names);
+  if (error) return res.status(400).json({ error });
+  redactionNames.removeWhere(() => true);
+  value.forEach((name) => redactionNames.insert({ name }));
+  res.json({ names: listNames() });
+});
+
+router.post('/preview', (req, res) => {
+  const { text } = req.body || {};
+  if (typeof text !== 'string') return res.status(400).json({ error: 'text는 문자열이어야 합니다.' });
+  // 미리보기는 설정과 관계없이 무엇이 가려지는지 보여줌
+  const redactor = createRedactor({ enabled: true });
+  res.json({ text: redactor.redact(text), redactions: redactor.report() });
+});
+
+export default router;
@@ -0,0 +1,83 @@
+// javascript
+/**
+ * Document refinement route
+ *
+ * @api {post} /api/refine Revise an existing document with a follow-up instruction
+ * @apiName RefineDocument
+ * @apiGroup Documents
+ * @apiDescription
+ *  Rewrites the current (edited) document according to an instruction such as "더 간결하게" or "3번 항목 삭제".
+ *  When a structured document is sent, the result is structured as well and goes through the same
+ *  schema validation/repair as /api/generate.
+ *
+ * @apiBody {String} content      Current document text (required)
+ * @apiBody {String} instruction  Refinement instruction (required)
+ * @apiBody {Object} [structured] Current structured document { title, summary, sections[], closing }
+ * @apiBody {String} [provider]   Provider id (defaults to LLM_PROVIDER)
+ * @apiBody {String} [model]      Preferred model
+ *
+ * @apiSuccess {String} content   Revised document text
+ * @apiSuccess {Object} document  Revised structured document (null when no structured input was sent)
+ * @apiSuccess {String} provider  Provider that produced the content
+ * @apiSuccess {String} model     Model that produced the content
+ * @apiSuccess {Object[]} redactions PII masked before the model call { placeholder, type, label, original, count }
+ * @apiError {String} error       Error message
+ */
+import { Router } from 'express';
+import { generateText, validateModelSelection } from '../providers/index.js';
+import { buildRefinePrompt } from '../prompts.js';
+import { createRedactor, buildRedactionGuidance } from '../redaction.js';
+import { generateStructured, renderStructuredDocument, validateStructuredDocument, withJsonInstructions } from '../structured.js';
+
+const router = Router();
+
+const MAX_INSTRUCTION_LENGTH = 500;
+
+router.post('/', async (req, res) => {
+  try {
+    const { content, instruction, structured, provider, model } = req.body || {};
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: '수정할 문서가 필요합니다.' });
+    }
+    if (!instruction || typeof instruction !== 'string' || !instruction.trim()) {
+      return res.status(400).json({ error: '수정 요청을 입력해주세요.' });
+    }
+    if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+      return res.status(400).json({ error: `수정 요청은 ${MAX_INSTRUCTION_LENGTH}자 이내로 입력해주세요.` });
+    }
+    const invalidSelection = validateModelSelection(req.body);
+    if (invalidSelection) return res.status(400).json({ error: invalidSelection });
+
+    if (structured) {
+      const errors = validateStructuredDocument(structured);
+      if (errors.length) {
+        return res.status(400).json({ error: `structured 형식 오류: ${errors.join(' / ')}` });
+      }
+    }
+
+    // 문서와 수정 요청에 같은 자리표시자를 쓰도록 한 번에 가림
+    const redactor = createRedactor();
+    // 구조화 문서는 렌더링한 텍스트를 기준으로 고치고 같은 스키마로 돌려받음
+    const source = redactor.redact(structured ? renderStructuredDocument(structured) : content);
+    const prompt = buildRefinePrompt(source, redactor.redact(instruction.trim()), {
+      redactionGuidance: buildRedactionGuidance(redactor),
+    });
+
+    const task = { kind: 'refine', source };
+
+    if (structured) {
+      const result = await generateStructured(withJsonInstructions(prompt), { provider, model, task });
+      return res.json({ ...redactor.restoreDeep(result), redactions: redactor.report() });
+    }
+
+    const result = await generateText(prompt, { provider, model, task });
+    return res.json({ ...result, content: redactor.restore(result.content), document: null, redactions: redactor.report() });
+  } catch (error) {
+    console.error('[Server] /api/refine error:', error);
+    const msg = error?.message || '알 수 없는 오류';
+    return res.status(error?.status || 500).json({ error: msg });
+  }
+});
+
+export default router;
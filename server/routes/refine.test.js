@@ -0,0 +1,92 @@
+// javascript
+/**
+ * Document refinement: the instruction prompt, structured re-validation and input checks (run with `npm test`).
+ * The model is a local fake OpenAI-compatible server with scripted replies.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, useFakeModel, serve } from '../testUtils.js';
+
+/** 다음 응답들 (비면 '수정본') */
+const replies = [];
+const { requests } = await useFakeModel(() => replies.shift() ?? '수정본');
+withTempDataDir('refine');
+const { default: refineRouter } = await import('./refine.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/refine', refineRouter);
+const base = serve(app);
+
+const refine = async (body) => {
+  const res = await fetch(`${base}/api/refine`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const STRUCTURED = {
+  title: '현장 체험학습 안내',
+  summary: '10월 25일 체험학습',
+  sections: [
+    { heading: '일정', body: '10월 25일 09:00 출발' },
+    { heading: '준비물', body: '도시락, 물' },
+  ],
+  closing: '감사합니다.',
+};
+
+test('an empty, missing or too long instruction answers 400 without calling the model', async () => {
+  requests.length = 0;
+  for (const instruction of [undefined, '', '   ']) {
+    const { status, body } = await refine({ content: '안내문', instruction });
+    assert.equal(status, 400);
+    assert.equal(body.error, '수정 요청을 입력해주세요.');
+  }
+  assert.match((await refine({ content: '안내문', instruction: '가'.repeat(501) })).body.error, /500자 이내/);
+  assert.equal((await refine({ content: ' ', instruction: '더 간결하게' })).status, 400);
+  const malformed = await refine({ content: '안내문', instruction: '더 간결하게', structured: { title: '' } });
+  assert.match(malformed.body.error, /structured 형식 오류/);
+  assert.equal(requests.length, 0);
+});
+
+test('the prompt carries the document and the trimmed instruction', async () => {
+  const { status, body } = await refine({ content: '내일 체험학습이 있습니다.', instruction: '  더 간결하게 ' });
+  assert.equal(status, 200);
+  assert.deepEqual(
+    { content: body.content, document: body.document, provider: body.provider },
+    { content: '수정본', document: null, provider: 'openai' }
+  );
+  const { prompt, stream } = requests.at(-1);
+  assert.equal(stream, false);
+  assert.match(prompt, /문서는 다음과 같습니다:\n\n내일 체험학습이 있습니다\.\n/);
+  assert.match(prompt, /- 수정 요청: 더 간결하게\n/);
+});
+
+test('a structured document is refined from its rendered text and the answer is validated and repaired', async () => {
+  const refined = { ...STRUCTURED, sections: [STRUCTURED.sections[0]] };
+  replies.push(JSON.stringify({ title: '현장 체험학습 안내', sections: [] }), JSON.stringify(refined));
+  requests.length = 0;
+  const { status, body } = await refine({ content: '무시됨', instruction: '준비물 항목 삭제', structured: STRUCTURED });
+  assert.equal(status, 200);
+  assert.deepEqual(body.document, refined);
+  assert.equal(body.repairs, 1);
+  assert.match(body.content, /^현장 체험학습 안내/);
+  assert.doesNotMatch(body.content, /준비물/);
+
+  // 첫 요청은 렌더링한 문서와 JSON 지시, 두 번째는 검증 오류를 알려 주는 수정 요청
+  assert.equal(requests.length, 2);
+  assert.match(requests[0].prompt, /10월 25일 09:00 출발/);
+  assert.doesNotMatch(requests[0].prompt, /무시됨/);
+  assert.notEqual(requests[1].prompt, requests[0].prompt);
+});
+
+test('a structured answer that never validates is a 502 error', async () => {
+  replies.push('{}', '{}', '{}', '{}');
+  const { status, body } = await refine({ content: '안내문', instruction: '더 간결하게', structured: STRUCTURED });
+  assert.equal(status, 502);
+  assert.match(body.error, /문서 구조 검증 실패/);
+  replies.length = 0;
+});
@@ -0,0 +1,158 @@
+// javascript
+/**
+ * Document review and approval routes (see ../workflow.js)
+ *
+ * @api {get} /api/reviews/me Who the caller is and which review role they have
+ * @apiSuccess {Object} actor { id, name, role ('author' | 'approver') }
+ *
+ * @api {get} /api/reviews Review queue: documents in one status, longest waiting first
+ * @apiQuery {String} [status] draft | in_review (default) | approved | sent
+ * @apiSuccess {Object[]} documents Documents with their `status` and audit trail `events`
+ *
+ * @api {get} /api/reviews/:documentId Status, audit trail and message variants of a document
+ * @apiSuccess {Object}   document Document with its `status`, `createdBy`, `approvedBy`, `approvedAt`
+ * @apiSuccess {Object[]} events   Audit trail, oldest first
+ *   { id, action, from, to, actor: { id, name, role }, comment, detail, createdAt }
+ * @apiSuccess {Object[]} variants Message variants { id, kind, language, content, status, submittedBy, approvedBy, approvedAt }
+ *
+ * @api {post} /api/reviews/:documentId/transitions Change the status of a document
+ * @apiBody {String} action    submit | withdraw (authors), approve | request_changes (approvers)
+ * @apiBody {String} [comment] Review comment (required for request_changes)
+ *
+ * @api {post} /api/reviews/:documentId/comments Comment on a document without changing its status
+ * @apiBody {String} comment
+ *
+ * @api {post} /api/reviews/:documentId/variants Submit a message variant for review
+ * @apiBody {String} kind       short | translation | link
+ * @apiBody {String} [language] Language code (translations only)
+ * @apiBody {String} content    Exact text to send. One variant per kind (and language); new content replaces the old
+ *                              one and needs approval again.
+ *
+ * @api {post} /api/reviews/:documentId/variants/:variantId/transitions Approve a variant or request changes (approvers)
+ * @apiBody {String} action    approve | request_changes
+ * @apiBody {String} [comment] Review comment (required for request_changes)
+ *
+ * Messages may only carry approved text: the document content (or its split parts) once the document is approved, or
+ * an approved variant. Changing the document content puts its variants back to draft.
+ *
+ * @api {post} /api/reviews/:documentId/sent Record that an approved document was sent from the device's SMS app
+ * @apiBody {Number}   [recipients] Number of recipients
+ * @apiBody {String[]} [messages]   Texts that were sent (checked against the approved text like server sends)
+ * @apiGroup Reviews
+ *
+ * @apiError {String} error Error message (403 without the required role, 409 when the status does not allow it)
+ */
+import { Router } from 'express';
+import { documents, messageVariants } from '../db.js';
+import { requestActor } from '../auth.js';
+import {
+  DOCUMENT_STATUSES,
+  documentStatus,
+  listDocumentEvents,
+  listReviewQueue,
+  transitionDocument,
+  addReviewComment,
+  listMessageVariants,
+  submitMessageVariant,
+  transitionMessageVariant,
+  assertSendable,
+  markDocumentSent,
+} from '../workflow.js';
+
+const router = Router();
+
+router.param('documentId', (req, res, next, id) => {
+  const document = documents.get(id);
+  if (!document) {
+    return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+  }
+  req.document = document;
+  next();
+});
+
+router.param('variantId', (req, res, next, id) => {
+  const variant = messageVariants.get(id);
+  if (!variant || variant.documentId !== req.document?.id) {
+    return res.status(404).json({ error: '문자 문안을 찾을 수 없습니다.' });
+  }
+  req.variant = variant;
+  next();
+});
+
+const sendError = (res, error) => res.status(error?.status || 500).json({ error: error?.message || '검토 처리 실패' });
+
+const withStatus = (document) => ({ ...document, status: documentStatus(document) });
+
+router.get('/me', (req, res) => {
+  res.json({ actor: requestActor(req) });
+});
+
+router.get('/', (req, res) => {
+  const { status = 'in_review' } = req.query;
+  if (!DOCUMENT_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status는 ${DOCUMENT_STATUSES.join(' | ')} 중 하나여야 합니다.` });
+  }
+  res.json({ documents: listReviewQueue(status) });
+});
+
+router.get('/:documentId', (req, res) => {
+  res.json({
+    document: withStatus(req.document),
+    events: listDocumentEvents(req.document.id),
+    variants: listMessageVariants(req.document.id),
+  });
+});
+
+router.post('/:documentId/transitions', (req, res) => {
+  try {
+    const { document, event } = transitionDocument(req.document, req.body?.action, requestActor(req), req.body?.comment);
+    res.json({ document, event });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:documentId/comments', (req, res) => {
+  try {
+    res.status(201).json({ event: addReviewComment(req.document, requestActor(req), req.body?.comment) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:documentId/variants', (req, res) => {
+  try {
+    const { variant, event } = submitMessageVariant(req.document, req.body, requestActor(req));
+    res.status(event ? 201 : 200).json({ variant, event });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:documentId/variants/:variantId/transitions', (req, res) => {
+  try {
+    const { action, comment } = req.body || {};
+    res.json(transitionMessageVariant(req.document, req.variant, action, requestActor(req), comment));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+router.post('/:documentId/sent', (req, res) => {
+  const { recipients, messages } = req.body || {};
+  if (recipients !== undefined && (!Number.isInteger(recipients) || recipients < 0)) {
+    return res.status(400).json({ error: 'recipients는 0 이상의 정수여야 합니다.' });
+  }
+  if (messages !== undefined && (!Array.isArray(messages) || messages.some((m) => typeof m !== 'string'))) {
+    return res.status(400).json({ error: 'messages는 문자열 배열이어야 합니다.' });
+  }
+  try {
+    assertSendable(req.document.id, messages);
+    const document = markDocumentSent(req.document.id, requestActor(req), { via: 'device', recipients: recipients ?? null });
+    res.json({ document, events: listDocumentEvents(document.id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+export default router;
@@ -0,0 +1,75 @@
+// javascript
+/**
+ * Scheduled message delivery routes (see ../scheduler.js)
+ *
+ * @api {get} /api/schedules List scheduled jobs (soonest first)
+ * @apiQuery {String} [status] pending | sending | sent | failed | cancelled
+ * @api {post} /api/schedules Schedule a message
+ * @api {get} /api/schedules/:id Get a scheduled job
+ * @api {put} /api/schedules/:id Edit a pending job that has not been attempted yet (partial)
+ * @api {post} /api/schedules/:id/cancel Cancel a pending job
+ * @apiGroup Schedules
+ *
+ * @apiBody {String[]} recipients   Phone numbers
+ * @apiBody {String[]} [messages]   Messages to send in order (e.g. numbered SMS parts)
+ * @apiBody {String}   [body]       Single message (instead of messages)
+ * @apiBody {String}   [encoding]   EUC-KR (default) | UCS-2 for translations (see ../messaging.js)
+ * @apiBody {String}   sendAt       Local time in `timezone` ("YYYY-MM-DD HH:mm") or ISO 8601 with offset
+ * @apiBody {String}   [timezone]   IANA time zone (default "Asia/Seoul")
+ * @apiBody {String}   documentId   Approved document the messages were created from (see ../workflow.js)
+ *
+ * @apiSuccess {Object} job { id, recipients, messages, encoding, documentId, createdBy, sendAt, localSendAt, timezone, status, attempts,
+ *   nextAttemptAt, remaining, batchIds, lastError, sentAt, createdAt, updatedAt }
+ *
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { scheduledJobs } from '../db.js';
+import { createJob, updateJob, cancelJob } from '../scheduler.js';
+import { requestActor } from '../auth.js';
+
+const router = Router();
+
+router.param('id', (req, res, next, id) => {
+  const job = scheduledJobs.get(id);
+  if (!job) {
+    return res.status(404).json({ error: '예약을 찾을 수 없습니다.' });
+  }
+  req.job = job;
+  next();
+});
+
+/**
+ * 검증 오류(status 400/404/409)는 그대로, 나머지는 500으로 응답합니다.
+ * @param {(req: import('express').Request) => object} handler - 작업을 반환하는 함수
+ * @param {number} [successStatus=200]
+ */
+const respondWithJob = (handler, successStatus = 200) => (req, res) => {
+  try {
+    res.status(successStatus).json({ job: handler(req) });
+  } catch (error) {
+    const status = error?.status || 500;
+    if (status >= 500) console.error('[Server] Schedule request failed:', error);
+    res.status(status).json({ error: error?.message || '예약 처리 실패' });
+  }
+};
+
+router.get('/', (req, res) => {
+  const { status } = req.query;
+  const jobs = scheduledJobs
+    .list((j) => !status || j.status === status)
+    .sort((a, b) => a.sendAt.localeCompare(b.sendAt));
+  res.json({ jobs });
+});
+
+router.post('/', respondWithJob((req) => createJob(req.body, requestActor(req)), 201));
+
+router.get('/:id', (req, res) => {
+  res.json({ job: req.job });
+});
+
+router.put('/:id', respondWithJob((req) => updateJob(req.job, req.body)));
+
+router.post('/:id/cancel', respondWithJob((req) => cancelJob(req.job)));
+
+export default router;
@@ -0,0 +1,34 @@
+// javascript
+/**
+ * Full-text search over transcripts and documents (index and ranking in ../search.js)
+ *
+ * @api {get} /api/search Search session transcripts and documents
+ * @apiQuery {String} q            Search words (Korean is matched by character bigrams, so particles need not match)
+ * @apiQuery {String} [from]       First day ("YYYY-MM-DD", Asia/Seoul): recording time for sessions, creation for documents
+ * @apiQuery {String} [to]         Last day ("YYYY-MM-DD", inclusive)
+ * @apiQuery {String} [type]       session | document
+ * @apiQuery {String} [templateId] Documents generated with this template only
+ * @apiQuery {String} [status]     Documents in this review status only (draft | in_review | approved | sent)
+ * @apiQuery {Number} [limit=20]   Results per page (max 50)
+ * @apiQuery {Number} [offset=0]
+ * @apiSuccess {Object[]} results Best match first
+ *   { type, id, sessionId, title, date, status, templateId, documentType, score, snippets[[{ text, highlight }]] }
+ * @apiSuccess {Number}   total   Matches before paging
+ * @apiGroup Search
+ *
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { validateSearchQuery, searchAll } from '../search.js';
+
+const router = Router();
+
+router.get('/', (req, res) => {
+  const { value, error } = validateSearchQuery(req.query);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  res.json(searchAll(value));
+});
+
+export default router;
@@ -0,0 +1,320 @@
+// javascript
+/**
+ * Recording session & document routes
+ *
+ * @api {get} /api/sessions List sessions (newest first)
+ * @api {post} /api/sessions Create session
+ * @api {get} /api/sessions/:id Get session with its documents
+ * @api {put} /api/sessions/:id Update session
+ * @api {delete} /api/sessions/:id Delete session and its documents (their published pages are unpublished)
+ * @api {put} /api/sessions/:id/corrections/:correctionId Revert ({ reverted: true }) or re-apply a glossary correction
+ * @apiGroup Sessions
+ *
+ * New sessions get the glossary correction pass (see ../glossary.js); the applied replacements are listed in
+ * `corrections` with their positions so they can be highlighted and reverted.
+ *
+ * @apiBody {String} [timestamp]  Recording start time (ISO 8601, defaults to now)
+ * @apiBody {String} [transcript] Transcribed text (derived from segments when segments are given)
+ * @apiBody {String} [language]   Recognition language (BCP 47, default "ko-KR")
+ * @apiBody {Object[]} [segments] Final recognition results { id?, text, startMs, endMs, confidence }
+ *                                with offsets in ms from the session start; segments with empty text are dropped
+ *
+ * @api {get} /api/sessions/:id/documents List documents of a session
+ * @api {post} /api/sessions/:id/documents Create document
+ * @api {get} /api/sessions/:id/documents/:docId Get document
+ * @api {put} /api/sessions/:id/documents/:docId Update document
+ * @api {delete} /api/sessions/:id/documents/:docId Delete document (its published pages are unpublished)
+ * @apiGroup Documents
+ *
+ * @apiBody {String} [documentType]     Document type label
+ * @apiBody {String} [templateId]       Template used for generation
+ * @apiBody {String} [generatedContent] Content as generated by the model
+ * @apiBody {String} [editedContent]    Content after user edits
+ * @apiBody {Object} [structured]       Structured document { title, summary, sections[], closing } (null to clear)
+ * @apiBody {String[]} [sourceSessionIds] Sessions combined into this document, in order (defaults to [:id])
+ * @apiBody {String} [revisionAction]   How the content changed: "generated" | "edited" (default) | "refined"
+ *
+ * @api {get} /api/sessions/:id/documents/:docId/revisions List revisions of a document (newest first)
+ * @api {post} /api/sessions/:id/documents/:docId/revisions/:revisionId/restore Restore a revision
+ * @apiGroup Revisions
+ *
+ * Creating a document and every update that changes editedContent or structured records a revision
+ * { id, action, content, structured, documentType, templateId, restoredFrom, createdAt } (see ../revisions.js).
+ * Restoring copies the revision back into the document and records it as a new "restored" revision.
+ *
+ * New documents start as drafts (`status`, see ./reviews.js). Changing the content of a document that is in review,
+ * approved or sent puts it back to draft, and creation, reopening and deletion are written to its audit trail.
+ *
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { sessions, documents, revisions, actionItems, messageVariants } from '../db.js';
+import { validateStructuredDocument } from '../structured.js';
+import { validateSegments, joinSegments } from '../transcript.js';
+import { isValidLanguage, DEFAULT_LANGUAGE } from '../languages.js';
+import { correctStoredSession, setCorrectionReverted } from '../glossary.js';
+import { REVISION_ACTIONS, listRevisions, recordRevision, updateWithRevision, restoreRevision } from '../revisions.js';
+import { recordDocumentCreated, recordDocumentDeleted, reopenIfChanged } from '../workflow.js';
+import { requestActor } from '../auth.js';
+import { unpublishWhere } from '../publications.js';
+
+const router = Router();
+
+const byNewest = (field) => (a, b) => String(b[field]).localeCompare(String(a[field]));
+
+/**
+ * 요청 본문에서 허용된 문자열 필드만 추출합니다.
+ * @param {object} body - 요청 본문
+ * @param {string[]} fields - 허용 필드 목록
+ * @returns {{ value?: object, error?: string }}
+ */
+function pickStrings(body, fields) {
+  const value = {};
+  for (const field of fields) {
+    if (body?.[field] === undefined) continue;
+    if (typeof body[field] !== 'string') {
+      return { error: `${field}는 문자열이어야 합니다.` };
+    }
+    value[field] = body[field];
+  }
+  return { value };
+}
+
+function isValidTimestamp(ts) {
+  return !Number.isNaN(Date.parse(ts));
+}
+
+/**
+ * 세션 본문을 검증합니다. segments가 있으면 transcript는 구간들로부터 만듭니다.
+ * @param {object} body
+ * @returns {{ value?: object, error?: string }}
+ */
+function pickSessionFields(body) {
+  const { value, error } = pickStrings(body, ['timestamp', 'transcript', 'language']);
+  if (error) return { error };
+  if (value.language !== undefined && !isValidLanguage(value.language)) {
+    return { error: '지원하지 않는 언어 코드입니다.' };
+  }
+  if (value.timestamp) {
+    if (!isValidTimestamp(value.timestamp)) return { error: 'timestamp 형식이 올바르지 않습니다.' };
+    value.timestamp = new Date(value.timestamp).toISOString();
+  }
+  if (body?.segments !== undefined) {
+    const segments = validateSegments(body.segments);
+    if (segments.error) return { error: segments.error };
+    value.segments = segments.value;
+    value.transcript = joinSegments(segments.value);
+  }
+  return { value };
+}
+
+/**
+ * 구간을 바꿀 때 내용이 그대로인 구간의 교정만 남깁니다. (바뀐 구간은 위치가 맞지 않음)
+ * @param {object} session - 기존 세션
+ * @param {object[]} segments - 새 구간 목록
+ * @returns {object[]}
+ */
+function keepCorrections(session, segments) {
+  const before = new Map((session.segments || []).map((s) => [s.id, s.text]));
+  const unchanged = new Set(segments.filter((s) => before.get(s.id) === s.text).map((s) => s.id));
+  return (session.corrections || []).filter((c) => c.segmentId && unchanged.has(c.segmentId));
+}
+
+// 세션 조회 미들웨어: 존재하지 않으면 404
+router.param('id', (req, res, next, id) => {
+  const session = sessions.get(id);
+  if (!session) {
+    return res.status(404).json({ error: '세션을 찾을 수 없습니다.' });
+  }
+  req.recordingSession = session;
+  next();
+});
+
+router.get('/', (req, res) => {
+  res.json({ sessions: sessions.list().sort(byNewest('timestamp')) });
+});
+
+router.post('/', (req, res) => {
+  const { value, error } = pickSessionFields(req.body);
+  if (error) return res.status(400).json({ error });
+
+  const session = sessions.insert({
+    timestamp: value.timestamp || new Date().toISOString(),
+    transcript: value.transcript || '',
+    segments: value.segments || [],
+    language: value.language || DEFAULT_LANGUAGE,
+    corrections: [],
+  });
+  res.status(201).json({ session: correctStoredSession(session) });
+});
+
+router.get('/:id', (req, res) => {
+  const docs = documents.list((d) => d.sessionId === req.recordingSession.id).sort(byNewest('updatedAt'));
+  res.json({ session: req.recordingSession, documents: docs });
+});
+
+router.put('/:id', (req, res) => {
+  const { value, error } = pickSessionFields(req.body);
+  if (error) return res.status(400).json({ error });
+  // 원문을 직접 고치면 구간과 맞지 않으므로 구간을 비움
+  if (value.transcript !== undefined && value.segments === undefined) value.segments = [];
+  if (value.segments !== undefined) value.corrections = keepCorrections(req.recordingSession, value.segments);
+  res.json({ session: sessions.update(req.recordingSession.id, value) });
+});
+
+router.put('/:id/corrections/:correctionId', (req, res) => {
+  if (typeof req.body?.reverted !== 'boolean') {
+    return res.status(400).json({ error: 'reverted는 true 또는 false여야 합니다.' });
+  }
+  try {
+    const patch = setCorrectionReverted(req.recordingSession, req.params.correctionId, req.body.reverted);
+    res.json({ session: sessions.update(req.recordingSession.id, patch) });
+  } catch (error) {
+    res.status(error?.status || 500).json({ error: error?.message || '교정 변경 실패' });
+  }
+});
+
+router.delete('/:id', (req, res) => {
+  const removed = documents.list((d) => d.sessionId === req.recordingSession.id);
+  const documentIds = new Set(removed.map((d) => d.id));
+  removed.forEach((d) => recordDocumentDeleted(d, requestActor(req)));
+  documents.removeWhere((d) => d.sessionId === req.recordingSession.id);
+  revisions.removeWhere((r) => r.sessionId === req.recordingSession.id);
+  messageVariants.removeWhere((v) => documentIds.has(v.documentId));
+  // 지운 문서의 공개 페이지는 만료를 기다리지 않고 바로 내림
+  unpublishWhere((p) => documentIds.has(p.documentId));
+  // 문서 없이 추출한 체크리스트는 세션 범위에서 빼고, 남은 세션이 없으면 삭제
+  actionItems.removeWhere((item) => documentIds.has(item.documentId));
+  for (const item of actionItems.list((item) => !item.documentId && item.sessionIds.includes(req.recordingSession.id))) {
+    const sessionIds = item.sessionIds.filter((id) => id !== req.recordingSession.id);
+    if (sessionIds.length) actionItems.update(item.id, { sessionIds });
+    else actionItems.remove(item.id);
+  }
+  sessions.remove(req.recordingSession.id);
+  res.status(204).end();
+});
+
+const DOCUMENT_FIELDS = ['documentType', 'templateId', 'generatedContent', 'editedContent'];
+
+/**
+ * 문서 본문을 검증합니다. (문자열 필드 + 구조화 문서)
+ * @param {object} body
+ * @returns {{ value?: object, error?: string }}
+ */
+function pickDocumentFields(body) {
+  const { value, error } = pickStrings(body, DOCUMENT_FIELDS);
+  if (error) return { error };
+  if (body?.structured !== undefined) {
+    if (body.structured !== null) {
+      const errors = validateStructuredDocument(body.structured);
+      if (errors.length) return { error: `structured 형식 오류: ${errors.join(' / ')}` };
+    }
+    value.structured = body.structured;
+  }
+  if (body?.sourceSessionIds !== undefined) {
+    const ids = body.sourceSessionIds;
+    if (!Array.isArray(ids) || ids.some((id) => typeof id !== 'string')) {
+      return { error: 'sourceSessionIds는 문자열 배열이어야 합니다.' };
+    }
+    value.sourceSessionIds = ids;
+  }
+  return { value };
+}
+
+/**
+ * 리비전에 남길 변경 종류를 읽습니다. (복원은 restore 경로로만)
+ * @param {object} body
+ * @param {string} fallback
+ * @returns {{ action?: string, error?: string }}
+ */
+function pickRevisionAction(body, fallback) {
+  const action = body?.revisionAction ?? fallback;
+  if (action === 'restored' || !REVISION_ACTIONS.includes(action)) {
+    return { error: 'revisionAction은 generated, edited, refined 중 하나여야 합니다.' };
+  }
+  return { action };
+}
+
+const findDocument = (req) => {
+  const doc = documents.get(req.params.docId);
+  return doc && doc.sessionId === req.recordingSession.id ? doc : null;
+};
+
+router.get('/:id/documents', (req, res) => {
+  const docs = documents.list((d) => d.sessionId === req.recordingSession.id).sort(byNewest('updatedAt'));
+  res.json({ documents: docs });
+});
+
+router.post('/:id/documents', (req, res) => {
+  const { value, error } = pickDocumentFields(req.body);
+  if (error) return res.status(400).json({ error });
+  const revision = pickRevisionAction(req.body, value.generatedContent ? 'generated' : 'edited');
+  if (revision.error) return res.status(400).json({ error: revision.error });
+
+  const document = documents.insert({
+    sessionId: req.recordingSession.id,
+    documentType: value.documentType || '보고서',
+    templateId: value.templateId || null,
+    generatedContent: value.generatedContent || '',
+    // 편집본이 없으면 생성본으로 시작
+    editedContent: value.editedContent ?? value.generatedContent ?? '',
+    structured: value.structured ?? null,
+    sourceSessionIds: value.sourceSessionIds ?? [req.recordingSession.id],
+    status: 'draft',
+    createdBy: requestActor(req),
+    approvedBy: null,
+    approvedAt: null,
+  });
+  recordRevision(document, revision.action);
+  recordDocumentCreated(document, requestActor(req));
+  res.status(201).json({ document });
+});
+
+router.get('/:id/documents/:docId', (req, res) => {
+  const document = findDocument(req);
+  if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+  res.json({ document });
+});
+
+router.put('/:id/documents/:docId', (req, res) => {
+  const document = findDocument(req);
+  if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+
+  const { value, error } = pickDocumentFields(req.body);
+  if (error) return res.status(400).json({ error });
+  const revision = pickRevisionAction(req.body, 'edited');
+  if (revision.error) return res.status(400).json({ error: revision.error });
+  const updated = updateWithRevision(document, value, revision.action);
+  res.json({ document: reopenIfChanged(document, updated, requestActor(req)) });
+});
+
+router.delete('/:id/documents/:docId', (req, res) => {
+  const document = findDocument(req);
+  if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+  documents.remove(document.id);
+  recordDocumentDeleted(document, requestActor(req));
+  revisions.removeWhere((r) => r.documentId === document.id);
+  actionItems.removeWhere((item) => item.documentId === document.id);
+  messageVariants.removeWhere((v) => v.documentId === document.id);
+  unpublishWhere((p) => p.documentId === document.id);
+  res.status(204).end();
+});
+
+router.get('/:id/documents/:docId/revisions', (req, res) => {
+  const document = findDocument(req);
+  if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+  res.json({ revisions: listRevisions(document.id) });
+});
+
+router.post('/:id/documents/:docId/revisions/:revisionId/restore', (req, res) => {
+  const document = findDocument(req);
+  if (!document) return res.status(404).json({ error: '문서를 찾을 수 없습니다.' });
+  const revision = revisions.get(req.params.revisionId);
+  if (!revision || revision.documentId !== document.id) {
+    return res.status(404).json({ error: '리비전을 찾을 수 없습니다.' });
+  }
+  const restored = restoreRevision(document, revision);
+  res.json({ ...restored, document: reopenIfChanged(document, restored.document, requestActor(req)) });
+});
+
+export default router;
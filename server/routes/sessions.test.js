@@ -0,0 +1,102 @@
+// javascript
+/**
+ * Session and document routes: lookups, validation, updates and what deleting a session takes with it
+ * (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, serve, tick } from '../testUtils.js';
+
+withTempDataDir('sessions');
+const { sessions, documents, publications, messageVariants, actionItems } = await import('../db.js');
+const { default: sessionsRouter } = await import('./sessions.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/sessions', sessionsRouter);
+const base = serve(app);
+
+const request = async (method, path, body) => {
+  const res = await fetch(`${base}/api/sessions${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+};
+
+const createSession = async (body = { transcript: '내일 체험학습이 있습니다.' }) =>
+  (await request('POST', '', body)).body.session;
+const createDocument = async (sessionId, body = { generatedContent: '체험학습 안내' }) =>
+  (await request('POST', `/${sessionId}/documents`, body)).body.document;
+
+test('missing sessions and documents answer 404', async () => {
+  const session = await createSession();
+  const other = await createSession();
+  const document = await createDocument(other.id);
+  assert.equal((await request('GET', '/missing')).status, 404);
+  assert.equal((await request('DELETE', '/missing')).status, 404);
+  assert.equal((await request('GET', `/${session.id}/documents/missing`)).status, 404);
+  // 다른 세션의 문서는 보이지 않음
+  assert.equal((await request('GET', `/${session.id}/documents/${document.id}`)).status, 404);
+  assert.equal((await request('PUT', `/${session.id}/documents/${document.id}`, { editedContent: 'x' })).status, 404);
+});
+
+test('malformed sessions and documents answer 400', async () => {
+  const rejected = async (method, path, body, pattern) => {
+    const { status, body: json } = await request(method, path, body);
+    assert.equal(status, 400);
+    assert.match(json.error, pattern);
+  };
+  await rejected('POST', '', { transcript: 3 }, /transcript는 문자열/);
+  await rejected('POST', '', { timestamp: 'yesterday' }, /timestamp 형식/);
+
+  const session = await createSession();
+  await rejected('PUT', `/${session.id}`, { timestamp: 'yesterday' }, /timestamp 형식/);
+  await rejected('POST', `/${session.id}/documents`, { editedContent: ['고친 안내'] }, /editedContent는 문자열/);
+});
+
+test('a new document starts from its generated content and the newest comes first', async () => {
+  const session = await createSession();
+  const first = await createDocument(session.id);
+  assert.deepEqual(
+    { documentType: first.documentType, editedContent: first.editedContent },
+    { documentType: '보고서', editedContent: '체험학습 안내' }
+  );
+  await tick();
+  const second = await createDocument(session.id, { documentType: '가정통신문', generatedContent: '안내' });
+  await tick();
+  const { body } = await request('PUT', `/${session.id}/documents/${first.id}`, { editedContent: '고친 안내' });
+  assert.equal(body.document.editedContent, '고친 안내');
+  assert.equal(body.document.generatedContent, '체험학습 안내');
+  assert.deepEqual(
+    (await request('GET', `/${session.id}`)).body.documents.map((d) => d.id),
+    [first.id, second.id]
+  );
+});
+
+test('deleting a session removes its documents, unpublishes their pages, trims its checklist and leaves other sessions alone', async () => {
+  const session = await createSession();
+  const kept = await createSession();
+  const document = await createDocument(session.id);
+  const other = await createDocument(kept.id);
+  const page = publications.insert({ slug: 'abc', documentId: document.id, sessionId: session.id, unpublishedAt: null });
+  const otherPage = publications.insert({ slug: 'def', documentId: other.id, sessionId: kept.id, unpublishedAt: null });
+  messageVariants.insert({ documentId: document.id, kind: 'short', content: '요약', status: 'draft' });
+  actionItems.insert({ documentId: document.id, sessionIds: [session.id], title: '문서 항목' });
+  const shared = actionItems.insert({ documentId: null, sessionIds: [session.id, kept.id], title: '두 세션 항목' });
+  const own = actionItems.insert({ documentId: null, sessionIds: [session.id], title: '이 세션 항목' });
+
+  assert.equal((await request('DELETE', `/${session.id}`)).status, 204);
+  assert.equal(sessions.get(session.id), null);
+  assert.equal(documents.get(document.id), null);
+  assert.ok(publications.get(page.id).unpublishedAt);
+  assert.ok(documents.get(other.id));
+  assert.equal(publications.get(otherPage.id).unpublishedAt, null);
+  assert.equal(messageVariants.list((v) => v.documentId === document.id).length, 0);
+  assert.equal(actionItems.list((item) => item.documentId === document.id).length, 0);
+  // 다른 세션과 함께 추출한 항목은 그 세션에 남음
+  assert.deepEqual(actionItems.get(shared.id).sessionIds, [kept.id]);
+  assert.equal(actionItems.get(own.id), null);
+});
@@ -0,0 +1,66 @@
+// javascript
+/**
+ * Document template routes
+ *
+ * @api {get} /api/templates List templates
+ * @api {post} /api/templates Create template
+ * @api {get} /api/templates/:id Get template
+ * @api {put} /api/templates/:id Update template (partial)
+ * @api {delete} /api/templates/:id Delete template
+ * @apiGroup Templates
+ *
+ * @apiBody {String}   name           Template name (e.g. "가정통신문")
+ * @apiBody {String}   [instructions] Prompt instructions for this document type
+ * @apiBody {String[]} sections       Required sections, in order
+ * @apiBody {String}   [tone]         Tone of voice
+ * @apiBody {Number}   [maxLength]    Maximum length in characters (null for no limit)
+ *
+ * @apiError {String} error Error message
+ */
+import { Router } from 'express';
+import { templates } from '../db.js';
+import { validateTemplate } from '../templates.js';
+
+const router = Router();
+
+router.param('id', (req, res, next, id) => {
+  const template = templates.get(id);
+  if (!template) {
+    return res.status(404).json({ error: '템플릿을 찾을 수 없습니다.' });
+  }
+  req.template = template;
+  next();
+});
+
+const isNameTaken = (name, exceptId) => templates.list((t) => t.name === name && t.id !== exceptId).length > 0;
+
+router.get('/', (req, res) => {
+  res.json({ templates: templates.list() });
+});
+
+router.post('/', (req, res) => {
+  const { value, error } = validateTemplate(req.body);
+  if (error) return res.status(400).json({ error });
+  if (isNameTaken(value.name)) return res.status(409).json({ error: '같은 이름의 템플릿이 이미 있습니다.' });
+  res.status(201).json({ template: templates.insert(value) });
+});
+
+router.get('/:id', (req, res) => {
+  res.json({ template: req.template });
+});
+
+router.put('/:id', (req, res) => {
+  const { value, error } = validateTemplate(req.body, { partial: true });
+  if (error) return res.status(400).json({ error });
+  if (value.name && isNameTaken(value.name, req.template.id)) {
+    return res.status(409).json({ error: '같은 이름의 템플릿이 이미 있습니다.' });
+  }
+  res.json({ template: templates.update(req.template.id, value) });
+});
+
+router.delete('/:id', (req, res) => {
+  templates.remove(req.template.id);
+  res.status(204).end();
+});
+
+export default router;
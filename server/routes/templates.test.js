@@ -0,0 +1,90 @@
+// javascript
+/**
+ * Document templates: seeding the defaults, CRUD with validation and unique names, and generating from a template
+ * that does not exist (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, serve } from '../testUtils.js';
+
+withTempDataDir('templates', { LLM_PROVIDER: undefined, OPENAI_BASE_URL: undefined, GEMINI_API_KEY: undefined });
+const { templates } = await import('../db.js');
+const { seedDefaultTemplates, findTemplate } = await import('../templates.js');
+const { default: templatesRouter } = await import('./templates.js');
+const { default: generateRouter } = await import('./generate.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/templates', templatesRouter);
+app.use('/api/generate', generateRouter);
+const base = serve(app);
+
+const request = async (method, path, body) => {
+  const res = await fetch(`${base}/api${path}`, {
+    method,
+    headers: { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body),
+  });
+  return { status: res.status, body: res.status === 204 ? null : await res.json() };
+};
+
+const FIELD_TRIP = { name: '체험학습 안내', sections: ['제목', '일정'], tone: '정중한 존댓말', maxLength: 500 };
+
+test('the default templates are seeded once into an empty store', () => {
+  seedDefaultTemplates();
+  assert.deepEqual(
+    templates.list().map((t) => t.id),
+    ['home-letter', 'meeting-minutes', 'notice', 'report']
+  );
+  templates.remove('report');
+  seedDefaultTemplates();
+  assert.equal(templates.list().length, 3);
+  assert.equal(findTemplate({ documentType: '가정통신문' }).id, 'home-letter');
+  assert.equal(findTemplate({ templateId: 'report' }), null);
+});
+
+test('templates are created, read, updated and deleted', async () => {
+  const created = await request('POST', '/templates', { ...FIELD_TRIP, name: ' 체험학습 안내 ', sections: [' 제목 ', '일정'] });
+  assert.equal(created.status, 201);
+  const { template } = created.body;
+  const { name, sections, instructions, maxLength } = template;
+  assert.deepEqual({ name, sections, instructions, maxLength }, { name: '체험학습 안내', sections: ['제목', '일정'], instructions: '', maxLength: 500 });
+  assert.equal((await request('GET', `/templates/${template.id}`)).body.template.tone, '정중한 존댓말');
+
+  // 부분 수정: 주어진 필드만 바뀜
+  const updated = (await request('PUT', `/templates/${template.id}`, { maxLength: null })).body.template;
+  assert.equal(updated.maxLength, null);
+  assert.deepEqual(updated.sections, ['제목', '일정']);
+
+  assert.equal((await request('DELETE', `/templates/${template.id}`)).status, 204);
+  assert.equal((await request('GET', `/templates/${template.id}`)).status, 404);
+  assert.equal((await request('PUT', `/templates/${template.id}`, { tone: '' })).status, 404);
+});
+
+test('invalid fields answer 400 and duplicate names 409', async () => {
+  const rejected = async (body, pattern) => {
+    const { status, body: json } = await request('POST', '/templates', body);
+    assert.equal(status, 400);
+    assert.match(json.error, pattern);
+  };
+  await rejected({ ...FIELD_TRIP, name: ' ' }, /name/);
+  await rejected({ ...FIELD_TRIP, sections: [] }, /sections/);
+  await rejected({ ...FIELD_TRIP, sections: ['제목', ' '] }, /sections/);
+  await rejected({ ...FIELD_TRIP, tone: 3 }, /tone/);
+  await rejected({ ...FIELD_TRIP, maxLength: 0 }, /maxLength/);
+
+  assert.equal((await request('POST', '/templates', { ...FIELD_TRIP, name: '가정통신문' })).status, 409);
+  const { template } = (await request('POST', '/templates', { ...FIELD_TRIP, name: '상담 안내' })).body;
+  assert.equal((await request('PUT', `/templates/${template.id}`, { name: '공지문' })).status, 409);
+});
+
+test('generating from a deleted or unknown templateId answers 400', async () => {
+  const { template } = (await request('POST', '/templates', { ...FIELD_TRIP, name: '지울 템플릿' })).body;
+  await request('DELETE', `/templates/${template.id}`);
+  for (const templateId of [template.id, 'no-such-template']) {
+    const { status, body } = await request('POST', '/generate', { text: '내일 체험학습이 있습니다.', templateId });
+    assert.equal(status, 400);
+    assert.equal(body.error, '템플릿을 찾을 수 없습니다.');
+  }
+});
@@ -0,0 +1,109 @@
+// javascript
+/**
+ * Audio upload transcription
+ *
+ * @api {post} /api/transcribe Transcribe an uploaded audio file into a new recording session
+ * @apiName TranscribeAudio
+ * @apiGroup Sessions
+ * @apiDescription
+ *  The request body is the raw audio file (wav, m4a or webm; max TRANSCRIBE_MAX_MB, default 25 MB).
+ *  The format is detected from the file header, then from Content-Type / filename.
+ *  The configured speech-to-text backend (see ../stt/index.js) transcribes it and the result is stored
+ *  as a normal session with segments, so it can be used for document generation like a live recording.
+ *  Without a configured backend (STT_BACKEND) the endpoint answers 503 and stores nothing.
+ *
+ * @apiQuery {String} [language=ko-KR] Recognition language (BCP 47, e.g. en-US)
+ * @apiQuery {String} [filename]        Original file name (used for format detection and by the stub backend)
+ * @apiQuery {String} [timestamp]       Recording time (ISO 8601, defaults to now)
+ *
+ * @apiSuccess {Object} session Created session { id, timestamp, transcript, segments, language, corrections, source: 'upload', filename }
+ *   (glossary corrections are applied like for other new sessions)
+ * @apiError {String} error Error message
+ */
+import express, { Router } from 'express';
+import path from 'path';
+import { sessions } from '../db.js';
+import { sttBackend } from '../stt/index.js';
+import { validateSegments, joinSegments } from '../transcript.js';
+import { isValidLanguage, DEFAULT_LANGUAGE } from '../languages.js';
+import { correctStoredSession } from '../glossary.js';
+
+const router = Router();
+
+const MAX_BYTES = Number.parseInt(process.env.TRANSCRIBE_MAX_MB ?? '25', 10) * 1024 * 1024;
+
+const MIME_FORMATS = {
+  'audio/wav': 'wav',
+  'audio/wave': 'wav',
+  'audio/x-wav': 'wav',
+  'audio/mp4': 'm4a',
+  'audio/m4a': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'audio/webm': 'webm',
+  'video/webm': 'webm',
+};
+
+/**
+ * 오디오 형식을 판별합니다. 파일 머리(매직 바이트) → Content-Type → 확장자 순으로 봅니다.
+ * @param {Buffer} audio
+ * @param {string} [contentType]
+ * @param {string} [filename]
+ * @returns {'wav' | 'm4a' | 'webm' | null}
+ */
+function detectFormat(audio, contentType, filename) {
+  if (audio.length >= 12 && audio.toString('ascii', 0, 4) === 'RIFF' && audio.toString('ascii', 8, 12) === 'WAVE') {
+    return 'wav';
+  }
+  if (audio.length >= 8 && audio.toString('ascii', 4, 8) === 'ftyp') return 'm4a';
+  if (audio.length >= 4 && audio.readUInt32BE(0) === 0x1a45dfa3) return 'webm'; // EBML
+  const mime = (contentType || '').split(';')[0].trim().toLowerCase();
+  if (MIME_FORMATS[mime]) return MIME_FORMATS[mime];
+  const ext = filename ? path.extname(filename).slice(1).toLowerCase() : '';
+  return ['wav', 'm4a', 'webm'].includes(ext) ? ext : null;
+}
+
+// 백엔드가 없으면 업로드를 읽기 전에 거절
+const requireBackend = (req, res, next) => {
+  if (!sttBackend) return res.status(503).json({ error: '음성 변환 백엔드가 설정되지 않았습니다. (STT_BACKEND)' });
+  next();
+};
+
+router.post('/', requireBackend, express.raw({ type: () => true, limit: MAX_BYTES }), async (req, res) => {
+  const audio = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const { language = DEFAULT_LANGUAGE, filename, timestamp } = req.query;
+
+  if (audio.length === 0) return res.status(400).json({ error: '오디오 파일이 비어 있습니다.' });
+  if (!isValidLanguage(language)) return res.status(400).json({ error: '지원하지 않는 언어 코드입니다.' });
+  if (timestamp !== undefined && Number.isNaN(Date.parse(timestamp))) {
+    return res.status(400).json({ error: 'timestamp 형식이 올바르지 않습니다.' });
+  }
+  const format = detectFormat(audio, req.get('Content-Type'), filename);
+  if (!format) return res.status(415).json({ error: 'wav, m4a, webm 파일만 업로드할 수 있습니다.' });
+
+  try {
+    console.log(`[STT] Transcribing ${format} (${audio.length} bytes, ${language}) with ${sttBackend.id}`);
+    const result = await sttBackend.transcribe({ audio, format, filename, language });
+    const segments = validateSegments(result.segments || []);
+    if (segments.error) {
+      throw Object.assign(new Error(`전사 결과 형식 오류: ${segments.error}`), { status: 502 });
+    }
+    const transcript = segments.value.length ? joinSegments(segments.value) : String(result.text || '').trim();
+    if (!transcript) return res.status(422).json({ error: '음성을 인식하지 못했습니다.' });
+
+    const session = sessions.insert({
+      timestamp: timestamp ? new Date(timestamp).toISOString() : new Date().toISOString(),
+      transcript,
+      segments: segments.value,
+      language,
+      source: 'upload',
+      filename: typeof filename === 'string' ? path.basename(filename) : null,
+      corrections: [],
+    });
+    res.status(201).json({ session: correctStoredSession(session) });
+  } catch (error) {
+    console.error('[Server] Transcription failed:', error);
+    res.status(error?.status || 500).json({ error: error?.message || '음성 변환 실패' });
+  }
+});
+
+export default router;
@@ -0,0 +1,28 @@
+// javascript
+/**
+ * Without a configured speech-to-text backend uploads are refused, not answered with fixture text (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, serve } from '../testUtils.js';
+
+withTempDataDir('transcribe', { STT_BACKEND: undefined });
+const { sessions } = await import('../db.js');
+const { default: transcribeRouter } = await import('./transcribe.js');
+
+const app = express();
+app.use('/api/transcribe', transcribeRouter);
+const base = serve(app);
+
+test('an upload without a configured backend answers 503 and stores no session', async () => {
+  const wav = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WAVE'), Buffer.alloc(32)]);
+  const res = await fetch(`${base}/api/transcribe?filename=class.wav`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'audio/wav' },
+    body: wav,
+  });
+  assert.equal(res.status, 503);
+  assert.match((await res.json()).error, /음성 변환 백엔드가 설정되지 않았습니다/);
+  assert.equal(sessions.list().length, 0);
+});
@@ -0,0 +1,146 @@
+// javascript
+/**
+ * Document translation route
+ *
+ * @api {post} /api/translate Translate a finished Korean document into one or more languages
+ * @apiName TranslateDocument
+ * @apiGroup Documents
+ * @apiDescription
+ *  Produces parallel versions of a notice for families who read other languages. Structured documents are
+ *  translated section by section and must come back with the same number of sections; plain text keeps its
+ *  paragraphs and lists. Glossary terms found in the document are kept in their original spelling, and any
+ *  term the model dropped or translated is reported in `missingTerms`. Languages are translated one after
+ *  another; a failure in one language is reported on that entry without discarding the others.
+ *  Each translated language counts as one model call against the key's daily quota.
+ *
+ * @apiBody {String}   content          Current document text (required)
+ * @apiBody {String[]} targetLanguages  Language codes (see TRANSLATION_LANGUAGES in ../languages.js, max 5)
+ * @apiBody {Object}   [structured]     Current structured document { title, summary, sections[], closing }
+ * @apiBody {String}   [provider]       Provider id (defaults to LLM_PROVIDER)
+ * @apiBody {String}   [model]          Preferred model
+ *
+ * @apiSuccess {Object[]} translations One entry per requested language, in request order:
+ *   { language, label, content, document, provider, model, missingTerms } or { language, label, error } on failure
+ * @apiSuccess {Object[]} redactions PII masked before the model calls { placeholder, type, label, original, count }
+ * @apiError {String} error Error message (also returned when every language failed)
+ */
+import { Router } from 'express';
+import { generateText, validateModelSelection } from '../providers/index.js';
+import { buildTranslatePrompt } from '../prompts.js';
+import { TRANSLATION_LANGUAGES, findTranslationLanguage } from '../languages.js';
+import { findGlossaryTerms, buildTermPreservationGuidance, findMissingTerms } from '../glossary.js';
+import { createRedactor, buildRedactionGuidance } from '../redaction.js';
+import { generateStructured, renderStructuredDocument, validateStructuredDocument, withJsonInstructions } from '../structured.js';
+
+const router = Router();
+
+const MAX_TARGET_LANGUAGES = 5;
+
+/**
+ * 번역 요청이 예약할 일일 사용량: 대상 언어마다 1회 (see ../auth.js meterModelUsageBy)
+ * 잘못된 목록은 1회만 예약하고 검증 오류로 돌려줍니다.
+ * @param {import('express').Request} req
+ * @returns {number}
+ */
+export function translationUnits(req) {
+  const { targetLanguages } = req.body || {};
+  if (!Array.isArray(targetLanguages)) return 1;
+  return Math.min(Math.max(new Set(targetLanguages).size, 1), MAX_TARGET_LANGUAGES);
+}
+
+/**
+ * 대상 언어 목록을 검증합니다.
+ * @param {unknown} targetLanguages
+ * @returns {{ value?: object[], error?: string }}
+ */
+function validateTargetLanguages(targetLanguages) {
+  if (!Array.isArray(targetLanguages) || targetLanguages.length === 0) {
+    return { error: 'targetLanguages(번역할 언어 목록)가 필요합니다.' };
+  }
+  if (targetLanguages.length > MAX_TARGET_LANGUAGES) {
+    return { error: `한 번에 최대 ${MAX_TARGET_LANGUAGES}개 언어까지 번역할 수 있습니다.` };
+  }
+  const unknown = targetLanguages.filter((code) => !findTranslationLanguage(code));
+  if (unknown.length) {
+    return { error: `지원하지 않는 언어입니다: ${unknown.join(', ')} (지원: ${TRANSLATION_LANGUAGES.map((l) => l.code).join(', ')})` };
+  }
+  return { value: [...new Set(targetLanguages)].map(findTranslationLanguage) };
+}
+
+router.post('/', async (req, res) => {
+  try {
+    const { content, structured, targetLanguages, provider, model } = req.body || {};
+
+    if (!content || typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({ error: '번역할 문서가 필요합니다.' });
+    }
+    const languages = validateTargetLanguages(targetLanguages);
+    if (languages.error) return res.status(400).json({ error: languages.error });
+    const invalidSelection = validateModelSelection(req.body);
+    if (invalidSelection) return res.status(400).json({ error: invalidSelection });
+
+    if (structured) {
+      const errors = validateStructuredDocument(structured);
+      if (errors.length) {
+        return res.status(400).json({ error: `structured 형식 오류: ${errors.join(' / ')}` });
+      }
+    }
+
+    const source = structured ? renderStructuredDocument(structured) : content;
+    const redactor = createRedactor();
+    const redacted = redactor.redact(source);
+    // 용어는 가린 문서에서 찾음 (이름처럼 가려진 용어는 자리표시자로 유지됨)
+    const terms = findGlossaryTerms(redacted);
+    const options = {
+      structured: Boolean(structured),
+      termGuidance: redactor.redact(buildTermPreservationGuidance(terms)),
+      redactionGuidance: buildRedactionGuidance(redactor),
+    };
+    // 번역문도 원문과 같은 섹션 구성이어야 나란히 비교·편집할 수 있음
+    const sameSections = (doc) =>
+      doc.sections.length === structured.sections.length
+        ? []
+        : [`document.sections: 원문과 같은 ${structured.sections.length}개 섹션이어야 합니다. (현재 ${doc.sections.length}개)`];
+
+    const translations = [];
+    for (const language of languages.value) {
+      const entry = { language: language.code, label: language.label };
+      try {
+        const prompt = buildTranslatePrompt(redacted, language, options);
+        const task = { kind: 'translate', source: redacted, language: language.code };
+        const result = structured
+          ? redactor.restoreDeep(await generateStructured(withJsonInstructions(prompt), { check: sameSections, provider, model, task }))
+          : { ...(await generateText(prompt, { provider, model, task })), document: null };
+        if (!structured) result.content = redactor.restore(result.content).trim();
+        translations.push({
+          ...entry,
+          content: result.content,
+          document: result.document,
+          provider: result.provider,
+          model: result.model,
+          missingTerms: findMissingTerms(result.content, terms),
+        });
+      } catch (error) {
+        console.error(`[Server] /api/translate ${language.code} error:`, error);
+        translations.push({ ...entry, error: error?.message || '번역 실패', status: error?.status || 500 });
+      }
+    }
+
+    const failed = translations.filter((t) => t.error);
+    if (failed.length === translations.length) {
+      return res.status(failed[0].status).json({ error: failed.map((t) => `${t.label}: ${t.error}`).join(' / ') });
+    }
+    // 번역한 언어 수만큼만 일일 사용량에 남김
+    res.locals.modelCallUnits = translations.length - failed.length;
+    return res.json({
+      translations: translations.map(({ status, ...t }) => t),
+      redactions: redactor.report(),
+    });
+  } catch (error) {
+    console.error('[Server] /api/translate error:', error);
+    const msg = error?.message || '알 수 없는 오류';
+    return res.status(error?.status || 500).json({ error: msg });
+  }
+});
+
+export default router;
@@ -0,0 +1,124 @@
+// javascript
+/**
+ * Document translation: the language whitelist and cap, per-language results, and review of the translated versions
+ * before they are sent (run with `npm test`). The model is a local fake OpenAI-compatible server.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { withTempDataDir, useFakeModel, serve } from '../testUtils.js';
+
+/** 실패시킬 언어 코드 */
+const failing = new Set();
+const { requests } = await useFakeModel(({ prompt }) => {
+  const [, code] = prompt.match(/- 대상 언어: .+ \((\w+)\)/);
+  if (failing.has(code)) throw new Error(`${code} 모델 오류`);
+  return `[${code}] 내일 체험학습이 있습니다.`;
+});
+withTempDataDir('translate');
+const { documents } = await import('../db.js');
+const { transitionDocument, reopenIfChanged, submitMessageVariant, transitionMessageVariant, assertSendable } =
+  await import('../workflow.js');
+const { default: translateRouter, translationUnits } = await import('./translate.js');
+
+const app = express();
+app.use(express.json());
+app.use('/api/translate', translateRouter);
+const base = serve(app);
+
+const translate = async (body) => {
+  const res = await fetch(`${base}/api/translate`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+const CONTENT = '내일 체험학습이 있습니다.';
+
+test('only whitelisted languages are accepted, without calling the model', async () => {
+  requests.length = 0;
+  for (const targetLanguages of [undefined, [], 'en']) {
+    const { status, body } = await translate({ content: CONTENT, targetLanguages });
+    assert.equal(status, 400);
+    assert.match(body.error, /targetLanguages/);
+  }
+  const { status, body } = await translate({ content: CONTENT, targetLanguages: ['en', 'ko', 'klingon', 'constructor'] });
+  assert.equal(status, 400);
+  assert.match(body.error, /^지원하지 않는 언어입니다: ko, klingon, constructor \(지원: vi, zh, en, ja, th, fil, mn, ru, uz\)$/);
+  assert.equal(requests.length, 0);
+});
+
+test('a translation reserves one quota unit per distinct target language', () => {
+  const units = (targetLanguages) => translationUnits({ body: { content: CONTENT, targetLanguages } });
+  assert.equal(units(['vi', 'zh', 'en']), 3);
+  assert.equal(units(['en', 'en']), 1);
+  assert.equal(units(['vi', 'zh', 'en', 'ja', 'th', 'fil']), 5);
+  assert.equal(units(undefined), 1);
+  assert.equal(units([]), 1);
+});
+
+test('at most five languages are translated at once', async () => {
+  const six = ['vi', 'zh', 'en', 'ja', 'th', 'fil'];
+  const rejected = await translate({ content: CONTENT, targetLanguages: six });
+  assert.equal(rejected.status, 400);
+  assert.equal(rejected.body.error, '한 번에 최대 5개 언어까지 번역할 수 있습니다.');
+
+  requests.length = 0;
+  const { status, body } = await translate({ content: CONTENT, targetLanguages: six.slice(0, 5) });
+  assert.equal(status, 200);
+  assert.deepEqual(body.translations.map((t) => t.language), six.slice(0, 5));
+  assert.equal(requests.length, 5);
+});
+
+test('each language is translated in request order and a failed language does not discard the others', async () => {
+  failing.add('zh');
+  try {
+    const { status, body } = await translate({ content: CONTENT, targetLanguages: ['en', 'zh', 'vi', 'en'] });
+    assert.equal(status, 200);
+    assert.deepEqual(
+      body.translations.map(({ language, label, content }) => ({ language, label, content })),
+      [
+        { language: 'en', label: 'English', content: '[en] 내일 체험학습이 있습니다.' },
+        { language: 'zh', label: '中文(简体)', content: undefined },
+        { language: 'vi', label: 'Tiếng Việt', content: '[vi] 내일 체험학습이 있습니다.' },
+      ]
+    );
+    assert.match(body.translations[1].error, /zh 모델 오류/);
+    assert.equal(body.translations[0].error, undefined);
+    assert.equal(body.translations[1].status, undefined);
+
+    const allFailed = await translate({ content: CONTENT, targetLanguages: ['zh'] });
+    assert.equal(allFailed.status, 500);
+    assert.match(allFailed.body.error, /^中文\(简体\): /);
+  } finally {
+    failing.clear();
+  }
+});
+
+test('a translated version needs its own approval and goes back to review when the document changes', async () => {
+  const author = { id: 'key-author', name: '담임', role: 'author' };
+  const approver = { id: 'key-approver', name: '교감', role: 'approver' };
+  let document = documents.insert({ sessionId: 'session-1', editedContent: CONTENT, generatedContent: CONTENT });
+  document = transitionDocument(transitionDocument(document, 'submit', author).document, 'approve', approver).document;
+
+  const [english] = (await translate({ content: document.editedContent, targetLanguages: ['en'] })).body.translations;
+  const wanted = { kind: 'translation', language: 'en', content: english.content };
+  assert.throws(() => assertSendable(document.id, [english.content]), (error) => error.status === 409);
+  const { variant } = submitMessageVariant(document, wanted, author);
+  transitionMessageVariant(document, variant, 'approve', approver);
+  assert.ok(assertSendable(document.id, [CONTENT, english.content]));
+
+  // 원문을 고치면 문서와 번역본 모두 다시 검토
+  const edited = documents.update(document.id, { editedContent: `${CONTENT} 우천 시 취소됩니다.` });
+  document = reopenIfChanged(document, edited, author);
+  document = transitionDocument(transitionDocument(document, 'submit', author).document, 'approve', approver).document;
+  assert.throws(() => assertSendable(document.id, [english.content]), (error) => error.status === 409);
+
+  // 다시 번역한 내용을 같은 번역본으로 검토 요청
+  const [retranslated] = (await translate({ content: document.editedContent, targetLanguages: ['en'] })).body.translations;
+  const resubmitted = submitMessageVariant(document, { ...wanted, content: retranslated.content }, author).variant;
+  assert.equal(resubmitted.id, variant.id);
+  assert.equal(resubmitted.status, 'in_review');
+});
@@ -0,0 +1,257 @@
+// javascript
+/**
+ * Scheduled message delivery
+ * - Jobs are stored in the scheduledJobs collection, so pending jobs survive restarts.
+ * - A timer checks for due jobs every SCHEDULER_INTERVAL_MS (default 15000).
+ * - Recipients that fail are retried with exponential backoff (SCHEDULE_RETRY_BASE_MS, default 60000,
+ *   doubled per attempt) up to SCHEDULE_MAX_ATTEMPTS (default 5) attempts; then the job is marked failed.
+ *
+ * Job status: pending → sending → sent | failed, or pending → cancelled.
+ * Jobs need an approved document and approved message text (see ./workflow.js), checked when the job is saved and
+ * again before each attempt; a job whose document or text went back to review fails without sending.
+ * Without a configured message gateway (MESSAGE_GATEWAY) jobs can still be saved but stay pending; no attempt is used.
+ */
+import { scheduledJobs } from './db.js';
+import { gateway } from './gateways/index.js';
+import { sendMessages, validateMessage } from './messaging.js';
+import { assertSendable, markDocumentSent } from './workflow.js';
+import { DEFAULT_TIMEZONE, isValidTimeZone, zonedTimeToUtc, formatZonedTime } from './timezone.js';
+
+const INTERVAL_MS = Number.parseInt(process.env.SCHEDULER_INTERVAL_MS ?? '15000', 10);
+const MAX_ATTEMPTS = Number.parseInt(process.env.SCHEDULE_MAX_ATTEMPTS ?? '5', 10);
+const RETRY_BASE_MS = Number.parseInt(process.env.SCHEDULE_RETRY_BASE_MS ?? '60000', 10);
+
+/** 한 작업에 담을 수 있는 최대 메시지(나눈 조각) 수 */
+const MAX_PARTS = 20;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+/**
+ * 전송 시각을 해석합니다. 오프셋이 있는 ISO 시각은 그대로, 없으면 timezone의 벽시계 시각으로 봅니다.
+ * @param {unknown} sendAt - 예: "2024-05-02 08:00" 또는 "2024-05-01T23:00:00Z"
+ * @param {string} timeZone
+ * @returns {Date}
+ * @throws {Error} 형식이 잘못됐거나, 없는 날짜·시각(2월 31일 등)이거나, 지난 시각이면 status=400 오류
+ */
+function parseSendAt(sendAt, timeZone) {
+  if (typeof sendAt !== 'string' || !sendAt.trim()) throw badRequest('sendAt(전송 시각)이 필요합니다.');
+  const value = sendAt.trim();
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  const date = hasOffset ? new Date(value) : zonedTimeToUtc(value, timeZone);
+  if (!date || Number.isNaN(date.getTime())) {
+    throw badRequest('sendAt 형식이 올바르지 않습니다. (예: 2024-05-02 08:00)');
+  }
+  // 없는 날짜는 다음 달로 넘어가므로 되돌려 본 벽시계 시각이 입력과 같은지 확인
+  const local = value.replace('T', ' ').slice(0, 16);
+  if (!hasOffset && formatZonedTime(date, timeZone) !== local) {
+    throw badRequest(`${local}은(는) ${timeZone}에 없는 날짜·시각입니다.`);
+  }
+  if (date.getTime() <= Date.now()) throw badRequest('전송 시각이 이미 지났습니다.');
+  return date;
+}
+
+/**
+ * 예약 작업 입력을 검증합니다.
+ * @param {object} body - { recipients, messages | body, encoding, sendAt, timezone, documentId }
+ * @param {{ partial?: boolean, current?: object }} [options] - partial이면 주어진 필드만 검증 (current 값으로 보완)
+ * @returns {object} 저장할 필드
+ * @throws {Error} status=400 오류
+ */
+function validateJob(body, { partial = false, current = null } = {}) {
+  const value = {};
+  const timezone = body?.timezone ?? current?.timezone ?? DEFAULT_TIMEZONE;
+  if (typeof timezone !== 'string' || !isValidTimeZone(timezone)) throw badRequest('알 수 없는 시간대입니다.');
+  if (body?.timezone !== undefined || !partial) value.timezone = timezone;
+
+  // 본문 한 건(body) 또는 순서대로 보낼 여러 건(messages)
+  let messages = body?.messages ?? (body?.body !== undefined ? [body.body] : undefined);
+  if (messages !== undefined || !partial) {
+    if (!Array.isArray(messages) || messages.length === 0) throw badRequest('messages(보낼 메시지)가 필요합니다.');
+    if (messages.length > MAX_PARTS) throw badRequest(`메시지는 최대 ${MAX_PARTS}건까지 예약할 수 있습니다.`);
+    value.messages = messages;
+  }
+  if (body?.recipients !== undefined || !partial) {
+    value.recipients = body?.recipients;
+  }
+  if (body?.encoding !== undefined || !partial) {
+    value.encoding = body?.encoding ?? 'EUC-KR';
+  }
+  // 수신자/본문 검증은 즉시 전송과 같은 규칙
+  const recipients = value.recipients ?? current?.recipients;
+  const encoding = value.encoding ?? current?.encoding;
+  messages = value.messages ?? current?.messages;
+  messages.forEach((text) => {
+    const numbers = validateMessage(recipients, text, encoding);
+    if (value.recipients) value.recipients = numbers;
+  });
+
+  if (body?.sendAt !== undefined || !partial || value.timezone) {
+    const sendAt = parseSendAt(body?.sendAt ?? current?.localSendAt, timezone);
+    value.sendAt = sendAt.toISOString();
+    value.localSendAt = formatZonedTime(sendAt, timezone);
+  }
+  // 승인된 문구만 예약할 수 있음 (예약 후 문서가 다시 검토 단계로 갔으면 수정도 막음)
+  const replacesDocument = body?.documentId !== undefined || !partial;
+  const document = assertSendable(replacesDocument ? body?.documentId : current.documentId, messages);
+  if (replacesDocument) value.documentId = document.id;
+  return value;
+}
+
+/**
+ * 예약 작업을 만듭니다.
+ * @param {object} body
+ * @param {{ id: string, name: string, role: string }} actor - 예약한 사람 (보낸 뒤 감사 기록에 남음)
+ * @returns {object} 저장된 작업
+ */
+export function createJob(body, actor) {
+  const value = validateJob(body);
+  return scheduledJobs.insert({
+    ...value,
+    createdBy: actor,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: value.sendAt,
+    remaining: value.messages.map((_, part) => ({ part, recipients: value.recipients })),
+    batchIds: [],
+    lastError: null,
+    sentAt: null,
+  });
+}
+
+/**
+ * 대기 중인 작업을 수정합니다. 전송을 시작한 작업은 수정할 수 없습니다.
+ * @param {object} job
+ * @param {object} body
+ * @returns {object} 수정된 작업
+ * @throws {Error} status=400/409 오류
+ */
+export function updateJob(job, body) {
+  if (job.status !== 'pending' || job.attempts > 0) {
+    throw Object.assign(new Error('이미 전송을 시작했거나 끝난 예약은 수정할 수 없습니다.'), { status: 409 });
+  }
+  const value = validateJob(body, { partial: true, current: job });
+  const recipients = value.recipients ?? job.recipients;
+  const messages = value.messages ?? job.messages;
+  return scheduledJobs.update(job.id, {
+    ...value,
+    nextAttemptAt: value.sendAt ?? job.nextAttemptAt,
+    remaining: messages.map((_, part) => ({ part, recipients })),
+  });
+}
+
+/**
+ * 대기 중인 작업을 취소합니다. (재시도 대기 중인 작업 포함)
+ * @param {object} job
+ * @returns {object} 취소된 작업
+ * @throws {Error} status=409 오류
+ */
+export function cancelJob(job) {
+  if (job.status !== 'pending') {
+    throw Object.assign(new Error('대기 중인 예약만 취소할 수 있습니다.'), { status: 409 });
+  }
+  return scheduledJobs.update(job.id, { status: 'cancelled', nextAttemptAt: null });
+}
+
+/**
+ * 작업 하나를 전송합니다. 남은 수신자에게만 보내고, 실패한 수신자는 다음 시도로 넘깁니다.
+ * @param {object} job
+ */
+async function runJob(job) {
+  const attempts = job.attempts + 1;
+  try {
+    assertSendable(job.documentId, job.messages);
+  } catch (err) {
+    // 승인이 취소된 문서·문구는 재시도하지 않음
+    scheduledJobs.update(job.id, { status: 'failed', attempts, lastError: err.message, nextAttemptAt: null });
+    console.warn('[Scheduler] Job blocked:', job.id, err.message);
+    return;
+  }
+  scheduledJobs.update(job.id, { status: 'sending', attempts });
+
+  const remaining = [];
+  const batchIds = [...job.batchIds];
+  let lastError = null;
+  for (const { part, recipients } of job.remaining) {
+    try {
+      const { batchId, messages } = await sendMessages({
+        recipients,
+        body: job.messages[part],
+        documentId: job.documentId,
+        encoding: job.encoding,
+      });
+      batchIds.push(batchId);
+      const failed = messages.filter((m) => m.status === 'failed');
+      if (failed.length > 0) {
+        remaining.push({ part, recipients: failed.map((m) => m.recipient) });
+        lastError = `${failed.length}명 전송 실패`;
+      }
+    } catch (err) {
+      remaining.push({ part, recipients });
+      lastError = err?.message || String(err);
+    }
+    // 중간에 서버가 멈춰도 이미 보낸 조각을 다시 보내지 않도록 진행 상황을 저장
+    scheduledJobs.update(job.id, {
+      remaining: [...remaining, ...job.remaining.filter((r) => r.part > part)],
+      batchIds,
+    });
+  }
+
+  if (remaining.length === 0) {
+    scheduledJobs.update(job.id, { status: 'sent', remaining, lastError: null, nextAttemptAt: null, sentAt: new Date().toISOString() });
+    markDocumentSent(job.documentId, job.createdBy ?? { id: 'scheduler', name: '예약 전송', role: 'author' }, {
+      via: 'schedule',
+      jobId: job.id,
+      sent: job.recipients.length,
+    });
+    console.log('[Scheduler] Job sent:', job.id);
+  } else if (attempts >= MAX_ATTEMPTS) {
+    scheduledJobs.update(job.id, { status: 'failed', remaining, lastError, nextAttemptAt: null });
+    console.error('[Scheduler] Job failed after', attempts, 'attempts:', job.id, lastError);
+  } else {
+    const delay = RETRY_BASE_MS * 2 ** (attempts - 1);
+    const nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    scheduledJobs.update(job.id, { status: 'pending', remaining, lastError, nextAttemptAt });
+    console.warn(`[Scheduler] Job ${job.id} attempt ${attempts} failed (${lastError}); retrying at ${nextAttemptAt}`);
+  }
+}
+
+let running = false;
+
+/**
+ * 전송 시각이 된 작업들을 처리합니다.
+ */
+export async function runDueJobs() {
+  // 게이트웨이가 없으면 보내지 않고 기다림 (시도 횟수도 쓰지 않음)
+  if (running || !gateway) return;
+  running = true;
+  try {
+    const now = new Date().toISOString();
+    const due = scheduledJobs
+      .list((j) => j.status === 'pending' && j.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+    for (const job of due) {
+      await runJob(job);
+    }
+  } catch (err) {
+    console.error('[Scheduler] Tick failed:', err);
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * 스케줄러를 시작합니다. 전송 도중 서버가 멈춰 'sending'으로 남은 작업은 다시 대기 상태로 돌립니다.
+ * @returns {() => void} 스케줄러 중지 함수
+ */
+export function startScheduler() {
+  scheduledJobs
+    .list((j) => j.status === 'sending')
+    .forEach((j) => scheduledJobs.update(j.id, { status: 'pending', nextAttemptAt: new Date().toISOString() }));
+
+  const pending = scheduledJobs.list((j) => j.status === 'pending').length;
+  console.log(`[Scheduler] Started (${pending} pending, every ${INTERVAL_MS}ms)`);
+  runDueJobs();
+  const timer = setInterval(runDueJobs, INTERVAL_MS);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
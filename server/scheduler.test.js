@@ -0,0 +1,115 @@
+// javascript
+/**
+ * Scheduled delivery: validation, sending, retries and the approval check before each attempt (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withTempDataDir } from './testUtils.js';
+
+withTempDataDir('scheduler', {
+  MESSAGE_GATEWAY: 'file',
+  MESSAGE_FAIL_NUMBERS: '01099998888',
+  SCHEDULE_MAX_ATTEMPTS: '2',
+  SCHEDULE_RETRY_BASE_MS: '0',
+});
+const { documents, scheduledJobs, messages, messageVariants } = await import('./db.js');
+const { createJob, updateJob, cancelJob, runDueJobs } = await import('./scheduler.js');
+
+const actor = { id: 'k1', name: '담임', role: 'approver' };
+const nextYear = new Date().getFullYear() + 1;
+const approved = () => documents.insert({ sessionId: 's1', editedContent: '내일은 현장체험학습입니다.', status: 'approved' });
+const jobFor = (document, extra = {}) => ({
+  recipients: ['010-1234-5678'],
+  body: document.editedContent,
+  sendAt: `${nextYear}-05-02 08:00`,
+  documentId: document.id,
+  ...extra,
+});
+// 예약 시각을 당겨 바로 보내게 함
+const makeDue = (job) => scheduledJobs.update(job.id, { nextAttemptAt: new Date(Date.now() - 1000).toISOString() });
+
+test('a job stores the UTC send time and its Seoul wall-clock time', () => {
+  const job = createJob(jobFor(approved()), actor);
+  assert.equal(job.sendAt, `${nextYear}-05-01T23:00:00.000Z`);
+  assert.equal(job.localSendAt, `${nextYear}-05-02 08:00`);
+  assert.deepEqual(job.recipients, ['01012345678']);
+  assert.equal(job.status, 'pending');
+});
+
+test('a date that does not exist is rejected instead of rolling over into the next month', () => {
+  assert.throws(() => createJob(jobFor(approved(), { sendAt: `${nextYear}-02-31 09:00` }), actor), {
+    status: 400,
+    message: `${nextYear}-02-31 09:00은(는) Asia/Seoul에 없는 날짜·시각입니다.`,
+  });
+  assert.throws(() => createJob(jobFor(approved(), { sendAt: `${nextYear}-05-02 24:30` }), actor), { status: 400 });
+});
+
+test('a time in the past is rejected', () => {
+  assert.throws(() => createJob(jobFor(approved(), { sendAt: '2020-01-01 09:00' }), actor), { message: '전송 시각이 이미 지났습니다.' });
+});
+
+test('an unapproved document cannot be scheduled', () => {
+  const draft = documents.insert({ sessionId: 's1', editedContent: '초안입니다.', status: 'draft' });
+  assert.throws(() => createJob(jobFor(draft), actor), { status: 409 });
+});
+
+test('a due job is sent and marks its document as sent', async () => {
+  const document = approved();
+  const job = makeDue(createJob(jobFor(document), actor));
+  await runDueJobs();
+  const sent = scheduledJobs.get(job.id);
+  assert.equal(sent.status, 'sent');
+  assert.equal(sent.batchIds.length, 1);
+  assert.equal(documents.get(document.id).status, 'sent');
+});
+
+test('failed recipients are retried alone and the job fails after the last attempt', async () => {
+  const job = makeDue(createJob(jobFor(approved(), { recipients: ['01012345678', '01099998888'] }), actor));
+  await runDueJobs();
+  let current = scheduledJobs.get(job.id);
+  assert.equal(current.status, 'pending');
+  assert.deepEqual(current.remaining, [{ part: 0, recipients: ['01099998888'] }]);
+
+  makeDue(current);
+  await runDueJobs();
+  current = scheduledJobs.get(job.id);
+  assert.equal(current.status, 'failed');
+  assert.equal(current.attempts, 2);
+  assert.equal(current.lastError, '1명 전송 실패');
+});
+
+test('a job whose document went back to review fails without sending', async () => {
+  const document = approved();
+  const job = makeDue(createJob(jobFor(document), actor));
+  documents.update(document.id, { status: 'in_review' });
+  await runDueJobs();
+  const current = scheduledJobs.get(job.id);
+  assert.equal(current.status, 'failed');
+  assert.equal(current.batchIds.length, 0);
+});
+
+test('only pending jobs can be changed or cancelled', async () => {
+  const job = createJob(jobFor(approved()), actor);
+  const moved = updateJob(job, { sendAt: `${nextYear}-06-01 07:30` });
+  assert.equal(moved.localSendAt, `${nextYear}-06-01 07:30`);
+  assert.equal(cancelJob(moved).status, 'cancelled');
+  assert.throws(() => cancelJob(scheduledJobs.get(job.id)), { status: 409 });
+  assert.throws(() => updateJob(scheduledJobs.get(job.id), { sendAt: `${nextYear}-06-02 07:30` }), { status: 409 });
+});
+
+test('a translation job outside EUC-KR keeps its UCS-2 encoding through validation and sending', async () => {
+  const document = approved();
+  const vietnamese = 'Ngày mai có chuyến dã ngoại.';
+  messageVariants.insert({ documentId: document.id, kind: 'translation', language: 'vi', content: vietnamese, status: 'approved' });
+  assert.throws(() => createJob(jobFor(document, { body: vietnamese }), actor), { status: 400 });
+
+  const job = makeDue(createJob(jobFor(document, { body: vietnamese, encoding: 'UCS-2' }), actor));
+  assert.equal(job.encoding, 'UCS-2');
+  await runDueJobs();
+  const sent = scheduledJobs.get(job.id);
+  assert.equal(sent.status, 'sent');
+  assert.deepEqual(
+    messages.list((m) => m.batchId === sent.batchIds[0]).map((m) => m.encoding),
+    ['UCS-2']
+  );
+});
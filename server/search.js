@@ -0,0 +1,392 @@
+// javascript
+/**
+ * Full-text search over session transcripts and documents
+ * - Korean has no spaces between a word and its particles ("회의에서", "예산을"), so Hangul runs are indexed as
+ *   character bigrams (plus unigrams for one-letter queries) instead of whole words; Latin words and numbers are
+ *   indexed whole. A query matches when every one of its grams appears, and a verbatim match ranks higher.
+ * - Trailing particles are dropped from query words ("회의에서" → "회의") so other particles still match. Many particles
+ *   are also ordinary last syllables ("인사평가", "학생회의"), so the query word as typed is kept too: matches that
+ *   contain it verbatim rank first and are highlighted in full.
+ * - Speech-to-text spacing is inconsistent ("예산 회의" vs "예산회의"), so the index also holds the bigram across each
+ *   space between two Hangul words. Either spelling of the query then finds both spellings of the text.
+ * - The inverted index lives in memory and is brought up to date on each search by comparing `updatedAt`, so
+ *   edits, new documents and deletions through any route show up without hooks in those routes.
+ * - Results carry highlighted snippets as segments [{ text, highlight }] so clients never parse markup.
+ */
+import { sessions, documents } from './db.js';
+import { DOCUMENT_STATUSES, documentStatus } from './workflow.js';
+import { formatZonedTime } from './timezone.js';
+
+export const SEARCH_TYPES = ['session', 'document'];
+
+export const MAX_QUERY_LENGTH = 100;
+
+const MAX_LIMIT = 50;
+const SNIPPET_LENGTH = 80;
+const MAX_SNIPPETS = 2;
+
+/** 검색어 끝에서 떼어 볼 조사 (긴 것부터 확인) */
+const PARTICLES = ['에서', '으로', '까지', '부터', '에게', '한테', '을', '를', '이', '가', '은', '는', '에', '의', '와', '과', '로', '도', '만'];
+
+const HANGUL_RUN = /[ᄀ-ᇿ㄰-㆏가-힣]+/g;
+const WORD_RUN = /[\p{L}\p{N}]+/gu;
+/** 한 줄 안에서 공백으로 떨어진 두 한글 글자 (겹쳐 찾도록 뒤 글자는 lookahead) */
+const HANGUL_JUNCTION = /([ᄀ-ᇿ㄰-㆏가-힣])[^\S\n]+(?=([ᄀ-ᇿ㄰-㆏가-힣]))/g;
+
+/** 색인: key("session:id" | "document:id") → { type, id, updatedAt, record, text, normalized, grams(Map gram → 횟수), length } */
+const entries = new Map();
+/** gram → 그 gram이 나오는 key 집합 */
+const postings = new Map();
+
+/**
+ * 검색용 정규화: 전각·호환 문자를 맞추고 소문자로 바꿉니다. (NFKC는 한글 음절을 그대로 두므로 위치가 어긋나지 않음)
+ * @param {string} text
+ * @returns {string}
+ */
+const normalize = (text) => String(text || '').normalize('NFKC').toLowerCase();
+
+/**
+ * 본문을 색인용 gram으로 나눕니다. 한글은 1·2글자 gram, 그 밖의 글자·숫자는 단어 단위입니다.
+ * 띄어 쓴 한글 낱말 사이도 붙여 쓴 것처럼 bigram을 만듭니다. ("예산 회의" → "산회")
+ * @param {string} text - normalize된 본문
+ * @returns {Map<string, number>} gram → 나온 횟수
+ */
+function indexGrams(text) {
+  const grams = new Map();
+  const add = (gram) => grams.set(gram, (grams.get(gram) || 0) + 1);
+  for (const [run] of text.matchAll(WORD_RUN)) {
+    for (const [hangul] of run.matchAll(HANGUL_RUN)) {
+      for (let i = 0; i < hangul.length; i++) {
+        add(hangul[i]);
+        if (i + 1 < hangul.length) add(hangul.slice(i, i + 2));
+      }
+    }
+    for (const word of run.split(HANGUL_RUN)) if (word) add(word);
+  }
+  for (const [, left, right] of text.matchAll(HANGUL_JUNCTION)) add(left + right);
+  return grams;
+}
+
+/**
+ * 검색어 낱말 끝의 조사를 뗍니다. 두 글자 이하 낱말은 그대로 둡니다. ("회의" → "회의", "회의에서" → "회의")
+ * 낱말 끝 글자일 수도 있으므로("인사평가" → "인사평") 원래 낱말도 함께 씁니다. (see parseQuery)
+ * @param {string} term
+ * @returns {string}
+ */
+function stripParticle(term) {
+  if (!/^[가-힣]+$/.test(term) || term.length < 3) return term;
+  const particle = PARTICLES.find((p) => term.endsWith(p) && term.length - p.length >= 2);
+  return particle ? term.slice(0, -particle.length) : term;
+}
+
+/**
+ * 검색어를 낱말과 gram으로 나눕니다.
+ * @param {string} query
+ * @returns {{ terms: string[], words: string[], grams: string[], phrase: string }}
+ *   - terms: 조사 뗀 낱말 (gram과 강조 표시에 씀)
+ *   - words: 입력한 그대로의 낱말 (모두 그대로 들어 있으면 먼저, 강조 표시에도 씀)
+ *   - grams: 모두 들어 있어야 하는 gram (중복 없음)
+ *   - phrase: 공백을 정리한 검색어 전체 (그대로 들어 있으면 가산점)
+ */
+export function parseQuery(query) {
+  const phrase = normalize(query).replace(/\s+/g, ' ').trim();
+  const words = [...new Set(phrase.match(WORD_RUN) || [])];
+  const terms = [...new Set(words.map(stripParticle))];
+  const grams = new Set();
+  for (const term of terms) {
+    for (const [hangul] of term.matchAll(HANGUL_RUN)) {
+      if (hangul.length === 1) grams.add(hangul);
+      for (let i = 0; i + 1 < hangul.length; i++) grams.add(hangul.slice(i, i + 2));
+    }
+    for (const word of term.split(HANGUL_RUN)) if (word) grams.add(word);
+  }
+  return { terms, words, grams: [...grams], phrase };
+}
+
+const removeEntry = (key) => {
+  const entry = entries.get(key);
+  if (!entry) return;
+  for (const gram of entry.grams.keys()) {
+    const keys = postings.get(gram);
+    keys.delete(key);
+    if (keys.size === 0) postings.delete(gram);
+  }
+  entries.delete(key);
+};
+
+/**
+ * 레코드 하나를 (다시) 색인합니다.
+ * @param {'session' | 'document'} type
+ * @param {object} record
+ * @param {string} text - 검색 대상 본문
+ */
+const indexRecord = (type, record, text) => {
+  const key = `${type}:${record.id}`;
+  removeEntry(key);
+  const normalized = normalize(text);
+  const grams = indexGrams(normalized);
+  entries.set(key, { type, id: record.id, updatedAt: record.updatedAt, record, text, normalized, grams, length: normalized.length });
+  for (const gram of grams.keys()) {
+    if (!postings.has(gram)) postings.set(gram, new Set());
+    postings.get(gram).add(key);
+  }
+};
+
+/** 문서에서 검색하는 본문: 제목과 편집된 내용 */
+const documentText = (doc) => [doc.structured?.title, doc.editedContent || doc.generatedContent].filter(Boolean).join('\n');
+
+/**
+ * 저장소와 색인을 맞춥니다. 바뀐 레코드만 다시 색인하고 지워진 레코드는 뺍니다.
+ */
+function syncIndex() {
+  const seen = new Set();
+  const sync = (type, record, text) => {
+    const key = `${type}:${record.id}`;
+    seen.add(key);
+    const entry = entries.get(key);
+    if (entry && entry.updatedAt === record.updatedAt) {
+      entry.record = record;
+      return;
+    }
+    indexRecord(type, record, text);
+  };
+  for (const session of sessions.list()) sync('session', session, session.transcript);
+  for (const doc of documents.list()) sync('document', doc, documentText(doc));
+  for (const key of [...entries.keys()]) if (!seen.has(key)) removeEntry(key);
+}
+
+/**
+ * 검색 필터를 검증합니다.
+ * @param {object} query - req.query
+ * @returns {{ value?: { q: string, from: string | null, to: string | null, templateId: string | null,
+ *   status: string | null, type: string | null, limit: number, offset: number }, error?: string }}
+ */
+export function validateSearchQuery(query = {}) {
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (!q) return { error: '검색어(q)를 입력해 주세요.' };
+  if (q.length > MAX_QUERY_LENGTH) return { error: `검색어는 ${MAX_QUERY_LENGTH}자 이하여야 합니다.` };
+  if (parseQuery(q).grams.length === 0) return { error: '검색할 수 있는 글자나 숫자가 없습니다.' };
+
+  const value = { q, from: null, to: null, templateId: null, status: null, type: null, limit: 20, offset: 0 };
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    if (typeof query[name] !== 'string' || !isCalendarDay(query[name])) {
+      return { error: `${name}는 YYYY-MM-DD 형식의 날짜여야 합니다.` };
+    }
+    value[name] = query[name];
+  }
+  if (value.from && value.to && value.from > value.to) return { error: 'from이 to보다 늦습니다.' };
+
+  if (query.type !== undefined && query.type !== '') {
+    if (!SEARCH_TYPES.includes(query.type)) return { error: `type은 ${SEARCH_TYPES.join(' | ')} 중 하나여야 합니다.` };
+    value.type = query.type;
+  }
+  for (const name of ['templateId', 'status']) {
+    if (query[name] === undefined || query[name] === '') continue;
+    if (typeof query[name] !== 'string') return { error: `${name}가 올바르지 않습니다.` };
+    value[name] = query[name];
+  }
+  if (value.status && !DOCUMENT_STATUSES.includes(value.status)) {
+    return { error: `status는 ${DOCUMENT_STATUSES.join(' | ')} 중 하나여야 합니다.` };
+  }
+
+  for (const [name, min, max] of [['limit', 1, MAX_LIMIT], ['offset', 0, Infinity]]) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const n = Number(query[name]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      return { error: `${name}는 ${min}${max === Infinity ? ' 이상의' : `~${max} 사이의`} 정수여야 합니다.` };
+    }
+    value[name] = n;
+  }
+  return { value };
+}
+
+const isCalendarDay = (value) => {
+  const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!m) return false;
+  const date = new Date(Date.UTC(+m[1], +m[2] - 1, +m[3]));
+  return date.getUTCMonth() === +m[2] - 1 && date.getUTCDate() === +m[3];
+};
+
+/**
+ * 결과의 기준 시각: 세션은 녹음 시각, 문서는 작성 시각
+ * @param {object} entry
+ * @returns {string} ISO 8601
+ */
+const entryDate = (entry) => (entry.type === 'session' ? entry.record.timestamp || entry.record.createdAt : entry.record.createdAt);
+
+/**
+ * 필터에 맞는지 확인합니다. 템플릿·상태 필터를 주면 문서만 남습니다.
+ * @param {object} entry
+ * @param {object} filters - validateSearchQuery의 value
+ * @returns {boolean}
+ */
+function matchesFilters(entry, { from, to, templateId, status, type }) {
+  if (type && entry.type !== type) return false;
+  if ((templateId || status) && entry.type !== 'document') return false;
+  if (templateId && entry.record.templateId !== templateId) return false;
+  if (status && documentStatus(entry.record) !== status) return false;
+  if (from || to) {
+    const day = formatZonedTime(entryDate(entry)).slice(0, 10);
+    if ((from && day < from) || (to && day > to)) return false;
+  }
+  return true;
+}
+
+/**
+ * 본문에서 강조할 구간을 찾습니다. 검색어 낱말(입력한 그대로 또는 조사 뗀 형태)이 나오는 곳을 우선하고, 없으면 gram
+ * 단위로 찾습니다. 겹치는 구간은 합치므로 입력한 낱말이 그대로 있으면 그 낱말 전체가 강조됩니다.
+ * @param {string} normalized - normalize된 본문
+ * @param {{ terms: string[], words: string[], grams: string[] }} parsed
+ * @returns {[number, number][]} 겹치지 않는 [start, end) 구간 (앞에서부터)
+ */
+function findHighlights(normalized, { terms, words, grams }) {
+  const ranges = [];
+  const collect = (needles) => {
+    for (const needle of needles) {
+      let at = normalized.indexOf(needle);
+      while (at !== -1) {
+        ranges.push([at, at + needle.length]);
+        at = normalized.indexOf(needle, at + needle.length);
+      }
+    }
+  };
+  collect([...words, ...terms]);
+  if (ranges.length === 0) collect(grams);
+
+  ranges.sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const [start, end] of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+/**
+ * 강조 구간 주변을 잘라 스니펫을 만듭니다.
+ * @param {string} text - 원문
+ * @param {string} normalized - normalize된 본문 (원문과 같은 길이일 때만 위치를 그대로 씀)
+ * @param {object} parsed - parseQuery 결과
+ * @returns {{ text: string, highlight: boolean }[][]} 최대 MAX_SNIPPETS개
+ */
+function buildSnippets(text, normalized, parsed) {
+  // NFKC가 길이를 바꾼 본문(합자 등)은 정규화된 본문으로 보여 줌
+  const source = normalized.length === text.length ? text : normalized;
+  const highlights = findHighlights(normalized, parsed);
+  if (highlights.length === 0) return [[{ text: source.slice(0, SNIPPET_LENGTH).trim(), highlight: false }]];
+
+  const snippets = [];
+  let i = 0;
+  while (i < highlights.length && snippets.length < MAX_SNIPPETS) {
+    const start = Math.max(0, highlights[i][0] - Math.floor(SNIPPET_LENGTH / 3));
+    const end = Math.min(source.length, start + SNIPPET_LENGTH);
+    const segments = [];
+    let cursor = start;
+    const push = (from, to, highlight) => {
+      const piece = source.slice(from, to).replace(/\s+/g, ' ');
+      if (piece) segments.push({ text: piece, highlight });
+    };
+    if (start > 0) segments.push({ text: '…', highlight: false });
+    while (i < highlights.length && highlights[i][0] < end) {
+      const [hStart, hEnd] = highlights[i];
+      push(cursor, hStart, false);
+      push(hStart, Math.min(hEnd, end), true);
+      cursor = Math.min(hEnd, end);
+      i++;
+    }
+    push(cursor, end, false);
+    if (end < source.length) segments.push({ text: '…', highlight: false });
+    snippets.push(segments);
+  }
+  return snippets;
+}
+
+/** 입력한 낱말이 모두 그대로 들어 있는지 (조사처럼 보이는 끝 글자까지) */
+const hasVerbatimWords = (entry, parsed) => parsed.words.every((word) => entry.normalized.includes(word));
+
+/**
+ * 점수: gram마다 BM25 방식(k1 = 1.2, b = 0.75)으로 더하고, 검색어가 그대로 나오면 가산점
+ * @param {object} entry
+ * @param {object} parsed
+ * @param {number} averageLength
+ * @returns {number}
+ */
+function scoreEntry(entry, parsed, averageLength) {
+  const k1 = 1.2;
+  const b = 0.75;
+  let score = 0;
+  for (const gram of parsed.grams) {
+    const tf = entry.grams.get(gram) || 0;
+    const df = postings.get(gram)?.size || 0;
+    const idf = Math.log(1 + (entries.size - df + 0.5) / (df + 0.5));
+    score += (idf * tf * (k1 + 1)) / (tf + k1 * (1 - b + (b * entry.length) / (averageLength || 1)));
+  }
+  if (parsed.phrase && entry.normalized.includes(parsed.phrase)) score *= 1.5;
+  else if (hasVerbatimWords(entry, parsed)) score *= 1.2;
+  return Math.round(score * 1000) / 1000;
+}
+
+/**
+ * 결과 한 건으로 바꿉니다.
+ * @param {object} entry
+ * @param {number} score
+ * @param {object} parsed
+ * @returns {object}
+ */
+function toResult(entry, score, parsed) {
+  const { record } = entry;
+  const base = {
+    type: entry.type,
+    id: record.id,
+    date: entryDate(entry),
+    score,
+    snippets: buildSnippets(entry.text || '', entry.normalized, parsed),
+  };
+  if (entry.type === 'session') {
+    return { ...base, sessionId: record.id, title: `${formatZonedTime(base.date)} 녹음`, status: null, templateId: null, documentType: null };
+  }
+  return {
+    ...base,
+    sessionId: record.sessionId,
+    title: record.structured?.title || record.documentType || '문서',
+    status: documentStatus(record),
+    templateId: record.templateId || null,
+    documentType: record.documentType || null,
+  };
+}
+
+/**
+ * 녹음 전사문과 문서를 검색합니다.
+ * @param {object} options - validateSearchQuery의 value
+ * @returns {{ results: object[], total: number }} 입력한 낱말이 그대로 들어 있는 결과 먼저, 그 안에서 점수 높은 순 (같으면 최신 순)
+ * @example
+ * searchAll({ q: '예산 회의', status: 'approved', limit: 20, offset: 0 });
+ */
+export function searchAll(options) {
+  syncIndex();
+  const parsed = parseQuery(options.q);
+  if (parsed.grams.length === 0) return { results: [], total: 0 };
+
+  // 가장 드문 gram의 문서부터 좁혀 나감
+  const lists = parsed.grams.map((gram) => postings.get(gram) || new Set()).sort((a, b) => a.size - b.size);
+  const candidates = [...lists[0]].filter((key) => lists.every((keys) => keys.has(key)));
+
+  let totalLength = 0;
+  for (const entry of entries.values()) totalLength += entry.length;
+  const averageLength = entries.size ? totalLength / entries.size : 0;
+
+  const matches = candidates
+    .map((key) => entries.get(key))
+    .filter((entry) => matchesFilters(entry, options))
+    .map((entry) => ({ entry, verbatim: hasVerbatimWords(entry, parsed), score: scoreEntry(entry, parsed, averageLength) }))
+    .sort(
+      (a, b) => b.verbatim - a.verbatim || b.score - a.score || entryDate(b.entry).localeCompare(entryDate(a.entry))
+    );
+
+  return {
+    results: matches.slice(options.offset, options.offset + options.limit).map(({ entry, score }) => toResult(entry, score, parsed)),
+    total: matches.length,
+  };
+}
@@ -0,0 +1,182 @@
+// javascript
+/**
+ * Full-text search: Korean bigrams and particles, ranking, filters, index updates and snippets (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withTempDataDir, tick } from './testUtils.js';
+
+withTempDataDir('search');
+const { sessions, documents } = await import('./db.js');
+const { parseQuery, validateSearchQuery, searchAll } = await import('./search.js');
+
+const search = (q, filters = {}) => {
+  const { value, error } = validateSearchQuery({ q, ...filters });
+  assert.equal(error, undefined);
+  return searchAll(value);
+};
+const ids = (result) => result.results.map((r) => r.id);
+
+const budgetMeeting = sessions.insert({
+  transcript: '오늘 회의에서 예산을 논의했습니다. 체육대회 예산은 다음 주에 확정합니다.',
+  timestamp: '2026-10-18T15:30:00Z', // 서울 10월 19일 00:30
+});
+const budgetOnly = sessions.insert({ transcript: '도서관 예산 집행 현황', timestamp: '2026-10-10T01:00:00Z' });
+const notice = documents.insert({
+  sessionId: budgetMeeting.id,
+  documentType: '가정통신문',
+  templateId: 'notice',
+  generatedContent: '',
+  editedContent: '체육대회 예산 회의 결과를 안내드립니다.',
+  structured: { title: '체육대회 안내', sections: [] },
+  status: 'approved',
+});
+const report = documents.insert({
+  sessionId: budgetMeeting.id,
+  documentType: '보고서',
+  templateId: 'report',
+  generatedContent: '',
+  editedContent: '예산 회의 보고',
+});
+
+test('queries drop trailing particles and split Korean into bigrams', () => {
+  assert.deepEqual(parseQuery('회의에서  예산을'), {
+    terms: ['회의', '예산'],
+    words: ['회의에서', '예산을'],
+    grams: ['회의', '예산'],
+    phrase: '회의에서 예산을',
+  });
+  assert.deepEqual(parseQuery('체육대회').grams, ['체육', '육대', '대회']);
+  assert.deepEqual(parseQuery('AI수업').grams, ['수업', 'ai']);
+  assert.deepEqual(parseQuery('돈').grams, ['돈']);
+  // 두 글자 낱말은 조사처럼 보여도 그대로
+  assert.deepEqual(parseQuery('회의').terms, ['회의']);
+});
+
+test('every gram of the query must appear; word boundaries and particles do not matter', () => {
+  assert.deepEqual(new Set(ids(search('예산을'))), new Set([budgetMeeting.id, budgetOnly.id, notice.id, report.id]));
+  assert.deepEqual(new Set(ids(search('회의에서 예산'))), new Set([budgetMeeting.id, notice.id, report.id]));
+  assert.deepEqual(ids(search('도서관')), [budgetOnly.id]);
+  assert.deepEqual(ids(search('수학여행')), []);
+});
+
+test('a verbatim match ranks above scattered grams', () => {
+  const [first] = search('예산 회의').results;
+  assert.ok([notice.id, report.id].includes(first.id));
+  assert.ok(first.score > search('예산 회의').results.find((r) => r.id === budgetMeeting.id).score);
+});
+
+test('filters narrow by type, template, status and Seoul calendar day', () => {
+  assert.deepEqual(new Set(ids(search('예산', { type: 'session' }))), new Set([budgetMeeting.id, budgetOnly.id]));
+  // 템플릿·상태 필터를 주면 문서만
+  assert.deepEqual(ids(search('예산', { templateId: 'notice' })), [notice.id]);
+  assert.deepEqual(ids(search('예산', { status: 'draft' })), [report.id]);
+  assert.deepEqual(ids(search('예산', { type: 'session', from: '2026-10-19', to: '2026-10-19' })), [budgetMeeting.id]);
+  assert.deepEqual(ids(search('예산', { type: 'session', to: '2026-10-18' })), [budgetOnly.id]);
+});
+
+test('results describe their source and page with limit and offset', () => {
+  const all = search('예산');
+  assert.equal(all.total, 4);
+  const page = search('예산', { limit: '2', offset: '1' });
+  assert.equal(page.total, 4);
+  assert.deepEqual(ids(page), ids(all).slice(1, 3));
+
+  const doc = all.results.find((r) => r.id === notice.id);
+  assert.equal(doc.type, 'document');
+  assert.equal(doc.title, '체육대회 안내');
+  assert.equal(doc.status, 'approved');
+  assert.equal(doc.templateId, 'notice');
+  assert.equal(doc.sessionId, budgetMeeting.id);
+  const session = all.results.find((r) => r.id === budgetMeeting.id);
+  assert.equal(session.title, '2026-10-19 00:30 녹음');
+  assert.equal(session.status, null);
+});
+
+test('snippets mark the matched words as highlighted segments', () => {
+  const long = sessions.insert({ transcript: `${'가나다라마 '.repeat(20)}운동장 보수 공사는 방학 중에 합니다.${' 바사아자차'.repeat(20)}` });
+  const [result] = search('운동장 공사').results;
+  assert.equal(result.id, long.id);
+  const [snippet] = result.snippets;
+  assert.deepEqual(
+    snippet.filter((s) => s.highlight).map((s) => s.text),
+    ['운동장', '공사']
+  );
+  assert.equal(snippet[0].text, '…');
+  assert.equal(snippet.at(-1).text, '…');
+  sessions.remove(long.id);
+});
+
+test('edits, new records and deletions show up in the next search', async () => {
+  const draft = documents.insert({ sessionId: 's', documentType: '보고서', editedContent: '급식 만족도 조사', generatedContent: '' });
+  assert.deepEqual(ids(search('급식')), [draft.id]);
+
+  // 색인은 updatedAt으로 바뀐 레코드를 찾음
+  await tick();
+  documents.update(draft.id, { editedContent: '방과후 수업 안내' });
+  assert.deepEqual(ids(search('급식')), []);
+  assert.deepEqual(ids(search('방과후')), [draft.id]);
+
+  documents.remove(draft.id);
+  assert.deepEqual(ids(search('방과후')), []);
+});
+
+test('validateSearchQuery rejects empty queries and malformed filters', () => {
+  const error = (query) => validateSearchQuery(query).error;
+  assert.match(error({}), /검색어/);
+  assert.match(error({ q: '!!!' }), /글자나 숫자/);
+  assert.match(error({ q: '가'.repeat(101) }), /100자/);
+  assert.match(error({ q: '예산', from: '2026-02-30' }), /from/);
+  assert.match(error({ q: '예산', from: '2026-10-20', to: '2026-10-19' }), /늦습니다/);
+  assert.match(error({ q: '예산', type: 'file' }), /type/);
+  assert.match(error({ q: '예산', status: 'archived' }), /status/);
+  assert.match(error({ q: '예산', limit: '51' }), /limit/);
+  assert.match(error({ q: '예산', offset: '-1' }), /offset/);
+  assert.deepEqual(validateSearchQuery({ q: ' 예산 ', limit: '5' }).value, {
+    q: '예산',
+    from: null,
+    to: null,
+    templateId: null,
+    status: null,
+    type: null,
+    limit: 5,
+    offset: 0,
+  });
+});
+
+test('spacing differences between Korean words do not matter', async () => {
+  const spaced = sessions.insert({ transcript: '다음 달 학부모 총회 일정을 정했습니다.', timestamp: '2026-10-12T01:00:00Z' });
+  const joined = documents.insert({ sessionId: spaced.id, generatedContent: '', editedContent: '학부모총회 참석 안내' });
+  assert.deepEqual(new Set(ids(search('학부모총회'))), new Set([spaced.id, joined.id]));
+  assert.deepEqual(new Set(ids(search('학부모 총회'))), new Set([spaced.id, joined.id]));
+  assert.deepEqual(new Set(ids(search('학부모총회를'))), new Set([spaced.id, joined.id]));
+  // 줄이 바뀐 곳은 이어 붙이지 않음
+  await tick();
+  sessions.update(spaced.id, { transcript: '다음 달 학부모\n총회 일정을 정했습니다.' });
+  assert.deepEqual(ids(search('학부모총회')), [joined.id]);
+  sessions.remove(spaced.id);
+  documents.remove(joined.id);
+});
+
+test('nouns ending in a particle-like syllable rank and highlight their verbatim matches first', () => {
+  const appraisal = documents.insert({ sessionId: 's', generatedContent: '', editedContent: '교원 인사평가 결과를 공유합니다.' });
+  // 조사를 뗀 형태("인사평", "학생회", "교육제")만 들어 있고 그 gram이 더 많이 나오는 본문
+  const review = sessions.insert({ transcript: '인사평론 모임. 인사평론 원고. 인사평론 마감.', timestamp: '2026-10-01T01:00:00Z' });
+  const council = sessions.insert({ transcript: '학생회 임원 선거, 학생회 예산, 학생회 공약', timestamp: '2026-10-02T01:00:00Z' });
+  const meeting = documents.insert({ sessionId: 's', generatedContent: '', editedContent: '학생회의 안건 정리' });
+  const offer = sessions.insert({ transcript: '교육제공 일정, 교육제공 장소, 교육제공 대상', timestamp: '2026-10-03T01:00:00Z' });
+  const policy = documents.insert({ sessionId: 's', generatedContent: '', editedContent: '새 교육제도 설명회' });
+
+  assert.deepEqual(parseQuery('인사평가').words, ['인사평가']);
+  for (const [q, verbatim, stemOnly, word] of [
+    ['인사평가', appraisal, review, '인사평가'],
+    ['학생회의', meeting, council, '학생회의'],
+    ['교육제도', policy, offer, '교육제도'],
+  ]) {
+    const found = search(q);
+    assert.deepEqual(ids(found), [verbatim.id, stemOnly.id], q);
+    assert.deepEqual(found.results[0].snippets[0].filter((s) => s.highlight).map((s) => s.text), [word]);
+  }
+  for (const record of [review, council, offer]) sessions.remove(record.id);
+  for (const record of [appraisal, meeting, policy]) documents.remove(record.id);
+});
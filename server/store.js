@@ -0,0 +1,94 @@
+// javascript
+/**
+ * JSON file store
+ * - Each collection is kept in memory and persisted to `<DATA_DIR>/<name>.json`.
+ * - Writes go to a temp file first and are renamed into place so a crash never leaves half a file.
+ * - DATA_DIR defaults to `server/data` (override with the DATA_DIR env var).
+ * - Reads and writes hand out copies, so changing a returned object never changes the stored one behind the file.
+ */
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * 컬렉션을 생성(또는 기존 파일에서 로드)합니다.
+ * @param {string} name - 컬렉션 이름 (파일명으로 사용)
+ * @returns {{
+ *   list: (predicate?: (doc: object) => boolean) => object[],
+ *   get: (id: string) => object | null,
+ *   insert: (doc: object) => object,
+ *   update: (id: string, patch: object) => object | null,
+ *   remove: (id: string) => boolean,
+ *   removeWhere: (predicate: (doc: object) => boolean) => number,
+ * }}
+ * @example
+ * const sessions = createCollection('sessions');
+ * const saved = sessions.insert({ transcript: '회의 내용' });
+ */
+export function createCollection(name) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let docs = [];
+
+  if (fs.existsSync(file)) {
+    try {
+      docs = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (!Array.isArray(docs)) docs = [];
+    } catch (err) {
+      console.error('[Store] Failed to read collection:', name, err?.message || err);
+      docs = [];
+    }
+  }
+
+  const persist = () => {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(docs, null, 2));
+    fs.renameSync(tmp, file);
+  };
+
+  return {
+    list(predicate) {
+      return structuredClone(predicate ? docs.filter(predicate) : docs);
+    },
+    get(id) {
+      const doc = docs.find((d) => d.id === id);
+      return doc ? structuredClone(doc) : null;
+    },
+    insert(doc) {
+      const now = new Date().toISOString();
+      const saved = structuredClone({ id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...doc });
+      docs.push(saved);
+      persist();
+      return structuredClone(saved);
+    },
+    update(id, patch) {
+      const idx = docs.findIndex((d) => d.id === id);
+      if (idx === -1) return null;
+      // id와 생성 시각은 변경 불가
+      const { id: _id, createdAt: _createdAt, ...rest } = patch;
+      docs[idx] = { ...docs[idx], ...structuredClone(rest), updatedAt: new Date().toISOString() };
+      persist();
+      return structuredClone(docs[idx]);
+    },
+    remove(id) {
+      const before = docs.length;
+      docs = docs.filter((d) => d.id !== id);
+      if (docs.length === before) return false;
+      persist();
+      return true;
+    },
+    removeWhere(predicate) {
+      const before = docs.length;
+      docs = docs.filter((d) => !predicate(d));
+      const removed = before - docs.length;
+      if (removed > 0) persist();
+      return removed;
+    },
+  };
+}
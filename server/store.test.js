@@ -0,0 +1,40 @@
+// javascript
+/**
+ * JSON file store: returned documents are copies, so editing them changes neither memory nor the file
+ * (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { withTempDataDir } from './testUtils.js';
+
+const dir = withTempDataDir('store');
+const { createCollection } = await import('./store.js');
+
+const saved = () => JSON.parse(fs.readFileSync(path.join(dir, 'notes.json'), 'utf8'));
+
+test('changing what list, get, insert and update return does not change the collection', () => {
+  const notes = createCollection('notes');
+  const input = { title: '운동회', tags: ['행사'] };
+  const inserted = notes.insert(input);
+  input.tags.push('입력');
+  inserted.title = '삽입 결과';
+
+  notes.get(inserted.id).tags.push('조회');
+  notes.list()[0].title = '목록';
+  notes.list((n) => n.id === inserted.id)[0].tags.length = 0;
+  notes.update(inserted.id, { place: '운동장' }).title = '수정 결과';
+
+  assert.deepEqual(
+    { title: notes.get(inserted.id).title, tags: notes.get(inserted.id).tags, place: notes.get(inserted.id).place },
+    { title: '운동회', tags: ['행사'], place: '운동장' }
+  );
+
+  // 나중에 저장해도 밖에서 바꾼 값이 파일에 들어가지 않음
+  notes.update(inserted.id, { done: true });
+  assert.deepEqual(
+    saved().map(({ title, tags, done }) => ({ title, tags, done })),
+    [{ title: '운동회', tags: ['행사'], done: true }]
+  );
+});
@@ -0,0 +1,216 @@
+// javascript
+/**
+ * Structured document output
+ * - Asks the model for JSON ({ title, summary, sections[], closing }), validates it against DOCUMENT_SCHEMA
+ *   and re-prompts with a repair instruction when validation fails.
+ * - generateJson runs the same parse/validate/repair loop for other JSON outputs (e.g. ./extraction.js).
+ * - STRUCTURED_MAX_REPAIRS controls how many repair prompts are tried (default 2).
+ */
+import { generateText } from './providers/index.js';
+
+/** 문서 JSON 스키마 (프롬프트에 그대로 포함됨) */
+export const DOCUMENT_SCHEMA = {
+  type: 'object',
+  required: ['title', 'summary', 'sections', 'closing'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    summary: { type: 'string', minLength: 1 },
+    sections: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['heading', 'body'],
+        properties: {
+          heading: { type: 'string', minLength: 1 },
+          body: { type: 'string', minLength: 1 },
+        },
+      },
+    },
+    closing: { type: 'string' },
+  },
+};
+
+// 템플릿 섹션 중 최상위 필드로 표현되는 것들 (sections[]에 따로 요구하지 않음)
+const TOP_LEVEL_SECTIONS = new Set(['제목', '요약', '맺음말']);
+
+const MAX_REPAIRS = Number.parseInt(process.env.STRUCTURED_MAX_REPAIRS ?? '2', 10);
+
+const normalizeHeading = (s) => s.replace(/\s+/g, '');
+
+/**
+ * 값이 스키마 노드를 만족하는지 검사합니다. (type, required, properties, items, minLength, minItems만 지원)
+ * @param {unknown} value
+ * @param {object} schema
+ * @param {string} where - 오류 메시지용 경로
+ * @returns {string[]} 오류 목록
+ */
+export function checkSchema(value, schema, where) {
+  if (schema.type === 'string') {
+    if (typeof value !== 'string') return [`${where}: 문자열이어야 합니다.`];
+    if (schema.minLength && value.trim().length < schema.minLength) return [`${where}: 비어 있으면 안 됩니다.`];
+    return [];
+  }
+  if (schema.type === 'array') {
+    if (!Array.isArray(value)) return [`${where}: 배열이어야 합니다.`];
+    if (schema.minItems && value.length < schema.minItems) return [`${where}: 항목이 ${schema.minItems}개 이상이어야 합니다.`];
+    return value.flatMap((item, i) => checkSchema(item, schema.items, `${where}[${i}]`));
+  }
+  if (schema.type === 'object') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return [`${where}: 객체여야 합니다.`];
+    const missing = schema.required.filter((key) => value[key] === undefined).map((key) => `${where}.${key}: 필수 항목이 없습니다.`);
+    const invalid = Object.entries(schema.properties)
+      .filter(([key]) => value[key] !== undefined)
+      .flatMap(([key, sub]) => checkSchema(value[key], sub, `${where}.${key}`));
+    return [...missing, ...invalid];
+  }
+  return [];
+}
+
+/**
+ * 구조화 문서를 스키마와 템플릿 필수 섹션 기준으로 검증합니다.
+ * @param {unknown} doc
+ * @param {{ sections?: string[] } | null} [template]
+ * @returns {string[]} 오류 목록 (비어 있으면 유효)
+ */
+export function validateStructuredDocument(doc, template = null) {
+  const errors = checkSchema(doc, DOCUMENT_SCHEMA, 'document');
+  if (errors.length > 0 || !template?.sections) return errors;
+
+  const headings = doc.sections.map((s) => normalizeHeading(s.heading));
+  return template.sections
+    .filter((name) => !TOP_LEVEL_SECTIONS.has(name))
+    .filter((name) => !headings.some((h) => h.includes(normalizeHeading(name))))
+    .map((name) => `document.sections: "${name}" 섹션이 없습니다.`);
+}
+
+/**
+ * 모델 응답에서 JSON 객체를 파싱합니다. ```json 코드 블록으로 감싼 응답도 허용합니다.
+ * @param {string} raw
+ * @returns {{ value?: object, error?: string }}
+ */
+export function parseModelJson(raw) {
+  const text = String(raw || '').trim();
+  const fenced = text.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/);
+  const candidate = fenced ? fenced[1] : text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1);
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (err) {
+    return { error: `JSON 파싱 실패: ${err.message}` };
+  }
+}
+
+/**
+ * 구조화 문서를 사람이 읽는 텍스트로 렌더링합니다. (src/utils/documentFormat.js와 같은 형식)
+ * @param {{ title: string, summary: string, sections: { heading: string, body: string }[], closing?: string }} doc
+ * @returns {string}
+ */
+export function renderStructuredDocument(doc) {
+  return [
+    doc.title,
+    `[요약]\n${doc.summary}`,
+    ...doc.sections.map((s) => `[${s.heading}]\n${s.body}`),
+    doc.closing,
+  ]
+    .filter((part) => part && part.trim())
+    .join('\n\n');
+}
+
+/**
+ * 기본 프롬프트에 JSON 출력 형식 지시를 덧붙입니다.
+ * @param {string} prompt - buildDocumentPrompt 결과
+ * @returns {string}
+ */
+export function withJsonInstructions(prompt) {
+  return `${prompt}\n\n출력 형식:\n- 아래 JSON 스키마를 따르는 JSON 객체 하나만 출력 (설명, 코드 블록 표시 없이)\n- 제목은 title, 요약은 summary, 맺음말은 closing(없으면 빈 문자열), 나머지 섹션은 sections[]에 { heading, body }로 순서대로 작성\n${JSON.stringify(DOCUMENT_SCHEMA)}`;
+}
+
+/**
+ * 검증 실패 시 모델에게 보낼 수정 요청 프롬프트
+ * @param {string} prompt - 원래 프롬프트
+ * @param {string} raw - 실패한 모델 응답
+ * @param {string[]} errors - 검증 오류
+ * @returns {string}
+ */
+function buildRepairPrompt(prompt, raw, errors) {
+  return `${prompt}\n\n이전 응답:\n${raw}\n\n이전 응답은 다음 이유로 검증에 실패했습니다:\n${errors.map((e) => `- ${e}`).join('\n')}\n\n내용은 유지하고 스키마에 맞게 고친 JSON 객체만 다시 출력하세요.`;
+}
+
+/**
+ * 모델 원문 응답을 파싱·검증합니다.
+ * @param {string} raw
+ * @param {object | null} template
+ * @param {((doc: object) => string[]) | null} [check] - 스키마 검증을 통과한 문서의 추가 검증 (오류 목록 반환)
+ * @returns {{ document?: object, errors: string[] }}
+ */
+export function checkModelOutput(raw, template, check = null) {
+  const { value, error } = parseModelJson(raw);
+  if (error) return { errors: [error] };
+  const errors = validateStructuredDocument(value, template);
+  if (errors.length === 0 && check) errors.push(...check(value));
+  return errors.length ? { errors } : { document: value, errors };
+}
+
+/**
+ * JSON 객체를 생성합니다. 검증에 실패하면 수정 요청으로 최대 STRUCTURED_MAX_REPAIRS번 재시도합니다.
+ * @param {string} prompt - JSON 형식 지시가 포함된 프롬프트
+ * @param {(raw: string) => { value?: object, errors: string[] }} validate - 모델 원문 응답 파싱·검증
+ * @param {{ provider?: string, model?: string, task?: import('./providers/index.js').GenerationTask, initialRaw?: string,
+ *   failure?: string }} [options]
+ *   - task: 공급자에 전달할 작업 정보 (수정 요청에도 그대로 사용)
+ *   - failure: 재시도 후에도 실패했을 때 오류 메시지 앞부분
+ * @returns {Promise<{ value: object, provider?: string, model?: string, repairs: number }>}
+ * @throws {Error} 재시도 후에도 검증에 실패하면 status=502 오류
+ */
+export async function generateJson(prompt, validate, { provider, model, task, initialRaw, failure = 'JSON 검증 실패' } = {}) {
+  let meta = {};
+  let raw = initialRaw;
+  if (raw === undefined) {
+    const result = await generateText(prompt, { provider, model, json: true, task });
+    ({ content: raw, ...meta } = result);
+  }
+
+  for (let repairs = 0; ; repairs++) {
+    const { value, errors } = validate(raw);
+    if (value) return { value, ...meta, repairs };
+    if (repairs >= MAX_REPAIRS) {
+      const err = new Error(`${failure}: ${errors.join(' / ')}`);
+      err.status = 502;
+      throw err;
+    }
+
+    console.warn('[Server] Structured output invalid, requesting repair:', errors.join(' / '));
+    const result = await generateText(buildRepairPrompt(prompt, raw, errors), {
+      provider: meta.provider || provider,
+      model: meta.model || model,
+      json: true,
+      task,
+    });
+    ({ content: raw, ...meta } = result);
+  }
+}
+
+/**
+ * 구조화 문서를 생성합니다. 검증에 실패하면 수정 요청으로 최대 STRUCTURED_MAX_REPAIRS번 재시도합니다.
+ * @param {string} prompt - JSON 형식 지시가 포함된 프롬프트 (withJsonInstructions)
+ * @param {{ template?: object | null, check?: (doc: object) => string[], provider?: string, model?: string,
+ *   task?: import('./providers/index.js').GenerationTask, initialRaw?: string }} [options]
+ *   - check: 추가 검증 (예: 번역문의 섹션 수가 원문과 같은지). 실패하면 스키마 오류처럼 수정 요청
+ *   - initialRaw: 이미 받은 첫 응답(스트리밍 등)이 있으면 첫 생성 대신 검증부터 시작
+ * @returns {Promise<{ document: object, content: string, provider?: string, model?: string, repairs: number }>}
+ * @throws {Error} 재시도 후에도 검증에 실패하면 status=502 오류
+ */
+export async function generateStructured(prompt, { template = null, check = null, provider, model, task, initialRaw } = {}) {
+  const validate = (raw) => {
+    const { document, errors } = checkModelOutput(raw, template, check);
+    return { value: document, errors };
+  };
+  const { value: document, ...meta } = await generateJson(prompt, validate, {
+    provider,
+    model,
+    task,
+    initialRaw,
+    failure: '문서 구조 검증 실패',
+  });
+  return { document, content: renderStructuredDocument(document), ...meta };
+}
@@ -0,0 +1,69 @@
+// javascript
+/**
+ * Structured output validation and the repair loop, run against the offline mock provider (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  checkModelOutput,
+  generateJson,
+  generateStructured,
+  parseModelJson,
+  renderStructuredDocument,
+  validateStructuredDocument,
+} from './structured.js';
+
+const doc = { title: '운동회 안내', summary: '운동회가 열립니다.', sections: [{ heading: '일정', body: '금요일' }], closing: '' };
+const task = { kind: 'document', source: '운동회는 금요일에 열립니다.', sections: ['일정'] };
+
+test('parseModelJson accepts fenced JSON and reports broken JSON', () => {
+  assert.deepEqual(parseModelJson('```json\n{"a":1}\n```').value, { a: 1 });
+  assert.deepEqual(parseModelJson('결과: {"a":1} 입니다').value, { a: 1 });
+  assert.match(parseModelJson('{"a":').error, /JSON 파싱 실패/);
+});
+
+test('validateStructuredDocument checks the schema and the template sections', () => {
+  assert.deepEqual(validateStructuredDocument(doc, { sections: ['제목', '일정'] }), []);
+  assert.deepEqual(validateStructuredDocument(doc, { sections: ['준비물'] }), ['document.sections: "준비물" 섹션이 없습니다.']);
+  assert.deepEqual(validateStructuredDocument({ ...doc, sections: [] }), ['document.sections: 항목이 1개 이상이어야 합니다.']);
+  assert.deepEqual(validateStructuredDocument({ ...doc, title: ' ' }), ['document.title: 비어 있으면 안 됩니다.']);
+});
+
+test('checkModelOutput runs the extra check only on schema-valid documents', () => {
+  const check = () => ['추가 검증 실패'];
+  assert.deepEqual(checkModelOutput(JSON.stringify(doc), null, check).errors, ['추가 검증 실패']);
+  assert.equal(checkModelOutput('{}', null, check).errors.includes('추가 검증 실패'), false);
+});
+
+test('renderStructuredDocument skips empty parts', () => {
+  assert.equal(renderStructuredDocument(doc), '운동회 안내\n\n[요약]\n운동회가 열립니다.\n\n[일정]\n금요일');
+});
+
+test('an invalid first response is repaired by asking the model again', async () => {
+  const result = await generateStructured('프롬프트', { provider: 'mock', task, initialRaw: '{"title":"반쪽"}' });
+  assert.equal(result.repairs, 1);
+  assert.equal(result.provider, 'mock');
+  assert.deepEqual(result.document.sections.map((s) => s.heading), ['일정']);
+});
+
+test('a response that never validates fails with 502 after the allowed repairs', async () => {
+  // mock은 요구 섹션이 없으면 '본문' 섹션만 만듦
+  const options = { template: { sections: ['준비물'] }, provider: 'mock', task: { ...task, sections: [] } };
+  await assert.rejects(generateStructured('프롬프트', options), {
+    status: 502,
+    message: '문서 구조 검증 실패: document.sections: "준비물" 섹션이 없습니다.',
+  });
+});
+
+test('generateJson asks again up to the repair limit and fails with its own message', async () => {
+  let calls = 0;
+  const validate = () => {
+    calls++;
+    return { errors: ['항상 실패'] };
+  };
+  await assert.rejects(generateJson('프롬프트', validate, { provider: 'mock', task, failure: '검증 실패' }), {
+    status: 502,
+    message: '검증 실패: 항상 실패',
+  });
+  assert.equal(calls, 3);
+});
@@ -0,0 +1,45 @@
+// javascript
+/**
+ * Speech-to-text backend registry
+ * - STT_BACKEND selects the backend:
+ *   - whisper: OpenAI-compatible `POST {STT_BASE_URL}/audio/transcriptions` (STT_API_KEY, STT_MODEL default "whisper-1")
+ *   - stub: reads fixture transcripts from STT_FIXTURES_DIR (default server/fixtures/transcripts), offline.
+ *     Only for development and tests: it returns canned text whatever the audio says, so it is never picked by default.
+ * - Without a configured backend /api/transcribe answers 503 instead of inventing a transcript.
+ */
+import { createStubBackend } from './stub.js';
+import { createWhisperBackend } from './whisper.js';
+
+/**
+ * @typedef {object} TranscriptionResult
+ * @property {string} text - 전체 원문
+ * @property {{ text: string, startMs: number, endMs: number, confidence: number | null }[]} segments - 구간 (없으면 빈 배열)
+ */
+
+/**
+ * @typedef {object} STTBackend
+ * @property {string} id - 백엔드 ID
+ * @property {(input: { audio: Buffer, format: 'wav' | 'm4a' | 'webm', filename?: string, language: string }) => Promise<TranscriptionResult>} transcribe
+ */
+
+/**
+ * 환경 변수로 백엔드를 생성합니다.
+ * @param {NodeJS.ProcessEnv} env
+ * @returns {STTBackend | null} 설정되지 않았으면 null (stub은 STT_BACKEND=stub일 때만)
+ */
+export function loadBackend(env = process.env) {
+  const id = env.STT_BACKEND;
+  if (!id) return null;
+  if (id === 'stub') return createStubBackend({ fixturesDir: env.STT_FIXTURES_DIR || undefined });
+  if (id === 'whisper') {
+    if (env.STT_BASE_URL) {
+      return createWhisperBackend({ baseUrl: env.STT_BASE_URL, apiKey: env.STT_API_KEY, model: env.STT_MODEL || 'whisper-1' });
+    }
+    console.warn('[STT] STT_BACKEND=whisper but STT_BASE_URL is not set; transcription disabled');
+    return null;
+  }
+  console.warn(`[STT] Unknown STT_BACKEND "${id}"; transcription disabled`);
+  return null;
+}
+
+export const sttBackend = loadBackend();
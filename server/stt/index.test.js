@@ -0,0 +1,25 @@
+// javascript
+/**
+ * Speech-to-text backend selection: the fixture stub is opt-in (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadBackend } from './index.js';
+
+test('no backend is configured by default', () => {
+  assert.equal(loadBackend({}), null);
+});
+
+test('whisper without a base URL and unknown backends are not configured', () => {
+  assert.equal(loadBackend({ STT_BACKEND: 'whisper' }), null);
+  assert.equal(loadBackend({ STT_BACKEND: 'nope' }), null);
+  assert.equal(loadBackend({ STT_BACKEND: 'whisper', STT_BASE_URL: 'http://localhost:9000/v1' }).id, 'whisper');
+});
+
+test('the stub reads fixture transcripts only when asked for', async () => {
+  const stub = loadBackend({ STT_BACKEND: 'stub' });
+  assert.equal(stub.id, 'stub');
+  const result = await stub.transcribe({ audio: Buffer.alloc(1), format: 'wav', filename: 'class.wav', language: 'ko-KR' });
+  assert.equal(result.segments.length, 4);
+  assert.match(result.segments[0].text, /담임입니다/);
+});
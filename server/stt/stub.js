@@ -0,0 +1,64 @@
+// javascript
+/**
+ * Stub speech-to-text backend for offline development and tests.
+ * Looks up a fixture by the uploaded file name, then falls back to `default`:
+ *   <fixturesDir>/<name>.json  { text?, segments?: [{ text, startMs, endMs, confidence }] }
+ *   <fixturesDir>/<name>.txt   plain text (one segment per line, 5 seconds each)
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const STUB_SEGMENT_MS = 5000;
+
+/**
+ * 픽스처 파일을 읽어 결과 형태로 바꿉니다.
+ * @param {string} file
+ * @returns {import('./index.js').TranscriptionResult}
+ */
+function readFixture(file) {
+  const raw = fs.readFileSync(file, 'utf8');
+  if (file.endsWith('.json')) {
+    const { text, segments = [] } = JSON.parse(raw);
+    return { text: text ?? segments.map((s) => s.text).join(' '), segments };
+  }
+  const lines = raw
+    .split('\n')
+    .map((l) => l.trim())
+    .filter(Boolean);
+  return {
+    text: lines.join(' '),
+    segments: lines.map((text, i) => ({
+      text,
+      startMs: i * STUB_SEGMENT_MS,
+      endMs: (i + 1) * STUB_SEGMENT_MS,
+      confidence: null,
+    })),
+  };
+}
+
+/**
+ * @param {{ fixturesDir?: string }} [config]
+ * @returns {import('./index.js').STTBackend}
+ */
+export function createStubBackend({ fixturesDir = path.join(__dirname, '..', 'fixtures', 'transcripts') } = {}) {
+  return {
+    id: 'stub',
+    async transcribe({ filename, language }) {
+      const base = filename ? path.basename(filename, path.extname(filename)) : null;
+      // 언어별 픽스처(<name>.<language>.json)를 먼저 찾음
+      const candidates = [base && `${base}.${language}`, base, `default.${language}`, 'default']
+        .filter(Boolean)
+        .flatMap((name) => [`${name}.json`, `${name}.txt`])
+        .map((name) => path.join(fixturesDir, name));
+      const file = candidates.find((candidate) => fs.existsSync(candidate));
+      if (!file) {
+        throw Object.assign(new Error(`전사 픽스처가 없습니다: ${fixturesDir}`), { status: 500 });
+      }
+      console.log('[STT] Stub transcript from', path.basename(file));
+      return readFixture(file);
+    },
+  };
+}
@@ -0,0 +1,46 @@
+// javascript
+/**
+ * OpenAI-compatible transcription adapter (`POST {baseUrl}/audio/transcriptions`)
+ * - Works with OpenAI Whisper and self-hosted servers that expose the same API (faster-whisper-server, LocalAI, ...).
+ * - Requests `verbose_json` so segment timings are kept; confidence is derived from each segment's avg_logprob.
+ */
+
+const MIME_TYPES = { wav: 'audio/wav', m4a: 'audio/mp4', webm: 'audio/webm' };
+
+/**
+ * @param {{ baseUrl: string, apiKey?: string, model: string, timeoutMs?: number }} config
+ * @returns {import('./index.js').STTBackend}
+ */
+export function createWhisperBackend({ baseUrl, apiKey, model, timeoutMs = 300000 }) {
+  const endpoint = `${baseUrl.replace(/\/+$/, '')}/audio/transcriptions`;
+
+  return {
+    id: 'whisper',
+    async transcribe({ audio, format, filename, language }) {
+      const form = new FormData();
+      form.append('file', new Blob([audio], { type: MIME_TYPES[format] }), filename || `audio.${format}`);
+      form.append('model', model);
+      form.append('language', language.split('-')[0]); // Whisper는 ISO-639-1 코드 사용
+      form.append('response_format', 'verbose_json');
+
+      const res = await fetch(endpoint, {
+        method: 'POST',
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : undefined,
+        body: form,
+        signal: AbortSignal.timeout(timeoutMs),
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok) {
+        throw Object.assign(new Error(data?.error?.message || `Transcription request failed (${res.status})`), { status: 502 });
+      }
+
+      const segments = (data?.segments || []).map((s) => ({
+        text: String(s.text || '').trim(),
+        startMs: Math.round(s.start * 1000),
+        endMs: Math.round(s.end * 1000),
+        confidence: Number.isFinite(s.avg_logprob) ? Math.min(1, Math.exp(s.avg_logprob)) : null,
+      }));
+      return { text: String(data?.text || '').trim(), segments: segments.filter((s) => s.text) };
+    },
+  };
+}
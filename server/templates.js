@@ -0,0 +1,100 @@
+// javascript
+/**
+ * Document template defaults and validation.
+ * - Built-in templates are seeded into the store the first time it is empty.
+ */
+import { templates } from './db.js';
+
+/** @type {{ id: string, name: string, instructions: string, sections: string[], tone: string, maxLength: number }[]} */
+const DEFAULT_TEMPLATES = [
+  {
+    id: 'home-letter',
+    name: '가정통신문',
+    instructions: '학교에서 학부모에게 보내는 안내문으로 작성하세요. 행사/안내 내용, 일시, 장소, 준비물, 회신 필요 여부를 빠짐없이 정리하세요.',
+    sections: ['제목', '인사말', '안내 내용', '일시 및 장소', '준비물 및 협조 사항', '맺음말'],
+    tone: '정중하고 따뜻한 존댓말',
+    maxLength: 1200,
+  },
+  {
+    id: 'meeting-minutes',
+    name: '회의록',
+    instructions: '회의 발언을 안건별로 정리하고, 결정 사항과 담당자·기한이 있는 후속 조치를 분리해서 기록하세요.',
+    sections: ['제목', '회의 개요', '안건별 논의 내용', '결정 사항', '후속 조치'],
+    tone: '간결한 개조식',
+    maxLength: 2000,
+  },
+  {
+    id: 'notice',
+    name: '공지문',
+    instructions: '대상자가 한눈에 핵심을 파악할 수 있도록 공지 목적, 대상, 일정, 문의처를 명확히 밝히세요.',
+    sections: ['제목', '공지 내용', '대상 및 일정', '문의처'],
+    tone: '명확하고 공식적인 존댓말',
+    maxLength: 800,
+  },
+  {
+    id: 'report',
+    name: '보고서',
+    instructions: '내용을 구조화하여 핵심만 압축하고, 불필요한 표현은 제거하세요.',
+    sections: ['제목', '요약', '본문'],
+    tone: '객관적인 보고체',
+    maxLength: 3000,
+  },
+];
+
+/**
+ * 템플릿 저장소가 비어 있으면 기본 템플릿을 채웁니다.
+ */
+export function seedDefaultTemplates() {
+  if (templates.list().length > 0) return;
+  DEFAULT_TEMPLATES.forEach((tpl) => templates.insert(tpl));
+  console.log('[Server] Seeded default document templates:', DEFAULT_TEMPLATES.map((t) => t.name).join(', '));
+}
+
+/**
+ * 템플릿 입력값을 검증하고 정규화합니다.
+ * @param {object} body - 요청 본문
+ * @param {{ partial?: boolean }} [options] - partial=true 이면 전달된 필드만 검증 (수정용)
+ * @returns {{ value?: object, error?: string }}
+ */
+export function validateTemplate(body, { partial = false } = {}) {
+  const value = {};
+  const has = (field) => body?.[field] !== undefined;
+
+  if (!partial || has('name')) {
+    if (typeof body?.name !== 'string' || !body.name.trim()) return { error: 'name은 비어 있지 않은 문자열이어야 합니다.' };
+    value.name = body.name.trim();
+  }
+  for (const field of ['instructions', 'tone']) {
+    if (!has(field)) {
+      if (!partial) value[field] = '';
+      continue;
+    }
+    if (typeof body[field] !== 'string') return { error: `${field}는 문자열이어야 합니다.` };
+    value[field] = body[field].trim();
+  }
+  if (!partial || has('sections')) {
+    const { sections } = body || {};
+    if (!Array.isArray(sections) || sections.length === 0 || sections.some((s) => typeof s !== 'string' || !s.trim())) {
+      return { error: 'sections는 비어 있지 않은 문자열 배열이어야 합니다.' };
+    }
+    value.sections = sections.map((s) => s.trim());
+  }
+  if (has('maxLength') && body.maxLength !== null) {
+    if (!Number.isInteger(body.maxLength) || body.maxLength <= 0) return { error: 'maxLength는 양의 정수여야 합니다.' };
+    value.maxLength = body.maxLength;
+  } else if (!partial || has('maxLength')) {
+    value.maxLength = null;
+  }
+  return { value };
+}
+
+/**
+ * ID 또는 이름으로 템플릿을 찾습니다.
+ * @param {{ templateId?: string, documentType?: string }} ref
+ * @returns {object | null}
+ */
+export function findTemplate({ templateId, documentType } = {}) {
+  if (templateId) return templates.get(templateId);
+  if (documentType) return templates.list((t) => t.name === documentType)[0] || null;
+  return null;
+}
@@ -0,0 +1,97 @@
+// javascript
+/**
+ * Shared setup for the server tests (run with `npm test`).
+ * Collections and providers read their environment when they are imported, so a test file calls these helpers first
+ * and imports the modules under test afterwards with `await import(...)`.
+ */
+import { after } from 'node:test';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+
+/**
+ * 환경 변수를 지정합니다. undefined인 값은 지웁니다.
+ * @param {Record<string, string | undefined>} env
+ */
+export function setEnv(env) {
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  }
+}
+
+/**
+ * 빈 임시 DATA_DIR을 만들고 테스트 파일이 끝나면 지웁니다.
+ * @param {string} name - 디렉터리 이름 앞부분 (어느 테스트의 것인지)
+ * @param {Record<string, string | undefined>} [env] - 함께 지정할 환경 변수
+ * @returns {string} 임시 디렉터리 경로
+ */
+export function withTempDataDir(name, env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), `${name}-test-`));
+  setEnv({ DATA_DIR: dir, ...env });
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * 같은 밀리초에 기록되지 않도록 잠시 기다립니다. (createdAt·updatedAt으로 정렬하거나 바뀐 것을 찾는 코드용)
+ * @param {number} [ms=2]
+ * @returns {Promise<void>}
+ */
+export const tick = (ms = 2) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * express 앱을 빈 포트에 띄우고 테스트 파일이 끝나면 닫습니다.
+ * @param {import('express').Express} app
+ * @returns {string} 기본 URL (예: "http://127.0.0.1:54321")
+ */
+export function serve(app) {
+  const server = app.listen(0);
+  after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+/**
+ * 가짜 OpenAI 호환 모델 서버를 띄우고 OpenAI 공급자가 그 서버를 쓰도록 환경 변수를 지정합니다.
+ * @param {(request: { model: string, prompt: string, stream: boolean }) => string | string[]} respond
+ *   - 모델 응답 (배열이면 스트리밍 조각). 예외를 던지면 500 오류로 답함
+ * @param {{ models?: string }} [options] - OPENAI_MODELS (쉼표 구분, 앞에서부터 대체)
+ * @returns {Promise<{ requests: { model: string, prompt: string, stream: boolean }[] }>} 받은 요청 기록
+ */
+export async function useFakeModel(respond, { models = 'fake' } = {}) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const { model, stream = false, messages } = JSON.parse(body);
+      const request = { model, prompt: messages[0].content, stream };
+      requests.push(request);
+      let content;
+      try {
+        content = respond(request);
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        return res.end(JSON.stringify({ error: { message: error.message } }));
+      }
+      const chunks = Array.isArray(content) ? content : [content];
+      if (stream) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const text of chunks) res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: text } }] })}\n\n`);
+        return res.end('data: [DONE]\n\n');
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ choices: [{ message: { content: chunks.join('') } }] }));
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  after(() => server.close());
+  setEnv({
+    OPENAI_BASE_URL: `http://127.0.0.1:${server.address().port}/v1`,
+    OPENAI_MODELS: models,
+    LLM_PROVIDER: 'openai',
+    GEMINI_API_KEY: undefined,
+  });
+  return { requests };
+}
@@ -0,0 +1,87 @@
+// javascript
+/**
+ * Wall-clock time helpers for a named time zone (IANA, e.g. "Asia/Seoul") using only Intl.
+ */
+
+export const DEFAULT_TIMEZONE = 'Asia/Seoul';
+
+/**
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * 시간대의 벽시계 시각 구성 요소
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{ year: number, month: number, day: number, hour: number, minute: number, second: number }}
+ */
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(date);
+  const value = (type) => Number(parts.find((p) => p.type === type).value);
+  return {
+    year: value('year'),
+    month: value('month'),
+    day: value('day'),
+    hour: value('hour'),
+    minute: value('minute'),
+    second: value('second'),
+  };
+}
+
+/** 해당 시점의 UTC 대비 시간대 오프셋(ms) */
+function offsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * 시간대의 벽시계 시각을 실제 시점으로 변환합니다.
+ * @param {string} local - "YYYY-MM-DD HH:mm" 또는 "YYYY-MM-DDTHH:mm[:ss]"
+ * @param {string} [timeZone=DEFAULT_TIMEZONE]
+ * @returns {Date | null} 형식이 잘못되면 null
+ * @example
+ * zonedTimeToUtc('2024-05-02 08:00', 'Asia/Seoul').toISOString(); // => '2024-05-01T23:00:00.000Z'
+ */
+export function zonedTimeToUtc(local, timeZone = DEFAULT_TIMEZONE) {
+  const m = String(local).match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const [year, month, day, hour, minute, second = 0] = m.slice(1).map((v) => Number(v || 0));
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (Number.isNaN(guess)) return null;
+  let time = guess - offsetMs(new Date(guess), timeZone);
+  // 일광절약시간 경계에서는 변환된 시점의 오프셋이 다를 수 있으므로 한 번 더 보정
+  const corrected = guess - offsetMs(new Date(time), timeZone);
+  if (corrected !== time) time = corrected;
+  return new Date(time);
+}
+
+/**
+ * 시점을 시간대의 벽시계 시각 문자열로 표시합니다.
+ * @param {Date | string} date
+ * @param {string} [timeZone=DEFAULT_TIMEZONE]
+ * @returns {string} "YYYY-MM-DD HH:mm"
+ */
+export function formatZonedTime(date, timeZone = DEFAULT_TIMEZONE) {
+  const p = zonedParts(new Date(date), timeZone);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)} ${pad(p.hour)}:${pad(p.minute)}`;
+}
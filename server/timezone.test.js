@@ -0,0 +1,34 @@
+// javascript
+/**
+ * Wall-clock conversion for scheduled sends (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatZonedTime, isValidTimeZone, zonedTimeToUtc } from './timezone.js';
+
+test('Seoul wall-clock time converts to UTC and back', () => {
+  const date = zonedTimeToUtc('2024-05-02 08:00', 'Asia/Seoul');
+  assert.equal(date.toISOString(), '2024-05-01T23:00:00.000Z');
+  assert.equal(formatZonedTime(date), '2024-05-02 08:00');
+  assert.equal(zonedTimeToUtc('2024-05-02T08:00:30').toISOString(), '2024-05-01T23:00:30.000Z');
+});
+
+test('daylight saving time is applied in zones that use it', () => {
+  assert.equal(zonedTimeToUtc('2024-07-01 09:00', 'America/New_York').toISOString(), '2024-07-01T13:00:00.000Z');
+  assert.equal(zonedTimeToUtc('2024-01-15 09:00', 'America/New_York').toISOString(), '2024-01-15T14:00:00.000Z');
+});
+
+test('malformed input gives null', () => {
+  assert.equal(zonedTimeToUtc('2024/05/02 08:00'), null);
+  assert.equal(zonedTimeToUtc('내일 아침'), null);
+});
+
+test('impossible dates roll over, so the round trip does not match the input', () => {
+  const date = zonedTimeToUtc('2026-02-31 09:00');
+  assert.notEqual(formatZonedTime(date), '2026-02-31 09:00');
+});
+
+test('isValidTimeZone accepts IANA names only', () => {
+  assert.equal(isValidTimeZone('Asia/Seoul'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+});
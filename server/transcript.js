@@ -0,0 +1,76 @@
+// javascript
+/**
+ * Transcript segments
+ * - A session can carry `segments`: one entry per final recognition result, with offsets (ms) relative to the
+ *   session start and the recognizer's confidence (0..1, null when the platform does not report one).
+ * - When segments are present the flat `transcript` is derived from them.
+ */
+import crypto from 'crypto';
+
+/** 한 세션에 저장할 수 있는 최대 구간 수 */
+const MAX_SEGMENTS = 5000;
+
+const isOffset = (value) => Number.isFinite(value) && value >= 0;
+
+/**
+ * 구간 목록을 검증하고 정규화합니다. id가 없는 구간에는 새 id를 붙입니다.
+ * @param {unknown} segments
+ * @returns {{ value?: { id: string, text: string, startMs: number, endMs: number, confidence: number | null }[], error?: string }}
+ */
+export function validateSegments(segments) {
+  if (!Array.isArray(segments)) return { error: 'segments는 배열이어야 합니다.' };
+  if (segments.length > MAX_SEGMENTS) return { error: `segments는 최대 ${MAX_SEGMENTS}개까지 가능합니다.` };
+
+  const value = [];
+  for (const [i, segment] of segments.entries()) {
+    const where = `segments[${i}]`;
+    if (!segment || typeof segment !== 'object') return { error: `${where}: 객체여야 합니다.` };
+    const { id, text, startMs, endMs, confidence = null } = segment;
+    if (id !== undefined && typeof id !== 'string') return { error: `${where}.id는 문자열이어야 합니다.` };
+    if (typeof text !== 'string') return { error: `${where}.text는 문자열이어야 합니다.` };
+    if (!isOffset(startMs) || !isOffset(endMs) || endMs < startMs) {
+      return { error: `${where}: startMs/endMs는 0 이상이고 startMs ≤ endMs 이어야 합니다.` };
+    }
+    if (confidence !== null && !(Number.isFinite(confidence) && confidence >= 0 && confidence <= 1)) {
+      return { error: `${where}.confidence는 0~1 사이 숫자 또는 null이어야 합니다.` };
+    }
+    if (!text.trim()) continue; // 내용을 지운 구간은 삭제로 처리
+    value.push({ id: id || crypto.randomUUID(), text: text.trim(), startMs, endMs, confidence });
+  }
+  return { value: value.sort((a, b) => a.startMs - b.startMs) };
+}
+
+/**
+ * 구간들을 하나의 원문으로 잇습니다.
+ * @param {{ text: string }[]} segments
+ * @returns {string}
+ */
+export const joinSegments = (segments) => segments.map((s) => s.text).join(' ');
+
+/**
+ * 세션 시작 기준 오프셋을 "mm:ss" (1시간 이상이면 "h:mm:ss")로 표시합니다.
+ * @param {number} ms
+ * @returns {string}
+ * @example
+ * formatOffset(83000); // => '01:23'
+ */
+export function formatOffset(ms) {
+  const total = Math.floor(ms / 1000);
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(total / 3600);
+  const mmss = `${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+}
+
+/**
+ * 세션 원문을 프롬프트용으로 만듭니다. 구간이 있으면 줄마다 발언 시점을 붙입니다.
+ * @param {{ transcript: string, segments?: { text: string, startMs: number }[] }} session
+ * @returns {string} 예: "[00:05] 안녕하세요\n[00:12] 오늘 안건은..."
+ */
+export function buildTimedTranscript(session) {
+  if (!session.segments?.length) return session.transcript.trim();
+  return session.segments.map((s) => `[${formatOffset(s.startMs)}] ${s.text}`).join('\n');
+}
+
+/** @returns {boolean} 발언 시점을 인용할 수 있는 세션인지 */
+export const hasSegments = (session) => Boolean(session.segments?.length);
@@ -0,0 +1,74 @@
+// javascript
+/**
+ * Transcript segments: validation, joining, offset formatting and the timed source used for speaking-time
+ * citations (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSegments, joinSegments, formatOffset, buildTimedTranscript, hasSegments } from './transcript.js';
+import { buildDocumentPrompt, buildMergedSource } from './prompts.js';
+
+const segment = (fields) => ({ text: '안녕하세요', startMs: 0, endMs: 1000, ...fields });
+
+test('segments are trimmed, sorted by start time and given ids; empty ones are dropped', () => {
+  const { value } = validateSegments([
+    segment({ id: 'b', text: ' 오늘 안건은 ', startMs: 5000, endMs: 8000, confidence: 0.9 }),
+    segment({ id: 'a', startMs: 1000, endMs: 2000 }),
+    segment({ text: '   ', startMs: 3000, endMs: 4000 }),
+  ]);
+  assert.deepEqual(
+    value.map(({ id, text, confidence }) => ({ id, text, confidence })),
+    [
+      { id: 'a', text: '안녕하세요', confidence: null },
+      { id: 'b', text: '오늘 안건은', confidence: 0.9 },
+    ]
+  );
+  assert.equal(typeof validateSegments([segment({})]).value[0].id, 'string');
+});
+
+test('malformed segments are rejected with their position', () => {
+  const error = (segments) => validateSegments(segments).error;
+  assert.match(error('text'), /배열/);
+  assert.match(error([segment({}), null]), /^segments\[1\]: 객체/);
+  assert.match(error([segment({ text: 3 })]), /segments\[0\]\.text/);
+  assert.match(error([segment({ startMs: 2000, endMs: 1000 })]), /startMs ≤ endMs/);
+  assert.match(error([segment({ startMs: -1 })]), /0 이상/);
+  assert.match(error([segment({ confidence: 1.5 })]), /confidence/);
+  assert.match(error([segment({ id: 7 })]), /id는 문자열/);
+});
+
+test('joinSegments joins the texts with spaces', () => {
+  assert.equal(joinSegments([{ text: '안녕하세요' }, { text: '오늘 안건은' }]), '안녕하세요 오늘 안건은');
+  assert.equal(joinSegments([]), '');
+});
+
+test('formatOffset shows mm:ss, and h:mm:ss from one hour', () => {
+  assert.equal(formatOffset(0), '00:00');
+  assert.equal(formatOffset(83999), '01:23');
+  assert.equal(formatOffset(3599000), '59:59');
+  assert.equal(formatOffset(3600000), '1:00:00');
+  assert.equal(formatOffset(3723000), '1:02:03');
+});
+
+test('timed sources prefix each line with its speaking time and the prompt asks to cite it', () => {
+  const timed = {
+    transcript: '무시됨',
+    segments: [segment({ startMs: 5000 }), segment({ text: '체험학습은 금요일입니다.', startMs: 72000 })],
+  };
+  assert.ok(hasSegments(timed));
+  assert.equal(buildTimedTranscript(timed), '[00:05] 안녕하세요\n[01:12] 체험학습은 금요일입니다.');
+
+  const plain = { transcript: '  구간 없는 원문  ', segments: [] };
+  assert.ok(!hasSegments(plain));
+  assert.equal(buildTimedTranscript(plain), '구간 없는 원문');
+
+  const merged = buildMergedSource([
+    { ...timed, timestamp: '2026-10-19T00:00:00Z' },
+    { ...plain, timestamp: '2026-10-20T00:00:00Z' },
+  ]);
+  assert.match(merged, /\[세션 1 \| [^\]]+\]\n\[00:05\] 안녕하세요\n\[01:12\] /);
+  assert.match(merged, /\[세션 2 \| [^\]]+\]\n구간 없는 원문$/);
+
+  assert.match(buildDocumentPrompt(merged, '회의록', { timed: true }), /\(mm:ss\) 형식으로 함께 표기/);
+  assert.doesNotMatch(buildDocumentPrompt(merged, '회의록'), /mm:ss/);
+});
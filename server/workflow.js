@@ -0,0 +1,352 @@
+// javascript
+/**
+ * Document review workflow and audit trail
+ * - Documents move draft → in_review → approved → sent. Authors submit a draft for review or withdraw it; approvers
+ *   approve it or send it back with requested changes. Nobody approves a document they submitted themselves, except
+ *   the admin token and unauthenticated local development (see requestActor in ./auth.js).
+ * - Only approved (or already sent) documents can be sent through /api/messages or a scheduled job, and only with the
+ *   approved text: the document content itself or the parts splitMessage makes of it. A short version, translation or
+ *   link message is a message variant with its own submit/approve cycle. Saving different content into a document that
+ *   is past the draft stage puts it (and its variants) back to draft, so every version that goes out was approved.
+ * - Every transition, comment, send and deletion is appended to documentEvents; the trail outlives the document.
+ */
+import { documents, documentEvents, messageVariants } from './db.js';
+import { splitMessage } from '../shared/messageLength.js';
+
+export const DOCUMENT_STATUSES = ['draft', 'in_review', 'approved', 'sent'];
+
+export const STATUS_LABELS = { draft: '초안', in_review: '검토 중', approved: '승인됨', sent: '전송됨' };
+
+/** 상태 전환: 요청 action → { from: 가능한 상태, to, role: 필요한 역할, event: 감사 기록 이름, label } */
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'in_review', role: 'author', event: 'submitted', label: '검토 요청' },
+  withdraw: { from: ['in_review'], to: 'draft', role: 'author', event: 'withdrawn', label: '검토 요청 취소' },
+  approve: { from: ['in_review'], to: 'approved', role: 'approver', event: 'approved', label: '승인' },
+  request_changes: { from: ['in_review'], to: 'draft', role: 'approver', event: 'changes_requested', label: '수정 요청' },
+};
+
+export const TRANSITION_ACTIONS = Object.keys(TRANSITIONS);
+
+/** 문자 문안 종류: 요약본, 번역본(language 필수), 게시 페이지 링크 문자 */
+export const VARIANT_KINDS = ['short', 'translation', 'link'];
+
+export const VARIANT_LABELS = { short: '요약본', translation: '번역본', link: '링크 문자' };
+
+/** 문자 문안 상태 전환: 문안은 검토 요청(제출)으로 만들어지므로 승인·수정 요청만 */
+const VARIANT_TRANSITIONS = {
+  approve: { to: 'approved', event: 'variant_approved', label: '승인' },
+  request_changes: { to: 'draft', event: 'variant_changes_requested', label: '수정 요청' },
+};
+
+export const VARIANT_ACTIONS = Object.keys(VARIANT_TRANSITIONS);
+
+/** 문자 문안 최대 길이 (LMS 한 건보다 넉넉하게, 나누어 보내는 번역본 포함) */
+const MAX_VARIANT_LENGTH = 20000;
+
+/** 혼자 쓰는 환경(관리자 토큰, 인증 끔)은 스스로 승인할 수 있음 */
+const SOLO_ACTORS = ['admin', 'local'];
+
+const MAX_COMMENT_LENGTH = 1000;
+
+const fail = (status, message) => Object.assign(new Error(message), { status });
+
+/**
+ * 문서의 검토 상태 (기능 도입 전 문서는 초안)
+ * @param {object} document
+ * @returns {'draft' | 'in_review' | 'approved' | 'sent'}
+ */
+export const documentStatus = (document) => document.status || 'draft';
+
+/**
+ * 밖으로 내보낼 수 있는 (승인됐거나 이미 보낸) 문서인지
+ * @param {object} document
+ * @returns {boolean}
+ */
+export const isApproved = (document) => ['approved', 'sent'].includes(documentStatus(document));
+
+/** 승인자는 작성자 일도 할 수 있음 */
+const hasRole = (actor, role) => role === 'author' || actor.role === 'approver';
+
+/**
+ * 감사 기록을 남깁니다.
+ * @param {object} document
+ * @param {string} action - 'created' | 'submitted' | 'withdrawn' | 'approved' | 'changes_requested' | 'reopened'
+ *   | 'commented' | 'sent' | 'deleted' | 'variant_submitted' | 'variant_approved' | 'variant_changes_requested'
+ * @param {{ id: string, name: string, role: string }} actor
+ * @param {{ from?: string | null, to?: string | null, comment?: string, detail?: object | null }} [options]
+ * @returns {object}
+ */
+function recordEvent(document, action, actor, { from = documentStatus(document), to = from, comment = '', detail = null } = {}) {
+  return documentEvents.insert({ documentId: document.id, sessionId: document.sessionId, action, from, to, actor, comment, detail });
+}
+
+/**
+ * 문서의 감사 기록 (오래된 순)
+ * @param {string} documentId
+ * @returns {object[]}
+ */
+export const listDocumentEvents = (documentId) =>
+  documentEvents.list((e) => e.documentId === documentId).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * 검토 의견을 검증합니다.
+ * @param {unknown} comment
+ * @param {{ required?: boolean }} [options]
+ * @returns {{ value?: string, error?: string }}
+ */
+export function validateComment(comment, { required = false } = {}) {
+  if (comment === undefined || comment === null || comment === '') {
+    return required ? { error: 'comment(의견)를 입력해주세요.' } : { value: '' };
+  }
+  if (typeof comment !== 'string' || !comment.trim()) return { error: 'comment는 비어 있지 않은 문자열이어야 합니다.' };
+  if (comment.length > MAX_COMMENT_LENGTH) return { error: `comment는 ${MAX_COMMENT_LENGTH}자 이하여야 합니다.` };
+  return { value: comment.trim() };
+}
+
+/**
+ * 새 문서를 초안으로 기록합니다. (문서 저장 직후 호출)
+ * @param {object} document
+ * @param {object} actor
+ */
+export const recordDocumentCreated = (document, actor) => recordEvent(document, 'created', actor, { from: null, to: 'draft' });
+
+/**
+ * 검토를 요청한 사람이 스스로 승인하지 못하게 합니다. (혼자 쓰는 환경은 예외)
+ * @param {{ id: string } | undefined} submitter
+ * @param {{ id: string }} actor
+ * @throws {Error} status=403 오류
+ */
+function assertNotSelfApproval(submitter, actor) {
+  if (SOLO_ACTORS.includes(actor.id) || submitter?.id !== actor.id) return;
+  throw fail(403, '검토를 요청한 사람은 직접 승인할 수 없습니다. 다른 승인자에게 맡겨주세요.');
+}
+
+/**
+ * 문서 상태를 바꿉니다.
+ * @param {object} document
+ * @param {string} action - TRANSITION_ACTIONS 중 하나
+ * @param {{ id: string, name: string, role: string }} actor
+ * @param {unknown} [comment] - 수정 요청에는 필수
+ * @returns {{ document: object, event: object }}
+ * @throws {Error} status=400/403/409 오류
+ */
+export function transitionDocument(document, action, actor, comment) {
+  const transition = TRANSITIONS[action];
+  if (!transition) throw fail(400, `action은 ${TRANSITION_ACTIONS.join(' | ')} 중 하나여야 합니다.`);
+  const note = validateComment(comment, { required: action === 'request_changes' });
+  if (note.error) throw fail(400, note.error);
+  if (!hasRole(actor, transition.role)) throw fail(403, `${transition.label}은 승인자만 할 수 있습니다.`);
+
+  const from = documentStatus(document);
+  if (!transition.from.includes(from)) {
+    throw fail(409, `${STATUS_LABELS[from]} 상태의 문서는 ${transition.label}할 수 없습니다.`);
+  }
+  if (action === 'submit' && !document.editedContent?.trim()) throw fail(400, '내용이 없는 문서는 검토를 요청할 수 없습니다.');
+  if (action === 'approve') {
+    const submitted = listDocumentEvents(document.id).filter((e) => e.action === 'submitted').at(-1);
+    assertNotSelfApproval(submitted?.actor, actor);
+  }
+
+  const approval =
+    action === 'approve' ? { approvedBy: actor, approvedAt: new Date().toISOString() } : { approvedBy: null, approvedAt: null };
+  const updated = documents.update(document.id, { status: transition.to, ...approval });
+  const event = recordEvent(updated, transition.event, actor, { from, to: transition.to, comment: note.value });
+  return { document: updated, event };
+}
+
+/**
+ * 상태를 바꾸지 않고 검토 의견을 남깁니다.
+ * @param {object} document
+ * @param {object} actor
+ * @param {unknown} comment
+ * @returns {object} 기록된 의견
+ * @throws {Error} status=400 오류
+ */
+export function addReviewComment(document, actor, comment) {
+  const note = validateComment(comment, { required: true });
+  if (note.error) throw fail(400, note.error);
+  return recordEvent(document, 'commented', actor, { comment: note.value });
+}
+
+/**
+ * 초안이 아닌 문서의 내용이 바뀌었으면 초안으로 되돌립니다. (승인은 특정 내용에 대한 것)
+ * @param {object} before - 수정 전 문서
+ * @param {object} after - 수정된 문서
+ * @param {object} actor
+ * @returns {object} 최종 문서
+ */
+export function reopenIfChanged(before, after, actor) {
+  const from = documentStatus(after);
+  const changed =
+    after.editedContent !== before.editedContent ||
+    JSON.stringify(after.structured ?? null) !== JSON.stringify(before.structured ?? null);
+  if (!changed) return after;
+  // 문안은 이전 내용으로 만든 것이므로 다시 검토 (초안 문서의 문안도 마찬가지)
+  for (const variant of listMessageVariants(after.id).filter((v) => v.status !== 'draft')) {
+    messageVariants.update(variant.id, { status: 'draft', approvedBy: null, approvedAt: null });
+  }
+  if (from === 'draft') return after;
+  const updated = documents.update(after.id, { status: 'draft', approvedBy: null, approvedAt: null });
+  recordEvent(updated, 'reopened', actor, { from, to: 'draft', comment: '내용이 바뀌어 다시 검토가 필요합니다.' });
+  return updated;
+}
+
+/**
+ * 문서의 문자 문안 (만든 순)
+ * @param {string} documentId
+ * @returns {object[]}
+ */
+export const listMessageVariants = (documentId) =>
+  messageVariants.list((v) => v.documentId === documentId).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+/**
+ * 문자 문안 입력을 검증합니다.
+ * @param {object} body - { kind, language?, content }
+ * @returns {{ value?: { kind: string, language: string | null, content: string }, error?: string }}
+ */
+export function validateVariant(body) {
+  const { kind, language, content } = body || {};
+  if (!VARIANT_KINDS.includes(kind)) return { error: `kind는 ${VARIANT_KINDS.join(' | ')} 중 하나여야 합니다.` };
+  if (kind === 'translation' && (typeof language !== 'string' || !language.trim())) {
+    return { error: '번역본은 language(언어 코드)가 필요합니다.' };
+  }
+  if (typeof content !== 'string' || !content.trim()) return { error: 'content(보낼 문구)가 필요합니다.' };
+  if (content.length > MAX_VARIANT_LENGTH) return { error: `content는 ${MAX_VARIANT_LENGTH}자 이하여야 합니다.` };
+  return { value: { kind, language: kind === 'translation' ? language.trim() : null, content } };
+}
+
+/**
+ * 문자 문안의 검토를 요청합니다. 종류(번역본은 언어)마다 문안은 하나이며, 내용이 바뀌면 새로 검토합니다.
+ * 같은 내용이 이미 검토 중이거나 승인됐으면 그대로 둡니다.
+ * @param {object} document
+ * @param {object} body - { kind, language?, content }
+ * @param {object} actor
+ * @returns {{ variant: object, event: object | null }}
+ * @throws {Error} status=400 오류
+ */
+export function submitMessageVariant(document, body, actor) {
+  const { value, error } = validateVariant(body);
+  if (error) throw fail(400, error);
+  const existing = listMessageVariants(document.id).find((v) => v.kind === value.kind && v.language === value.language);
+  if (existing && existing.content === value.content && existing.status !== 'draft') return { variant: existing, event: null };
+
+  const patch = { ...value, status: 'in_review', submittedBy: actor, approvedBy: null, approvedAt: null };
+  const variant = existing
+    ? messageVariants.update(existing.id, patch)
+    : messageVariants.insert({ documentId: document.id, sessionId: document.sessionId, ...patch });
+  const event = recordEvent(document, 'variant_submitted', actor, { detail: variantDetail(variant) });
+  return { variant, event };
+}
+
+/**
+ * 검토 중인 문자 문안을 승인하거나 수정을 요청합니다. (승인자만, 요청한 사람은 직접 승인 불가)
+ * @param {object} document
+ * @param {object} variant
+ * @param {string} action - VARIANT_ACTIONS 중 하나
+ * @param {object} actor
+ * @param {unknown} [comment] - 수정 요청에는 필수
+ * @returns {{ variant: object, event: object }}
+ * @throws {Error} status=400/403/409 오류
+ */
+export function transitionMessageVariant(document, variant, action, actor, comment) {
+  const transition = VARIANT_TRANSITIONS[action];
+  if (!transition) throw fail(400, `action은 ${VARIANT_ACTIONS.join(' | ')} 중 하나여야 합니다.`);
+  const note = validateComment(comment, { required: action === 'request_changes' });
+  if (note.error) throw fail(400, note.error);
+  if (!hasRole(actor, 'approver')) throw fail(403, `${VARIANT_LABELS[variant.kind]} ${transition.label}은 승인자만 할 수 있습니다.`);
+  if (variant.status !== 'in_review') {
+    throw fail(409, `검토 중인 ${VARIANT_LABELS[variant.kind]}만 ${transition.label}할 수 있습니다.`);
+  }
+  if (action === 'approve') assertNotSelfApproval(variant.submittedBy, actor);
+
+  const approval =
+    action === 'approve' ? { approvedBy: actor, approvedAt: new Date().toISOString() } : { approvedBy: null, approvedAt: null };
+  const updated = messageVariants.update(variant.id, { status: transition.to, ...approval });
+  const event = recordEvent(document, transition.event, actor, { comment: note.value, detail: variantDetail(updated) });
+  return { variant: updated, event };
+}
+
+/** 감사 기록에 남길 문안 정보 */
+const variantDetail = (variant) => ({ variantId: variant.id, kind: variant.kind, language: variant.language });
+
+/**
+ * 문서로 보낼 수 있는 문구: 승인된 문서 내용과 그 나눈 조각, 승인된 문안과 그 나눈 조각
+ * @param {object} document
+ * @returns {Set<string>}
+ */
+function approvedTexts(document) {
+  const texts = new Set();
+  const add = (content) => {
+    if (!content?.trim()) return;
+    texts.add(content);
+    texts.add(content.trim());
+    splitMessage(content).forEach((part) => texts.add(part));
+    // 번역본은 유니코드 LMS 단위로 나누어 보냄
+    splitMessage(content, { encoding: 'UCS-2' }).forEach((part) => texts.add(part));
+  };
+  add(document.editedContent);
+  listMessageVariants(document.id)
+    .filter((v) => v.status === 'approved')
+    .forEach((v) => add(v.content));
+  return texts;
+}
+
+/**
+ * 보낼 수 있는 (승인됐거나 이미 보낸) 문서인지, 보낼 메시지가 승인된 문구인지 확인합니다.
+ * @param {unknown} documentId
+ * @param {string[]} [texts] - 보낼 메시지 (생략하면 문서 상태만 확인, 예: 게시)
+ * @returns {object} 문서
+ * @throws {Error} 문서가 없으면 status=400/404, 승인 전이거나 승인되지 않은 문구면 409 오류
+ */
+export function assertSendable(documentId, texts) {
+  if (!documentId) throw fail(400, '승인된 문서만 보낼 수 있습니다. documentId(보낼 문서)가 필요합니다.');
+  const document = typeof documentId === 'string' ? documents.get(documentId) : null;
+  if (!document) throw fail(404, '문서를 찾을 수 없습니다.');
+  if (!isApproved(document)) {
+    throw fail(409, `승인된 문서만 보낼 수 있습니다. (현재 상태: ${STATUS_LABELS[documentStatus(document)]})`);
+  }
+  if (texts) {
+    const approved = approvedTexts(document);
+    if (texts.some((text) => !approved.has(text))) {
+      throw fail(409, '승인된 내용과 다른 메시지는 보낼 수 없습니다. 요약본·번역본·링크 문자는 따로 승인을 받아야 합니다.');
+    }
+  }
+  return document;
+}
+
+/**
+ * 문서를 보냈다고 기록합니다. 승인 정보는 그대로 두어 같은 문서를 다시 보낼 수 있습니다.
+ * @param {string} documentId
+ * @param {object} actor
+ * @param {object} detail - 예: { via: 'server', batchId, sent: 3 }
+ * @returns {object | null} 문서 (지워졌으면 null)
+ */
+export function markDocumentSent(documentId, actor, detail) {
+  const document = documents.get(documentId);
+  if (!document) return null;
+  const from = documentStatus(document);
+  const updated = from === 'sent' ? document : documents.update(document.id, { status: 'sent' });
+  recordEvent(updated, 'sent', actor, { from, to: 'sent', detail });
+  return updated;
+}
+
+/**
+ * 문서 삭제를 기록합니다. (기록은 문서를 지운 뒤에도 남음)
+ * @param {object} document
+ * @param {object} actor
+ */
+export const recordDocumentDeleted = (document, actor) => recordEvent(document, 'deleted', actor, { to: null });
+
+/**
+ * 검토 목록: 상태별 문서와 감사 기록, 문자 문안 (오래 기다린 순). 'in_review'는 문안만 검토 중인 문서도 포함
+ * @param {string} [status='in_review']
+ * @returns {object[]} { ...document, status, events, variants }
+ */
+export function listReviewQueue(status = 'in_review') {
+  // 검토 중인 문안이 있는 문서도 검토 목록에 올림
+  const waiting = new Set(messageVariants.list((v) => v.status === 'in_review').map((v) => v.documentId));
+  return documents
+    .list((d) => documentStatus(d) === status || (status === 'in_review' && waiting.has(d.id)))
+    .sort((a, b) => a.updatedAt.localeCompare(b.updatedAt))
+    .map((d) => ({ ...d, status: documentStatus(d), events: listDocumentEvents(d.id), variants: listMessageVariants(d.id) }));
+}
@@ -0,0 +1,208 @@
+// javascript
+/**
+ * Review workflow: transitions and roles, self-approval, reopening on edits, message variants and what may be
+ * sent (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { withTempDataDir } from './testUtils.js';
+
+withTempDataDir('workflow');
+const { documents } = await import('./db.js');
+const {
+  transitionDocument,
+  addReviewComment,
+  reopenIfChanged,
+  submitMessageVariant,
+  transitionMessageVariant,
+  listMessageVariants,
+  listDocumentEvents,
+  assertSendable,
+  markDocumentSent,
+  recordDocumentCreated,
+  recordDocumentDeleted,
+  listReviewQueue,
+} = await import('./workflow.js');
+const { splitMessage } = await import('../shared/messageLength.js');
+
+const author = { id: 'key-author', name: '담임', role: 'author' };
+const approver = { id: 'key-approver', name: '교감', role: 'approver' };
+const otherApprover = { id: 'key-approver-2', name: '교장', role: 'approver' };
+const admin = { id: 'admin', name: '관리자', role: 'approver' };
+
+const CONTENT = '내일 현장 체험학습이 있습니다. 도시락을 준비해 주세요.';
+
+const createDocument = (content = CONTENT) => {
+  const document = documents.insert({ sessionId: 'session-1', editedContent: content, generatedContent: content, structured: null });
+  recordDocumentCreated(document, author);
+  return document;
+};
+
+/** 상태 오류 코드 확인 */
+const rejects = (fn, status, pattern) =>
+  assert.throws(fn, (error) => error.status === status && (!pattern || pattern.test(error.message)));
+
+const approved = (document = createDocument()) => {
+  const submitted = transitionDocument(document, 'submit', author).document;
+  return transitionDocument(submitted, 'approve', approver).document;
+};
+
+test('a document goes from draft through review to approved, with an audit trail', () => {
+  const document = createDocument();
+  const { document: inReview, event } = transitionDocument(document, 'submit', author, '확인 부탁드립니다.');
+  assert.equal(inReview.status, 'in_review');
+  assert.equal(event.from, 'draft');
+  assert.equal(event.to, 'in_review');
+  assert.equal(event.comment, '확인 부탁드립니다.');
+
+  const { document: done } = transitionDocument(inReview, 'approve', approver);
+  assert.equal(done.status, 'approved');
+  assert.deepEqual(done.approvedBy, approver);
+  assert.ok(done.approvedAt);
+  assert.deepEqual(
+    listDocumentEvents(document.id).map((e) => e.action),
+    ['created', 'submitted', 'approved']
+  );
+});
+
+test('transitions check the action, role, state and comment', () => {
+  const document = createDocument();
+  rejects(() => transitionDocument(document, 'publish', author), 400, /action/);
+  rejects(() => transitionDocument(document, 'approve', approver), 409, /초안 상태의 문서는 승인할 수 없습니다/);
+
+  const inReview = transitionDocument(document, 'submit', author).document;
+  rejects(() => transitionDocument(inReview, 'approve', author), 403, /승인자만/);
+  rejects(() => transitionDocument(inReview, 'request_changes', approver), 400, /comment/);
+
+  const { document: back, event } = transitionDocument(inReview, 'request_changes', approver, '날짜를 확인해주세요.');
+  assert.equal(back.status, 'draft');
+  assert.equal(event.action, 'changes_requested');
+
+  rejects(() => transitionDocument(createDocument('  '), 'submit', author), 400, /내용이 없는 문서/);
+});
+
+test('whoever submitted a document cannot approve it, except the admin token', () => {
+  const mine = transitionDocument(createDocument(), 'submit', approver).document;
+  rejects(() => transitionDocument(mine, 'approve', approver), 403, /직접 승인할 수 없습니다/);
+  assert.equal(transitionDocument(mine, 'approve', otherApprover).document.status, 'approved');
+
+  const solo = transitionDocument(createDocument(), 'submit', admin).document;
+  assert.equal(transitionDocument(solo, 'approve', admin).document.status, 'approved');
+});
+
+test('comments need text and do not change the state', () => {
+  const document = createDocument();
+  rejects(() => addReviewComment(document, approver, ' '), 400);
+  const event = addReviewComment(document, approver, ' 좋습니다 ');
+  assert.equal(event.action, 'commented');
+  assert.equal(event.comment, '좋습니다');
+  assert.equal(event.from, 'draft');
+  assert.equal(event.to, 'draft');
+});
+
+test('changing an approved document sends it and its variants back to draft', () => {
+  const document = approved();
+  const { variant } = submitMessageVariant(document, { kind: 'short', content: '내일 체험학습, 도시락 준비' }, author);
+  transitionMessageVariant(document, variant, 'approve', approver);
+
+  // 내용이 그대로면 상태 유지
+  assert.equal(reopenIfChanged(document, documents.update(document.id, { title: '안내' }), author).status, 'approved');
+
+  const edited = documents.update(document.id, { editedContent: `${CONTENT} 우천 시 취소됩니다.` });
+  const reopened = reopenIfChanged(document, edited, author);
+  assert.equal(reopened.status, 'draft');
+  assert.equal(reopened.approvedBy, null);
+  assert.equal(listMessageVariants(document.id)[0].status, 'draft');
+  assert.equal(listDocumentEvents(document.id).at(-1).action, 'reopened');
+});
+
+test('message variants are reviewed separately, one per kind and language', () => {
+  const document = approved();
+  assert.throws(() => submitMessageVariant(document, { kind: 'translation', content: 'Hello' }, author), /language/);
+  assert.throws(() => submitMessageVariant(document, { kind: 'poster', content: 'x' }, author), /kind/);
+
+  const { variant, event } = submitMessageVariant(document, { kind: 'translation', language: 'en', content: 'Field trip tomorrow.' }, author);
+  assert.equal(variant.status, 'in_review');
+  assert.equal(event.action, 'variant_submitted');
+  // 같은 내용을 다시 요청하면 그대로
+  assert.deepEqual(submitMessageVariant(document, { kind: 'translation', language: 'en', content: 'Field trip tomorrow.' }, author), {
+    variant,
+    event: null,
+  });
+
+  rejects(() => transitionMessageVariant(document, variant, 'approve', author), 403);
+  const { variant: sentBack } = transitionMessageVariant(document, variant, 'request_changes', approver, '문장을 다듬어 주세요.');
+  assert.equal(sentBack.status, 'draft');
+  rejects(() => transitionMessageVariant(document, sentBack, 'approve', approver), 409, /검토 중인 번역본만/);
+
+  const resubmitted = submitMessageVariant(document, { kind: 'translation', language: 'en', content: 'There is a field trip tomorrow.' }, author);
+  assert.equal(resubmitted.variant.id, variant.id);
+  assert.equal(transitionMessageVariant(document, resubmitted.variant, 'approve', approver).variant.status, 'approved');
+  submitMessageVariant(document, { kind: 'translation', language: 'vi', content: 'Ngày mai có dã ngoại.' }, author);
+  assert.equal(listMessageVariants(document.id).length, 2);
+});
+
+test('only approved documents and approved texts can be sent', () => {
+  const draft = createDocument();
+  rejects(() => assertSendable(undefined), 400, /documentId/);
+  rejects(() => assertSendable('missing'), 404);
+  rejects(() => assertSendable(draft.id), 409, /현재 상태: 초안/);
+
+  const long = '가'.repeat(3000);
+  const document = approved(createDocument(long));
+  assert.equal(assertSendable(document.id).id, document.id);
+  assert.ok(assertSendable(document.id, [long]));
+  assert.ok(assertSendable(document.id, splitMessage(long)));
+  rejects(() => assertSendable(document.id, ['승인받지 않은 요약']), 409, /따로 승인/);
+
+  const { variant } = submitMessageVariant(document, { kind: 'short', content: '승인받을 요약' }, author);
+  rejects(() => assertSendable(document.id, ['승인받을 요약']), 409);
+  transitionMessageVariant(document, variant, 'approve', approver);
+  assert.ok(assertSendable(document.id, ['승인받을 요약']));
+});
+
+test('sending marks the document sent and keeps it sendable', () => {
+  const document = approved();
+  const sent = markDocumentSent(document.id, author, { via: 'server', sent: 3 });
+  assert.equal(sent.status, 'sent');
+  assert.deepEqual(sent.approvedBy, approver);
+  assert.ok(assertSendable(document.id, [CONTENT]));
+  markDocumentSent(document.id, author, { via: 'server', sent: 1 });
+  const sends = listDocumentEvents(document.id).filter((e) => e.action === 'sent');
+  assert.deepEqual(
+    sends.map((e) => [e.from, e.to]),
+    [
+      ['approved', 'sent'],
+      ['sent', 'sent'],
+    ]
+  );
+  assert.equal(markDocumentSent('missing', author, {}), null);
+});
+
+test('the review queue lists documents waiting on the document or on a variant', () => {
+  const waiting = transitionDocument(createDocument(), 'submit', author).document;
+  const variantOnly = approved();
+  submitMessageVariant(variantOnly, { kind: 'link', content: '안내 페이지: https://example.com/p/1' }, author);
+
+  const queue = listReviewQueue();
+  const ids = queue.map((d) => d.id);
+  assert.ok(ids.includes(waiting.id));
+  assert.ok(ids.includes(variantOnly.id));
+  const entry = queue.find((d) => d.id === variantOnly.id);
+  assert.equal(entry.status, 'approved');
+  assert.equal(entry.variants[0].status, 'in_review');
+  assert.ok(entry.events.length > 0);
+  assert.ok(listReviewQueue('approved').some((d) => d.id === variantOnly.id));
+});
+
+test('the audit trail outlives a deleted document', () => {
+  const document = createDocument();
+  recordDocumentDeleted(document, author);
+  documents.remove(document.id);
+  const events = listDocumentEvents(document.id);
+  assert.deepEqual(
+    events.map((e) => e.action),
+    ['created', 'deleted']
+  );
+  assert.equal(events[1].to, null);
+});
@@ -0,0 +1,26 @@
+/**
+ * API 서버 주소 결정 (앱 설정에서 씀, see ../src/services/config.js)
+ * 다음 순서로 정합니다.
+ * 1. 환경 변수 EXPO_PUBLIC_API_BASE_URL (빌드 시 주입)
+ * 2. app.json의 expo.extra.apiBaseUrl
+ * 3. 웹: 같은 출처 (서버가 웹 빌드를 함께 서빙하는 배포). 개발 서버(expo start --web)에서는 같은 호스트의 8000 포트
+ * 4. 그 외: http://localhost:8000 (에뮬레이터·실기기에서는 1이나 2로 PC의 주소를 지정해야 함)
+ */
+
+export const DEV_SERVER_PORT = 8000;
+
+/**
+ * API 서버 주소를 정합니다.
+ * @param {{ envUrl?: string, extraUrl?: string, platform: string, location?: { origin: string, protocol: string, hostname: string }, dev: boolean }} input
+ * @returns {string} 끝의 '/'를 뺀 주소 (같은 출처면 빈 문자열 → 상대 경로로 요청)
+ * @example
+ * resolveApiBaseUrl({ platform: 'web', location: window.location, dev: false }); // => ''
+ */
+export function resolveApiBaseUrl({ envUrl, extraUrl, platform, location, dev }) {
+  const configured = [envUrl, extraUrl].find((url) => typeof url === 'string' && url.trim());
+  if (configured) return configured.trim().replace(/\/+$/, '');
+  if (platform === 'web' && location) {
+    return dev ? `${location.protocol}//${location.hostname}:${DEV_SERVER_PORT}` : '';
+  }
+  return `http://localhost:${DEV_SERVER_PORT}`;
+}
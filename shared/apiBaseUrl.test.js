@@ -0,0 +1,26 @@
+// javascript
+/**
+ * API server address precedence (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveApiBaseUrl } from './apiBaseUrl.js';
+
+const location = { origin: 'https://notice.example.com', protocol: 'https:', hostname: 'notice.example.com' };
+
+test('the build-time variable wins over app.json, and trailing slashes are dropped', () => {
+  const input = { platform: 'web', location, dev: false };
+  const extraUrl = ' https://extra.example.com// ';
+  assert.equal(resolveApiBaseUrl({ ...input, envUrl: 'https://api.example.com/', extraUrl }), 'https://api.example.com');
+  assert.equal(resolveApiBaseUrl({ ...input, envUrl: '  ', extraUrl }), 'https://extra.example.com');
+});
+
+test('on the web the page origin is used, or port 8000 of the same host on the dev server', () => {
+  assert.equal(resolveApiBaseUrl({ platform: 'web', location, dev: false }), '');
+  assert.equal(resolveApiBaseUrl({ platform: 'web', location, dev: true }), 'https://notice.example.com:8000');
+});
+
+test('native apps without configuration fall back to localhost:8000', () => {
+  assert.equal(resolveApiBaseUrl({ platform: 'android', dev: true }), 'http://localhost:8000');
+  assert.equal(resolveApiBaseUrl({ platform: 'web', dev: false }), 'http://localhost:8000');
+});
@@ -0,0 +1,124 @@
+/**
+ * EUC-KR(KS X 1001)/CP949로 보낼 수 있는 문자 목록 (앱과 서버가 함께 씀, see ./messageLength.js)
+ * - ASCII, 한글 음절 11,172자(CP949 확장 포함), KS X 1001의 기호·한글 자모·가나·그리스/키릴 문자·전각 문자, 한자 4,888자
+ * - 표는 WHATWG euc-kr 디코더(TextDecoder('euc-kr'))로 0xA1A1~0xFEFE를 풀어 만들었습니다. (사용자 정의 영역 제외)
+ */
+
+/** 한자를 뺀 문자 범위 (16진수 코드 포인트, "시작-끝" 또는 한 글자) */
+const RANGES =
+  '0-7f a1 a4 a7-a8 aa ad b0-b4 b6-ba bc-bf c6 d0 d7-d8 de-df e6 f0 f7-f8 fe 111 126-127 131-133 138 ' +
+  '13f-142 149-14b 152-153 166-167 2c7 2d0 2d8-2db 2dd 391-3a1 3a3-3a9 3b1-3c1 3c3-3c9 401 410-44f 451 ' +
+  '2015 2018-2019 201c-201d 2020-2021 2025-2026 2030 2032-2033 203b 2074 207f 2081-2084 2103 2109 2113 ' +
+  '2116 2121-2122 2126 212b 2153-2154 215b-215e 2160-2169 2170-2179 2190-2199 21d2 21d4 2200 2202-2203 ' +
+  '2207-2208 220b 220f 2211 221a 221d-221e 2220 2225 2227-222c 222e 2234-2235 223c-223d 2252 2260-2261 ' +
+  '2264-2265 226a-226b 2282-2283 2286-2287 2299 22a5 2312 2460-246e 2474-2482 249c-24b5 24d0-24e9 ' +
+  '2500-2503 250c-254b 2592 25a0-25a1 25a3-25a9 25b2-25b3 25b6-25b7 25bc-25bd 25c0-25c1 25c6-25c8 25cb ' +
+  '25ce-25d1 2605-2606 260e-260f 261c 261e 2640 2642 2660-2661 2663-2665 2667-266a 266c-266d 3000-3003 ' +
+  '3008-3011 3013-3015 3041-3093 30a1-30f6 3131-318e 3200-321c 3260-327b 327f 3380-3384 3388-33ca ' +
+  '33cf-33d0 33d3 33d6 33d8 33db-33dd ac00-d7a3 f900-fa0b ff01-ff5e ffe0-ffe3 ffe5-ffe6';
+
+/**
+ * KS X 1001 한자 중 CJK 통합 한자(U+4E00~U+9FFF) 4,620자. 호환 한자(U+F900~U+FA0B)는 RANGES에 있습니다.
+ * 앞 글자와의 코드 포인트 차이를 32진수로 적었습니다: 'A'~'f'는 마지막 자리(0~31), 'g'~'/'는 그 앞 자리(0~31).
+ */
+const HANJA =
+  'BBCEBBBBCEDBBCBFPFGBCHBCGCBBHCBEBBMCGDBHEECDBCCBBCBDDDDBCBBCDBBBIEGBDDDBCHBBBBBECEBBLCEBEGIBBCBBBBeF' +
+  'CCCCBGDBBFBBBBEEBBBNGBDDEEBCCBCCCBCCCFCDCRBGBJDBBFBEDCBDDDCBBNBCCCDCIEDCCEBEDBCCBCCBCBBCBBBOIEBBGGFC' +
+  'JPBBCIFIEHBTBFBCCHHEBFCEBEEHCGMCEBBDCDJNCJIFDCEBCBBBBBBCBBBEKGDCBBBBBBBDEBBBEEGEDFDCJFFCKBGHCDCBBPBB' +
+  'DPBFCBBDDDDBBCEDGGHBEBECGBBBBBIEDBBBHCFCEIBFDDICEEBBEEBJEBDBFBBTDCCCCEFDBCBCCBBDBBPCDCBDBGDFCBFBBCHB' +
+  'CHFKGBBCBDBBBDEBBBDDCCCGCHBBDBCGCFPFCFBFBHOIFBBBCHCBEGBBBBEBBBBCBBBBFLBEBBCBBBBBKCCBGDCIFBCBCEGCHXCH' +
+  'CCGBBDGGCCUEDBHFFDBDEBYEDFBEIKCBHCMTCEJGCJEDIFZEECBCBOBBCBKCBBBCXCNGCDEBZBIDLDYDCCdVDJSfHCGIODEJBDCQ' +
+  'JBJBEDCFBDCHJFDLFCFDDBCBQDCEECFHGGDINCBhAEBDDRBQEDCBCECDBCBBUDDDDFBBDBFQBECDDBCEDBCREDCFCEKJCBJBFFHB' +
+  'DDECHDCCDBFBFHBDKBBCSFBBDBCGFCBBCBDGHGDBBFBBBDBCDGCFDBBBBFBEFFBBGJDBCMDENCDFDDCFBCBFBCBJCCCCKDECCOHD' +
+  'BDBFENGFFDRIEhMIBJdBCFDVFDcECBKUWDNBDBCBCCBCEBFCFBEDCCJCBBCBDECBBBBBBBGBBBBGCCDBBBCBGBCBBBBBFECBBDHB' +
+  'CBCBBBBBCBCBGBCCHDDBBBBCBBCFDLEJHBBBBCBBFBCDCBDEGFCCBHDCIXBQICBFCCCBCECZHIHBECFCKGBDDCBCOChCBEZDDYES' +
+  'DCIOCCBQFEHBDBDBBBDDDBBBDGBEBDGFFDCCIGCGDCFCBEBCFJKCBBPBBDBBCBBBGDDFGCDCEGBECIBBBGEGBBGDDEBEBCBJHDBD' +
+  'BGDGFCCBBCBDEHBCIEFCMCCCIBCCHEBCBBBBDBGCDDBBECDBBEBBFBBFCBHBBEHCCEGCHBJBBBHLKICQDEGBDBECBCFSBBKDCDEE' +
+  'FBBBDBBCBCBVEDBHCEBEBDBDJCBBCCEBICKJCDBBPBCDDBBGFCBEBBGFBEIJEDFCBDCDBCBBHCDBECDBBDBDDCGBGBDBIECBDEBB' +
+  'KDCCBCEEEEFEBBBBbMEBBCCDBHBCCBBCBBEEFCJECBDCIBBBGBBCCGFWDFDDDBEFBHBDCBDQGEEDBFFBBDBCBCBBCBBBCBQBBBCC' +
+  'EHBCGCIaELBCBLDDBFSBGEFDBEEFBDGECDFBBDCBBBWECJBGEBGMBGCBWCFCBFGKBNEaIJGJBBOJBBHEGBGCBCCJGDBCDDBECECH' +
+  'BDBBFGCGECEUFGHBBDHBBBCDBGDFBBCFBHEBDGBFCBCBGEBCCFEBGCCBDCDBCEBDBHCDBEEGBDDFJDCBCBDBEDGBBBCHBCBCCBBB' +
+  'CBBJBBFCBFCBBDCEBGBBBFCEKCCBBFBBBBBCDBEBCBBCKDBBFCBFBBFDCJDEBBFCDGCBCNDDBDGKCBBDBBBCCBBDFBCCHBCECBBH' +
+  'BBCBBBBDDCEDJDFBBBCDGCBOCBBCCCEDBICCEBDCCDCBSBDDBBGGLBBBBBGDMDDBBCBBBFDUBDBKBIFJBDBDBBBFGCBCBZJJCEKE' +
+  'BDGCCBFBFCBBCCBOBECCFDCBCFBHBGEHBGFIBEVJNCLJBBCCBECBBBFDCBBGCBBcGBJCHGHGCIBBDYCRCCDIHCECFBCCSDBBDHED' +
+  'HBFBGCKVEFEBJFGBQIHBQHBbFJGCGEKBCPIDBIBFCCPCBBBBBEIFBDEEBCDBMCGQBDDCDCDCEBFCCDBBCBBDQBcHCCQRDBGCBBMC' +
+  'FCDDBBBICDDCEEDBDBBCBBBEECBBBBDBBQDFFBCBBBBCBCFBCHCCEGBBCDDDBBDYBFGCCDHCCBIDBCBCCBDYBCHDDBCCGDBBGGCB' +
+  'BDBBDCCaDDLDBBBBEECHBBEDHCBDDCCCBBBBcCBBEBBCBBBFBBCDCCCCCBBFBGDJCDBCBIEDBDBHWGGBCDDFBECFEICBECBCDCBb' +
+  'FEGBCBEJCDBLCBIBFBGHCQDDBCBDBDCJBCKCBBDDEFBCEDMBDHBCCGFCBBBHLFFBBDFCBDCNDEBDCECEDCBBBBBEEBHIHOEBHFGI' +
+  'FIEBIFEEGBBHDHBBCEEBBPDEJBECSIEHFDNBEDFKGRCBCCCGDDCGBBBCDCPHFBFDCFGDKFIBEDCFBFCCCBKGBBGBNBCBBGKLPCBD' +
+  'CDBEBCBCGBBEGGBCCCCBFCJHEDBhBFFDRCCKCHCIIPBDBNMFBBIEBBLBHBFBLCFRCGCDDCBJCBCCDGCBBHICEFBGHCHBCBCHDEBC' +
+  'DBBBDBDKCEBDCCBBCKIFBBDBCCBBCBBDBBBCCFBBCBHKCCBBBCBBCCBDBBFPEBECCNECBCCCCBCGCDEECHEFFECCECBDIJKDNEDC' +
+  'BEECBCDBEBBBEBCNFDCCBFCBBFDBEFBFBCCFHBDBDBCMIGGBBCDBDBBEDCGFCBDBCHOCCGCENMGBBBCCVHKCEELDFDECGDBBBGCB' +
+  'HCDbMFDBDCCIEFBCBCCBDHECEECDDEBCTCJOBCCENOGCDFOFBMGNHHBDDIBDYEBGBCEEBBEPQTBBFGCRKOOBDNFGFBBDGMECRBBF' +
+  'EFBDCYEDGGGNIUBBOECBGBBHGBDBBBBCFDFNFCMBBCVBDEDCGEBBBBIBBGBDDHFCBCSFFDDCHDCBCDBODFBEBBCBGDEBJKBHCFEC' +
+  'DBDCCDEKBCDHKBEBLKBCDBMCECBDCFDCHDBFQCICDCGGBMNDCBBCBBBCCKMCHIKEEFBCDDEMEDEIBDCBCJOEFeLMDGDBSBBEJBTE' +
+  'IHQGJDCBHGCHDBBGFMMIBBHUDCCCBBBBCBCDEDBBBBFBBJBCBBDCEBIBBBBKODBECCEDBBDDGPBEJECKBEBCBDCBCBBIDBLCCDBC' +
+  'BCFBDDFHOBLGCBBCCIDBCGGBDCDBLCBJDIBBCDJDGKDEDCDBkaCCSEEBVBDCCDCCMDCCCGGEGEBJGBEEEFCCECBKBBICFJDEBCCB' +
+  'DDEFCBVGDHCEDEMCCERBCBEGBBFBBBCCBKFCEBDEBFCBCGJBICMBDDDBMDEFFDBBBCOCBIGCEKFNDCBDBQBFFBHBBFBICFLCBDDF' +
+  'LCFDBBBCEHLHECCBCDGBGBBCHCBCCBFJBCBCJBBJBBCHFCSLCIBCBECGNCBEHBDCGBDDBBBCCEBBCBBCSBCBCEDBCEBBKMBDBBBB' +
+  'EORDECDBBCBHHCBFCBhBEEOBEICGEHBBSEEEBCHDGNCEBBBCFEGBGCBBbDFHFMOEGCDFBDGFWEFDFRGDBDBCCCDCCEJSCGIVCBDB' +
+  'CEDCCHBCOCCCGFFGKFBBDXDICDHLCBBFBKHIEBBGHBHBEBNDBEDEBDMBDTSPCEBGBCBISRCHQBFeEJFCEFJRCCBFQCChSHCIHCMC' +
+  'CKLSDRHKcMDDHCDHaDBOFFFGGBFBECCCEBBFDFCFHBCBGDCFEBHNJNBNFBEDBCCHLBBDFKJCBFBMFMCDGDbFGINCCDBEEEDLIBII' +
+  'DDSRREICBFCCCFDBBDCCECFDEDCEBVEBGDCCBDDEBCBBBCEMCFBGCDGCBCBBBCCGCHDCBDCDECCDEFBFFBDBCBDFBBCECBBCKCEC' +
+  'BCBBCDIDBHGIIFBJCCKGDBEDGDKGCBDEkdICFCCCJFHJBOBIICRBCBBFBBBBBDBDBCBBDBBCBBBBBDBCHCHCCCCBBCEDHHBBHBCB' +
+  'CDGDiOCFFDBDOFPKFLHEIFBDMCECFHEXFBOMGFNCDBBBPGBUCLGDDdBBUKBBBFNMNDDFCEJBBBGBBBBHBCBFEFBCDBFBEEBPCDhZ' +
+  'BHDCFCBBBQDJDDSEBCDCFCEDBBBCBCDCCBBDBCCBDBBBBBBLDBDDECDBFDBCBCBCBBEDBBCBCGEBBDDCBCCBCBBBBBDBCFCEEJBD' +
+  'CCFBBEDJJUDHFIIFQDEOGFXBBBBBEQHBCJCBPCCCFKPBCBCDBLHCCBBBBBBGBEBGEDLYDBBFHWGFBFEOEDECBBaDCMCDCEXDBCTD' +
+  'DSGOEIMICEBBBBCCCDDBZCBCHHTHHCOICEJEFBDTONDDSOUNGKDMNBJhCCnYJDGCECBBBELBBDFEKBLDKBBGFBhaFJEEJEBCCHBB' +
+  'DLBBBBDBBGGDCBBBFIBEBCBGBDBCBHEBCHGEFBDBBBCCBBBHBDCBGBFBBFBCEBCCFGBKCDDDCJJCHEFCEJFGCDBHEHDDRCCRIDCZ' +
+  'FIJXDFEBBBBCBCCCEBBBEBVDIBCLGBBGECEHCEEhZHCTDUBDCBLBBFIBBFGBCEDFGCIdECBBEBCDhfDEIDEBBDCBFIPBBDEECOEO' +
+  'CHGBKSFGBJDCIICDBEDDEBheQbBENJhMNDHLFBBBBKFGVfDOMDbNOEhFDCDQNJMCOkOCCKBCTSLCTWMDBLGhXGFQTbGBBhAEiXEE' +
+  'CTBEGCGPBGDFKBDDEDBCKMTBGFNbPBDENCGDCLWDFH';
+
+const DIGITS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdef';
+const LEADING_DIGITS = 'ghijklmnopqrstuvwxyz0123456789+/';
+
+/** @type {[number, number][] | null} */
+let ranges = null;
+/** @type {Set<number> | null} */
+let hanja = null;
+
+// 처음 쓸 때 한 번만 풀어 둠
+function load() {
+  ranges = RANGES.split(' ').map((range) => {
+    const [start, end = start] = range.split('-').map((hex) => parseInt(hex, 16));
+    return [start, end];
+  });
+  hanja = new Set();
+  let codePoint = 0x4e00 - 1;
+  let delta = 0;
+  for (const char of HANJA) {
+    const leading = LEADING_DIGITS.indexOf(char);
+    if (leading !== -1) {
+      delta = delta * 32 + leading;
+      continue;
+    }
+    codePoint += delta * 32 + DIGITS.indexOf(char);
+    hanja.add(codePoint);
+    delta = 0;
+  }
+}
+
+/**
+ * 문자를 EUC-KR/CP949로 보낼 수 있는지 확인합니다.
+ * @param {string} char - 한 글자 (코드 포인트 단위)
+ * @returns {boolean}
+ * @example
+ * isEucKrChar('가'); // => true
+ * isEucKrChar('ệ'); // => false (베트남어 성조 표시)
+ */
+export function isEucKrChar(char) {
+  if (!ranges) load();
+  const codePoint = char.codePointAt(0);
+  if (hanja.has(codePoint)) return true;
+  // 범위는 정렬되어 있으므로 이진 탐색
+  let low = 0;
+  let high = ranges.length - 1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (codePoint < ranges[mid][0]) high = mid - 1;
+    else if (codePoint > ranges[mid][1]) low = mid + 1;
+    else return true;
+  }
+  return false;
+}
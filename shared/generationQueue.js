@@ -0,0 +1,175 @@
+/**
+ * 오프라인 문서 생성 대기열의 순서·재시도 규칙 (앱에서 씀, see ../src/services/generationQueue.js)
+ * - 시각이 된 항목을 오래된 순서로 하나씩 보냅니다.
+ * - 연결 실패는 간격을 늘려 가며(RETRY_BASE_MS부터 두 배씩, 최대 RETRY_MAX_MS) 계속 재시도하고, 뒤의 항목도 실패할
+ *   것이므로 그 차례는 멈춥니다. 한도 초과(429)는 서버가 알려준 시점에 다시 시도합니다.
+ *   그 밖의 오류(잘못된 요청, 인증 실패)는 failed로 남기고 다음 항목으로 넘어갑니다.
+ * - 항목: { id, status: 'queued' | 'sending' | 'done' | 'failed', attempts, nextAttemptAt, lastError, result, createdAt, ...request }
+ */
+
+export const RETRY_BASE_MS = 5000;
+export const RETRY_MAX_MS = 60000;
+
+/** @returns {boolean} 서버에 닿지 못한 오류인지 (src/services/api.js의 ApiError, status 0) */
+const isNetworkError = (error) => error?.code === 'network';
+
+/**
+ * 보내기에 실패한 항목의 다음 상태를 정합니다.
+ * @param {{ code?: string, status?: number, retryAfter?: number | null, message?: string }} error
+ * @param {number} attempts - 이번을 포함한 시도 횟수
+ * @param {number} now
+ * @returns {{ patch: object, keepGoing: boolean }} keepGoing=false면 이번 차례의 나머지 항목은 보내지 않음
+ */
+export function retryAfterFailure(error, attempts, now) {
+  if (isNetworkError(error)) {
+    const delay = Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+    return { patch: { status: 'queued', lastError: error.message, nextAttemptAt: now + delay }, keepGoing: false };
+  }
+  if (error?.status === 429 && error.retryAfter) {
+    const nextAttemptAt = now + error.retryAfter * 1000;
+    return { patch: { status: 'queued', lastError: error.message, nextAttemptAt }, keepGoing: true };
+  }
+  return { patch: { status: 'failed', lastError: error?.message || '알 수 없는 오류', nextAttemptAt: null }, keepGoing: true };
+}
+
+/**
+ * 대기열을 만듭니다.
+ * @param {{ items?: object[], save?: (items: object[]) => void, send: (item: object) => Promise<object>, now?: () => number }} options
+ *   - items: 저장해 둔 항목 (보내던 중 앱이 꺼진 항목은 다시 대기)
+ *   - save: 바뀔 때마다 저장
+ *   - send: 항목 하나를 보내고 결과(result)를 반환. 실패하면 ApiError를 던짐
+ */
+export function createGenerationQueue({ items: saved = [], save = () => {}, send, now = Date.now }) {
+  let items = saved.map((item) => (item.status === 'sending' ? { ...item, status: 'queued' } : item));
+  const listeners = new Set();
+  let timer = null;
+  let running = false;
+  let processing = false;
+
+  const commit = (next) => {
+    items = next;
+    save(items);
+    listeners.forEach((listener) => listener(items));
+  };
+
+  const patchItem = (id, patch) => commit(items.map((item) => (item.id === id ? { ...item, ...patch } : item)));
+
+  /**
+   * 다음 처리 시점을 잡습니다.
+   * @param {number} [delay] - 지정하지 않으면 가장 이른 대기 항목의 시각
+   */
+  function schedule(delay) {
+    if (!running) return;
+    clearTimeout(timer);
+    const pending = items.filter((i) => i.status === 'queued');
+    if (delay === undefined) {
+      if (pending.length === 0) return;
+      delay = Math.max(0, Math.min(...pending.map((i) => i.nextAttemptAt)) - now());
+    }
+    timer = setTimeout(processQueue, delay);
+  }
+
+  /**
+   * 항목 하나를 보냅니다.
+   * @param {object} item
+   * @returns {Promise<boolean>} 이번 차례의 다음 항목을 보낼지
+   */
+  async function sendItem(item) {
+    const attempts = item.attempts + 1;
+    patchItem(item.id, { status: 'sending', attempts });
+    try {
+      const result = await send(item);
+      patchItem(item.id, { status: 'done', lastError: null, nextAttemptAt: null, result });
+      return true;
+    } catch (error) {
+      const { patch, keepGoing } = retryAfterFailure(error, attempts, now());
+      patchItem(item.id, patch);
+      return keepGoing;
+    }
+  }
+
+  /** 시각이 된 항목을 순서대로 보냅니다. */
+  async function processQueue() {
+    if (processing) return;
+    processing = true;
+    try {
+      for (const item of items.filter((i) => i.status === 'queued' && i.nextAttemptAt <= now())) {
+        const keepGoing = await sendItem(item);
+        if (!keepGoing) break;
+      }
+    } finally {
+      processing = false;
+      schedule();
+    }
+  }
+
+  // 브라우저가 다시 온라인이 되면 기다리지 않고 바로 시도
+  const handleOnline = () => {
+    commit(items.map((item) => (item.status === 'queued' ? { ...item, nextAttemptAt: now() } : item)));
+    schedule(0);
+  };
+
+  return {
+    /** @returns {object[]} 대기열 항목 (오래된 순) */
+    getQueue: () => items,
+
+    /**
+     * 대기열 변경을 구독합니다.
+     * @param {(items: object[]) => void} listener
+     * @returns {() => void} 구독 해제
+     */
+    subscribeQueue(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    /**
+     * 요청을 대기열에 넣습니다.
+     * @param {object} request - 항목에 함께 저장할 필드
+     * @returns {object} 추가된 항목
+     */
+    enqueue(request) {
+      const item = {
+        id: `${now()}-${Math.random().toString(36).slice(2, 8)}`,
+        ...request,
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: now(),
+        lastError: null,
+        result: null,
+        createdAt: new Date(now()).toISOString(),
+      };
+      commit([...items, item]);
+      schedule(0);
+      return item;
+    },
+
+    /** 항목을 지웁니다. (완료된 결과를 열었거나 더 이상 필요 없을 때) */
+    removeQueued: (id) => commit(items.filter((item) => item.id !== id)),
+
+    /** 실패했거나 대기 중인 항목을 지금 다시 시도합니다. */
+    retryQueued(id) {
+      patchItem(id, { status: 'queued', nextAttemptAt: now(), lastError: null });
+      schedule(0);
+    },
+
+    /** 시각이 된 항목을 지금 보냅니다. (보통은 start 이후 타이머가 부름) */
+    processQueue,
+
+    /**
+     * 대기열 처리를 시작합니다. (앱 화면이 떠 있는 동안)
+     * @returns {() => void} 중지 함수
+     */
+    start() {
+      if (running) return () => {};
+      running = true;
+      if (typeof window !== 'undefined' && window.addEventListener) window.addEventListener('online', handleOnline);
+      schedule(0);
+      return () => {
+        running = false;
+        clearTimeout(timer);
+        if (typeof window !== 'undefined' && window.removeEventListener) window.removeEventListener('online', handleOnline);
+      };
+    },
+  };
+}
@@ -0,0 +1,116 @@
+// javascript
+/**
+ * Offline generation queue: sending order, retry delays and what stops a round (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createGenerationQueue, retryAfterFailure, RETRY_BASE_MS, RETRY_MAX_MS } from './generationQueue.js';
+
+const NOW = 1_000_000;
+const networkError = { code: 'network', status: 0, message: '서버에 연결할 수 없습니다.' };
+
+/** label별로 정한 오류를 차례로 던지는 대기열 (오류가 없으면 성공, 처리는 processQueue로 직접) */
+const makeQueue = (outcomes, options = {}) => {
+  const sent = [];
+  const saved = [];
+  let clock = NOW;
+  const queue = createGenerationQueue({
+    save: (items) => saved.push(items),
+    send: async (item) => {
+      sent.push(item.label);
+      const outcome = outcomes[item.label]?.shift();
+      if (outcome) throw outcome;
+      return { content: `${item.label} 문서` };
+    },
+    now: () => clock,
+    ...options,
+  });
+  return { queue, sent, saved, advance: (ms) => (clock += ms) };
+};
+const statuses = (queue) => queue.getQueue().map(({ label, status }) => [label, status]);
+
+test('retryAfterFailure backs off network errors, waits for 429 and gives up on the rest', () => {
+  assert.deepEqual(retryAfterFailure(networkError, 1, NOW), {
+    patch: { status: 'queued', lastError: networkError.message, nextAttemptAt: NOW + RETRY_BASE_MS },
+    keepGoing: false,
+  });
+  assert.equal(retryAfterFailure(networkError, 3, NOW).patch.nextAttemptAt, NOW + RETRY_BASE_MS * 4);
+  assert.equal(retryAfterFailure(networkError, 10, NOW).patch.nextAttemptAt, NOW + RETRY_MAX_MS);
+
+  const limited = retryAfterFailure({ status: 429, retryAfter: 30, message: '한도 초과' }, 1, NOW);
+  assert.deepEqual(limited, { patch: { status: 'queued', lastError: '한도 초과', nextAttemptAt: NOW + 30000 }, keepGoing: true });
+
+  assert.deepEqual(retryAfterFailure({ status: 400, message: '잘못된 요청' }, 1, NOW), {
+    patch: { status: 'failed', lastError: '잘못된 요청', nextAttemptAt: null },
+    keepGoing: true,
+  });
+  assert.equal(retryAfterFailure({ status: 429 }, 1, NOW).patch.status, 'failed');
+});
+
+test('items are sent oldest first and a failed item does not hold back the next one', async () => {
+  const { queue, sent } = makeQueue({ b: [{ status: 401, message: '인증 실패' }] });
+  ['a', 'b', 'c'].forEach((label) => queue.enqueue({ label }));
+  await queue.processQueue();
+  assert.deepEqual(sent, ['a', 'b', 'c']);
+  assert.deepEqual(statuses(queue), [
+    ['a', 'done'],
+    ['b', 'failed'],
+    ['c', 'done'],
+  ]);
+  assert.deepEqual(queue.getQueue()[0].result, { content: 'a 문서' });
+  assert.equal(queue.getQueue()[1].lastError, '인증 실패');
+});
+
+test('a network error stops the round and the item waits for its retry time', async () => {
+  const { queue, sent, advance } = makeQueue({ a: [networkError] });
+  ['a', 'b'].forEach((label) => queue.enqueue({ label }));
+  await queue.processQueue();
+  assert.deepEqual(sent, ['a']);
+  assert.deepEqual(statuses(queue), [
+    ['a', 'queued'],
+    ['b', 'queued'],
+  ]);
+  assert.equal(queue.getQueue()[0].attempts, 1);
+
+  // 재시도 시각 전에는 a를 건너뛰고 b만
+  await queue.processQueue();
+  assert.deepEqual(sent, ['a', 'b']);
+  advance(RETRY_BASE_MS);
+  await queue.processQueue();
+  assert.deepEqual(sent, ['a', 'b', 'a']);
+  assert.deepEqual(statuses(queue), [
+    ['a', 'done'],
+    ['b', 'done'],
+  ]);
+  assert.equal(queue.getQueue()[0].attempts, 2);
+});
+
+test('retrying a failed item queues it again right away', async () => {
+  const { queue, sent } = makeQueue({ a: [{ status: 400, message: '잘못된 요청' }] });
+  const item = queue.enqueue({ label: 'a' });
+  await queue.processQueue();
+  assert.equal(queue.getQueue()[0].status, 'failed');
+  queue.retryQueued(item.id);
+  assert.equal(queue.getQueue()[0].lastError, null);
+  await queue.processQueue();
+  assert.deepEqual(sent, ['a', 'a']);
+  assert.equal(queue.getQueue()[0].status, 'done');
+});
+
+test('items that were being sent when the app stopped are queued again, and changes are saved', () => {
+  const { queue, saved } = makeQueue(
+    {},
+    {
+      items: [
+        { id: '1', label: 'a', status: 'sending', attempts: 1, nextAttemptAt: NOW },
+        { id: '2', label: 'b', status: 'done', attempts: 1, nextAttemptAt: null },
+      ],
+    }
+  );
+  assert.deepEqual(statuses(queue), [
+    ['a', 'queued'],
+    ['b', 'done'],
+  ]);
+  queue.removeQueued('2');
+  assert.deepEqual(saved.at(-1).map((i) => i.id), ['1']);
+});
@@ -0,0 +1,140 @@
+/**
+ * 국내 문자 메시지 길이 유틸리티 (앱과 서버가 함께 씀: 서버의 길이 검사·나누기가 앱 표시와 항상 같음)
+ * - 통신사 기준 SMS 90바이트, LMS 2000바이트 (EUC-KR 기준)
+ * - 바이트 수는 EUC-KR/CP949 방식으로 계산합니다: ASCII 1바이트, 한글·한자·기호 2바이트.
+ *   KS X 1001/CP949에 없는 문자(이모지, 베트남어 성조 표시가 붙은 라틴 문자 등)는 unsupported로 따로 알려줍니다.
+ *   이런 문자는 통신사에서 깨지거나 거부되므로 보내기 전에 막아야 합니다.
+ * - 번역본처럼 EUC-KR에 없는 글자가 필요한 메시지는 유니코드(UCS-2) LMS로 보냅니다: 글자(UTF-16 단위)마다 2바이트,
+ *   SMS로는 보낼 수 없고 LMS 2000바이트(1000자)까지. UCS-2에 없는 글자(이모지 등 BMP 밖 문자)는 unsupported입니다.
+ */
+import { isEucKrChar } from './eucKr.js';
+
+export const SMS_MAX_BYTES = 90;
+export const LMS_MAX_BYTES = 2000;
+
+/** 메시지 인코딩: EUC-KR(기본, 한국어 SMS/LMS) 또는 UCS-2(유니코드 LMS) */
+export const ENCODINGS = ['EUC-KR', 'UCS-2'];
+
+/**
+ * 문자의 EUC-KR 바이트 수 (보낼 수 없는 문자도 2바이트로 셈)
+ * @param {string} char - 한 글자 (코드 포인트 단위)
+ * @returns {number}
+ */
+const eucKrBytes = (char) => (char.codePointAt(0) <= 0x7f ? 1 : 2);
+
+/**
+ * 문자의 UCS-2 바이트 수 (BMP 밖 문자는 UTF-16 두 단위로 셈)
+ * @param {string} char - 한 글자 (코드 포인트 단위)
+ * @returns {number}
+ */
+const ucs2Bytes = (char) => char.length * 2;
+
+/**
+ * 인코딩의 글자당 바이트 수 계산 함수
+ * @param {string} encoding
+ * @returns {(char: string) => number}
+ */
+const charBytesOf = (encoding) => (encoding === 'UCS-2' ? ucs2Bytes : eucKrBytes);
+
+/**
+ * 인코딩으로 보낼 수 없는 문자인지 (EUC-KR은 ./eucKr.js, UCS-2는 BMP 밖 문자)
+ * @param {string} char
+ * @param {string} encoding
+ * @returns {boolean}
+ */
+const isUnsupported = (char, encoding) => (encoding === 'UCS-2' ? char.length > 1 : !isEucKrChar(char));
+
+/**
+ * 메시지를 보낼 인코딩을 고릅니다. EUC-KR로 보낼 수 있으면 EUC-KR, 아니면 UCS-2.
+ * @param {string} text
+ * @returns {'EUC-KR' | 'UCS-2'}
+ * @example
+ * messageEncoding('Field trip tomorrow.'); // => 'EUC-KR'
+ * messageEncoding('Xin chào phụ huynh'); // => 'UCS-2'
+ */
+export const messageEncoding = (text) => ([...(text || '')].every(isEucKrChar) ? 'EUC-KR' : 'UCS-2');
+
+/**
+ * 메시지의 바이트 수를 계산합니다.
+ * @param {string} text
+ * @param {string} [encoding='EUC-KR']
+ * @returns {number}
+ * @example
+ * getByteLength('안녕 hi'); // => 7
+ * getByteLength('安 hi', 'UCS-2'); // => 8
+ */
+export function getByteLength(text, encoding = 'EUC-KR') {
+  const charBytes = charBytesOf(encoding);
+  let bytes = 0;
+  for (const char of text || '') bytes += charBytes(char);
+  return bytes;
+}
+
+/**
+ * 메시지가 SMS/LMS 중 어디에 해당하는지 판정합니다. UCS-2 메시지는 항상 LMS입니다.
+ * @param {string} text
+ * @param {string} [encoding='EUC-KR']
+ * @returns {{ bytes: number, type: 'SMS' | 'LMS' | 'OVER', limit: number, unsupported: string[] }}
+ *   type이 'OVER'면 LMS로도 한 번에 보낼 수 없습니다.
+ */
+export function classifyMessage(text, encoding = 'EUC-KR') {
+  const bytes = getByteLength(text, encoding);
+  const unsupported = [...new Set([...(text || '')].filter((char) => isUnsupported(char, encoding)))];
+  if (bytes <= SMS_MAX_BYTES && encoding !== 'UCS-2') return { bytes, type: 'SMS', limit: SMS_MAX_BYTES, unsupported };
+  if (bytes <= LMS_MAX_BYTES) return { bytes, type: 'LMS', limit: LMS_MAX_BYTES, unsupported };
+  return { bytes, type: 'OVER', limit: LMS_MAX_BYTES, unsupported };
+}
+
+/**
+ * 바이트 한도 안에서 가능한 한 줄바꿈/공백 경계로 텍스트를 자릅니다.
+ * @param {string} text
+ * @param {number} maxBytes
+ * @param {(char: string) => number} charBytes
+ * @returns {string[]}
+ */
+function chunkByBytes(text, maxBytes, charBytes) {
+  const chars = [...text];
+  const chunks = [];
+  let start = 0;
+
+  while (start < chars.length) {
+    let bytes = 0;
+    let end = start;
+    let lastBreak = -1;
+    while (end < chars.length && bytes + charBytes(chars[end]) <= maxBytes) {
+      bytes += charBytes(chars[end]);
+      if (/\s/.test(chars[end])) lastBreak = end;
+      end++;
+    }
+    // 끝까지 들어가지 않으면 마지막 공백에서 자름 (공백이 없으면 글자 단위로 자름)
+    if (end < chars.length && lastBreak > start) end = lastBreak + 1;
+
+    const chunk = chars.slice(start, end).join('').trim();
+    if (chunk) chunks.push(chunk);
+    start = end;
+  }
+  return chunks;
+}
+
+/**
+ * 긴 메시지를 "(1/3) " 번호가 붙은 여러 건으로 나눕니다. 번호까지 포함해 각 건이 maxBytes 이내입니다.
+ * @param {string} text
+ * @param {{ encoding?: string, maxBytes?: number }} [options] - maxBytes 기본값은 EUC-KR이면 SMS 한 건,
+ *   UCS-2면 LMS 한 건 (UCS-2는 SMS로 보낼 수 없음)
+ * @returns {string[]} 나눌 필요가 없으면 원문 한 건
+ * @example
+ * splitMessage('가'.repeat(100)); // => ['(1/3) 가가...', '(2/3) ...', '(3/3) ...']
+ */
+export function splitMessage(text, { encoding = 'EUC-KR', maxBytes = encoding === 'UCS-2' ? LMS_MAX_BYTES : SMS_MAX_BYTES } = {}) {
+  const body = (text || '').trim();
+  if (getByteLength(body, encoding) <= maxBytes) return [body];
+
+  // 전체 건수의 자릿수에 따라 번호 길이가 달라지므로 자릿수를 늘려가며 맞춤
+  for (let digits = 1; ; digits++) {
+    const prefixBytes = getByteLength(`(${'9'.repeat(digits)}/${'9'.repeat(digits)}) `, encoding);
+    const chunks = chunkByBytes(body, maxBytes - prefixBytes, charBytesOf(encoding));
+    if (String(chunks.length).length <= digits) {
+      return chunks.map((chunk, i) => `(${i + 1}/${chunks.length}) ${chunk}`);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+// javascript
+/**
+ * EUC-KR and UCS-2 byte counting, unsupported characters and numbered splitting (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyMessage, getByteLength, splitMessage, messageEncoding, SMS_MAX_BYTES, LMS_MAX_BYTES } from './messageLength.js';
+import { isEucKrChar } from './eucKr.js';
+
+test('ASCII counts 1 byte and Korean 2 bytes', () => {
+  assert.equal(getByteLength('안녕 hi'), 7);
+  assert.equal(getByteLength(''), 0);
+});
+
+test('Hangul, KS X 1001 hanja and symbols are EUC-KR characters', () => {
+  for (const char of ['가', '힣', '똠', 'ㄱ', '學', '校', '※', '①', '·', '…', '㈜', 'Ω', 'あ', 'Ａ', '~']) {
+    assert.equal(isEucKrChar(char), true, char);
+  }
+});
+
+test('characters outside KS X 1001/CP949 are flagged as unsupported', () => {
+  assert.deepEqual(classifyMessage('Xin chào phụ huynh 😀').unsupported, ['à', 'ụ', '😀']);
+  // 한자라도 KS X 1001에 없는 글자는 보낼 수 없음
+  assert.equal(isEucKrChar('丟'), false);
+  assert.equal(isEucKrChar('€'), false);
+  assert.deepEqual(classifyMessage('가정통신문 ※ 3월 2일 (月)').unsupported, []);
+});
+
+test('classifyMessage picks SMS, LMS or OVER by byte count', () => {
+  assert.equal(classifyMessage('가'.repeat(45)).type, 'SMS');
+  assert.equal(classifyMessage('가'.repeat(46)).type, 'LMS');
+  assert.equal(classifyMessage('가'.repeat(1000)).type, 'LMS');
+  assert.deepEqual(classifyMessage('가'.repeat(1001)), { bytes: 2002, type: 'OVER', limit: 2000, unsupported: [] });
+});
+
+test('a message that fits is not split', () => {
+  assert.deepEqual(splitMessage('  짧은 안내  '), ['짧은 안내']);
+});
+
+test('splitMessage numbers the parts and keeps every part within the limit', () => {
+  const parts = splitMessage('가'.repeat(100));
+  assert.equal(parts.length, 3);
+  assert.match(parts[0], /^\(1\/3\) /);
+  assert.ok(parts.every((part) => getByteLength(part) <= SMS_MAX_BYTES));
+  assert.equal(parts.map((part) => part.replace(/^\(\d\/3\) /, '')).join(''), '가'.repeat(100));
+});
+
+test('splitMessage breaks at whitespace when it can', () => {
+  const words = Array.from({ length: 30 }, (_, i) => `단어${i}`).join(' ');
+  const parts = splitMessage(words);
+  assert.ok(parts.every((part) => /단어\d+$/.test(part)));
+});
+
+test('the number prefix grows when there are ten or more parts', () => {
+  const parts = splitMessage('가'.repeat(500));
+  assert.ok(parts.length >= 10);
+  assert.match(parts.at(-1), new RegExp(`^\\(${parts.length}/${parts.length}\\) `));
+  assert.ok(parts.every((part) => getByteLength(part) <= SMS_MAX_BYTES));
+});
+
+test('text outside EUC-KR is sent as UCS-2, two bytes per character and always as LMS', () => {
+  assert.equal(messageEncoding('Field trip tomorrow. 내일'), 'EUC-KR');
+  assert.equal(messageEncoding('Xin chào phụ huynh'), 'UCS-2');
+  assert.equal(messageEncoding('明天学校有活动'), 'UCS-2');
+  assert.equal(getByteLength('Xin chào', 'UCS-2'), 16);
+  assert.deepEqual(classifyMessage('Xin chào phụ huynh', 'UCS-2'), { bytes: 36, type: 'LMS', limit: 2000, unsupported: [] });
+  assert.equal(classifyMessage('ก'.repeat(1001), 'UCS-2').type, 'OVER');
+  // UCS-2는 BMP 밖 문자(이모지)를 담지 못함
+  assert.deepEqual(classifyMessage('สวัสดี 😀', 'UCS-2').unsupported, ['😀']);
+});
+
+test('UCS-2 messages are split into numbered LMS parts', () => {
+  const text = Array.from({ length: 300 }, (_, i) => `chào${i}`).join(' ');
+  assert.deepEqual(splitMessage('Xin chào', { encoding: 'UCS-2' }), ['Xin chào']);
+  const parts = splitMessage(text, { encoding: 'UCS-2' });
+  assert.equal(parts.length, 3);
+  assert.ok(parts.every((part) => getByteLength(part, 'UCS-2') <= LMS_MAX_BYTES));
+  assert.equal(parts.map((part) => part.replace(/^\(\d\/3\) /, '')).join(' '), text);
+});
@@ -0,0 +1,60 @@
+/**
+ * 수신자 전화번호 파싱/검증 유틸리티 (앱과 서버가 함께 씀)
+ */
+
+// 휴대전화, 지역번호 유선전화, 인터넷전화(070), 대표번호(15xx/16xx/18xx)
+const PHONE_PATTERNS = [/^01[016789]\d{7,8}$/, /^02\d{7,8}$/, /^0[3-6][1-5]\d{7,8}$/, /^070\d{8}$/, /^1[5-8]\d{6}$/];
+
+/**
+ * 숫자만 남긴 번호가 유효한 국내 전화번호인지 검사합니다.
+ * @param {string} digits
+ * @returns {boolean}
+ */
+export const isValidPhoneNumber = (digits) => PHONE_PATTERNS.some((re) => re.test(digits));
+
+/**
+ * 입력한 번호를 숫자만 남겨 정규화합니다. (+82는 0으로, 하이픈·공백·괄호·점 제거)
+ * @param {string} value
+ * @returns {string | null} 유효하지 않으면 null
+ * @example
+ * normalizePhoneNumber('+82 10-1234-5678'); // => '01012345678'
+ */
+export function normalizePhoneNumber(value) {
+  if (typeof value !== 'string') return null;
+  const digits = value.trim().replace(/^\+82/, '0').replace(/[\s\-().]/g, '');
+  return /^\d+$/.test(digits) && isValidPhoneNumber(digits) ? digits : null;
+}
+
+/**
+ * 하이픈 형식으로 표시합니다. (예: 01012345678 → 010-1234-5678)
+ * @param {string} digits
+ * @returns {string}
+ */
+export function formatPhoneNumber(digits) {
+  if (/^02/.test(digits)) return digits.replace(/^(02)(\d{3,4})(\d{4})$/, '$1-$2-$3');
+  if (/^1[5-8]/.test(digits)) return digits.replace(/^(\d{4})(\d{4})$/, '$1-$2');
+  return digits.replace(/^(\d{3})(\d{3,4})(\d{4})$/, '$1-$2-$3');
+}
+
+/**
+ * 쉼표/줄바꿈/세미콜론으로 구분한 수신자 목록을 파싱합니다. 중복 번호는 하나로 합칩니다.
+ * @param {string} input - 예: "010-1234-5678, 01098765432\n02-123-4567"
+ * @returns {{ valid: string[], invalid: string[] }} valid는 숫자만 남긴 번호, invalid는 입력 그대로
+ */
+export function parseRecipients(input) {
+  const valid = [];
+  const invalid = [];
+  (input || '')
+    .split(/[,;\n]+/)
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .forEach((entry) => {
+      const digits = normalizePhoneNumber(entry);
+      if (digits) {
+        if (!valid.includes(digits)) valid.push(digits);
+      } else {
+        invalid.push(entry);
+      }
+    });
+  return { valid, invalid };
+}
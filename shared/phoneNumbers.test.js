@@ -0,0 +1,36 @@
+// javascript
+/**
+ * Recipient number parsing shared by the app and the messaging gateway (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatPhoneNumber, isValidPhoneNumber, normalizePhoneNumber, parseRecipients } from './phoneNumbers.js';
+
+test('normalizePhoneNumber strips separators and turns +82 into 0', () => {
+  assert.equal(normalizePhoneNumber('+82 10-1234-5678'), '01012345678');
+  assert.equal(normalizePhoneNumber('(02) 123.4567'), '021234567');
+  assert.equal(normalizePhoneNumber(' 1588-1234 '), '15881234');
+});
+
+test('numbers that are not Korean phone numbers are rejected', () => {
+  for (const value of ['010-123-456', '0101234567890', '012-3456-7890', '010-1234-567a', '', null, 1012345678]) {
+    assert.equal(normalizePhoneNumber(value), null, String(value));
+  }
+  assert.equal(isValidPhoneNumber('07012345678'), true);
+  assert.equal(isValidPhoneNumber('0311234567'), true);
+});
+
+test('formatPhoneNumber adds hyphens by number type', () => {
+  assert.equal(formatPhoneNumber('01012345678'), '010-1234-5678');
+  assert.equal(formatPhoneNumber('0101234567'), '010-123-4567');
+  assert.equal(formatPhoneNumber('0212345678'), '02-1234-5678');
+  assert.equal(formatPhoneNumber('15881234'), '1588-1234');
+});
+
+test('parseRecipients splits a list, drops duplicates and keeps invalid entries as typed', () => {
+  assert.deepEqual(parseRecipients('010-1234-5678, 01012345678;\n02-123-4567\n\n없는번호'), {
+    valid: ['01012345678', '021234567'],
+    invalid: ['없는번호'],
+  });
+  assert.deepEqual(parseRecipients(''), { valid: [], invalid: [] });
+});
@@ -0,0 +1,33 @@
+/**
+ * 수신자별로 받을 언어를 정하고 언어별로 묶는 규칙 (앱의 문자 전송 화면에서 씀, see ../src/components/SmsSendPanel.js)
+ * - 수신자가 고른 언어의 번역본이 없으면 한국어 원문을 받습니다.
+ */
+
+/** 원문 언어 */
+export const SOURCE_LANGUAGE = { code: 'ko', label: '한국어' };
+
+/**
+ * 수신자가 받을 언어
+ * @param {string} number - 수신자 번호
+ * @param {Record<string, string>} recipientLanguages - 번호 → 고른 언어 코드
+ * @param {Record<string, { content: string }>} translations - 언어 코드 → 번역본
+ * @returns {string}
+ */
+export const recipientLanguage = (number, recipientLanguages, translations) =>
+  translations[recipientLanguages[number]] ? recipientLanguages[number] : SOURCE_LANGUAGE.code;
+
+/**
+ * 받을 언어별로 수신자를 묶습니다. (한국어 먼저, 그다음 번역본 순서, 수신자가 없는 언어는 뺌)
+ * @param {{ recipients: string[], recipientLanguages: Record<string, string>,
+ *   translations: Record<string, { content: string }>, message: string }} input - message: 한국어 원문
+ * @returns {{ language: string, recipients: string[], text: string }[]}
+ */
+export function groupRecipientsByLanguage({ recipients, recipientLanguages, translations, message }) {
+  return [SOURCE_LANGUAGE.code, ...Object.keys(translations)]
+    .map((language) => ({
+      language,
+      recipients: recipients.filter((number) => recipientLanguage(number, recipientLanguages, translations) === language),
+      text: language === SOURCE_LANGUAGE.code ? message : translations[language].content,
+    }))
+    .filter((group) => group.recipients.length > 0);
+}
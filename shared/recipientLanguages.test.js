@@ -0,0 +1,44 @@
+// javascript
+/**
+ * Per-recipient language on send: which version each number gets and how numbers are grouped (run with `npm test`).
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SOURCE_LANGUAGE, recipientLanguage, groupRecipientsByLanguage } from './recipientLanguages.js';
+
+const translations = {
+  vi: { content: 'Ngày mai có dã ngoại.' },
+  en: { content: 'Field trip tomorrow.' },
+};
+
+test('a recipient gets the chosen language only when that translation exists', () => {
+  const chosen = { '01011112222': 'vi', '01033334444': 'zh' };
+  assert.equal(recipientLanguage('01011112222', chosen, translations), 'vi');
+  assert.equal(recipientLanguage('01033334444', chosen, translations), SOURCE_LANGUAGE.code);
+  assert.equal(recipientLanguage('01055556666', chosen, translations), 'ko');
+});
+
+test('recipients are grouped Korean first, then in translation order, with each language text', () => {
+  const groups = groupRecipientsByLanguage({
+    recipients: ['01011112222', '01033334444', '01055556666', '01077778888'],
+    recipientLanguages: { '01011112222': 'en', '01033334444': 'vi', '01077778888': 'en', '01055556666': 'ja' },
+    translations,
+    message: '내일 체험학습이 있습니다.',
+  });
+  assert.deepEqual(groups, [
+    { language: 'ko', recipients: ['01055556666'], text: '내일 체험학습이 있습니다.' },
+    { language: 'vi', recipients: ['01033334444'], text: 'Ngày mai có dã ngoại.' },
+    { language: 'en', recipients: ['01011112222', '01077778888'], text: 'Field trip tomorrow.' },
+  ]);
+});
+
+test('languages nobody receives are left out', () => {
+  const groups = groupRecipientsByLanguage({
+    recipients: ['01011112222'],
+    recipientLanguages: { '01011112222': 'en' },
+    translations,
+    message: '안내문',
+  });
+  assert.deepEqual(groups.map((g) => g.language), ['en']);
+  assert.deepEqual(groupRecipientsByLanguage({ recipients: [], recipientLanguages: {}, translations, message: '안내문' }), []);
+});
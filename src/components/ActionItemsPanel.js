@@ -0,0 +1,295 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import {
+  ACTION_ITEM_TYPES,
+  extractActionItems,
+  listActionItems,
+  createActionItem,
+  updateActionItem,
+  deleteActionItem,
+  downloadCalendar,
+} from '../services/actionItemApi';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^\d{2}:\d{2}$/;
+
+const typeLabel = (type) => ACTION_ITEM_TYPES.find((t) => t.id === type)?.label || type;
+
+/**
+ * @description 체크리스트 한 줄. 입력란은 포커스를 벗어날 때 바뀐 값만 저장합니다.
+ * @param {{ item: object, onChange: (patch: object) => void, onDelete: () => void, disabled?: boolean }} props
+ * @returns {JSX.Element}
+ */
+const ActionItemRow = ({ item, onChange, onDelete, disabled = false }) => {
+  const [fields, setFields] = useState({ title: item.title, assignee: item.assignee, date: item.date || '', time: item.time || '' });
+
+  // 서버 값이 바뀌면 (다시 추출 등) 입력란도 맞춤
+  useEffect(() => {
+    setFields({ title: item.title, assignee: item.assignee, date: item.date || '', time: item.time || '' });
+  }, [item.updatedAt]);
+
+  const setField = (key) => (value) => setFields((prev) => ({ ...prev, [key]: value }));
+
+  /** @param {'title' | 'assignee' | 'date' | 'time'} key */
+  const commit = (key) => {
+    const value = fields[key].trim();
+    const current = key === 'date' || key === 'time' ? item[key] || '' : item[key];
+    if (value === current) return;
+    if (key === 'title' && !value) return setField('title')(item.title);
+    // 형식이 맞지 않으면 원래 값으로 (빈 값은 지움)
+    if (key === 'date' && value && !DATE_PATTERN.test(value)) return setField('date')(current);
+    if (key === 'time' && value && !TIME_PATTERN.test(value)) return setField('time')(current);
+    onChange({ [key]: (key === 'date' || key === 'time') && !value ? null : value });
+  };
+
+  const nextType = () => {
+    const index = ACTION_ITEM_TYPES.findIndex((t) => t.id === item.type);
+    onChange({ type: ACTION_ITEM_TYPES[(index + 1) % ACTION_ITEM_TYPES.length].id });
+  };
+
+  return (
+    <View style={styles.item}>
+      <View style={styles.row}>
+        <TouchableOpacity onPress={() => onChange({ done: !item.done })} disabled={disabled}>
+          <Text style={styles.check}>{item.done ? '☑' : '☐'}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={[styles.chip, styles[`${item.type}Chip`]]} onPress={nextType} disabled={disabled}>
+          <Text style={styles.chipText}>{typeLabel(item.type)}</Text>
+        </TouchableOpacity>
+        <TextInput
+          style={[styles.input, styles.titleInput, item.done && styles.doneText]}
+          value={fields.title}
+          onChangeText={setField('title')}
+          onBlur={() => commit('title')}
+          editable={!disabled}
+        />
+        <TouchableOpacity onPress={onDelete} disabled={disabled}>
+          <Text style={styles.remove}>삭제</Text>
+        </TouchableOpacity>
+      </View>
+      <View style={styles.row}>
+        <TextInput
+          style={[styles.input, styles.dateInput]}
+          value={fields.date}
+          onChangeText={setField('date')}
+          onBlur={() => commit('date')}
+          placeholder="YYYY-MM-DD"
+          editable={!disabled}
+        />
+        <TextInput
+          style={[styles.input, styles.timeInput]}
+          value={fields.time}
+          onChangeText={setField('time')}
+          onBlur={() => commit('time')}
+          placeholder="HH:mm"
+          editable={!disabled && Boolean(item.date)}
+        />
+        <TextInput
+          style={[styles.input, styles.assigneeInput]}
+          value={fields.assignee}
+          onChangeText={setField('assignee')}
+          onBlur={() => commit('assignee')}
+          placeholder="담당자"
+          editable={!disabled}
+        />
+      </View>
+      {item.dateText || item.quote ? (
+        <Text style={styles.quote} numberOfLines={2}>
+          {[item.dateText && `"${item.dateText}"`, item.quote].filter(Boolean).join(' · ')}
+        </Text>
+      ) : null}
+    </View>
+  );
+};
+
+/**
+ * @description 문서나 녹음에서 일정·마감·담당자·할 일을 뽑아 고칠 수 있는 체크리스트로 보여주는 패널.
+ * 상대 날짜("다음 주 금요일")는 서버가 녹음 시각을 기준으로 계산하며, 날짜가 있는 항목은 .ics 달력 파일로 받을 수 있습니다.
+ * @param {{
+ *   documentId?: string | null,
+ *   sessionIds?: string[],
+ *   hint?: string,
+ *   onError: (message: string) => void,
+ *   disabled?: boolean,
+ * }} props
+ *   - documentId: 저장된 문서 (있으면 문서의 체크리스트, 없으면 sessionIds의 체크리스트)
+ *   - hint: 추출 버튼 아래 안내 (예: 저장하지 않은 편집 내용은 반영되지 않음)
+ * @returns {JSX.Element}
+ */
+const ActionItemsPanel = ({ documentId = null, sessionIds = [], hint = '', onError, disabled = false }) => {
+  const scope = documentId ? { documentId } : { sessionIds };
+  const scopeKey = documentId || sessionIds.join(',');
+  const [items, setItems] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [newTitle, setNewTitle] = useState('');
+  const [newType, setNewType] = useState('action');
+
+  useEffect(() => {
+    setItems([]);
+    listActionItems(scope)
+      .then(setItems)
+      .catch((error) => onError('체크리스트를 불러오지 못했습니다: ' + error.message));
+  }, [scopeKey]);
+
+  /**
+   * 서버 호출 후 체크리스트를 다시 불러옵니다.
+   * @param {() => Promise<unknown>} action
+   * @param {string} failure - 오류 메시지 앞부분
+   */
+  const run = async (action, failure) => {
+    setBusy(true);
+    onError('');
+    try {
+      await action();
+      setItems(await listActionItems(scope));
+    } catch (error) {
+      onError(`${failure}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const extract = () => run(() => extractActionItems(scope), '일정·할 일 추출 중 오류가 발생했습니다');
+
+  const add = () =>
+    run(async () => {
+      await createActionItem(scope, { type: newType, title: newTitle.trim() });
+      setNewTitle('');
+    }, '항목 추가 중 오류가 발생했습니다');
+
+  const download = async () => {
+    onError('');
+    try {
+      await downloadCalendar(scope);
+    } catch (error) {
+      onError('달력 파일을 받지 못했습니다: ' + error.message);
+    }
+  };
+
+  const locked = disabled || busy;
+  const dated = items.filter((item) => item.date).length;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>일정·할 일 체크리스트:</Text>
+      <Button title={busy ? '처리 중...' : '일정·마감·할 일 추출'} onPress={extract} disabled={locked} />
+      {hint ? <Text style={styles.hint}>{hint}</Text> : null}
+
+      {items.map((item) => (
+        <ActionItemRow
+          key={item.id}
+          item={item}
+          onChange={(patch) => run(() => updateActionItem(item.id, patch), '항목 저장 중 오류가 발생했습니다')}
+          onDelete={() => run(() => deleteActionItem(item.id), '항목 삭제 중 오류가 발생했습니다')}
+          disabled={locked}
+        />
+      ))}
+
+      <View style={styles.row}>
+        {ACTION_ITEM_TYPES.map((type) => (
+          <TouchableOpacity
+            key={type.id}
+            style={[styles.chip, newType === type.id && styles.selectedChip]}
+            onPress={() => setNewType(type.id)}
+          >
+            <Text style={styles.chipText}>{type.label}</Text>
+          </TouchableOpacity>
+        ))}
+        <TextInput style={[styles.input, styles.titleInput]} value={newTitle} onChangeText={setNewTitle} placeholder="직접 추가할 항목" />
+        <Button title="추가" onPress={add} disabled={locked || !newTitle.trim()} />
+      </View>
+
+      <Button title={`.ics로 받기 (${dated}개)`} onPress={download} disabled={locked || dated === 0} />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+    marginTop: 4,
+  },
+  item: {
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#eee',
+    backgroundColor: '#fff',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  check: {
+    fontSize: 20,
+    marginRight: 6,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: '#eee',
+    marginRight: 6,
+  },
+  selectedChip: {
+    backgroundColor: '#bae0ff',
+  },
+  eventChip: {
+    backgroundColor: '#d6e4ff',
+  },
+  deadlineChip: {
+    backgroundColor: '#ffd8bf',
+  },
+  actionChip: {
+    backgroundColor: '#d9f7be',
+  },
+  chipText: {
+    fontSize: 12,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    paddingVertical: 4,
+    paddingHorizontal: 6,
+    fontSize: 14,
+    marginRight: 6,
+    backgroundColor: '#fff',
+  },
+  titleInput: {
+    flex: 1,
+  },
+  doneText: {
+    textDecorationLine: 'line-through',
+    color: '#888',
+  },
+  dateInput: {
+    width: 110,
+  },
+  timeInput: {
+    width: 70,
+  },
+  assigneeInput: {
+    flex: 1,
+  },
+  remove: {
+    fontSize: 12,
+    color: '#cf1322',
+  },
+  quote: {
+    fontSize: 12,
+    color: '#888',
+  },
+});
+
+export default ActionItemsPanel;
@@ -0,0 +1,66 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, StyleSheet } from 'react-native';
+import { getApiKey, setApiKey } from '../services/credentials';
+
+/**
+ * @description API 키 입력. 서버가 인증 오류(401)를 돌려줄 때 보여줍니다.
+ * @param {{ onSaved?: () => void }} props - 저장 후 호출 (다시 시도 등)
+ * @returns {JSX.Element}
+ */
+const ApiKeyInput = ({ onSaved }) => {
+  const [value, setValue] = useState(getApiKey());
+
+  const save = () => {
+    setApiKey(value);
+    onSaved?.();
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>API 키 (관리자에게 발급받은 키)</Text>
+      <View style={styles.row}>
+        <TextInput
+          value={value}
+          onChangeText={setValue}
+          placeholder="vtk_..."
+          autoCapitalize="none"
+          autoCorrect={false}
+          secureTextEntry
+          style={styles.input}
+        />
+        <Button title="저장" onPress={save} />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 8,
+    borderRadius: 4,
+    backgroundColor: '#fff7e6',
+    borderWidth: 1,
+    borderColor: '#ffd591',
+    marginBottom: 8,
+  },
+  label: {
+    fontSize: 12,
+    color: '#ad4e00',
+    marginBottom: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    marginRight: 8,
+    backgroundColor: '#fff',
+  },
+});
+
+export default ApiKeyInput;
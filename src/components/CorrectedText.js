@@ -0,0 +1,66 @@
+import React from 'react';
+import { Text, StyleSheet } from 'react-native';
+
+/**
+ * 텍스트를 교정 위치 기준으로 조각냅니다.
+ * @param {string} text
+ * @param {{ start: number, end: number }[]} corrections - 이 텍스트의 교정 (위치가 맞지 않는 것은 무시)
+ * @returns {{ text: string, correction: object | null }[]}
+ */
+function splitByCorrections(text, corrections) {
+  const sorted = corrections
+    .filter((c) => c.start >= 0 && c.end <= text.length && c.start < c.end)
+    .sort((a, b) => a.start - b.start);
+  const parts = [];
+  let cursor = 0;
+  sorted.forEach((c) => {
+    if (c.start < cursor) return;
+    if (c.start > cursor) parts.push({ text: text.slice(cursor, c.start), correction: null });
+    parts.push({ text: text.slice(c.start, c.end), correction: c });
+    cursor = c.end;
+  });
+  if (cursor < text.length) parts.push({ text: text.slice(cursor), correction: null });
+  return parts;
+}
+
+/**
+ * @description 용어집 교정이 표시된 텍스트. 교정된 부분을 누르면 되돌리고, 되돌린 부분을 누르면 다시 교정합니다.
+ * @param {{
+ *   text: string,
+ *   corrections?: { id: string, start: number, end: number, original: string, replacement: string, reverted: boolean }[],
+ *   onToggle?: (correction: object) => void,
+ *   style?: object,
+ * }} props
+ * @returns {JSX.Element}
+ */
+const CorrectedText = ({ text, corrections = [], onToggle, style }) => (
+  <Text style={style}>
+    {splitByCorrections(text, corrections).map((part, index) =>
+      part.correction ? (
+        <Text
+          key={part.correction.id}
+          style={part.correction.reverted ? styles.reverted : styles.corrected}
+          onPress={onToggle ? () => onToggle(part.correction) : undefined}
+        >
+          {part.text}
+        </Text>
+      ) : (
+        <Text key={index}>{part.text}</Text>
+      )
+    )}
+  </Text>
+);
+
+const styles = StyleSheet.create({
+  corrected: {
+    backgroundColor: '#fff1b8',
+  },
+  // 되돌린 교정은 다시 적용할 수 있도록 밑줄로만 표시
+  reverted: {
+    textDecorationLine: 'underline',
+    textDecorationStyle: 'dotted',
+    color: '#8c8c8c',
+  },
+});
+
+export default CorrectedText;
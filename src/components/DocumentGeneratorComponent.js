@@ -1,160 +1,722 @@
-import React, { useState } from 'react';
+import React, { useState, useRef, useEffect } from 'react';
 import { View, Text, Button, TextInput, StyleSheet, ScrollView, TouchableOpacity } from 'react-native';
-import * as SMS from 'expo-sms';
+import { listDocuments, getDocument, createDocument, updateDocument } from '../services/sessionApi';
+import { streamGenerateDocument } from '../services/generateStream';
+import { listTemplates } from '../services/templateApi';
+import { renderStructuredDocument, renderPartialJson } from '../utils/documentFormat';
+import { refineDocument } from '../services/refineApi';
+import StructuredDocumentEditor from './StructuredDocumentEditor';
+import RefinementPanel from './RefinementPanel';
+import SmsSendPanel from './SmsSendPanel';
+import ScheduledJobsPanel from './ScheduledJobsPanel';
+import RedactionReport from './RedactionReport';
+import ApiKeyInput from './ApiKeyInput';
+import { describeApiError, isAuthError } from '../utils/apiErrors';
+import { isNetworkError } from '../services/api';
+import { enqueueGeneration } from '../services/generationQueue';
+import GenerationQueuePanel from './GenerationQueuePanel';
+import RevisionHistoryPanel from './RevisionHistoryPanel';
+import ExportPanel from './ExportPanel';
+import PublishPanel from './PublishPanel';
+import TranslationPanel from './TranslationPanel';
+import ActionItemsPanel from './ActionItemsPanel';
+import ReviewPanel from './ReviewPanel';
+import SearchPanel from './SearchPanel';
+import { STATUS_LABELS, isSendable } from '../services/reviewApi';
+import { useAppStore } from '../store/appStore';
 
-const DocumentGeneratorComponent = ({ transcribedText, recordingHistory = [] }) => {
-  const [generatedDocument, setGeneratedDocument] = useState('');
-  const [editedDocument, setEditedDocument] = useState('');
-  const [phoneNumber, setPhoneNumber] = useState('');
-  const [documentType, setDocumentType] = useState('보고서'); // 기본 문서 유형
+/**
+ * @description 문서 생성/편집/전송 화면
+ * 녹음 기록, 선택한 녹음, 편집 중인 문서, 템플릿은 앱 저장소(store/appStore)에서 읽고 써서 새로고침 후에도 이어집니다.
+ * @returns {JSX.Element}
+ */
+const DocumentGeneratorComponent = () => {
+  const recordingHistory = useAppStore((state) => state.sessions);
+  const transcribedText = useAppStore((state) => state.transcribedText);
+  const selectedRecordingIds = useAppStore((state) => state.selectedRecordingIds); // 선택 순서 = 통합 순서
+  const templateId = useAppStore((state) => state.settings.templateId);
+  const { generatedDocument, editedDocument, structuredDocument, editMode, refinementSteps, currentDocument, translations } =
+    useAppStore((state) => state.draft);
+  const { updateDraft, resetDraft, setSelectedRecordingIds, updateSettings } = useAppStore.getState();
+  const [templates, setTemplates] = useState([]);
   const [isGenerating, setIsGenerating] = useState(false);
+  const [isRefining, setIsRefining] = useState(false);
   const [error, setError] = useState('');
-  const [selectedRecording, setSelectedRecording] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('');
+  const [corrections, setCorrections] = useState([]); // 생성 원문에 적용된 용어집 교정 { sessionId, original, replacement, term }
+  const [needsApiKey, setNeedsApiKey] = useState(false); // 인증 오류(401)가 나면 API 키 입력 표시
+  const [redactions, setRedactions] = useState([]); // 모델에 보내기 전 가린 개인정보 { placeholder, label, original, count }
+  const [scheduleVersion, setScheduleVersion] = useState(0); // 예약이 추가되면 증가 → 예약 목록 새로고침
+  const [revisionVersion, setRevisionVersion] = useState(0); // 문서를 저장하면 증가 → 리비전 기록 새로고침
+  const [reviewVersion, setReviewVersion] = useState(0); // 문서를 보내거나 문안 검토를 요청하면 증가 → 검토 상태 새로고침
+  const [variants, setVariants] = useState([]); // 저장된 문서의 문자 문안 (요약본·번역본·링크 문자의 승인 상태)
+  const [publication, setPublication] = useState(null); // 저장된 문서의 게시 중인 웹 페이지 (문자로 링크 보내기)
+  const [streamPreview, setStreamPreview] = useState(null); // 생성 중 받은 만큼의 미리보기 (조각마다 기기에 쓰지 않도록 끝나면 편집본에 반영)
+  const cancelGenerationRef = useRef(null); // 진행 중 스트리밍 생성 취소 함수
+
+  // 화면을 벗어나면 진행 중인 생성 중단
+  useEffect(() => () => cancelGenerationRef.current?.(), []);
+
+  // 문서 템플릿 목록 불러오기
+  const loadTemplates = () =>
+    listTemplates()
+      .then((list) => {
+        setTemplates(list);
+        const { templateId: saved } = useAppStore.getState().settings;
+        if (!list.some((t) => t.id === saved)) updateSettings({ templateId: list[0]?.id || null });
+      })
+      .catch((err) => {
+        console.error('템플릿 불러오기 오류:', err);
+        setNeedsApiKey(isAuthError(err));
+        setError('문서 템플릿을 불러오지 못했습니다: ' + err.message);
+      });
+
+  useEffect(() => {
+    loadTemplates();
+  }, []);
+
+  /**
+   * API 키를 저장한 뒤 오류를 지우고 템플릿을 다시 불러옵니다.
+   */
+  const handleApiKeySaved = () => {
+    setNeedsApiKey(false);
+    setError('');
+    loadTemplates();
+  };
+
+  /**
+   * 요청 실패를 표시합니다. 인증 오류면 API 키 입력을, 한도 초과면 다시 시도할 수 있는 시점을 보여줍니다.
+   * @param {Error} error
+   * @param {string} action - 실패한 작업 (예: '문서 생성')
+   */
+  const showRequestError = (error, action) => {
+    setNeedsApiKey(isAuthError(error));
+    setError(describeApiError(error, action));
+  };
+
+  const selectedTemplate = templates.find((t) => t.id === templateId) || null;
+  const documentType = selectedTemplate?.name || '보고서'; // 저장용 문서 유형 이름
+
+  // 선택된 기록이 없으면 가장 최근 녹음 세션을 대상으로 함
+  const latestRecording = recordingHistory[recordingHistory.length - 1] || null;
+  const selectedRecordings = selectedRecordingIds.map((id) => recordingHistory.find((r) => r.id === id)).filter(Boolean);
+  // 승인된 내용 그대로일 때만 전송 가능 (서버도 승인 전 문서의 전송·예약을 거부)
+  const sendBlockedReason = !currentDocument
+    ? '문서를 저장하고 승인을 받은 뒤 보낼 수 있습니다.'
+    : editedDocument !== currentDocument.editedContent
+      ? '저장하지 않은 편집 내용이 있습니다. 저장하면 다시 승인을 받아야 보낼 수 있습니다.'
+      : !isSendable(currentDocument)
+        ? `승인된 문서만 보낼 수 있습니다. (현재: ${STATUS_LABELS[currentDocument.status || 'draft']})`
+        : null;
+  // 게시도 승인된 내용 그대로만 (서버도 승인 전 문서의 게시를 거부)
+  const publishBlockedReason = !currentDocument
+    ? null
+    : editedDocument !== currentDocument.editedContent
+      ? '먼저 문서를 저장하세요. 게시는 저장된 내용으로 합니다.'
+      : !isSendable(currentDocument)
+        ? `승인된 문서만 게시할 수 있습니다. (현재: ${STATUS_LABELS[currentDocument.status || 'draft']})`
+        : null;
+  // 문서가 없으면 선택한 (서버에 저장된) 녹음에서 바로 일정·할 일 추출
+  const checklistSessionIds = selectedRecordings.every((r) => r.synced) ? selectedRecordings.map((r) => r.id) : [];
+  const isCombining = selectedRecordings.length > 1;
+
+  /**
+   * 생성/편집된 문서를 녹음 세션에 저장합니다. 기존 문서가 있으면 갱신합니다.
+   * @param {object} recording - 대상 녹음 기록 (synced=true 인 서버 세션만 저장 가능)
+   * @param {{ generatedContent?: string, editedContent: string, structured?: object | null, revisionAction?: string }} content
+   *   - revisionAction: 리비전 기록에 남길 변경 종류 ('generated' | 'edited' | 'refined', 기본 'edited')
+   * @returns {Promise<object|null>} 저장된 문서
+   */
+  const persistDocument = async (recording, content) => {
+    if (currentDocument && currentDocument.sessionId === recording?.id) {
+      const updated = await updateDocument(currentDocument.sessionId, currentDocument.id, {
+        documentType,
+        templateId: selectedTemplate?.id,
+        ...content,
+      });
+      updateDraft({ currentDocument: updated });
+      setRevisionVersion((v) => v + 1);
+      return updated;
+    }
+    if (!recording?.synced) return null;
+    const created = await createDocument(recording.id, {
+      documentType,
+      templateId: selectedTemplate?.id,
+      ...content,
+    });
+    updateDraft({ currentDocument: created });
+    setRevisionVersion((v) => v + 1);
+    return created;
+  };
 
   /**
    * 문서 생성: 서버 프록시(백엔드)로 텍스트를 보내 구조화된 한국어 문서를 생성합니다.
-   * @param {string} [text=transcribedText] - 문서 생성에 사용할 원문 텍스트
+   * 생성 결과는 스트리밍으로 받아 편집 영역에 바로 표시하며, 완료되면 해당 녹음 세션에 새 문서로 저장됩니다.
+   * 같은 녹음의 문서를 다시 생성하면 그 문서에 새 리비전으로 저장하고, 저장하지 않은 편집은 그 전에 리비전으로 남깁니다.
+   * 생성 도중 cancelGeneration()으로 취소할 수 있고, 그때까지 받은 내용은 편집 영역에 남습니다.
+   * - 선택한 녹음이 없으면 현재 변환된 텍스트로 생성하고 가장 최근 녹음에 저장
+   * - 하나면 해당 녹음으로 생성 (저장된 녹음이면 발언 시점을 인용할 수 있도록 세션 ID로 요청)
+   * - 여러 개면 서버에서 세션 경계와 시각을 유지해 합친 뒤 하나의 문서로 생성하고 첫 녹음에 저장
+   * @param {object[]} [recordings=selectedRecordings] - 문서 생성에 사용할 녹음 기록 (순서대로)
    * @returns {Promise<void>} 생성 결과는 상태로 관리됩니다.
    * @example
    * // 프런트엔드에서 호출
-   * await generateDocument('회의 내용 요약 텍스트');
+   * await generateDocument([morningRecording, afternoonRecording]);
    */
-  const generateDocument = async (text = transcribedText) => {
-    if (!text) {
+  const generateDocument = async (recordings = selectedRecordings) => {
+    const combined = recordings.length > 1;
+    const text = recordings.length === 1 ? recordings[0].text : transcribedText;
+    const recording = recordings[0] || latestRecording;
+
+    if (combined && recordings.some((r) => !r.synced)) {
+      setError('서버에 저장되지 않은 녹음은 합칠 수 없습니다.');
+      return;
+    }
+    if (!combined && !text) {
       setError('음성 텍스트가 없습니다. 먼저 음성을 녹음해주세요.');
       return;
     }
     
     setIsGenerating(true);
     setError('');
+    setSaveStatus('');
+    const sourceSessionIds = combined ? recordings.map((r) => r.id) : undefined;
+    const previous =
+      currentDocument?.sessionId === recording?.id &&
+      JSON.stringify(currentDocument.sourceSessionIds) === JSON.stringify(sourceSessionIds ?? [recording?.id])
+        ? currentDocument
+        : null;
+    if (previous && editedDocument !== previous.editedContent) {
+      // 다시 생성해도 직접 고친 내용은 리비전 기록에서 되살릴 수 있게 먼저 저장
+      await updateDocument(previous.sessionId, previous.id, {
+        editedContent: editedDocument,
+        structured: structuredDocument,
+      }).catch((err) => console.log('편집 내용 저장 실패:', err));
+    }
+    resetDraft();
+    setCorrections([]);
+    setRedactions([]);
     
+    // 저장된 녹음은 ID로 보내 서버가 구간별 발언 시점을 프롬프트에 넣도록 함
+    const source =
+      recordings.length > 0 && recordings.every((r) => r.synced) ? { sessionIds: recordings.map((r) => r.id) } : { text };
+    // 템플릿을 불러오지 못한 경우 서버 기본 유형으로 생성
+    const requestBody = selectedTemplate ? { ...source, templateId: selectedTemplate.id } : { ...source, documentType };
+
+    // 모델은 JSON을 생성하므로 받은 만큼을 읽을 수 있는 텍스트로 바꿔 미리보기
+    let raw = '';
     try {
-      const res = await fetch('http://localhost:8000/api/generate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ text, documentType }),
-      });
+      const { promise, cancel } = streamGenerateDocument(
+        requestBody,
+        {
+          onStart: (meta) => {
+            setCorrections(meta.corrections || []);
+            setRedactions(meta.redactions || []);
+          },
+          onChunk: (chunk) => {
+            raw += chunk;
+            setStreamPreview(renderPartialJson(raw));
+          },
+        }
+      );
+      cancelGenerationRef.current = cancel;
 
-      const data = await res.json();
-      if (!res.ok) {
-        throw new Error(data?.error || '문서 생성 요청 실패');
-      }
+      const { content: generatedText, document } = await promise;
+      // 초기 편집 텍스트 설정
+      updateDraft({ generatedDocument: generatedText, editedDocument: generatedText, structuredDocument: document });
 
-      const generatedText = data?.content || '';
-      setGeneratedDocument(generatedText);
-      setEditedDocument(generatedText); // 초기 편집 텍스트 설정
+      const generated = {
+        documentType,
+        templateId: selectedTemplate?.id,
+        generatedContent: generatedText,
+        editedContent: generatedText,
+        structured: document,
+      };
+      if (previous) {
+        const updated = await updateDocument(previous.sessionId, previous.id, { ...generated, revisionAction: 'generated' });
+        updateDraft({ currentDocument: updated });
+        setRevisionVersion((v) => v + 1);
+        setSaveStatus('저장됨');
+      } else if (recording?.synced) {
+        const created = await createDocument(recording.id, { ...generated, sourceSessionIds });
+        updateDraft({ currentDocument: created });
+        setSaveStatus('저장됨');
+      }
     } catch (error) {
+      if (error?.name === 'AbortError') {
+        // 취소 시 지금까지 받은 내용은 그대로 두고 사용자가 편집/저장할 수 있게 함
+        updateDraft({ editedDocument: renderPartialJson(raw) });
+        setError('문서 생성이 취소되었습니다.');
+        return;
+      }
+      if (isNetworkError(error)) {
+        // 연결되면 대기열이 다시 보내고, 결과는 대기열 목록에서 열 수 있음
+        enqueueGeneration({
+          body: requestBody,
+          label: `${documentType} · ${combined ? `녹음 ${recordings.length}개` : recording?.timestamp || '입력한 텍스트'}`,
+          recordingId: recording?.synced ? recording.id : null,
+          sourceSessionIds: combined ? recordings.map((r) => r.id) : undefined,
+          documentType,
+          templateId: selectedTemplate?.id,
+        });
+        setError('서버에 연결할 수 없어 생성 요청을 대기열에 넣었습니다. 연결되면 자동으로 생성합니다.');
+        return;
+      }
       console.error('문서 생성 오류:', error);
-      const msg = error?.message || '알 수 없는 오류';
-      setError('문서 생성 중 오류가 발생했습니다: ' + msg);
-      setGeneratedDocument('');
-      setEditedDocument('');
+      showRequestError(error, '문서 생성');
+      resetDraft();
     } finally {
+      cancelGenerationRef.current = null;
+      setStreamPreview(null);
       setIsGenerating(false);
     }
   };
 
-  const sendSMS = async () => {
-    if (!editedDocument) {
-      setError('전송할 문서가 없습니다.');
-      return;
+  const cancelGeneration = () => {
+    cancelGenerationRef.current?.();
+  };
+
+  /**
+   * 현재 편집본을 수정 요청에 따라 다듬습니다. 이전 상태는 되돌리기 단계로 보관합니다.
+   * 저장된 문서면 다듬은 결과를 리비전('refined')으로 저장합니다. (저장하지 않은 편집이 있으면 그 전에 'edited'로 저장)
+   * @param {string} instruction - 수정 요청 (예: '더 간결하게')
+   */
+  const applyRefinement = async (instruction) => {
+    if (!editedDocument) return;
+    setIsRefining(true);
+    setError('');
+    try {
+      const { content, document, redactions: masked } = await refineDocument({
+        content: editedDocument,
+        instruction,
+        structured: structuredDocument,
+      });
+      setRedactions(masked || []);
+      updateDraft({
+        refinementSteps: [...refinementSteps, { instruction, previous: { editedDocument, structuredDocument } }],
+        editedDocument: content,
+        structuredDocument: document,
+      });
+      setSaveStatus('');
+      if (currentDocument) {
+        const { sessionId, id } = currentDocument;
+        if (editedDocument !== currentDocument.editedContent) {
+          await updateDocument(sessionId, id, { editedContent: editedDocument, structured: structuredDocument });
+        }
+        const saved = await updateDocument(sessionId, id, { editedContent: content, structured: document, revisionAction: 'refined' });
+        updateDraft({ currentDocument: saved });
+        setRevisionVersion((v) => v + 1);
+        setSaveStatus('저장됨');
+      }
+    } catch (error) {
+      console.error('문서 다듬기 오류:', error);
+      showRequestError(error, '문서 다듬기');
+    } finally {
+      setIsRefining(false);
     }
-    
-    if (!phoneNumber) {
-      setError('전화번호를 입력해주세요.');
+  };
+
+  /**
+   * 대기열에서 완료된 생성 결과를 편집 영역으로 불러옵니다.
+   * @param {object} item - 대기열 항목 (status 'done')
+   */
+  const openQueuedResult = (item) => {
+    const { content, document, savedDocument } = item.result;
+    updateDraft({
+      generatedDocument: content,
+      editedDocument: content,
+      structuredDocument: document,
+      editMode: 'sections',
+      refinementSteps: [],
+      currentDocument: savedDocument,
+    });
+    setSaveStatus(savedDocument ? '저장됨' : '');
+    setError('');
+  };
+
+  /**
+   * 리비전 기록에서 되돌린 문서를 편집 영역에 반영합니다.
+   * @param {object} document - 복원된 문서
+   */
+  const applyRestoredDocument = (document) => {
+    updateDraft({
+      currentDocument: document,
+      editedDocument: document.editedContent,
+      structuredDocument: document.structured || null,
+      editMode: 'sections',
+      refinementSteps: [],
+    });
+    setRevisionVersion((v) => v + 1);
+    setSaveStatus('복원됨');
+  };
+
+  /**
+   * 마지막 다듬기 단계를 되돌립니다.
+   */
+  const undoRefinement = () => {
+    const last = refinementSteps[refinementSteps.length - 1];
+    if (!last) return;
+    updateDraft({
+      refinementSteps: refinementSteps.slice(0, -1),
+      editedDocument: last.previous.editedDocument,
+      structuredDocument: last.previous.structuredDocument,
+    });
+    setSaveStatus('');
+  };
+
+  /**
+   * 편집한 문서를 서버에 저장합니다.
+   */
+  const saveDocument = async () => {
+    const recording = selectedRecordings[0] || latestRecording;
+    setError('');
+    try {
+      const saved = await persistDocument(recording, {
+        editedContent: editedDocument,
+        structured: structuredDocument,
+      });
+      if (!saved) {
+        setError('녹음 기록이 아직 서버에 저장되지 않아 문서를 저장할 수 없습니다.');
+        return;
+      }
+      setSaveStatus('저장됨');
+    } catch (error) {
+      console.error('문서 저장 오류:', error);
+      setError('문서 저장 중 오류가 발생했습니다: ' + error.message);
+    }
+  };
+
+  /**
+   * 저장된 문서를 편집 영역으로 불러옵니다.
+   * @param {object} document - 서버 문서
+   */
+  const openDocument = (document) => {
+    if (document.templateId) updateSettings({ templateId: document.templateId });
+    updateDraft({
+      currentDocument: document,
+      generatedDocument: document.generatedContent,
+      editedDocument: document.editedContent,
+      structuredDocument: document.structured || null,
+      editMode: 'sections',
+      refinementSteps: [],
+    });
+    setSaveStatus('저장됨');
+  };
+
+  /**
+   * 녹음 기록에 저장된 가장 최근 문서를 편집 영역으로 불러옵니다.
+   * @param {object} recording - 녹음 기록
+   */
+  const loadLatestDocument = async (recording) => {
+    if (!recording.synced) return;
+    try {
+      const [latest] = await listDocuments(recording.id);
+      if (latest) openDocument(latest);
+    } catch (error) {
+      console.error('문서 불러오기 오류:', error);
+    }
+  };
+
+  /**
+   * 검색 결과를 엽니다. 녹음이면 그 녹음만 선택해 최근 문서를 불러오고,
+   * 문서면 문서를 만든 녹음들을 통합 순서대로 선택한 뒤 그 문서를 불러옵니다.
+   * @param {object} result - 검색 결과 항목 (services/searchApi)
+   */
+  const openSearchResult = async (result) => {
+    const recording = recordingHistory.find((r) => r.id === result.sessionId);
+    if (!recording) {
+      setError('검색한 녹음이 녹음 기록에 없습니다. 녹음 기록을 새로고침해 주세요.');
       return;
     }
-    
     setError('');
-    
+    setSaveStatus('');
+    updateDraft({ currentDocument: null });
+    if (result.type === 'session') {
+      setSelectedRecordingIds([recording.id]);
+      loadLatestDocument(recording);
+      return;
+    }
     try {
-      const isAvailable = await SMS.isAvailableAsync();
-      if (isAvailable) {
-        const { result } = await SMS.sendSMSAsync(phoneNumber, editedDocument);
-        if (result === 'sent' || result === 'cancelled') {
-          console.log('SMS 결과:', result);
-        }
-      } else {
-        setError('이 기기에서는 SMS를 사용할 수 없습니다.');
-      }
+      const document = await getDocument(result.sessionId, result.id);
+      const sourceIds = (document.sourceSessionIds || [document.sessionId]).filter((id) =>
+        recordingHistory.some((r) => r.id === id),
+      );
+      setSelectedRecordingIds(sourceIds.length > 0 ? sourceIds : [recording.id]);
+      openDocument(document);
     } catch (error) {
-      console.error('SMS 전송 오류:', error);
-      setError('SMS 전송 중 오류가 발생했습니다: ' + error.message);
+      console.error('문서 불러오기 오류:', error);
+      setError('문서를 불러오지 못했습니다: ' + error.message);
     }
   };
 
-  const selectRecordingForDocument = (recording) => {
-    setSelectedRecording(recording);
-    generateDocument(recording.text);
+  /**
+   * 녹음 기록 선택/해제 (여러 개 선택 가능, 선택한 순서가 통합 순서)
+   * 하나만 선택되면 그 녹음에 저장된 최근 문서를 불러옵니다.
+   * @param {object} recording - 선택한 녹음 기록
+   */
+  const toggleRecording = (recording) => {
+    const selected = selectedRecordings.some((r) => r.id === recording.id);
+    const next = selected
+      ? selectedRecordings.filter((r) => r.id !== recording.id)
+      : [...selectedRecordings, recording];
+    setSelectedRecordingIds(next.map((r) => r.id));
+    setSaveStatus('');
+    updateDraft({ currentDocument: null });
+    if (next.length === 1) loadLatestDocument(next[0]);
+  };
+
+  /**
+   * 통합 순서에서 녹음을 앞/뒤로 옮깁니다.
+   * @param {number} index - 현재 위치
+   * @param {number} delta - -1(앞으로) 또는 1(뒤로)
+   */
+  const moveRecording = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= selectedRecordings.length) return;
+    const next = [...selectedRecordings];
+    [next[index], next[target]] = [next[target], next[index]];
+    setSelectedRecordingIds(next.map((r) => r.id));
   };
 
   return (
     <View style={styles.container}>
       <Text style={styles.title}>문서 생성기</Text>
+
+      <SearchPanel templates={templates} onOpen={openSearchResult} disabled={isGenerating} />
       
       {recordingHistory.length > 0 && (
         <View style={styles.recordingsContainer}>
-          <Text style={styles.subtitle}>저장된 녹음 기록에서 선택:</Text>
+          <Text style={styles.subtitle}>저장된 녹음 기록에서 선택 (여러 개 선택 시 하나의 문서로 통합):</Text>
           <ScrollView horizontal style={styles.recordingsScroll}>
-            {recordingHistory.map((recording) => (
-              <TouchableOpacity 
-                key={recording.id} 
-                style={[
-                  styles.recordingItem, 
-                  selectedRecording?.id === recording.id && styles.selectedRecording
-                ]}
-                onPress={() => selectRecordingForDocument(recording)}
-              >
-                <Text style={styles.recordingTime}>{recording.timestamp}</Text>
-                <Text style={styles.recordingPreview}>
-                  {recording.text.length > 30 
-                    ? recording.text.substring(0, 30) + '...' 
-                    : recording.text}
-                </Text>
-              </TouchableOpacity>
-            ))}
+            {recordingHistory.map((recording) => {
+              const order = selectedRecordings.findIndex((r) => r.id === recording.id);
+              return (
+                <TouchableOpacity 
+                  key={recording.id} 
+                  style={[
+                    styles.recordingItem, 
+                    order !== -1 && styles.selectedRecording
+                  ]}
+                  onPress={() => toggleRecording(recording)}
+                  disabled={isGenerating}
+                >
+                  <Text style={styles.recordingTime}>
+                    {order !== -1 && isCombining ? `${order + 1}. ` : ''}
+                    {recording.timestamp}
+                  </Text>
+                  <Text style={styles.recordingPreview}>
+                    {recording.text.length > 30 
+                      ? recording.text.substring(0, 30) + '...' 
+                      : recording.text}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
           </ScrollView>
+          {isCombining ? (
+            <View style={styles.combineList}>
+              <Text style={styles.subtitle}>통합 순서:</Text>
+              {selectedRecordings.map((recording, index) => (
+                <View key={recording.id} style={styles.combineItem}>
+                  <Text style={styles.combineItemText} numberOfLines={1}>
+                    {`세션 ${index + 1} · ${recording.timestamp}`}
+                  </Text>
+                  <Button title="▲" onPress={() => moveRecording(index, -1)} disabled={index === 0 || isGenerating} />
+                  <Button
+                    title="▼"
+                    onPress={() => moveRecording(index, 1)}
+                    disabled={index === selectedRecordings.length - 1 || isGenerating}
+                  />
+                </View>
+              ))}
+            </View>
+          ) : null}
         </View>
       )}
       
+      <View style={styles.templatesContainer}>
+        <Text style={styles.subtitle}>문서 템플릿:</Text>
+        <ScrollView horizontal>
+          {templates.map((template) => (
+            <TouchableOpacity
+              key={template.id}
+              style={[styles.templateChip, templateId === template.id && styles.selectedTemplateChip]}
+              onPress={() => updateSettings({ templateId: template.id })}
+              disabled={isGenerating}
+            >
+              <Text style={styles.templateChipText}>{template.name}</Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+        {selectedTemplate ? (
+          <Text style={styles.templateInfo}>
+            {selectedTemplate.sections.join(' · ')}
+            {selectedTemplate.tone ? ` | ${selectedTemplate.tone}` : ''}
+            {selectedTemplate.maxLength ? ` | ${selectedTemplate.maxLength}자 이내` : ''}
+          </Text>
+        ) : null}
+      </View>
+
       <View style={styles.inputContainer}>
-        <TextInput
-          value={documentType}
-          onChangeText={setDocumentType}
-          placeholder="문서 유형 (예: 보고서, 메모)"
-          style={styles.input}
-        />
         <Button 
-          title={isGenerating ? "생성 중..." : "문서 생성"} 
+          title={
+            isGenerating
+              ? "생성 중..."
+              : isCombining
+                ? `${selectedRecordings.length}개 녹음 통합 문서 생성`
+                : "문서 생성"
+          } 
           onPress={() => generateDocument()}
-          disabled={isGenerating || (!transcribedText && !selectedRecording)}
+          disabled={isGenerating || (!transcribedText && selectedRecordings.length === 0)}
         />
+        {isGenerating ? (
+          <View style={styles.cancelButton}>
+            <Button title="생성 취소" color="#ff4d4f" onPress={cancelGeneration} />
+          </View>
+        ) : null}
       </View>
       
-      <TextInput
-        multiline
-        value={editedDocument}
-        onChangeText={setEditedDocument}
-        placeholder="여기에 생성된 문서가 표시됩니다."
-        style={styles.documentInput}
-      />
-      
-      <View style={styles.inputContainer}>
+      <GenerationQueuePanel onOpen={openQueuedResult} />
+
+      {corrections.length > 0 ? (
+        <Text style={styles.correctionNote}>
+          {`용어집 교정 ${corrections.length}건 적용: `}
+          {[...new Set(corrections.map((c) => `${c.original} → ${c.replacement}`))].join(', ')}
+        </Text>
+      ) : null}
+
+      <RedactionReport redactions={redactions} />
+
+      {structuredDocument ? (
+        <View style={styles.editModeRow}>
+          <Button
+            title={editMode === 'sections' ? '전체 텍스트로 편집' : '구획별 편집'}
+            onPress={() => updateDraft({ editMode: editMode === 'sections' ? 'text' : 'sections' })}
+          />
+        </View>
+      ) : null}
+
+      {structuredDocument && editMode === 'sections' ? (
+        <StructuredDocumentEditor
+          document={structuredDocument}
+          editable={!isGenerating && !isRefining}
+          onChange={(document) => {
+            updateDraft({ structuredDocument: document, editedDocument: renderStructuredDocument(document) });
+            setSaveStatus('');
+          }}
+        />
+      ) : (
         <TextInput
-          value={phoneNumber}
-          onChangeText={setPhoneNumber}
-          placeholder="전화번호 입력"
-          keyboardType="phone-pad"
-          style={styles.input}
+          multiline
+          editable={!isGenerating && !isRefining}
+          value={streamPreview ?? editedDocument}
+          onChangeText={(value) => {
+            // 텍스트를 직접 고치면 구조와 맞지 않으므로 구조화 문서는 버림
+            updateDraft({ editedDocument: value, structuredDocument: null });
+            setSaveStatus('');
+          }}
+          placeholder="여기에 생성된 문서가 표시됩니다."
+          style={styles.documentInput}
         />
-        <Button 
-          title="SMS 전송" 
-          onPress={sendSMS}
-          disabled={!editedDocument || !phoneNumber}
+      )}
+
+      {editedDocument && !isGenerating ? (
+        <RefinementPanel
+          onRefine={applyRefinement}
+          onUndo={undoRefinement}
+          steps={refinementSteps}
+          isRefining={isRefining}
+        />
+      ) : null}
+
+      <View style={styles.saveRow}>
+        {saveStatus ? <Text style={styles.saveStatus}>{saveStatus}</Text> : null}
+        <Button
+          title="문서 저장"
+          onPress={saveDocument}
+          disabled={!editedDocument || isGenerating || isRefining}
         />
       </View>
+
+      {currentDocument ? (
+        <ReviewPanel
+          document={currentDocument}
+          canSubmit={editedDocument === currentDocument.editedContent}
+          refreshKey={reviewVersion}
+          onChanged={(document) => updateDraft({ currentDocument: document })}
+          onVariantsLoaded={setVariants}
+          onError={setError}
+          disabled={isGenerating || isRefining}
+        />
+      ) : null}
+
+      {currentDocument ? (
+        <RevisionHistoryPanel
+          sessionId={currentDocument.sessionId}
+          documentId={currentDocument.id}
+          refreshKey={revisionVersion}
+          onRestored={applyRestoredDocument}
+          onError={setError}
+          disabled={isGenerating || isRefining}
+        />
+      ) : null}
+
+      <TranslationPanel
+        content={editedDocument}
+        structured={structuredDocument}
+        onError={setError}
+        disabled={isGenerating || isRefining}
+      />
+
+      <ExportPanel
+        content={editedDocument}
+        structured={structuredDocument}
+        translations={translations}
+        onError={setError}
+        disabled={isGenerating || isRefining}
+      />
+
+      {currentDocument ? (
+        <PublishPanel
+          documentId={currentDocument.id}
+          blockedReason={publishBlockedReason}
+          onPublished={setPublication}
+          onError={setError}
+          disabled={isGenerating || isRefining}
+        />
+      ) : null}
+
+      {currentDocument || checklistSessionIds.length > 0 ? (
+        <ActionItemsPanel
+          documentId={currentDocument?.id}
+          sessionIds={checklistSessionIds}
+          hint={
+            currentDocument && editedDocument !== currentDocument.editedContent
+              ? '저장된 문서 내용에서 추출합니다. 고친 내용을 반영하려면 먼저 저장하세요.'
+              : ''
+          }
+          onError={setError}
+          disabled={isGenerating || isRefining}
+        />
+      ) : null}
+      
+      <SmsSendPanel
+        message={editedDocument}
+        documentId={currentDocument?.id}
+        blockedReason={sendBlockedReason}
+        link={currentDocument && publication?.documentId === currentDocument.id ? publication : null}
+        translations={translations}
+        variants={currentDocument ? variants.filter((v) => v.documentId === currentDocument.id) : []}
+        onError={setError}
+        onScheduled={() => setScheduleVersion((v) => v + 1)}
+        onSent={() => setReviewVersion((v) => v + 1)}
+        onVariantsChanged={() => setReviewVersion((v) => v + 1)}
+        disabled={isGenerating || isRefining}
+      />
+      <ScheduledJobsPanel refreshKey={scheduleVersion} onError={setError} />
       
       {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      {needsApiKey ? <ApiKeyInput onSaved={handleApiKeySaved} /> : null}
     </View>
   );
 };
@@ -197,6 +759,19 @@ const styles = StyleSheet.create({
     backgroundColor: '#bae7ff',
     borderColor: '#1890ff',
   },
+  combineList: {
+    marginTop: 8,
+  },
+  combineItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  combineItemText: {
+    flex: 1,
+    fontSize: 12,
+    color: '#333',
+  },
   recordingTime: {
     fontSize: 10,
     color: '#666',
@@ -205,19 +780,41 @@ const styles = StyleSheet.create({
   recordingPreview: {
     fontSize: 12,
   },
+  templatesContainer: {
+    marginBottom: 16,
+  },
+  templateChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#d9d9d9',
+    backgroundColor: '#fff',
+    marginRight: 8,
+  },
+  selectedTemplateChip: {
+    backgroundColor: '#bae7ff',
+    borderColor: '#1890ff',
+  },
+  templateChipText: {
+    fontSize: 13,
+  },
+  templateInfo: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 6,
+  },
   inputContainer: {
     flexDirection: 'row',
     alignItems: 'center',
     marginBottom: 16,
   },
-  input: {
-    flex: 1,
-    borderWidth: 1,
-    borderColor: '#ddd',
-    borderRadius: 4,
-    padding: 8,
-    marginRight: 8,
-    backgroundColor: '#fff',
+  editModeRow: {
+    alignItems: 'flex-end',
+    marginBottom: 8,
+  },
+  cancelButton: {
+    marginLeft: 8,
   },
   documentInput: {
     height: 200,
@@ -229,6 +826,23 @@ const styles = StyleSheet.create({
     backgroundColor: '#fff',
     textAlignVertical: 'top',
   },
+  saveRow: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: -8,
+    marginBottom: 16,
+  },
+  saveStatus: {
+    fontSize: 12,
+    color: '#52c41a',
+    marginRight: 8,
+  },
+  correctionNote: {
+    fontSize: 12,
+    color: '#ad8b00',
+    marginBottom: 8,
+  },
   errorText: {
     color: 'red',
     marginTop: 8,
@@ -0,0 +1,165 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import { EXPORT_FORMATS, exportDocument } from '../services/exportApi';
+import { SOURCE_LANGUAGE, languageLabel } from '../services/translateApi';
+import { useAppStore } from '../store/appStore';
+
+/**
+ * @description 문서를 파일(Word/PDF/Markdown/텍스트)로 받는 패널. 레터헤드(기관명·날짜·서명)는 앱 저장소에 남습니다.
+ * 번역본이 있으면 받을 언어를 고를 수 있습니다. PDF는 한국어 글꼴만 쓰므로 원문만 받을 수 있습니다.
+ * @param {{
+ *   content: string,
+ *   structured?: object | null,
+ *   translations?: Record<string, { content: string, structured: object | null }>,
+ *   onError: (message: string) => void,
+ *   disabled?: boolean,
+ * }} props
+ * @returns {JSX.Element}
+ */
+const ExportPanel = ({ content, structured, translations = {}, onError, disabled = false }) => {
+  const letterhead = useAppStore((state) => state.settings.letterhead);
+  const updateSettings = useAppStore((state) => state.updateSettings);
+  const [exporting, setExporting] = useState(null); // 받는 중인 형식 ID
+  const [notice, setNotice] = useState('');
+  const [language, setLanguage] = useState(SOURCE_LANGUAGE.code);
+
+  // 고른 언어의 번역본이 지워졌으면 원문으로
+  const activeLanguage = translations[language] ? language : SOURCE_LANGUAGE.code;
+  const version = translations[activeLanguage] || { content, structured };
+  const languages = [SOURCE_LANGUAGE.code, ...Object.keys(translations)];
+  const translated = activeLanguage !== SOURCE_LANGUAGE.code;
+
+  const setField = (field, value) => updateSettings({ letterhead: { ...letterhead, [field]: value } });
+
+  const download = async (format) => {
+    setExporting(format.id);
+    setNotice('');
+    onError('');
+    try {
+      const saved = await exportDocument({
+        format: format.id,
+        content: version.content,
+        structured: version.structured,
+        // 날짜를 비워 두면 서버가 오늘 날짜를 넣음
+        letterhead: { orgName: letterhead.orgName, signer: letterhead.signer, ...(letterhead.date.trim() ? { date: letterhead.date } : {}) },
+      });
+      setNotice(`저장됨: ${saved}`);
+    } catch (error) {
+      console.error('문서 내보내기 오류:', error);
+      onError(`${format.label} 파일 만들기 중 오류가 발생했습니다: ` + error.message);
+    } finally {
+      setExporting(null);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>파일로 받기:</Text>
+      {languages.length > 1 ? (
+        <View style={styles.buttons}>
+          {languages.map((code) => (
+            <TouchableOpacity
+              key={code}
+              style={[styles.chip, activeLanguage === code && styles.selectedChip]}
+              onPress={() => setLanguage(code)}
+            >
+              <Text style={styles.chipText}>{languageLabel(code)}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      ) : null}
+      <View style={styles.row}>
+        <TextInput
+          value={letterhead.orgName}
+          onChangeText={(value) => setField('orgName', value)}
+          placeholder="기관명 (예: 한빛초등학교)"
+          style={styles.input}
+        />
+        <TextInput
+          value={letterhead.date}
+          onChangeText={(value) => setField('date', value)}
+          placeholder="날짜 (비우면 오늘)"
+          style={styles.input}
+        />
+      </View>
+      <TextInput
+        value={letterhead.signer}
+        onChangeText={(value) => setField('signer', value)}
+        placeholder="서명 (예: 교장 김한빛)"
+        style={[styles.input, styles.signerInput]}
+      />
+      <View style={styles.buttons}>
+        {EXPORT_FORMATS.map((format) => (
+          <View key={format.id} style={styles.button}>
+            <Button
+              title={exporting === format.id ? '만드는 중...' : format.label}
+              onPress={() => download(format)}
+              disabled={disabled || !version.content || Boolean(exporting) || (translated && format.koreanOnly)}
+            />
+          </View>
+        ))}
+      </View>
+      {translated ? <Text style={styles.hint}>PDF는 한국어 글꼴만 지원해 번역본은 Word·Markdown·텍스트로 받을 수 있습니다.</Text> : null}
+      {notice ? <Text style={styles.notice}>{notice}</Text> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    backgroundColor: '#fff',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  signerInput: {
+    flex: 0,
+  },
+  buttons: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  button: {
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: '#eee',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: '#bae0ff',
+  },
+  chipText: {
+    fontSize: 12,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 6,
+  },
+  notice: {
+    fontSize: 12,
+    color: '#389e0d',
+  },
+});
+
+export default ExportPanel;
@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import {
+  getQueue,
+  subscribeQueue,
+  startGenerationQueue,
+  retryQueued,
+  removeQueued,
+} from '../services/generationQueue';
+
+const STATUS_LABELS = {
+  queued: '연결 대기',
+  sending: '생성 중',
+  done: '완료',
+  failed: '실패',
+};
+
+/**
+ * @description 오프라인 생성 대기열. 연결되면 자동으로 생성하며, 완료된 결과는 열어서 편집할 수 있습니다.
+ * @param {{ onOpen: (item: object) => void }} props - 완료된 항목을 열 때 호출 (항목은 대기열에서 제거됨)
+ * @returns {JSX.Element | null}
+ */
+const GenerationQueuePanel = ({ onOpen }) => {
+  const [items, setItems] = useState(getQueue());
+  const [, setNow] = useState(Date.now()); // 다음 시도까지 남은 시간 표시 갱신용
+
+  useEffect(() => {
+    const unsubscribe = subscribeQueue(setItems);
+    const stop = startGenerationQueue();
+    const ticker = setInterval(() => setNow(Date.now()), 5000);
+    return () => {
+      unsubscribe();
+      stop();
+      clearInterval(ticker);
+    };
+  }, []);
+
+  if (items.length === 0) return null;
+
+  const open = (item) => {
+    onOpen(item);
+    removeQueued(item.id);
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{`생성 대기열 (${items.length})`}</Text>
+      {items.map((item) => (
+        <View key={item.id} style={styles.item}>
+          <View style={styles.itemText}>
+            <Text style={styles.label} numberOfLines={1}>
+              {item.label}
+            </Text>
+            <Text style={[styles.status, item.status === 'failed' && styles.failed]}>
+              {STATUS_LABELS[item.status] || item.status}
+              {item.attempts > 0 && item.status !== 'done' ? ` · ${item.attempts}회 시도` : ''}
+              {item.status === 'queued' && item.nextAttemptAt > Date.now()
+                ? ` · ${Math.ceil((item.nextAttemptAt - Date.now()) / 1000)}초 후 다시 시도`
+                : ''}
+              {item.lastError && item.status !== 'done' ? ` · ${item.lastError}` : ''}
+              {item.status === 'done' && item.result?.savedDocument ? ' · 서버에 저장됨' : ''}
+            </Text>
+          </View>
+          {item.status === 'done' ? (
+            <TouchableOpacity onPress={() => open(item)}>
+              <Text style={styles.action}>열기</Text>
+            </TouchableOpacity>
+          ) : null}
+          {item.status === 'queued' || item.status === 'failed' ? (
+            <TouchableOpacity onPress={() => retryQueued(item.id)}>
+              <Text style={styles.action}>지금 시도</Text>
+            </TouchableOpacity>
+          ) : null}
+          {item.status !== 'sending' ? (
+            <TouchableOpacity onPress={() => removeQueued(item.id)}>
+              <Text style={[styles.action, styles.delete]}>삭제</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 8,
+    borderRadius: 4,
+    backgroundColor: '#e6f7ff',
+    borderWidth: 1,
+    borderColor: '#91d5ff',
+    marginBottom: 12,
+  },
+  title: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 4,
+  },
+  itemText: {
+    flex: 1,
+  },
+  label: {
+    fontSize: 13,
+    color: '#333',
+  },
+  status: {
+    fontSize: 11,
+    color: '#666',
+  },
+  failed: {
+    color: '#fa541c',
+  },
+  action: {
+    fontSize: 12,
+    color: '#1890ff',
+    marginLeft: 8,
+  },
+  delete: {
+    color: '#fa541c',
+  },
+});
+
+export default GenerationQueuePanel;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import { listGlossary, createGlossaryEntry, updateGlossaryEntry, deleteGlossaryEntry } from '../services/glossaryApi';
+
+const EMPTY_FORM = { id: null, term: '', variants: '', aliases: '', description: '' };
+
+/** 쉼표/줄바꿈으로 구분된 입력을 목록으로 바꿉니다. */
+const splitList = (value) =>
+  value
+    .split(/[,\n]/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+/**
+ * @description 용어집 관리. 정식 용어와 잘못 인식되는 표기·발음 표기를 등록하면
+ *   서버가 녹음 원문을 교정하고 문서 생성 시 표기 지침으로 사용합니다.
+ * @returns {JSX.Element}
+ */
+const GlossaryPanel = () => {
+  const [entries, setEntries] = useState([]);
+  const [form, setForm] = useState(EMPTY_FORM); // id가 있으면 수정 중
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadEntries = useCallback(async () => {
+    try {
+      setEntries(await listGlossary());
+    } catch (err) {
+      console.error('용어집 로드 오류:', err);
+      setError('용어집을 불러오지 못했습니다: ' + err.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const saveEntry = async () => {
+    if (!form.term.trim()) {
+      setError('용어를 입력해주세요.');
+      return;
+    }
+    setError('');
+    setIsSaving(true);
+    try {
+      const entry = {
+        term: form.term.trim(),
+        variants: splitList(form.variants),
+        aliases: splitList(form.aliases),
+        description: form.description.trim(),
+      };
+      if (form.id) await updateGlossaryEntry(form.id, entry);
+      else await createGlossaryEntry(entry);
+      setForm(EMPTY_FORM);
+      await loadEntries();
+    } catch (err) {
+      setError('용어 저장 중 오류가 발생했습니다: ' + err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const startEditing = (entry) =>
+    setForm({
+      id: entry.id,
+      term: entry.term,
+      variants: entry.variants.join(', '),
+      aliases: entry.aliases.join(', '),
+      description: entry.description,
+    });
+
+  const removeEntry = async (entry) => {
+    setError('');
+    try {
+      await deleteGlossaryEntry(entry.id);
+      setEntries((prev) => prev.filter((e) => e.id !== entry.id));
+      if (form.id === entry.id) setForm(EMPTY_FORM);
+    } catch (err) {
+      setError('용어 삭제 중 오류가 발생했습니다: ' + err.message);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>용어집</Text>
+      <Text style={styles.hint}>녹음 원문의 잘못된 표기를 정식 용어로 바꿉니다. 교정된 부분을 누르면 되돌릴 수 있습니다.</Text>
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+
+      <TextInput
+        value={form.term}
+        onChangeText={(term) => setForm({ ...form, term })}
+        placeholder="정식 용어 (예: 해오름초등학교)"
+        style={styles.input}
+      />
+      <TextInput
+        value={form.variants}
+        onChangeText={(variants) => setForm({ ...form, variants })}
+        placeholder="잘못 인식되는 표기 (쉼표로 구분, 예: 해 오름 초등학교)"
+        style={styles.input}
+      />
+      <TextInput
+        value={form.aliases}
+        onChangeText={(aliases) => setForm({ ...form, aliases })}
+        placeholder="발음 표기 (쉼표로 구분, 예: 에이아이)"
+        style={styles.input}
+      />
+      <TextInput
+        value={form.description}
+        onChangeText={(description) => setForm({ ...form, description })}
+        placeholder="설명 (선택)"
+        style={styles.input}
+      />
+      <View style={styles.actions}>
+        <Button title={form.id ? '용어 수정' : '용어 추가'} onPress={saveEntry} disabled={isSaving} />
+        {form.id ? (
+          <>
+            <View style={styles.spacer} />
+            <Button title="취소" onPress={() => setForm(EMPTY_FORM)} />
+          </>
+        ) : null}
+      </View>
+
+      {entries.map((entry) => (
+        <View key={entry.id} style={styles.entry}>
+          <View style={styles.entryText}>
+            <Text style={styles.term}>{entry.term}</Text>
+            {[...entry.variants, ...entry.aliases].length > 0 ? (
+              <Text style={styles.variants}>{[...entry.variants, ...entry.aliases].join(', ')}</Text>
+            ) : null}
+            {entry.description ? <Text style={styles.variants}>{entry.description}</Text> : null}
+          </View>
+          <TouchableOpacity onPress={() => startEditing(entry)}>
+            <Text style={styles.action}>수정</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => removeEntry(entry)}>
+            <Text style={[styles.action, styles.delete]}>삭제</Text>
+          </TouchableOpacity>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 8,
+  },
+  errorText: {
+    color: 'red',
+    marginBottom: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 8,
+    marginBottom: 6,
+    backgroundColor: '#fff',
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  spacer: {
+    width: 8,
+  },
+  entry: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  entryText: {
+    flex: 1,
+  },
+  term: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  variants: {
+    fontSize: 12,
+    color: '#888',
+  },
+  action: {
+    fontSize: 12,
+    color: '#1890ff',
+    marginLeft: 8,
+  },
+  delete: {
+    color: '#fa541c',
+  },
+});
+
+export default GlossaryPanel;
@@ -0,0 +1,123 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, StyleSheet } from 'react-native';
+import { VARIANT_LABELS, VARIANT_STATUS_LABELS, transitionVariant } from '../services/reviewApi';
+import { languageLabel } from '../services/translateApi';
+
+/**
+ * @description 문서의 문자 문안(요약본·번역본·링크 문자) 목록. 문안은 문서와 따로 승인을 받아야 보낼 수 있으며,
+ * 승인자에게는 검토 중인 문안의 승인·수정 요청 버튼을 보여줍니다.
+ * @param {{
+ *   documentId: string,
+ *   variants: object[],
+ *   isApprover: boolean,
+ *   onChanged: () => void,
+ *   onError: (message: string) => void,
+ *   disabled?: boolean,
+ * }} props
+ *   - onChanged: 문안을 승인하거나 수정을 요청한 뒤 호출 (목록 새로고침용)
+ * @returns {JSX.Element | null}
+ */
+const MessageVariantList = ({ documentId, variants, isApprover, onChanged, onError, disabled = false }) => {
+  const [comment, setComment] = useState('');
+  const [busyId, setBusyId] = useState(null);
+
+  if (variants.length === 0) return null;
+
+  /**
+   * @param {object} variant
+   * @param {'approve' | 'request_changes'} action
+   */
+  const transition = async (variant, action) => {
+    setBusyId(variant.id);
+    onError('');
+    try {
+      await transitionVariant(documentId, variant.id, action, comment.trim() || undefined);
+      setComment('');
+      onChanged();
+    } catch (error) {
+      onError('문안 검토 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const reviewing = isApprover && variants.some((v) => v.status === 'in_review');
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>문자 문안</Text>
+      {variants.map((variant) => (
+        <View key={variant.id} style={styles.item}>
+          <Text style={styles.meta}>
+            {`${variant.language ? `${languageLabel(variant.language)} ` : ''}${VARIANT_LABELS[variant.kind]} · ` +
+              `${VARIANT_STATUS_LABELS[variant.status]}` +
+              (variant.submittedBy ? ` · ${variant.submittedBy.name} 요청` : '') +
+              (variant.approvedBy ? ` · ${variant.approvedBy.name} 승인` : '')}
+          </Text>
+          <Text style={styles.content} numberOfLines={4}>
+            {variant.content}
+          </Text>
+          {isApprover && variant.status === 'in_review' ? (
+            <View style={styles.actions}>
+              <Button title="승인" onPress={() => transition(variant, 'approve')} disabled={disabled || busyId !== null} />
+              <Button
+                title="수정 요청"
+                onPress={() => transition(variant, 'request_changes')}
+                disabled={disabled || busyId !== null || !comment.trim()}
+              />
+            </View>
+          ) : null}
+        </View>
+      ))}
+      {reviewing ? (
+        <TextInput
+          style={styles.input}
+          value={comment}
+          onChangeText={setComment}
+          placeholder="문안 검토 의견 (수정 요청 시 필수)"
+          multiline
+        />
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 6,
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  item: {
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#666',
+  },
+  content: {
+    fontSize: 14,
+    marginTop: 2,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    marginTop: 4,
+  },
+  input: {
+    minHeight: 40,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    fontSize: 14,
+    marginTop: 6,
+  },
+});
+
+export default MessageVariantList;
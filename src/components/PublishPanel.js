@@ -0,0 +1,184 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, Button, Linking, StyleSheet } from 'react-native';
+import { listPublications, publishDocument, updatePublicationExpiry, unpublishPublication } from '../services/publicationApi';
+import { useAppStore } from '../store/appStore';
+
+const STATUS_LABELS = { live: '게시 중', expired: '만료됨', unpublished: '게시 중단' };
+
+/**
+ * @description 저장된 문서를 읽기 전용 웹 페이지로 게시하고 짧은 링크, 조회 수, 만료를 관리하는 패널.
+ * 레터헤드는 파일 내보내기와 같은 설정을 씁니다. 게시도 밖으로 내보내는 것이므로 승인된 문서만 게시할 수 있습니다.
+ * @param {{
+ *   documentId: string,
+ *   blockedReason?: string | null,
+ *   onPublished: (publication: object | null) => void,
+ *   onError: (message: string) => void,
+ *   disabled?: boolean,
+ * }} props
+ *   - blockedReason: 게시할 수 없는 이유 (저장하지 않은 편집, 승인 전), 게시할 수 있으면 null
+ *   - onPublished: 게시 중인 페이지(없으면 null)가 바뀔 때마다 호출
+ * @returns {JSX.Element}
+ */
+const PublishPanel = ({ documentId, blockedReason = null, onPublished, onError, disabled = false }) => {
+  const letterhead = useAppStore((state) => state.settings.letterhead);
+  const [publications, setPublications] = useState([]); // 최근 순
+  const [expiresAtInput, setExpiresAtInput] = useState(''); // 서울 시각 "YYYY-MM-DD HH:mm", 비우면 만료 없음
+  const [busy, setBusy] = useState(false);
+
+  const live = publications.find((p) => p.status === 'live') || null;
+
+  const applyList = (list) => {
+    setPublications(list);
+    const current = list.find((p) => p.status === 'live') || null;
+    setExpiresAtInput(current?.localExpiresAt || '');
+    onPublished(current);
+  };
+
+  const load = () =>
+    listPublications(documentId)
+      .then(applyList)
+      .catch((error) => onError('게시 기록을 불러오지 못했습니다: ' + error.message));
+
+  useEffect(() => {
+    load();
+  }, [documentId]);
+
+  /**
+   * 서버 호출 후 목록을 다시 불러옵니다.
+   * @param {() => Promise<unknown>} action
+   * @param {string} failure - 오류 메시지 앞부분
+   */
+  const run = async (action, failure) => {
+    setBusy(true);
+    onError('');
+    try {
+      await action();
+      applyList(await listPublications(documentId));
+    } catch (error) {
+      onError(`${failure}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const expiresAt = () => expiresAtInput.trim() || null;
+
+  const publish = () =>
+    run(
+      () =>
+        publishDocument({
+          documentId,
+          expiresAt: expiresAt(),
+          // 날짜를 비워 두면 서버가 오늘 날짜를 넣음
+          letterhead: { orgName: letterhead.orgName, signer: letterhead.signer, ...(letterhead.date.trim() ? { date: letterhead.date } : {}) },
+        }),
+      '문서 게시 중 오류가 발생했습니다'
+    );
+
+  const saveExpiry = () => run(() => updatePublicationExpiry(live.id, expiresAt()), '만료 시각 변경 중 오류가 발생했습니다');
+
+  const stop = (publication) => run(() => unpublishPublication(publication.id), '게시 중단 중 오류가 발생했습니다');
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>웹 페이지로 게시:</Text>
+      <View style={styles.row}>
+        <TextInput
+          value={expiresAtInput}
+          onChangeText={setExpiresAtInput}
+          placeholder="만료 (예: 2024-05-31 18:00, 비우면 없음)"
+          style={styles.input}
+        />
+        {live ? <Button title="만료 변경" onPress={saveExpiry} disabled={disabled || busy} /> : null}
+      </View>
+      <View style={styles.row}>
+        <Button
+          title={busy ? '처리 중...' : live ? '최신 내용으로 다시 게시' : '웹 페이지로 게시'}
+          onPress={publish}
+          disabled={disabled || busy || Boolean(blockedReason)}
+        />
+        <View style={styles.spacer} />
+        <Button title="새로고침" onPress={load} disabled={busy} />
+      </View>
+      {blockedReason ? <Text style={styles.hint}>{blockedReason}</Text> : null}
+
+      {publications.map((publication) => (
+        <View key={publication.id} style={styles.item}>
+          <Text style={[styles.status, publication.status === 'live' ? styles.live : styles.ended]}>
+            {`${STATUS_LABELS[publication.status]} · 조회 ${publication.views}회` +
+              (publication.localExpiresAt ? ` · ${publication.localExpiresAt} 만료` : '')}
+          </Text>
+          <Text
+            style={[styles.url, publication.status !== 'live' && styles.endedUrl]}
+            selectable
+            onPress={publication.status === 'live' ? () => Linking.openURL(publication.url) : undefined}
+          >
+            {publication.url}
+          </Text>
+          {publication.status === 'live' ? (
+            <Button title="게시 중단" onPress={() => stop(publication)} disabled={disabled || busy} color="#cf1322" />
+          ) : null}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    backgroundColor: '#fff',
+    marginRight: 6,
+  },
+  spacer: {
+    width: 6,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 6,
+  },
+  item: {
+    padding: 8,
+    borderRadius: 4,
+    backgroundColor: '#fafafa',
+    marginBottom: 6,
+  },
+  status: {
+    fontSize: 12,
+    marginBottom: 2,
+  },
+  live: {
+    color: '#389e0d',
+  },
+  ended: {
+    color: '#888',
+  },
+  url: {
+    fontSize: 14,
+    color: '#1677ff',
+    marginBottom: 4,
+  },
+  endedUrl: {
+    color: '#aaa',
+    textDecorationLine: 'line-through',
+  },
+});
+
+export default PublishPanel;
@@ -1,215 +1,298 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, Button, Text, StyleSheet, Platform } from 'react-native';
-import Voice from '@react-native-community/voice';
+import { View, Button, Text, TouchableOpacity, StyleSheet } from 'react-native';
 import DocumentGeneratorComponent from './DocumentGeneratorComponent';
+import { listSessions, createSession, updateSession, setCorrectionReverted, toHistoryItem } from '../services/sessionApi';
+import { createSpeechEngine } from '../services/speechEngine';
+import { transcribeAudio } from '../services/transcribeApi';
+import { RECOGNITION_LANGUAGES } from '../utils/languages';
+import { pickAudioFile } from '../utils/pickAudioFile';
+import { joinSegments } from '../utils/transcriptSegments';
+import TranscriptSegmentList from './TranscriptSegmentList';
+import CorrectedText from './CorrectedText';
+import { useAppStore } from '../store/appStore';
 
 /**
  * @description Voice Recording Component for one-click recording and continuous transcription.
  * @returns {JSX.Element} Recording UI with start/stop buttons and transcribed text display.
  */
 const RecordingComponent = () => {
-  const [isRecording, setIsRecording] = useState(false);
-  const [transcribedText, setTranscribedText] = useState('');
-  const [recognition, setRecognition] = useState(null);
+  const [recordingState, setRecordingState] = useState('idle'); // 'idle' | 'listening' | 'paused'
   const [errorMessage, setErrorMessage] = useState('');
-  const [recordingHistory, setRecordingHistory] = useState([]);
-  const lastFinalIndexRef = useRef(0); // 웹 onresult에서 처리한 마지막 final 인덱스
+  const [isUploading, setIsUploading] = useState(false);
+  const [interimText, setInterimText] = useState(''); // 확정 전 임시 결과 (자주 바뀌므로 화면에만 두고 저장하지 않음)
+  // 녹음 기록·변환된 텍스트·언어는 앱 저장소에 보관되어 새로고침 후에도 남음 (store/appStore)
+  const recordingHistory = useAppStore((state) => state.sessions);
+  const activeSessionId = useAppStore((state) => state.activeSessionId);
+  const transcribedText = useAppStore((state) => state.transcribedText);
+  const language = useAppStore((state) => state.settings.language);
+  const { addSession, patchSession, replaceSession, removeSession, setActiveSessionId, setTranscribedText, updateSettings } =
+    useAppStore.getState();
+  const engineRef = useRef(null); // 음성 인식 엔진 (services/speechEngine)
   const accumulatedFinalRef = useRef(''); // 최종 확정된 텍스트 누적
-  const currentSessionIdRef = useRef(null); // 진행 중 세션 ID
+  const sessionStartedAtRef = useRef(null); // 진행 중 세션 시작 시각 (ISO)
+  const segmentsRef = useRef([]); // 진행 중 세션의 구간 [{ id, text, startMs, endMs, confidence }]
 
+  /**
+   * 서버에 저장된 녹음 기록을 불러옵니다. (문서 생성 시 서버가 용어집 교정을 적용하면 다시 불러옴)
+   */
+  const loadSessions = () =>
+    listSessions()
+      .then((sessions) => {
+        useAppStore.getState().replaceSyncedSessions(sessions.slice().reverse().map(toHistoryItem)); // 오래된 순으로 표시
+      })
+      .catch((err) => {
+        console.log('녹음 기록 불러오기 실패:', err);
+        setErrorMessage('저장된 녹음 기록을 불러오지 못했습니다: ' + err.message);
+      });
+
+  /**
+   * 로컬 세션을 서버에 저장하고 기록을 서버 세션으로 바꿉니다. 내용이 없으면 기록에서 지웁니다.
+   * @param {object} item - 저장되지 않은 녹음 기록 (synced=false)
+   * @returns {Promise<boolean>} 저장했거나 지웠으면 true
+   */
+  const saveLocalSession = async (item) => {
+    // 확정된 구간만 저장 (받아쓰던 중 꺼졌으면 마지막 임시 결과는 버림)
+    const transcript = (item.segments?.length ? joinSegments(item.segments) : item.text).trim();
+    if (!transcript) {
+      removeSession(item.id);
+      return true;
+    }
+    try {
+      const saved = await createSession({
+        timestamp: item.startedAt,
+        transcript,
+        language: item.language,
+        segments: item.segments,
+      });
+      replaceSession(item.id, toHistoryItem(saved));
+      return true;
+    } catch (err) {
+      console.log('녹음 기록 저장 실패:', err);
+      setErrorMessage('녹음 기록을 서버에 저장하지 못했습니다: ' + err.message);
+      return false;
+    }
+  };
+
+  // 지난 실행에서 저장하지 못한 녹음(받아쓰던 중 닫힌 세션 포함)을 먼저 저장한 뒤 서버 기록 불러오기
   useEffect(() => {
-    if (Platform.OS === 'web') {
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      if (SpeechRecognition) {
-        const recog = new SpeechRecognition();
-        recog.continuous = true;
-        recog.interimResults = true;
-        recog.lang = 'ko-KR'; // 한글 인식을 위해 변경
+    const restore = async () => {
+      setActiveSessionId(null);
+      for (const item of useAppStore.getState().sessions.filter((s) => !s.synced)) {
+        if (!(await saveLocalSession(item))) break; // 서버에 닿지 않으면 다음 실행 때 다시 시도
+      }
+      await loadSessions();
+    };
+    restore();
+  }, []);
 
-        recog.onstart = () => {
-          setIsRecording(true);
-          lastFinalIndexRef.current = 0;
-          accumulatedFinalRef.current = '';
-          setTranscribedText('');
-          // 새 세션을 기록에 추가
-          const newId = Date.now();
-          currentSessionIdRef.current = newId;
-          setRecordingHistory((prev) => [
-            ...prev,
-            {
-              id: newId,
-              text: '',
-              timestamp: new Date().toLocaleString(),
-            },
-          ]);
-        };
-        recog.onend = () => {
-          setIsRecording(false);
-          // 세션 종료
-          currentSessionIdRef.current = null;
-        };
-        recog.onerror = (e) => {
-          console.log('Web Speech Error: ', e.error);
-          setErrorMessage('음성 인식 오류: ' + e.error);
-        };
-        recog.onresult = (e) => {
-          // Web Speech API에서는 interim(임시)과 final(최종) 결과가 섞여 들어옵니다.
-          // 이전에 처리한 최종 인덱스 이후의 최종 결과만 누적하여 중복을 방지합니다.
-          try {
-            let appended = '';
-            for (let i = lastFinalIndexRef.current; i < e.results.length; i++) {
-              const res = e.results[i];
-              if (res.isFinal) {
-                const chunk = res[0]?.transcript || '';
-                appended += (appended ? ' ' : '') + chunk;
-                lastFinalIndexRef.current = i + 1; // 다음 루프에서 이 인덱스 이후만 처리
-              }
-            }
-            if (appended) {
-              accumulatedFinalRef.current = accumulatedFinalRef.current
-                ? `${accumulatedFinalRef.current} ${appended}`
-                : appended;
-              console.log('누적 최종 텍스트 추가:', appended);
-            }
+  /**
+   * 새 녹음 세션을 기록에 추가합니다. (웹/네이티브 공통)
+   */
+  const beginSession = () => {
+    const newId = Date.now();
+    sessionStartedAtRef.current = new Date().toISOString();
+    segmentsRef.current = [];
+    setActiveSessionId(newId);
+    addSession({
+      id: newId,
+      text: '',
+      timestamp: new Date().toLocaleString(),
+      startedAt: sessionStartedAtRef.current,
+      language,
+      segments: [],
+      synced: false,
+    });
+  };
 
-            // 화면에는 현재까지의 최종 누적 + 최신 임시 결과를 함께 보여줘서
-            // 중지 전까지 모든 내용이 연속적으로 보이도록 처리
-            const latest = e.results[e.results.length - 1];
-            const interim = !latest.isFinal ? latest[0]?.transcript || '' : '';
-            const display = [accumulatedFinalRef.current, interim].filter(Boolean).join(' ').trim();
-            setTranscribedText(display);
-            // 진행 중 세션 기록을 실시간 업데이트
-            const sid = currentSessionIdRef.current;
-            if (sid) {
-              setRecordingHistory((prev) =>
-                prev.map((r) => (r.id === sid ? { ...r, text: display } : r))
-              );
-            }
-          } catch (err) {
-            console.log('onresult 처리 오류:', err);
-          }
-        };
+  /**
+   * 녹음 세션을 종료하고 서버에 저장합니다. 저장되면 로컬 임시 ID를 서버 ID로 교체합니다.
+   */
+  const finishSession = async () => {
+    const { activeSessionId: localId, sessions } = useAppStore.getState();
+    setActiveSessionId(null);
+    const item = sessions.find((s) => s.id === localId);
+    if (item) await saveLocalSession(item);
+  };
 
-        setRecognition(recog);
-      } else {
-        console.log('Web Speech API not supported');
-        setErrorMessage('이 브라우저는 음성 인식을 지원하지 않습니다.');
-      }
-    } else {
-      Voice.onSpeechStart = () => {
-        setIsRecording(true);
-        setTranscribedText('');
+  /**
+   * 저장된 세션의 구간을 수정/삭제합니다. 서버가 구간으로부터 원문을 다시 만듭니다.
+   * @param {object} item - 녹음 기록 항목
+   * @param {object[]} segments - 수정된 전체 구간 목록
+   */
+  const updateSegments = async (item, segments) => {
+    // 서버 응답 전에 화면부터 반영
+    patchSession(item.id, { segments, text: joinSegments(segments) });
+    if (!item.synced) return;
+    try {
+      const saved = await updateSession(item.id, { segments });
+      replaceSession(item.id, toHistoryItem(saved));
+    } catch (err) {
+      console.log('구간 수정 저장 실패:', err);
+      setErrorMessage('수정한 구간을 서버에 저장하지 못했습니다: ' + err.message);
+    }
+  };
+
+  /**
+   * 용어집 교정을 되돌리거나(원래 표현) 다시 적용합니다.
+   * @param {object} item - 녹음 기록 항목 (서버에 저장된 세션)
+   * @param {object} correction - 누른 교정
+   */
+  const toggleCorrection = async (item, correction) => {
+    try {
+      const saved = await setCorrectionReverted(item.id, correction.id, !correction.reverted);
+      replaceSession(item.id, toHistoryItem(saved));
+    } catch (err) {
+      console.log('교정 변경 실패:', err);
+      setErrorMessage('용어 교정을 변경하지 못했습니다: ' + err.message);
+    }
+  };
+
+  // 음성 인식 엔진 (웹/네이티브 공통 이벤트)
+  useEffect(() => {
+    const engine = createSpeechEngine({ lang: language });
+    if (!engine.isSupported) {
+      console.log('Web Speech API not supported');
+      setErrorMessage('이 브라우저는 음성 인식을 지원하지 않습니다.');
+      return undefined;
+    }
+
+    /**
+     * 확정된 누적 텍스트를 화면과 진행 중 세션 기록에 반영합니다. (기기 저장은 확정 결과마다 한 번)
+     */
+    const commitFinalText = () => {
+      const text = accumulatedFinalRef.current.trim();
+      setInterimText('');
+      setTranscribedText(text);
+      const sid = useAppStore.getState().activeSessionId;
+      if (sid) patchSession(sid, { text, segments: segmentsRef.current });
+    };
+
+    const unsubscribers = [
+      engine.on('start', () => {
         accumulatedFinalRef.current = '';
-        const newId = Date.now();
-        currentSessionIdRef.current = newId;
-        setRecordingHistory((prev) => [
-          ...prev,
+        setInterimText('');
+        setTranscribedText('');
+        setRecordingState('listening');
+        beginSession();
+      }),
+      engine.on('interim', ({ text }) => setInterimText(text)),
+      engine.on('final', ({ text, confidence, startedAt, endedAt }) => {
+        // 확정된 결과만 누적하여 중복을 방지하고, 결과마다 세션 시작 기준 구간으로 기록
+        accumulatedFinalRef.current = accumulatedFinalRef.current ? `${accumulatedFinalRef.current} ${text}` : text;
+        const sessionStart = Date.parse(sessionStartedAtRef.current);
+        segmentsRef.current = [
+          ...segmentsRef.current,
           {
-            id: newId,
-            text: '',
-            timestamp: new Date().toLocaleString(),
+            id: `${endedAt}-${segmentsRef.current.length}`,
+            text,
+            startMs: Math.max(0, startedAt - sessionStart),
+            endMs: Math.max(0, endedAt - sessionStart),
+            confidence,
           },
-        ]);
-      };
-      Voice.onSpeechEnd = () => {
-        setIsRecording(false);
-        currentSessionIdRef.current = null;
-      };
-      Voice.onSpeechError = (e) => {
-        console.log('Error: ', e.error);
-        setErrorMessage('음성 인식 오류: ' + e.error);
-      };
-      Voice.onSpeechPartialResults = (e) => {
-        // 부분 결과는 화면에 보여주되, 최종 결과에서만 본문에 합산하도록 옵션 처리 필요 시 확장 가능
-        // 현재는 부분 결과를 즉시 누적하여 사용성을 높임
-        if (e.value && e.value.length > 0) {
-          const chunk = e.value.join(' ');
-          setTranscribedText((prevText) => {
-            const updated = prevText ? `${prevText} ${chunk}` : chunk;
-            const sid = currentSessionIdRef.current;
-            if (sid) {
-              setRecordingHistory((prevHist) =>
-                prevHist.map((r) => (r.id === sid ? { ...r, text: updated } : r))
-              );
-            }
-            return updated;
-          });
-        }
-      };
-      Voice.onSpeechResults = (e) => {
-        // 최종 결과도 누적하여 안정적으로 반영
-        if (e.value && e.value.length > 0) {
-          const chunk = e.value.join(' ');
-          setTranscribedText((prevText) => {
-            const updated = prevText ? `${prevText} ${chunk}` : chunk;
-            console.log('최종 인식 텍스트:', chunk);
-            const sid = currentSessionIdRef.current;
-            if (sid) {
-              setRecordingHistory((prevHist) =>
-                prevHist.map((r) => (r.id === sid ? { ...r, text: updated } : r))
-              );
-            }
-            return updated;
-          });
-        }
-      };
+        ];
+        commitFinalText();
+      }),
+      engine.on('pause', () => setRecordingState('paused')),
+      engine.on('resume', () => setRecordingState('listening')),
+      engine.on('error', ({ error }) => setErrorMessage('음성 인식 오류: ' + error)),
+      engine.on('end', () => {
+        setInterimText('');
+        setRecordingState('idle');
+        // 세션 종료 및 서버 저장
+        finishSession();
+      }),
+    ];
+    engineRef.current = engine;
 
-      return () => {
-        Voice.destroy().then(Voice.removeAllListeners);
-      };
-    }
-  }, []); // 빈 배열로 한 번만 실행
+    return () => {
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
+      engine.destroy();
+      engineRef.current = null;
+    };
+  }, [language]); // 언어를 바꾸면 엔진을 새로 만듦
 
   const startRecording = async () => {
-    setTranscribedText(''); // 새 녹음 세션 시작 시 텍스트 초기화
     setErrorMessage('');
-    if (Platform.OS === 'web') {
-      if (recognition) {
-        try {
-          await navigator.mediaDevices.getUserMedia({ audio: true });
-          recognition.start();
-        } catch (error) {
-          setErrorMessage('마이크 권한이 거부되었습니다. 브라우저 설정에서 권한을 허용해주세요.');
-          console.error('Microphone permission error:', error);
-        }
-      }
-    } else {
-      Voice.start('ko-KR').catch(e => { // 한글 인식을 위해 변경
-        setErrorMessage('녹음 시작 오류: ' + e.message);
-        console.error(e);
-      });
+    try {
+      await engineRef.current?.start();
+    } catch (error) {
+      setErrorMessage('마이크 권한이 거부되었습니다. 설정에서 권한을 허용해주세요.');
+      console.error('Microphone permission error:', error);
     }
   };
 
+  const togglePause = () => {
+    if (recordingState === 'paused') engineRef.current?.resume();
+    else engineRef.current?.pause();
+  };
+
   const stopRecording = () => {
-    if (Platform.OS === 'web') {
-      if (recognition) {
-        recognition.stop();
-      }
-    } else {
-      Voice.stop().catch(e => console.error(e));
+    engineRef.current?.stop();
+  };
+
+  // 녹음 파일을 업로드해 서버에서 변환한 뒤 새 녹음 기록으로 추가
+  const uploadRecording = async () => {
+    setErrorMessage('');
+    try {
+      const file = await pickAudioFile();
+      if (!file) return;
+      setIsUploading(true);
+      const session = await transcribeAudio(file, { language, filename: file.name });
+      addSession(toHistoryItem(session));
+      setTranscribedText(session.transcript);
+    } catch (error) {
+      console.error('녹음 파일 변환 오류:', error);
+      setErrorMessage('녹음 파일 변환 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setIsUploading(false);
     }
   };
 
+  const isRecording = recordingState !== 'idle';
+
   return (
     <View style={styles.container}>
       <Text style={styles.sectionTitle}>음성 녹음</Text>
       {errorMessage ? <Text style={styles.errorText}>{errorMessage}</Text> : null}
+      <View style={styles.languages}>
+        {RECOGNITION_LANGUAGES.map((lang) => (
+          <TouchableOpacity
+            key={lang.code}
+            style={[styles.languageChip, language === lang.code && styles.selectedLanguageChip]}
+            onPress={() => updateSettings({ language: lang.code })}
+            disabled={isRecording}
+          >
+            <Text style={styles.languageText}>{lang.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
       <View style={styles.buttonContainer}>
-        <Button 
-          title={isRecording ? '녹음 중...' : '녹음 시작'} 
-          onPress={startRecording} 
-          disabled={isRecording} 
+        <Button
+          title={recordingState === 'paused' ? '일시정지됨' : isRecording ? '녹음 중...' : '녹음 시작'}
+          onPress={startRecording}
+          disabled={isRecording}
+        />
+        <Button
+          title={recordingState === 'paused' ? '다시 시작' : '일시정지'}
+          onPress={togglePause}
+          disabled={!isRecording}
+        />
+        <Button
+          title="녹음 중지"
+          onPress={stopRecording}
+          disabled={!isRecording}
         />
-        <Button 
-          title="녹음 중지" 
-          onPress={stopRecording} 
-          disabled={!isRecording} 
+        <Button
+          title={isUploading ? '변환 중...' : '파일 업로드'}
+          onPress={uploadRecording}
+          disabled={isRecording || isUploading}
         />
       </View>
       <View style={styles.transcriptionContainer}>
         <Text style={styles.label}>변환된 텍스트:</Text>
-        <Text style={styles.transcribedText}>{transcribedText || '녹음을 시작하면 여기에 텍스트가 표시됩니다.'}</Text>
+        <Text style={styles.transcribedText}>
+          {[transcribedText, interimText].filter(Boolean).join(' ') || '녹음을 시작하면 여기에 텍스트가 표시됩니다.'}
+        </Text>
       </View>
       
       {recordingHistory.length > 0 && (
@@ -218,13 +301,29 @@ const RecordingComponent = () => {
           {recordingHistory.map(item => (
             <View key={item.id} style={styles.historyItem}>
               <Text style={styles.historyTimestamp}>{item.timestamp}</Text>
-              <Text style={styles.historyText}>{item.text}</Text>
+              {item.segments?.length ? (
+                <TranscriptSegmentList
+                  segments={item.segments}
+                  // 녹음 중인 세션은 끝난 뒤에 수정
+                  editable={item.id !== activeSessionId}
+                  onChange={(segments) => updateSegments(item, segments)}
+                  corrections={item.corrections}
+                  onToggleCorrection={(correction) => toggleCorrection(item, correction)}
+                />
+              ) : (
+                <CorrectedText
+                  text={item.text}
+                  corrections={(item.corrections || []).filter((c) => !c.segmentId)}
+                  onToggle={item.synced ? (correction) => toggleCorrection(item, correction) : undefined}
+                  style={styles.historyText}
+                />
+              )}
             </View>
           ))}
         </View>
       )}
       
-      <DocumentGeneratorComponent transcribedText={transcribedText} recordingHistory={recordingHistory} />
+      <DocumentGeneratorComponent />
     </View>
   );
 };
@@ -241,6 +340,28 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     marginBottom: 16,
   },
+  languages: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 12,
+  },
+  languageChip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 14,
+    borderWidth: 1,
+    borderColor: '#d9d9d9',
+    backgroundColor: '#fff',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedLanguageChip: {
+    backgroundColor: '#bae7ff',
+    borderColor: '#1890ff',
+  },
+  languageText: {
+    fontSize: 13,
+  },
   buttonContainer: {
     flexDirection: 'row',
     justifyContent: 'space-around',
@@ -0,0 +1,107 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, Button, StyleSheet } from 'react-native';
+import { getRedactionNames, saveRedactionNames } from '../services/redactionApi';
+
+/**
+ * @description 개인정보 가림 이름 목록 편집. 등록한 이름(학생 등)은 문서 생성·다듬기 요청에서
+ *   자리표시자로 바뀐 채 모델에 전달됩니다.
+ * @returns {JSX.Element}
+ */
+const RedactionNamesPanel = () => {
+  const [namesText, setNamesText] = useState('');
+  const [status, setStatus] = useState('');
+  const [error, setError] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    getRedactionNames()
+      .then((names) => setNamesText(names.join(', ')))
+      .catch((err) => {
+        console.error('이름 목록 로드 오류:', err);
+        setError('가릴 이름 목록을 불러오지 못했습니다: ' + err.message);
+      });
+  }, []);
+
+  const saveNames = async () => {
+    setError('');
+    setIsSaving(true);
+    try {
+      const names = await saveRedactionNames(namesText.split(/[,\n]/).map((n) => n.trim()).filter(Boolean));
+      setNamesText(names.join(', '));
+      setStatus(`${names.length}명 저장됨`);
+    } catch (err) {
+      setError('이름 목록 저장 중 오류가 발생했습니다: ' + err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.sectionTitle}>개인정보 가림</Text>
+      <Text style={styles.hint}>
+        전화번호·주민등록번호·주소는 자동으로 가립니다. 함께 가릴 이름을 쉼표나 줄바꿈으로 구분해 입력하세요.
+      </Text>
+      {error ? <Text style={styles.errorText}>{error}</Text> : null}
+      <TextInput
+        multiline
+        value={namesText}
+        onChangeText={(value) => {
+          setNamesText(value);
+          setStatus('');
+        }}
+        placeholder="예: 김민수, 이서연"
+        style={styles.input}
+      />
+      <View style={styles.actions}>
+        {status ? <Text style={styles.status}>{status}</Text> : null}
+        <Button title="이름 목록 저장" onPress={saveNames} disabled={isSaving} />
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#f9f9f9',
+    borderRadius: 8,
+    padding: 16,
+    marginBottom: 16,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 8,
+  },
+  errorText: {
+    color: 'red',
+    marginBottom: 10,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 8,
+    minHeight: 60,
+    textAlignVertical: 'top',
+    backgroundColor: '#fff',
+    marginBottom: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+  },
+  status: {
+    fontSize: 12,
+    color: '#52c41a',
+    marginRight: 8,
+  },
+});
+
+export default RedactionNamesPanel;
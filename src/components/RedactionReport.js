@@ -0,0 +1,45 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+/**
+ * @description 모델에 보내기 전에 가린 개인정보 목록. 문서에는 원래 값으로 복원되어 있습니다.
+ * @param {{ redactions: { placeholder: string, label: string, original: string, count: number }[] }} props
+ * @returns {JSX.Element | null}
+ */
+const RedactionReport = ({ redactions }) => {
+  if (!redactions?.length) return null;
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>{`개인정보 ${redactions.length}건을 가리고 생성했습니다`}</Text>
+      {redactions.map((r) => (
+        <Text key={r.placeholder} style={styles.item}>
+          {`${r.placeholder} ${r.original}`}
+          {r.count > 1 ? ` (${r.count}회)` : ''}
+        </Text>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 8,
+    borderRadius: 4,
+    backgroundColor: '#f6ffed',
+    borderWidth: 1,
+    borderColor: '#b7eb8f',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#389e0d',
+    marginBottom: 4,
+  },
+  item: {
+    fontSize: 12,
+    color: '#555',
+  },
+});
+
+export default RedactionReport;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+
+const PRESET_INSTRUCTIONS = ['더 간결하게', '존댓말로', '학부모 대상으로', '더 자세하게', '맞춤법만 교정'];
+
+/**
+ * @description 생성된 문서를 후속 지시로 다듬는 패널 (프리셋 칩 + 직접 입력 + 단계별 되돌리기)
+ * @param {{
+ *   onRefine: (instruction: string) => void,
+ *   onUndo: () => void,
+ *   steps: { instruction: string }[],
+ *   isRefining?: boolean,
+ *   disabled?: boolean,
+ * }} props
+ * @returns {JSX.Element}
+ */
+const RefinementPanel = ({ onRefine, onUndo, steps, isRefining = false, disabled = false }) => {
+  const [instruction, setInstruction] = useState('');
+  const blocked = disabled || isRefining;
+
+  const submit = () => {
+    if (!instruction.trim()) return;
+    onRefine(instruction.trim());
+    setInstruction('');
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>문서 다듬기:</Text>
+      <View style={styles.chips}>
+        {PRESET_INSTRUCTIONS.map((preset) => (
+          <TouchableOpacity
+            key={preset}
+            style={[styles.chip, blocked && styles.chipDisabled]}
+            onPress={() => onRefine(preset)}
+            disabled={blocked}
+          >
+            <Text style={styles.chipText}>{preset}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <View style={styles.inputRow}>
+        <TextInput
+          value={instruction}
+          onChangeText={setInstruction}
+          placeholder='수정 요청 (예: "3번 항목 삭제")'
+          style={styles.input}
+          editable={!blocked}
+          onSubmitEditing={submit}
+        />
+        <Button title={isRefining ? '적용 중...' : '적용'} onPress={submit} disabled={blocked || !instruction.trim()} />
+      </View>
+      {steps.length > 0 ? (
+        <View style={styles.stepsRow}>
+          <Text style={styles.steps} numberOfLines={2}>
+            {steps.map((step, i) => `${i + 1}. ${step.instruction}`).join('  →  ')}
+          </Text>
+          <Button title="되돌리기" onPress={onUndo} disabled={isRefining} />
+        </View>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 8,
+    color: '#555',
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  chip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#d1e8ff',
+    backgroundColor: '#e6f7ff',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipDisabled: {
+    opacity: 0.5,
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  inputRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 8,
+    marginRight: 8,
+    backgroundColor: '#fff',
+  },
+  stepsRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  steps: {
+    flex: 1,
+    fontSize: 12,
+    color: '#666',
+    marginRight: 8,
+  },
+});
+
+export default RefinementPanel;
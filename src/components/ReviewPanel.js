@@ -0,0 +1,217 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import { STATUS_LABELS, ROLE_LABELS, getReviewer, getReview, transitionDocument, commentOnDocument } from '../services/reviewApi';
+import ReviewTrail from './ReviewTrail';
+import MessageVariantList from './MessageVariantList';
+
+/**
+ * @description 저장된 문서의 검토 상태 패널. 작성자는 검토를 요청하고, 다른 승인자가 승인하거나 의견과 함께 수정을 요청합니다.
+ * 승인된 문서만 문자로 보낼 수 있고, 승인 뒤 내용을 바꿔 저장하면 서버가 초안으로 되돌립니다.
+ * 요약본·번역본·링크 문자 같은 문자 문안도 여기서 승인합니다.
+ * @param {{
+ *   document: object,
+ *   canSubmit?: boolean,
+ *   refreshKey?: number,
+ *   onChanged: (document: object) => void,
+ *   onVariantsLoaded?: (variants: object[]) => void,
+ *   onError: (message: string) => void,
+ *   disabled?: boolean,
+ * }} props
+ *   - canSubmit: 편집 내용이 저장되어 있을 때만 true (검토는 저장된 문서 기준)
+ *   - refreshKey: 문서를 저장하거나 보낼 때마다 바꾸면 상태와 기록을 다시 불러옴
+ *   - onChanged: 서버의 문서 상태가 바뀌었을 때 바뀐 문서로 호출
+ *   - onVariantsLoaded: 문자 문안을 불러올 때마다 호출 (문자 전송 패널이 보낼 문구의 승인 여부 확인용)
+ * @returns {JSX.Element}
+ */
+const ReviewPanel = ({ document, canSubmit = true, refreshKey = 0, onChanged, onVariantsLoaded, onError, disabled = false }) => {
+  const [actor, setActor] = useState(null); // { id, name, role }
+  const [events, setEvents] = useState([]); // 오래된 순
+  const [variants, setVariants] = useState([]); // 문자 문안
+  const [showTrail, setShowTrail] = useState(false);
+  const [comment, setComment] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const status = document.status || 'draft';
+  const isApprover = actor?.role === 'approver';
+
+  useEffect(() => {
+    getReviewer()
+      .then(setActor)
+      .catch((error) => onError('사용자 역할을 불러오지 못했습니다: ' + error.message));
+  }, []);
+
+  const load = async () => {
+    const review = await getReview(document.id);
+    setEvents(review.events);
+    setVariants(review.variants);
+    onVariantsLoaded?.(review.variants);
+    if (review.document.status !== status || review.document.updatedAt !== document.updatedAt) onChanged(review.document);
+  };
+
+  // 저장으로 문서가 바뀌어도 다시 불러옴 (내용이 바뀌면 서버가 초안으로 되돌림)
+  useEffect(() => {
+    load().catch((error) => onError('검토 기록을 불러오지 못했습니다: ' + error.message));
+  }, [document.id, document.updatedAt, refreshKey]);
+
+  /**
+   * 서버 호출 후 상태와 기록을 다시 불러옵니다.
+   * @param {() => Promise<unknown>} action
+   * @param {string} failure - 오류 메시지 앞부분
+   */
+  const run = async (action, failure) => {
+    setBusy(true);
+    onError('');
+    try {
+      await action();
+      setComment('');
+      await load();
+    } catch (error) {
+      onError(`${failure}: ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /** @param {'submit' | 'withdraw' | 'approve' | 'request_changes'} action */
+  const transition = (action) =>
+    run(() => transitionDocument(document.id, action, comment.trim() || undefined), '문서 상태 변경 중 오류가 발생했습니다');
+
+  const addComment = () => run(() => commentOnDocument(document.id, comment.trim()), '의견 저장 중 오류가 발생했습니다');
+
+  const locked = disabled || busy;
+  const lastChange = [...events].reverse().find((e) => e.action === 'changes_requested' || e.action === 'reopened');
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.label}>검토 상태:</Text>
+        <View style={[styles.badge, styles[`${status}Badge`]]}>
+          <Text style={styles.badgeText}>{STATUS_LABELS[status]}</Text>
+        </View>
+        {actor ? <Text style={styles.actor}>{`${actor.name} · ${ROLE_LABELS[actor.role]}`}</Text> : null}
+      </View>
+
+      {document.approvedBy && (status === 'approved' || status === 'sent') ? (
+        <Text style={styles.note}>{`${document.approvedBy.name} 승인 · ${new Date(document.approvedAt).toLocaleString()}`}</Text>
+      ) : null}
+      {status === 'draft' && lastChange?.comment ? (
+        <Text style={styles.warning}>{`${lastChange.actor.name}: ${lastChange.comment}`}</Text>
+      ) : null}
+      {status === 'draft' && !canSubmit ? <Text style={styles.note}>편집 내용을 저장한 뒤 검토를 요청할 수 있습니다.</Text> : null}
+
+      <TextInput
+        style={styles.input}
+        value={comment}
+        onChangeText={setComment}
+        placeholder={status === 'in_review' && isApprover ? '검토 의견 (수정 요청 시 필수)' : '의견'}
+        multiline
+        editable={!locked}
+      />
+      <View style={styles.actions}>
+        {status === 'draft' ? (
+          <Button title="검토 요청" onPress={() => transition('submit')} disabled={locked || !canSubmit} />
+        ) : null}
+        {status === 'in_review' ? <Button title="검토 요청 취소" onPress={() => transition('withdraw')} disabled={locked} /> : null}
+        {status === 'in_review' && isApprover ? (
+          <>
+            <Button title="승인" onPress={() => transition('approve')} disabled={locked} />
+            <Button title="수정 요청" onPress={() => transition('request_changes')} disabled={locked || !comment.trim()} />
+          </>
+        ) : null}
+        <Button title="의견 남기기" onPress={addComment} disabled={locked || !comment.trim()} />
+      </View>
+
+      <MessageVariantList
+        documentId={document.id}
+        variants={variants}
+        isApprover={isApprover}
+        onChanged={() => load().catch((error) => onError('검토 기록을 불러오지 못했습니다: ' + error.message))}
+        onError={onError}
+        disabled={locked}
+      />
+
+      <TouchableOpacity onPress={() => setShowTrail((v) => !v)}>
+        <Text style={styles.toggle}>{`${showTrail ? '▼' : '▶'} 검토 기록 (${events.length})`}</Text>
+      </TouchableOpacity>
+      {showTrail ? <ReviewTrail events={events} /> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+    padding: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#eee',
+    backgroundColor: '#fff',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  label: {
+    fontSize: 14,
+    marginRight: 6,
+  },
+  badge: {
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 10,
+    backgroundColor: '#eee',
+    marginRight: 8,
+  },
+  draftBadge: {
+    backgroundColor: '#eee',
+  },
+  in_reviewBadge: {
+    backgroundColor: '#fff1b8',
+  },
+  approvedBadge: {
+    backgroundColor: '#d9f7be',
+  },
+  sentBadge: {
+    backgroundColor: '#bae0ff',
+  },
+  badgeText: {
+    fontSize: 12,
+    fontWeight: 'bold',
+  },
+  actor: {
+    fontSize: 12,
+    color: '#888',
+  },
+  note: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 6,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#d4380d',
+    marginBottom: 6,
+  },
+  input: {
+    minHeight: 40,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  toggle: {
+    fontSize: 14,
+    color: '#1677ff',
+  },
+});
+
+export default ReviewPanel;
@@ -0,0 +1,191 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import { getReviewer, listReviewQueue, transitionDocument, commentOnDocument } from '../services/reviewApi';
+import { useAppStore } from '../store/appStore';
+import ReviewTrail from './ReviewTrail';
+import MessageVariantList from './MessageVariantList';
+
+/**
+ * @description 승인자용 검토 대기 목록. 검토를 요청받은 문서를 읽고 의견을 남기거나 승인·수정 요청합니다.
+ * 문자 문안(요약본·번역본·링크 문자)만 검토를 기다리는 문서도 올라오며, 문안은 따로 승인합니다.
+ * 작성자 역할의 키로 접속하면 표시하지 않습니다.
+ * @returns {JSX.Element | null}
+ */
+const ReviewQueuePanel = () => {
+  const [actor, setActor] = useState(null);
+  const [queue, setQueue] = useState([]); // 오래 기다린 순
+  const [openId, setOpenId] = useState(null); // 본문을 펼친 문서
+  const [comments, setComments] = useState({}); // 문서 ID → 입력 중인 의견
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = () =>
+    listReviewQueue()
+      .then(setQueue)
+      .catch((err) => setError('검토 목록을 불러오지 못했습니다: ' + err.message));
+
+  useEffect(() => {
+    getReviewer()
+      .then((reviewer) => {
+        setActor(reviewer);
+        if (reviewer.role === 'approver') load();
+      })
+      .catch(() => setActor(null));
+  }, []);
+
+  /**
+   * 서버 호출 후 목록을 다시 불러오고, 편집 화면에 열린 문서면 상태를 맞춥니다.
+   * @param {object} document
+   * @param {() => Promise<{ document?: object } | object>} action
+   * @param {string} failure - 오류 메시지 앞부분
+   */
+  const run = async (document, action, failure) => {
+    setBusyId(document.id);
+    setError('');
+    try {
+      const result = await action();
+      const { draft, updateDraft } = useAppStore.getState();
+      if (result?.document && draft.currentDocument?.id === document.id) updateDraft({ currentDocument: result.document });
+      setComments(({ [document.id]: _done, ...rest }) => rest);
+      await load();
+    } catch (err) {
+      setError(`${failure}: ${err.message}`);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (actor?.role !== 'approver') return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>{`검토 대기 문서 (${queue.length})`}</Text>
+        <Button title="새로고침" onPress={load} />
+      </View>
+      {queue.length === 0 ? <Text style={styles.empty}>검토를 기다리는 문서가 없습니다.</Text> : null}
+
+      {queue.map((document) => {
+        const submitted = [...document.events].reverse().find((e) => e.action === 'submitted');
+        const comment = comments[document.id] || '';
+        const locked = busyId === document.id;
+        return (
+          <View key={document.id} style={styles.item}>
+            <TouchableOpacity onPress={() => setOpenId(openId === document.id ? null : document.id)}>
+              <Text style={styles.itemTitle}>{document.structured?.title || document.documentType}</Text>
+              <Text style={styles.meta}>
+                {submitted ? `${submitted.actor.name} 요청 · ${new Date(submitted.createdAt).toLocaleString()}` : ''}
+              </Text>
+              <Text style={styles.content} numberOfLines={openId === document.id ? undefined : 3}>
+                {document.editedContent}
+              </Text>
+            </TouchableOpacity>
+            {openId === document.id ? <ReviewTrail events={document.events} /> : null}
+            <MessageVariantList
+              documentId={document.id}
+              variants={document.variants.filter((v) => v.status !== 'draft')}
+              isApprover
+              onChanged={load}
+              onError={setError}
+              disabled={locked}
+            />
+            <TextInput
+              style={styles.input}
+              value={comment}
+              onChangeText={(value) => setComments((prev) => ({ ...prev, [document.id]: value }))}
+              placeholder="검토 의견 (수정 요청 시 필수)"
+              multiline
+            />
+            <View style={styles.actions}>
+              {document.status === 'in_review' ? (
+                <>
+                  <Button
+                    title="승인"
+                    onPress={() => run(document, () => transitionDocument(document.id, 'approve', comment.trim() || undefined), '승인 중 오류가 발생했습니다')}
+                    disabled={locked}
+                  />
+                  <Button
+                    title="수정 요청"
+                    onPress={() =>
+                      run(document, () => transitionDocument(document.id, 'request_changes', comment.trim()), '수정 요청 중 오류가 발생했습니다')
+                    }
+                    disabled={locked || !comment.trim()}
+                  />
+                </>
+              ) : null}
+              <Button
+                title="의견만 남기기"
+                onPress={() => run(document, () => commentOnDocument(document.id, comment.trim()), '의견 저장 중 오류가 발생했습니다')}
+                disabled={locked || !comment.trim()}
+              />
+            </View>
+          </View>
+        );
+      })}
+      {error ? <Text style={styles.error}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    padding: 16,
+    backgroundColor: '#f5f5f5',
+    borderRadius: 8,
+    margin: 8,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  empty: {
+    fontSize: 14,
+    color: '#888',
+  },
+  item: {
+    marginTop: 8,
+    padding: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#eee',
+    backgroundColor: '#fff',
+  },
+  itemTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#888',
+    marginBottom: 4,
+  },
+  content: {
+    fontSize: 14,
+    lineHeight: 22,
+  },
+  input: {
+    minHeight: 40,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    fontSize: 14,
+    marginVertical: 6,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  error: {
+    color: 'red',
+    marginTop: 8,
+  },
+});
+
+export default ReviewQueuePanel;
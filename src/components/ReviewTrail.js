@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { EVENT_LABELS, STATUS_LABELS, ROLE_LABELS, VARIANT_LABELS } from '../services/reviewApi';
+import { languageLabel } from '../services/translateApi';
+
+/**
+ * 감사 기록 한 줄의 부가 설명 (전송 경로와 수신자 수, 문안 종류)
+ * @param {object} event
+ * @returns {string}
+ */
+const describeDetail = (event) => {
+  if (event.detail?.variantId) {
+    const { kind, language } = event.detail;
+    return ` (${language ? `${languageLabel(language)} ` : ''}${VARIANT_LABELS[kind] || kind})`;
+  }
+  if (event.action !== 'sent' || !event.detail) return '';
+  const via = { server: '서버 전송', schedule: '예약 전송', device: '기기 문자 앱' }[event.detail.via] || event.detail.via;
+  const count = event.detail.sent ?? event.detail.recipients;
+  return ` (${via}${count ? `, ${count}명` : ''})`;
+};
+
+/**
+ * @description 문서의 검토·승인 감사 기록 (오래된 순). 누가 언제 어떤 상태로 바꿨는지와 의견을 보여줍니다.
+ * @param {{ events: object[] }} props
+ * @returns {JSX.Element}
+ */
+const ReviewTrail = ({ events }) => (
+  <View style={styles.container}>
+    {events.map((event) => (
+      <View key={event.id} style={styles.event}>
+        <Text style={styles.meta}>
+          {`${new Date(event.createdAt).toLocaleString()} · ${event.actor.name}(${ROLE_LABELS[event.actor.role] || event.actor.role}) · ` +
+            `${EVENT_LABELS[event.action] || event.action}${describeDetail(event)}` +
+            (event.to && event.from !== event.to ? ` → ${STATUS_LABELS[event.to]}` : '')}
+        </Text>
+        {event.comment ? <Text style={styles.comment}>{event.comment}</Text> : null}
+      </View>
+    ))}
+  </View>
+);
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 6,
+  },
+  event: {
+    paddingVertical: 4,
+    borderBottomWidth: 1,
+    borderBottomColor: '#eee',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#666',
+  },
+  comment: {
+    fontSize: 14,
+    marginTop: 2,
+  },
+});
+
+export default ReviewTrail;
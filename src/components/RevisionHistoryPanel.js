@@ -0,0 +1,174 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import { listRevisions, restoreRevision } from '../services/sessionApi';
+import { diffText, summarizeDiff } from '../utils/textDiff';
+
+const ACTION_LABELS = { generated: '생성', edited: '편집', refined: '다듬기', restored: '복원' };
+
+/**
+ * @description 저장된 문서의 리비전 기록. 두 리비전을 골라 바뀐 부분을 비교하고, 이전 리비전으로 한 번에 되돌립니다.
+ * @param {{
+ *   sessionId: string,
+ *   documentId: string,
+ *   refreshKey?: number,
+ *   onRestored: (document: object) => void,
+ *   onError: (message: string) => void,
+ *   disabled?: boolean,
+ * }} props
+ *   - refreshKey: 문서를 저장할 때마다 바꾸면 목록을 다시 불러옴
+ * @returns {JSX.Element}
+ */
+const RevisionHistoryPanel = ({ sessionId, documentId, refreshKey = 0, onRestored, onError, disabled = false }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [revisions, setRevisions] = useState([]); // 최신순
+  const [selectedIds, setSelectedIds] = useState([]); // 비교할 리비전 (최대 2개)
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    listRevisions(sessionId, documentId)
+      .then((list) => {
+        setRevisions(list);
+        // 기본 비교: 직전 리비전 → 최신 리비전
+        setSelectedIds(list.slice(0, 2).map((r) => r.id));
+      })
+      .catch((error) => onError('문서 기록을 불러오지 못했습니다: ' + error.message));
+  }, [isOpen, sessionId, documentId, refreshKey]);
+
+  /**
+   * 비교할 리비전을 고르거나 해제합니다. 세 번째를 고르면 가장 먼저 고른 것이 빠집니다.
+   * @param {string} id
+   */
+  const toggleSelected = (id) =>
+    setSelectedIds((prev) => (prev.includes(id) ? prev.filter((x) => x !== id) : [...prev, id].slice(-2)));
+
+  const restore = async (revision) => {
+    setRestoringId(revision.id);
+    onError('');
+    try {
+      const { document } = await restoreRevision(sessionId, documentId, revision.id);
+      onRestored(document);
+    } catch (error) {
+      onError('리비전 복원 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  // 오래된 쪽을 기준으로 비교
+  const compared = revisions.filter((r) => selectedIds.includes(r.id)).reverse();
+  const ops = compared.length === 2 ? diffText(compared[0].content, compared[1].content) : null;
+  const summary = ops ? summarizeDiff(ops) : null;
+  const labelOf = (revision) =>
+    `${ACTION_LABELS[revision.action] || revision.action} · ${new Date(revision.createdAt).toLocaleString()}`;
+
+  return (
+    <View style={styles.container}>
+      <TouchableOpacity onPress={() => setIsOpen(!isOpen)}>
+        <Text style={styles.title}>{`${isOpen ? '▼' : '▶'} 문서 기록`}</Text>
+      </TouchableOpacity>
+      {isOpen ? (
+        <>
+          <Text style={styles.hint}>두 기록을 골라 바뀐 부분을 비교합니다.</Text>
+          {revisions.map((revision, index) => (
+            <View key={revision.id} style={styles.row}>
+              <TouchableOpacity
+                style={[styles.item, selectedIds.includes(revision.id) && styles.selectedItem]}
+                onPress={() => toggleSelected(revision.id)}
+              >
+                <Text style={styles.itemText}>
+                  {labelOf(revision)}
+                  {index === 0 ? ' (현재)' : ''}
+                </Text>
+              </TouchableOpacity>
+              {index > 0 ? (
+                <Button
+                  title={restoringId === revision.id ? '복원 중...' : '복원'}
+                  onPress={() => restore(revision)}
+                  disabled={disabled || Boolean(restoringId)}
+                />
+              ) : null}
+            </View>
+          ))}
+          {ops ? (
+            <View style={styles.diff}>
+              <Text style={styles.diffTitle}>
+                {`${labelOf(compared[0])} → ${labelOf(compared[1])}  (+${summary.inserted}자 −${summary.deleted}자)`}
+              </Text>
+              <Text style={styles.diffText}>
+                {ops.map((op, index) => (
+                  <Text key={index} style={op.type === 'insert' ? styles.inserted : op.type === 'delete' ? styles.deleted : null}>
+                    {op.text}
+                  </Text>
+                ))}
+              </Text>
+            </View>
+          ) : null}
+        </>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+    padding: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#eee',
+  },
+  title: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  hint: {
+    fontSize: 12,
+    color: '#888',
+    marginVertical: 4,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 4,
+  },
+  item: {
+    flex: 1,
+    padding: 6,
+    borderRadius: 4,
+    backgroundColor: '#fafafa',
+    marginRight: 8,
+  },
+  selectedItem: {
+    backgroundColor: '#e6f7ff',
+    borderWidth: 1,
+    borderColor: '#91d5ff',
+  },
+  itemText: {
+    fontSize: 12,
+  },
+  diff: {
+    marginTop: 8,
+    padding: 8,
+    backgroundColor: '#fff',
+    borderRadius: 4,
+  },
+  diffTitle: {
+    fontSize: 12,
+    color: '#555',
+    marginBottom: 6,
+  },
+  diffText: {
+    fontSize: 14,
+    lineHeight: 22,
+  },
+  inserted: {
+    backgroundColor: '#d9f7be',
+  },
+  deleted: {
+    backgroundColor: '#ffccc7',
+    textDecorationLine: 'line-through',
+  },
+});
+
+export default RevisionHistoryPanel;
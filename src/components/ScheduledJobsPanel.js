@@ -0,0 +1,231 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import { listSchedules, updateSchedule, cancelSchedule } from '../services/scheduleApi';
+import { parseRecipients, formatPhoneNumber } from '../../shared/phoneNumbers';
+import { isScheduleTime } from '../utils/scheduleTime';
+
+const STATUS_LABELS = {
+  pending: '대기',
+  sending: '전송 중',
+  sent: '전송됨',
+  failed: '실패',
+  cancelled: '취소됨',
+};
+
+// 목록에 보여줄 상태 (완료·취소된 작업은 숨김)
+const VISIBLE_STATUSES = ['pending', 'sending', 'failed'];
+
+/**
+ * @description 예약 전송 목록. 대기 중인 예약의 시각·수신자·내용을 고치거나 취소할 수 있습니다.
+ * @param {{ refreshKey?: number, onError: (message: string) => void }} props - refreshKey가 바뀌면 다시 불러옴
+ * @returns {JSX.Element | null}
+ */
+const ScheduledJobsPanel = ({ refreshKey = 0, onError }) => {
+  const [jobs, setJobs] = useState([]);
+  const [editing, setEditing] = useState(null); // { id, sendAt, recipients, body }
+  const [busyId, setBusyId] = useState(null);
+
+  const loadJobs = useCallback(async () => {
+    try {
+      const list = await listSchedules();
+      setJobs(list.filter((job) => VISIBLE_STATUSES.includes(job.status)));
+    } catch (error) {
+      console.error('예약 목록 로드 오류:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadJobs();
+  }, [loadJobs, refreshKey]);
+
+  const replaceJob = (job) => setJobs((prev) => prev.map((j) => (j.id === job.id ? job : j)));
+
+  const startEditing = (job) =>
+    setEditing({
+      id: job.id,
+      sendAt: job.localSendAt,
+      recipients: job.recipients.map(formatPhoneNumber).join(', '),
+      // 나누어 보내는 예약은 본문을 여기서 고치지 않음
+      body: job.messages.length === 1 ? job.messages[0] : null,
+    });
+
+  const saveEditing = async () => {
+    const { valid, invalid } = parseRecipients(editing.recipients);
+    if (invalid.length > 0 || valid.length === 0) {
+      onError(invalid.length ? '잘못된 전화번호가 있습니다: ' + invalid.join(', ') : '전화번호를 입력해주세요.');
+      return;
+    }
+    if (!isScheduleTime(editing.sendAt)) {
+      onError('예약 시각을 YYYY-MM-DD HH:mm 형식으로 입력해주세요.');
+      return;
+    }
+
+    onError('');
+    setBusyId(editing.id);
+    try {
+      const patch = { sendAt: editing.sendAt.trim(), recipients: valid };
+      if (editing.body !== null) patch.messages = [editing.body];
+      replaceJob(await updateSchedule(editing.id, patch));
+      setEditing(null);
+    } catch (error) {
+      onError('예약 수정 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const cancelJob = async (job) => {
+    onError('');
+    setBusyId(job.id);
+    try {
+      await cancelSchedule(job.id);
+      setJobs((prev) => prev.filter((j) => j.id !== job.id));
+      if (editing?.id === job.id) setEditing(null);
+    } catch (error) {
+      onError('예약 취소 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (jobs.length === 0) return null;
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>예약 전송</Text>
+        <TouchableOpacity onPress={loadJobs}>
+          <Text style={styles.link}>새로고침</Text>
+        </TouchableOpacity>
+      </View>
+      {jobs.map((job) => {
+        const editable = job.status === 'pending' && job.attempts === 0;
+        const isEditing = editing?.id === job.id;
+        return (
+          <View key={job.id} style={styles.job}>
+            <Text style={styles.jobTitle}>
+              {`${job.localSendAt} · ${STATUS_LABELS[job.status] || job.status} · ${job.recipients.length}명`}
+              {job.messages.length > 1 ? ` · ${job.messages.length}건` : ''}
+            </Text>
+            <Text style={styles.preview} numberOfLines={2}>
+              {job.messages[0]}
+            </Text>
+            {job.lastError ? (
+              <Text style={styles.warning}>
+                {`${job.attempts}회 시도 · ${job.lastError}`}
+                {job.status === 'pending' && job.nextAttemptAt
+                  ? ` · 다음 시도 ${new Date(job.nextAttemptAt).toLocaleTimeString()}`
+                  : ''}
+              </Text>
+            ) : null}
+
+            {isEditing ? (
+              <View>
+                <TextInput
+                  value={editing.sendAt}
+                  onChangeText={(sendAt) => setEditing({ ...editing, sendAt })}
+                  placeholder="YYYY-MM-DD HH:mm (서울)"
+                  style={styles.input}
+                />
+                <TextInput
+                  multiline
+                  value={editing.recipients}
+                  onChangeText={(recipients) => setEditing({ ...editing, recipients })}
+                  placeholder="전화번호 (쉼표나 줄바꿈으로 구분)"
+                  keyboardType="phone-pad"
+                  style={styles.input}
+                />
+                {editing.body !== null ? (
+                  <TextInput
+                    multiline
+                    value={editing.body}
+                    onChangeText={(body) => setEditing({ ...editing, body })}
+                    style={[styles.input, styles.bodyInput]}
+                  />
+                ) : null}
+                <View style={styles.actions}>
+                  <Button title="저장" onPress={saveEditing} disabled={busyId === job.id} />
+                  <View style={styles.spacer} />
+                  <Button title="닫기" onPress={() => setEditing(null)} />
+                </View>
+              </View>
+            ) : (
+              <View style={styles.actions}>
+                {editable ? <Button title="수정" onPress={() => startEditing(job)} disabled={busyId === job.id} /> : null}
+                <View style={styles.spacer} />
+                {job.status === 'pending' ? (
+                  <Button title="예약 취소" onPress={() => cancelJob(job)} disabled={busyId === job.id} />
+                ) : null}
+              </View>
+            )}
+          </View>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  link: {
+    fontSize: 12,
+    color: '#1890ff',
+  },
+  job: {
+    padding: 8,
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 4,
+    backgroundColor: '#fff',
+    marginBottom: 8,
+  },
+  jobTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+    marginBottom: 4,
+  },
+  preview: {
+    fontSize: 12,
+    color: '#333',
+    marginBottom: 4,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#fa541c',
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 8,
+    marginBottom: 6,
+    backgroundColor: '#fff',
+  },
+  bodyInput: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  spacer: {
+    width: 8,
+  },
+});
+
+export default ScheduledJobsPanel;
@@ -0,0 +1,260 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { searchAll } from '../services/searchApi';
+import { STATUS_LABELS } from '../services/reviewApi';
+
+const TYPE_OPTIONS = [
+  { value: '', label: '전체' },
+  { value: 'session', label: '녹음' },
+  { value: 'document', label: '문서' },
+];
+
+const PAGE_SIZE = 20;
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * @description 녹음 전사문과 문서 전체 검색. 기간·템플릿·검토 상태로 거르고, 결과를 누르면 해당 녹음이나 문서를 엽니다.
+ * 조사가 붙은 검색어("회의에서")도 찾고, 일치한 부분은 굵게 표시합니다.
+ * @param {{
+ *   templates: object[],
+ *   onOpen: (result: object) => void,
+ *   disabled?: boolean,
+ * }} props
+ *   - onOpen: 결과를 눌렀을 때 검색 결과 항목으로 호출 (type이 'document'면 문서, 'session'이면 녹음)
+ * @returns {JSX.Element}
+ */
+const SearchPanel = ({ templates, onOpen, disabled = false }) => {
+  const [query, setQuery] = useState('');
+  const [type, setType] = useState('');
+  const [status, setStatus] = useState('');
+  const [templateId, setTemplateId] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [results, setResults] = useState(null); // null이면 아직 검색하지 않음
+  const [total, setTotal] = useState(0);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // 템플릿·상태 필터는 문서에만 있으므로 녹음만 검색할 때는 숨김
+  const documentFilters = type !== 'session';
+
+  /**
+   * 검색합니다. 더 보기면 지금 결과 뒤에 붙입니다.
+   * @param {boolean} [more=false]
+   */
+  const search = async (more = false) => {
+    const q = query.trim();
+    if (!q) return;
+    for (const day of [from, to]) {
+      if (day && !DAY_PATTERN.test(day)) {
+        setError('기간은 YYYY-MM-DD 형식으로 입력해 주세요.');
+        return;
+      }
+    }
+    setBusy(true);
+    setError('');
+    try {
+      const page = await searchAll(q, {
+        type,
+        from,
+        to,
+        status: documentFilters ? status : '',
+        templateId: documentFilters ? templateId : '',
+        limit: PAGE_SIZE,
+        offset: more ? results.length : 0,
+      });
+      setResults(more ? [...results, ...page.results] : page.results);
+      setTotal(page.total);
+    } catch (err) {
+      setError('검색 중 오류가 발생했습니다: ' + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  /**
+   * 필터 칩 한 줄
+   * @param {string} label
+   * @param {{ value: string, label: string }[]} options
+   * @param {string} value
+   * @param {(value: string) => void} onChange
+   */
+  const renderChips = (label, options, value, onChange) => (
+    <View style={styles.filterRow}>
+      <Text style={styles.filterLabel}>{label}</Text>
+      <ScrollView horizontal>
+        {options.map((option) => (
+          <TouchableOpacity
+            key={option.value}
+            style={[styles.chip, value === option.value && styles.selectedChip]}
+            onPress={() => onChange(option.value)}
+          >
+            <Text style={styles.chipText}>{option.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </ScrollView>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.title}>전체 검색</Text>
+      <View style={styles.searchRow}>
+        <TextInput
+          style={[styles.input, styles.queryInput]}
+          value={query}
+          onChangeText={setQuery}
+          placeholder="녹음·문서 내용 검색 (예: 예산 회의)"
+          onSubmitEditing={() => search()}
+          returnKeyType="search"
+        />
+        <Button title="검색" onPress={() => search()} disabled={busy || !query.trim()} />
+      </View>
+
+      {renderChips('종류', TYPE_OPTIONS, type, setType)}
+      {documentFilters
+        ? renderChips(
+            '상태',
+            [{ value: '', label: '전체' }, ...Object.entries(STATUS_LABELS).map(([value, label]) => ({ value, label }))],
+            status,
+            setStatus,
+          )
+        : null}
+      {documentFilters && templates.length > 0
+        ? renderChips(
+            '템플릿',
+            [{ value: '', label: '전체' }, ...templates.map((t) => ({ value: t.id, label: t.name }))],
+            templateId,
+            setTemplateId,
+          )
+        : null}
+      <View style={styles.filterRow}>
+        <Text style={styles.filterLabel}>기간</Text>
+        <TextInput style={[styles.input, styles.dayInput]} value={from} onChangeText={setFrom} placeholder="YYYY-MM-DD" />
+        <Text style={styles.filterLabel}>~</Text>
+        <TextInput style={[styles.input, styles.dayInput]} value={to} onChangeText={setTo} placeholder="YYYY-MM-DD" />
+      </View>
+
+      {results && results.length === 0 ? <Text style={styles.empty}>검색 결과가 없습니다.</Text> : null}
+      {results && results.length > 0 ? <Text style={styles.meta}>{`${total}건`}</Text> : null}
+      {(results || []).map((result) => (
+        <TouchableOpacity
+          key={`${result.type}:${result.id}`}
+          style={styles.result}
+          onPress={() => onOpen(result)}
+          disabled={disabled}
+        >
+          <Text style={styles.resultTitle}>
+            {`[${result.type === 'document' ? '문서' : '녹음'}] ${result.title}`}
+            {result.status ? <Text style={styles.meta}>{` · ${STATUS_LABELS[result.status]}`}</Text> : null}
+          </Text>
+          <Text style={styles.meta}>{new Date(result.date).toLocaleString()}</Text>
+          {result.snippets.map((segments, index) => (
+            <Text key={index} style={styles.snippet}>
+              {segments.map((segment, i) => (
+                <Text key={i} style={segment.highlight ? styles.highlight : null}>
+                  {segment.text}
+                </Text>
+              ))}
+            </Text>
+          ))}
+        </TouchableOpacity>
+      ))}
+      {results && results.length < total ? <Button title="더 보기" onPress={() => search(true)} disabled={busy} /> : null}
+      {error ? <Text style={styles.error}>{error}</Text> : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+    padding: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#eee',
+    backgroundColor: '#fff',
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  searchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    fontSize: 14,
+  },
+  queryInput: {
+    flex: 1,
+    marginRight: 6,
+  },
+  dayInput: {
+    width: 110,
+    marginHorizontal: 4,
+  },
+  filterRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  filterLabel: {
+    fontSize: 14,
+    marginRight: 6,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    marginRight: 6,
+  },
+  selectedChip: {
+    borderColor: '#1677ff',
+    backgroundColor: '#e6f4ff',
+  },
+  chipText: {
+    fontSize: 13,
+  },
+  empty: {
+    fontSize: 14,
+    color: '#888',
+  },
+  meta: {
+    fontSize: 12,
+    color: '#888',
+  },
+  result: {
+    paddingVertical: 6,
+    borderTopWidth: 1,
+    borderTopColor: '#eee',
+  },
+  resultTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+  },
+  snippet: {
+    fontSize: 13,
+    lineHeight: 20,
+    marginTop: 2,
+  },
+  highlight: {
+    fontWeight: 'bold',
+    backgroundColor: '#fff1b8',
+  },
+  error: {
+    color: 'red',
+    marginTop: 6,
+  },
+});
+
+export default SearchPanel;
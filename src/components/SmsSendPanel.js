@@ -0,0 +1,663 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, StyleSheet } from 'react-native';
+import * as SMS from 'expo-sms';
+import { classifyMessage, splitMessage, getByteLength, messageEncoding, SMS_MAX_BYTES } from '../../shared/messageLength';
+import { parseRecipients, formatPhoneNumber } from '../../shared/phoneNumbers';
+import { refineDocument } from '../services/refineApi';
+import { sendServerMessages, listBatchMessages } from '../services/messageApi';
+import { createSchedule } from '../services/scheduleApi';
+import { SOURCE_LANGUAGE, recipientLanguage, groupRecipientsByLanguage } from '../../shared/recipientLanguages';
+import { languageLabel } from '../services/translateApi';
+import { VARIANT_LABELS, VARIANT_STATUS_LABELS, recordDeviceSent, findVariant, submitVariant } from '../services/reviewApi';
+import { SCHEDULE_TIMEZONE, nextMorning, isScheduleTime } from '../utils/scheduleTime';
+import { useAppStore } from '../store/appStore';
+
+const SEND_MODES = [
+  { id: 'whole', label: '한 건으로 (SMS/LMS)' },
+  { id: 'split', label: 'SMS 여러 건으로 나누기' },
+  { id: 'short', label: 'SMS용 요약본' },
+  { id: 'link', label: '웹 페이지 링크' },
+];
+
+const STATUS_LABELS = { queued: '대기', sent: '전송됨', failed: '실패' };
+
+/**
+ * 게시한 웹 페이지 링크로 보낼 문자 (본문 대신 제목 + 짧은 링크)
+ * @param {{ title: string, url: string }} link
+ * @returns {string}
+ */
+const buildLinkMessage = (link) => `[${link.title}] 자세한 내용은 아래 링크에서 확인해주세요.\n${link.url}`;
+
+const SHORTEN_INSTRUCTION = `문자 메시지 한 건(${SMS_MAX_BYTES}바이트, 한글 약 ${SMS_MAX_BYTES / 2}자) 이내로 핵심만 남겨 한 문단으로 요약`;
+
+/**
+ * @description 문서를 문자로 보내는 패널. 바이트 수(SMS/LMS) 표시, 번호 붙여 나누기, AI 요약본, 여러 수신자 지원.
+ * 기기에서 SMS를 쓸 수 없으면(웹 등) 서버 게이트웨이(/api/messages)로 보내고 수신자별 전송 결과를 보여줍니다.
+ * 서울 시각을 지정해 서버에서 나중에 보내도록 예약할 수도 있습니다.
+ * 문서를 웹 페이지로 게시했으면(link) 본문 대신 제목과 짧은 링크만 보낼 수 있습니다.
+ * 번역본(translations)이 있으면 수신자마다 받을 언어를 골라 언어별로 나누어 보냅니다. EUC-KR에 없는 글자를 쓰는
+ * 번역본(베트남어, 중국어, 태국어 등)은 유니코드(UCS-2) LMS로 보내고, 요약본·링크로 보낼 때도 번역본 수신자는 번역본을 받습니다.
+ * 승인되지 않은 문서는 보내거나 예약할 수 없습니다(blockedReason). 요약본·번역본·링크 문자는 보낼 문구 그대로
+ * 따로 검토를 요청해 승인받아야 하며(문자 문안), 승인 뒤 고치면 다시 승인을 받아야 합니다. 서버도 같은 규칙으로 막습니다.
+ * @param {{
+ *   message: string,
+ *   documentId?: string,
+ *   blockedReason?: string | null,
+ *   link?: { title: string, url: string } | null,
+ *   translations?: Record<string, { content: string }>,
+ *   variants?: object[],
+ *   onError: (message: string) => void,
+ *   onScheduled?: (job: object) => void,
+ *   onSent?: () => void,
+ *   onVariantsChanged?: () => void,
+ *   disabled?: boolean,
+ * }} props
+ *   - blockedReason: 보낼 수 없는 이유 (승인 전, 저장하지 않은 편집 등), 보낼 수 있으면 null
+ *   - variants: 문서의 문자 문안 (services/reviewApi)
+ *   - onSent: 문서를 보낸 뒤 호출 (문서가 '전송됨' 상태가 됨)
+ *   - onVariantsChanged: 문안 검토를 요청한 뒤 호출 (문안 목록 새로고침용)
+ * @returns {JSX.Element}
+ */
+const SmsSendPanel = ({
+  message,
+  documentId,
+  blockedReason = null,
+  link = null,
+  translations = {},
+  variants = [],
+  onError,
+  onScheduled,
+  onSent,
+  onVariantsChanged,
+  disabled = false,
+}) => {
+  // 입력한 번호는 앱 저장소에 남아 다음에 다시 쓸 수 있음
+  const recipientsInput = useAppStore((state) => state.phoneNumbers);
+  const setRecipientsInput = useAppStore((state) => state.setPhoneNumbers);
+  const recipientLanguages = useAppStore((state) => state.recipientLanguages);
+  const setRecipientLanguage = useAppStore((state) => state.setRecipientLanguage);
+  const [sendMode, setSendMode] = useState('whole');
+  const [shortVersion, setShortVersion] = useState('');
+  const [isShortening, setIsShortening] = useState(false);
+  const [isSubmittingVariants, setIsSubmittingVariants] = useState(false);
+  const [isSending, setIsSending] = useState(false);
+  const [deliveries, setDeliveries] = useState([]); // 서버 전송 기록 { id, batchId, recipient, status, ... }
+  const [scheduleAt, setScheduleAt] = useState(''); // 서울 시각 "YYYY-MM-DD HH:mm"
+  const [isScheduling, setIsScheduling] = useState(false);
+  const [scheduledNotice, setScheduledNotice] = useState('');
+
+  const { valid: recipients, invalid: invalidRecipients } = parseRecipients(recipientsInput);
+  const info = classifyMessage(message);
+  const parts = sendMode === 'split' ? splitMessage(message) : [];
+  const shortInfo = classifyMessage(shortVersion);
+  const languages = [SOURCE_LANGUAGE.code, ...Object.keys(translations)];
+
+  // 수신자가 받을 언어와 언어별 묶음 (규칙은 shared/recipientLanguages.js)
+  const languageOf = (number) => recipientLanguage(number, recipientLanguages, translations);
+  // 한국어 원문은 EUC-KR, 번역본은 EUC-KR로 보낼 수 없으면 유니코드(UCS-2) LMS
+  const groupRecipients = () =>
+    groupRecipientsByLanguage({ recipients, recipientLanguages, translations, message }).map((group) => ({
+      ...group,
+      encoding: group.language === SOURCE_LANGUAGE.code ? 'EUC-KR' : messageEncoding(group.text),
+    }));
+
+  /**
+   * 현재 전송 방식에 따라 보낼 메시지 목록을 만듭니다.
+   * 요약본과 웹 페이지는 한국어 원문으로만 만들므로 번역본 수신자는 번역본 전체를 받습니다. (LMS 한도를 넘으면 나눔)
+   * @param {{ language: string, text: string, encoding: string }} group - 수신자 언어의 문서와 인코딩
+   * @returns {string[]}
+   */
+  const buildMessages = ({ language, text, encoding }) => {
+    if (sendMode === 'split') return splitMessage(text, { encoding });
+    if (language !== SOURCE_LANGUAGE.code && sendMode !== 'whole') {
+      return classifyMessage(text, encoding).type === 'OVER' ? splitMessage(text, { encoding }) : [text];
+    }
+    if (sendMode === 'short') return shortVersion.trim() ? [shortVersion.trim()] : [];
+    if (sendMode === 'link') return link ? [buildLinkMessage(link)] : [];
+    return [text];
+  };
+
+  /**
+   * 보낼 문구 중 문서와 따로 승인을 받아야 하는 문안 (요약본, 링크 문자, 수신자가 있는 언어의 번역본)
+   * @returns {{ kind: string, language?: string, content: string }[]}
+   */
+  const requiredVariants = () => {
+    const groups = groupRecipients();
+    const translated = groups
+      .filter((group) => group.language !== SOURCE_LANGUAGE.code)
+      .map((group) => ({ kind: 'translation', language: group.language, content: group.text }));
+    // 요약본·링크 문자는 한국어 수신자가 있을 때만 보냄
+    const korean = groups.some((group) => group.language === SOURCE_LANGUAGE.code);
+    if (korean && sendMode === 'short' && shortVersion.trim()) {
+      return [{ kind: 'short', content: shortVersion.trim() }, ...translated];
+    }
+    if (korean && sendMode === 'link' && link) return [{ kind: 'link', content: buildLinkMessage(link) }, ...translated];
+    return translated;
+  };
+
+  // 보낼 문구 그대로 승인된 문안이 아니면 전송·예약을 막음
+  const unapprovedVariants = requiredVariants().filter((wanted) => findVariant(variants, wanted)?.status !== 'approved');
+  const unsubmittedVariants = unapprovedVariants.filter((wanted) => findVariant(variants, wanted)?.status !== 'in_review');
+  const variantBlockedReason =
+    unapprovedVariants.length === 0
+      ? null
+      : `${[...new Set(unapprovedVariants.map((v) => VARIANT_LABELS[v.kind]))].join('·')}은 보낼 문구 그대로 승인을 받아야 보낼 수 있습니다. ` +
+        (unsubmittedVariants.length > 0 ? '문안 검토를 요청하세요.' : '승인을 기다리는 중입니다.');
+  const sendBlockedReason = blockedReason || variantBlockedReason;
+  const shortStatus = shortVersion.trim() ? findVariant(variants, { kind: 'short', content: shortVersion.trim() })?.status || 'draft' : null;
+
+  /**
+   * 아직 검토를 요청하지 않은 문안의 검토를 요청합니다.
+   */
+  const submitVariants = async () => {
+    setIsSubmittingVariants(true);
+    onError('');
+    try {
+      for (const variant of unsubmittedVariants) await submitVariant(documentId, variant);
+      onVariantsChanged?.();
+    } catch (error) {
+      onError('문안 검토 요청 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setIsSubmittingVariants(false);
+    }
+  };
+
+  /**
+   * 문서를 SMS 한 건 분량으로 요약합니다. 한 번에 맞지 않으면 더 짧게 한 번 더 요청합니다.
+   */
+  const createShortVersion = async () => {
+    setIsShortening(true);
+    onError('');
+    try {
+      let { content } = await refineDocument({ content: message, instruction: SHORTEN_INSTRUCTION });
+      if (getByteLength(content) > SMS_MAX_BYTES) {
+        ({ content } = await refineDocument({
+          content,
+          instruction: `${SHORTEN_INSTRUCTION}. 현재 ${getByteLength(content)}바이트이므로 더 줄일 것`,
+        }));
+      }
+      setShortVersion(content.trim());
+    } catch (error) {
+      console.error('SMS 요약 오류:', error);
+      onError('SMS 요약본 생성 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setIsShortening(false);
+    }
+  };
+
+  /**
+   * 전송 전 입력을 검사하고 언어별로 보낼 메시지 목록을 만듭니다. 문제가 있으면 오류를 표시하고 null을 반환합니다.
+   * @returns {{ language: string, recipients: string[], encoding: string, messages: string[] }[] | null}
+   */
+  const prepareGroups = () => {
+    if (sendBlockedReason) {
+      onError(sendBlockedReason);
+      return null;
+    }
+    if (!message) {
+      onError('전송할 문서가 없습니다.');
+      return null;
+    }
+    if (recipients.length === 0) {
+      onError('전화번호를 입력해주세요.');
+      return null;
+    }
+    if (invalidRecipients.length > 0) {
+      onError('잘못된 전화번호가 있습니다: ' + invalidRecipients.join(', '));
+      return null;
+    }
+    const prepared = groupRecipients().map((group) => ({ ...group, messages: buildMessages(group) }));
+    if (prepared.some((group) => group.messages.length === 0)) {
+      onError(sendMode === 'link' ? '먼저 문서를 웹 페이지로 게시해주세요.' : 'SMS 요약본을 먼저 만들어주세요.');
+      return null;
+    }
+    // 인코딩으로 보낼 수 없는 글자는 통신사에서 깨지므로 서버와 같이 막음
+    const unsupportedOf = (group) => group.messages.flatMap((body) => classifyMessage(body, group.encoding).unsupported);
+    const unsupported = prepared.find((group) => unsupportedOf(group).length > 0);
+    if (unsupported) {
+      const chars = [...new Set(unsupportedOf(unsupported))];
+      onError(
+        `${unsupported.language === SOURCE_LANGUAGE.code ? '' : `${languageLabel(unsupported.language)} 번역본에 `}문자로 보낼 수 없는 글자가 있습니다: ${chars.join(' ')}`
+      );
+      return null;
+    }
+    const over = sendMode === 'whole' && prepared.find((group) => classifyMessage(group.text, group.encoding).type === 'OVER');
+    if (over) {
+      onError(
+        `${over.language === SOURCE_LANGUAGE.code ? '' : `${languageLabel(over.language)} 번역본이 `}LMS 최대 ${info.limit}바이트를 넘습니다. 나누어 보내거나 요약본을 사용하세요.`
+      );
+      return null;
+    }
+    return prepared;
+  };
+
+  const sendSMS = async () => {
+    const groups = prepareGroups();
+    if (!groups) return;
+
+    onError('');
+    setIsSending(true);
+    try {
+      const isAvailable = await SMS.isAvailableAsync();
+      if (!isAvailable) {
+        await sendThroughServer(groups);
+        return;
+      }
+      // 언어별로, 나누어 보낼 때는 한 건씩 순서대로 작성 화면을 띄우고, 취소하면 중단
+      let reached = 0;
+      const sentBodies = [];
+      sending: for (const group of groups) {
+        for (const body of group.messages) {
+          const { result } = await SMS.sendSMSAsync(group.recipients, body);
+          console.log('SMS 결과:', group.language, result);
+          if (result === 'cancelled') break sending;
+          sentBodies.push(body);
+        }
+        reached += group.recipients.length;
+      }
+      // 기기 문자 앱으로 보낸 것은 서버가 알 수 없으므로 직접 기록 (Android는 결과가 'unknown')
+      if (reached > 0) {
+        await recordDeviceSent(documentId, reached, sentBodies)
+          .then(() => onSent?.())
+          .catch((error) => console.log('전송 기록 실패:', error));
+      }
+    } catch (error) {
+      console.error('SMS 전송 오류:', error);
+      onError('SMS 전송 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setIsSending(false);
+    }
+  };
+
+  // 지정한 서울 시각에 서버가 보내도록 예약합니다.
+  const scheduleSMS = async () => {
+    const groups = prepareGroups();
+    if (!groups) return;
+    if (!isScheduleTime(scheduleAt)) {
+      onError('예약 시각을 YYYY-MM-DD HH:mm 형식으로 입력해주세요.');
+      return;
+    }
+
+    onError('');
+    setIsScheduling(true);
+    try {
+      // 언어마다 예약 작업 하나
+      const jobs = [];
+      for (const group of groups) {
+        const job = await createSchedule({
+          recipients: group.recipients,
+          messages: group.messages,
+          encoding: group.encoding,
+          sendAt: scheduleAt.trim(),
+          timezone: SCHEDULE_TIMEZONE,
+          documentId,
+        });
+        jobs.push(job);
+        onScheduled?.(job);
+      }
+      const count = jobs.reduce((sum, job) => sum + job.recipients.length, 0);
+      setScheduledNotice(
+        `${jobs[0].localSendAt}에 ${count}명에게 보내도록 예약했습니다.` +
+          (jobs.length > 1 ? ` (${groups.map((g) => `${languageLabel(g.language)} ${g.recipients.length}명`).join(', ')})` : '')
+      );
+    } catch (error) {
+      console.error('예약 전송 오류:', error);
+      onError('예약 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setIsScheduling(false);
+    }
+  };
+
+  /**
+   * 서버 게이트웨이로 보냅니다. 언어별로, 나눈 메시지는 순서대로 한 건씩 요청합니다.
+   * 한 언어의 요청이 실패해도 다른 언어는 계속 보내고, 이미 보낸 결과는 그대로 보여줍니다. (다시 보내 중복 수신되지 않도록)
+   * @param {{ language: string, recipients: string[], encoding: string, messages: string[] }[]} groups
+   */
+  const sendThroughServer = async (groups) => {
+    const results = [];
+    const failedGroups = [];
+    for (const group of groups) {
+      try {
+        for (const body of group.messages) {
+          const { messages: sent } = await sendServerMessages({
+            recipients: group.recipients,
+            body,
+            documentId,
+            encoding: group.encoding,
+          });
+          results.push(...sent);
+        }
+      } catch (error) {
+        // 나눈 메시지 중간에 실패하면 그 언어의 나머지 건은 보내지 않음
+        console.error('서버 전송 오류:', group.language, error);
+        failedGroups.push({ group, error });
+      }
+    }
+    setDeliveries(results);
+    if (results.length > 0) onSent?.();
+
+    const problems = failedGroups.map(
+      ({ group, error }) => `${languageLabel(group.language)} ${group.recipients.length}명 전송 요청 실패: ${error.message}`
+    );
+    const failed = results.filter((m) => m.status === 'failed');
+    if (failed.length > 0) {
+      problems.push(`${failed.length}건 전송에 실패했습니다: ${[...new Set(failed.map((m) => formatPhoneNumber(m.recipient)))].join(', ')}`);
+    }
+    if (problems.length > 0) {
+      const sentCount = results.length - failed.length;
+      onError(
+        (sentCount > 0 ? `${sentCount}건은 전송되었습니다. 다시 보내기 전에 아래 전송 결과를 확인하세요. ` : '') + problems.join(' / ')
+      );
+    }
+  };
+
+  // 전송 기록의 최신 상태를 다시 조회합니다.
+  const refreshDeliveries = async () => {
+    try {
+      const batchIds = [...new Set(deliveries.map((m) => m.batchId))];
+      const lists = await Promise.all(batchIds.map(listBatchMessages));
+      const latest = new Map(lists.flat().map((m) => [m.id, m]));
+      setDeliveries((prev) => prev.map((m) => latest.get(m.id) || m));
+    } catch (error) {
+      onError('전송 상태 조회 중 오류가 발생했습니다: ' + error.message);
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <Text style={[styles.lengthInfo, info.type === 'OVER' && styles.warning]}>
+        {`${info.bytes}바이트 · ${info.type === 'OVER' ? 'LMS 초과' : info.type}`}
+        {info.type !== 'SMS' ? ` (SMS ${Math.ceil(info.bytes / SMS_MAX_BYTES)}건 분량)` : ''}
+      </Text>
+      {info.unsupported.length > 0 ? (
+        <Text style={styles.warning}>{`문자로 보낼 수 없는 글자가 있습니다: ${info.unsupported.join(' ')}`}</Text>
+      ) : null}
+
+      <View style={styles.modes}>
+        {SEND_MODES.map((mode) => (
+          <TouchableOpacity
+            key={mode.id}
+            style={[styles.modeChip, sendMode === mode.id && styles.selectedModeChip]}
+            onPress={() => setSendMode(mode.id)}
+          >
+            <Text style={styles.modeText}>{mode.label}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      {sendMode === 'split' && parts.length > 0 ? (
+        <View style={styles.preview}>
+          {parts.map((part, i) => (
+            <Text key={i} style={styles.previewPart}>
+              {`${part}  [${getByteLength(part)}B]`}
+            </Text>
+          ))}
+        </View>
+      ) : null}
+
+      {sendMode === 'link' ? (
+        <View style={styles.preview}>
+          {link ? (
+            <Text style={styles.previewPart}>{`${buildLinkMessage(link)}  [${getByteLength(buildLinkMessage(link))}B]`}</Text>
+          ) : (
+            <Text style={styles.warning}>문서를 저장한 뒤 위의 '웹 페이지로 게시'를 누르면 링크를 보낼 수 있습니다.</Text>
+          )}
+        </View>
+      ) : null}
+
+      {sendMode === 'short' ? (
+        <View style={styles.preview}>
+          <Button
+            title={isShortening ? '요약 중...' : shortVersion ? '요약본 다시 만들기' : 'AI로 SMS 요약본 만들기'}
+            onPress={createShortVersion}
+            disabled={isShortening || !message}
+          />
+          {shortVersion ? (
+            <>
+              <TextInput multiline value={shortVersion} onChangeText={setShortVersion} style={styles.shortInput} />
+              <Text style={[styles.lengthInfo, shortInfo.type !== 'SMS' && styles.warning]}>
+                {`${shortInfo.bytes}/${SMS_MAX_BYTES}바이트 · ${shortInfo.type} · ${VARIANT_STATUS_LABELS[shortStatus]}`}
+              </Text>
+            </>
+          ) : null}
+        </View>
+      ) : null}
+
+      <View style={styles.inputContainer}>
+        <TextInput
+          multiline
+          value={recipientsInput}
+          onChangeText={setRecipientsInput}
+          placeholder="전화번호 입력 (여러 명은 쉼표나 줄바꿈으로 구분)"
+          keyboardType="phone-pad"
+          style={styles.input}
+        />
+        <Button
+          title={isSending ? '전송 중...' : `SMS 전송${recipients.length > 1 ? ` (${recipients.length}명)` : ''}`}
+          onPress={sendSMS}
+          disabled={disabled || Boolean(sendBlockedReason) || isSending || !message || recipients.length === 0}
+        />
+      </View>
+      {sendBlockedReason ? <Text style={styles.warning}>{sendBlockedReason}</Text> : null}
+      {!blockedReason && documentId && unsubmittedVariants.length > 0 ? (
+        <Button
+          title={isSubmittingVariants ? '요청 중...' : '문안 검토 요청'}
+          onPress={submitVariants}
+          disabled={disabled || isSubmittingVariants}
+        />
+      ) : null}
+      {recipients.length > 0 && languages.length === 1 ? (
+        <Text style={styles.recipients}>{recipients.map(formatPhoneNumber).join(', ')}</Text>
+      ) : null}
+      {recipients.length > 0 && languages.length > 1 ? (
+        <View style={styles.recipientLanguages}>
+          <Text style={styles.recipients}>받을 언어:</Text>
+          {recipients.map((number) => (
+            <View key={number} style={styles.recipientRow}>
+              <Text style={styles.recipientNumber}>{formatPhoneNumber(number)}</Text>
+              {languages.map((code) => (
+                <TouchableOpacity
+                  key={code}
+                  style={[styles.languageChip, languageOf(number) === code && styles.selectedModeChip]}
+                  onPress={() => setRecipientLanguage(number, code)}
+                >
+                  <Text style={styles.modeText}>{languageLabel(code)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ))}
+          {groupRecipients()
+            .filter((group) => group.language !== SOURCE_LANGUAGE.code)
+            .map((group) => {
+              const groupInfo = classifyMessage(group.text, group.encoding);
+              return (
+                <Text
+                  key={group.language}
+                  style={[styles.lengthInfo, (groupInfo.type === 'OVER' || groupInfo.unsupported.length > 0) && styles.warning]}
+                >
+                  {`${languageLabel(group.language)} ${group.recipients.length}명 · ${groupInfo.bytes}바이트 · ${groupInfo.type === 'OVER' ? 'LMS 초과' : groupInfo.type}`}
+                  {group.encoding === 'UCS-2' ? ' (유니코드)' : ''}
+                  {groupInfo.unsupported.length > 0 ? ` · 보낼 수 없는 글자 ${groupInfo.unsupported.length}종` : ''}
+                </Text>
+              );
+            })}
+        </View>
+      ) : null}
+      {invalidRecipients.length > 0 ? (
+        <Text style={styles.warning}>{`잘못된 번호: ${invalidRecipients.join(', ')}`}</Text>
+      ) : null}
+
+      <View style={styles.scheduleRow}>
+        <TextInput
+          value={scheduleAt}
+          onChangeText={setScheduleAt}
+          placeholder="예약 시각 (YYYY-MM-DD HH:mm, 서울)"
+          style={styles.input}
+        />
+        <TouchableOpacity style={styles.modeChip} onPress={() => setScheduleAt(nextMorning(8))}>
+          <Text style={styles.modeText}>내일 오전 8시</Text>
+        </TouchableOpacity>
+        <Button
+          title={isScheduling ? '예약 중...' : '예약 전송'}
+          onPress={scheduleSMS}
+          disabled={disabled || Boolean(sendBlockedReason) || isScheduling || !message || recipients.length === 0 || !scheduleAt.trim()}
+        />
+      </View>
+      {scheduledNotice ? <Text style={styles.recipients}>{scheduledNotice}</Text> : null}
+
+      {deliveries.length > 0 ? (
+        <View style={styles.deliveries}>
+          <View style={styles.deliveriesHeader}>
+            <Text style={styles.deliveriesTitle}>서버 전송 결과</Text>
+            <TouchableOpacity onPress={refreshDeliveries}>
+              <Text style={styles.link}>상태 새로고침</Text>
+            </TouchableOpacity>
+          </View>
+          {deliveries.map((m) => (
+            <Text key={m.id} style={[styles.deliveryItem, m.status === 'failed' && styles.warning]}>
+              {`${formatPhoneNumber(m.recipient)} · ${STATUS_LABELS[m.status] || m.status}`}
+              {m.sentAt ? ` · ${new Date(m.sentAt).toLocaleTimeString()}` : ''}
+            </Text>
+          ))}
+        </View>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  lengthInfo: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 8,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#fa541c',
+    marginBottom: 8,
+  },
+  modes: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 8,
+  },
+  modeChip: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#d9d9d9',
+    backgroundColor: '#fff',
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  selectedModeChip: {
+    backgroundColor: '#bae7ff',
+    borderColor: '#1890ff',
+  },
+  recipientLanguages: {
+    marginTop: 4,
+  },
+  recipientRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  recipientNumber: {
+    fontSize: 13,
+    width: 120,
+  },
+  languageChip: {
+    paddingVertical: 2,
+    paddingHorizontal: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#d9d9d9',
+    backgroundColor: '#fff',
+    marginRight: 4,
+    marginBottom: 4,
+  },
+  modeText: {
+    fontSize: 13,
+  },
+  preview: {
+    marginBottom: 8,
+  },
+  previewPart: {
+    fontSize: 12,
+    color: '#333',
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 4,
+    padding: 6,
+    marginBottom: 4,
+  },
+  shortInput: {
+    minHeight: 60,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 8,
+    marginTop: 8,
+    marginBottom: 4,
+    backgroundColor: '#fff',
+    textAlignVertical: 'top',
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 8,
+    marginRight: 8,
+    backgroundColor: '#fff',
+  },
+  recipients: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 6,
+  },
+  scheduleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  deliveries: {
+    marginTop: 8,
+    padding: 8,
+    borderWidth: 1,
+    borderColor: '#eee',
+    borderRadius: 4,
+    backgroundColor: '#fff',
+  },
+  deliveriesHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  deliveriesTitle: {
+    fontSize: 13,
+    fontWeight: 'bold',
+  },
+  link: {
+    fontSize: 12,
+    color: '#1890ff',
+  },
+  deliveryItem: {
+    fontSize: 12,
+    color: '#333',
+    marginBottom: 2,
+  },
+});
+
+export default SmsSendPanel;
@@ -0,0 +1,106 @@
+import React from 'react';
+import { View, Text, TextInput, StyleSheet } from 'react-native';
+
+/**
+ * @description 구조화 문서(제목, 요약, 섹션, 맺음말)를 구획별로 편집하는 컴포넌트
+ * @param {{
+ *   document: { title: string, summary: string, sections: { heading: string, body: string }[], closing: string },
+ *   onChange: (document: object) => void,
+ *   editable?: boolean,
+ * }} props
+ * @returns {JSX.Element}
+ */
+const StructuredDocumentEditor = ({ document, onChange, editable = true }) => {
+  const setField = (field, value) => onChange({ ...document, [field]: value });
+
+  const setSection = (index, field, value) =>
+    onChange({
+      ...document,
+      sections: document.sections.map((s, i) => (i === index ? { ...s, [field]: value } : s)),
+    });
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>제목</Text>
+      <TextInput
+        value={document.title}
+        onChangeText={(v) => setField('title', v)}
+        editable={editable}
+        style={[styles.input, styles.titleInput]}
+      />
+
+      <Text style={styles.label}>요약</Text>
+      <TextInput
+        multiline
+        value={document.summary}
+        onChangeText={(v) => setField('summary', v)}
+        editable={editable}
+        style={[styles.input, styles.multiline]}
+      />
+
+      {document.sections.map((section, index) => (
+        <View key={index} style={styles.section}>
+          <TextInput
+            value={section.heading}
+            onChangeText={(v) => setSection(index, 'heading', v)}
+            editable={editable}
+            style={[styles.input, styles.headingInput]}
+          />
+          <TextInput
+            multiline
+            value={section.body}
+            onChangeText={(v) => setSection(index, 'body', v)}
+            editable={editable}
+            style={[styles.input, styles.multiline]}
+          />
+        </View>
+      ))}
+
+      <Text style={styles.label}>맺음말</Text>
+      <TextInput
+        multiline
+        value={document.closing}
+        onChangeText={(v) => setField('closing', v)}
+        editable={editable}
+        style={[styles.input, styles.multiline]}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginBottom: 16,
+  },
+  label: {
+    fontSize: 12,
+    fontWeight: 'bold',
+    color: '#555',
+    marginBottom: 4,
+  },
+  section: {
+    marginBottom: 4,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 8,
+    marginBottom: 8,
+    backgroundColor: '#fff',
+  },
+  titleInput: {
+    fontSize: 16,
+    fontWeight: 'bold',
+  },
+  headingInput: {
+    fontWeight: 'bold',
+    backgroundColor: '#fafafa',
+  },
+  multiline: {
+    minHeight: 60,
+    textAlignVertical: 'top',
+  },
+});
+
+export default StructuredDocumentEditor;
@@ -0,0 +1,122 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import { formatOffset } from '../utils/transcriptSegments';
+import CorrectedText from './CorrectedText';
+
+/**
+ * @description 녹음 구간 목록. 구간마다 발언 시점과 신뢰도를 보여주고, 개별 수정·삭제를 지원합니다.
+ * @param {{
+ *   segments: { id: string, text: string, startMs: number, endMs: number, confidence: number | null }[],
+ *   onChange?: (segments: object[]) => void,
+ *   editable?: boolean,
+ *   corrections?: { id: string, segmentId: string, start: number, end: number, reverted: boolean }[],
+ *   onToggleCorrection?: (correction: object) => void,
+ * }} props - onChange는 수정/삭제 후의 전체 구간 목록을, onToggleCorrection은 누른 용어집 교정을 받음
+ * @returns {JSX.Element}
+ */
+const TranscriptSegmentList = ({ segments, onChange, editable = true, corrections = [], onToggleCorrection }) => {
+  const [editing, setEditing] = useState(null); // { id, text }
+
+  const saveEditing = () => {
+    const text = editing.text.trim();
+    // 내용을 모두 지우면 구간 삭제
+    onChange(
+      text
+        ? segments.map((s) => (s.id === editing.id ? { ...s, text } : s))
+        : segments.filter((s) => s.id !== editing.id)
+    );
+    setEditing(null);
+  };
+
+  const removeSegment = (id) => onChange(segments.filter((s) => s.id !== id));
+
+  return (
+    <View>
+      {segments.map((segment) => (
+        <View key={segment.id} style={styles.segment}>
+          <Text style={styles.time}>
+            {`${formatOffset(segment.startMs)}–${formatOffset(segment.endMs)}`}
+            {segment.confidence != null ? ` · ${Math.round(segment.confidence * 100)}%` : ''}
+          </Text>
+          {editing?.id === segment.id ? (
+            <View style={styles.editRow}>
+              <TextInput
+                multiline
+                autoFocus
+                value={editing.text}
+                onChangeText={(text) => setEditing({ ...editing, text })}
+                style={styles.input}
+              />
+              <TouchableOpacity onPress={saveEditing}>
+                <Text style={styles.action}>저장</Text>
+              </TouchableOpacity>
+              <TouchableOpacity onPress={() => setEditing(null)}>
+                <Text style={styles.action}>취소</Text>
+              </TouchableOpacity>
+            </View>
+          ) : (
+            <View style={styles.editRow}>
+              <CorrectedText
+                text={segment.text}
+                corrections={corrections.filter((c) => c.segmentId === segment.id)}
+                onToggle={editable ? onToggleCorrection : undefined}
+                style={[styles.text, segment.confidence != null && segment.confidence < 0.6 && styles.lowConfidence]}
+              />
+              {editable ? (
+                <>
+                  <TouchableOpacity onPress={() => setEditing({ id: segment.id, text: segment.text })}>
+                    <Text style={styles.action}>수정</Text>
+                  </TouchableOpacity>
+                  <TouchableOpacity onPress={() => removeSegment(segment.id)}>
+                    <Text style={[styles.action, styles.delete]}>삭제</Text>
+                  </TouchableOpacity>
+                </>
+              ) : null}
+            </View>
+          )}
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  segment: {
+    marginBottom: 6,
+  },
+  time: {
+    fontSize: 11,
+    color: '#888',
+  },
+  editRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  text: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  // 인식 신뢰도가 낮은 구간은 확인하기 쉽게 표시
+  lowConfidence: {
+    color: '#d46b08',
+  },
+  input: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+    backgroundColor: '#fff',
+  },
+  action: {
+    fontSize: 12,
+    color: '#1890ff',
+    marginLeft: 8,
+  },
+  delete: {
+    color: '#fa541c',
+  },
+});
+
+export default TranscriptSegmentList;
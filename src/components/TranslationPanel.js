@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, Button, TouchableOpacity, ScrollView, StyleSheet } from 'react-native';
+import { SOURCE_LANGUAGE, TRANSLATION_LANGUAGES, languageLabel, translateDocument } from '../services/translateApi';
+import { useAppStore } from '../store/appStore';
+
+const MAX_LANGUAGES_PER_REQUEST = 5;
+
+/**
+ * @description 문서를 여러 언어로 번역해 원문과 나란히 보여주고 고치는 패널. 번역본은 편집 중인 문서와 함께 저장되며
+ * 문자 전송(수신자별 언어)과 파일 내보내기에서 고를 수 있습니다.
+ * @param {{ content: string, structured?: object | null, onError: (message: string) => void, disabled?: boolean }} props
+ * @returns {JSX.Element}
+ */
+const TranslationPanel = ({ content, structured, onError, disabled = false }) => {
+  const translations = useAppStore((state) => state.draft.translations);
+  const updateDraft = useAppStore((state) => state.updateDraft);
+  const [selected, setSelected] = useState([]); // 번역할 언어 코드
+  const [translating, setTranslating] = useState([]); // 번역 중인 언어 코드
+
+  const codes = TRANSLATION_LANGUAGES.map((l) => l.code).filter((code) => translations[code]);
+
+  const toggle = (code) =>
+    setSelected((prev) =>
+      prev.includes(code) ? prev.filter((c) => c !== code) : [...prev, code].slice(-MAX_LANGUAGES_PER_REQUEST)
+    );
+
+  /**
+   * 번역본 하나를 바꿉니다. (null이면 삭제)
+   * @param {string} code
+   * @param {object | null} value
+   */
+  const setTranslation = (code, value) => {
+    const { [code]: _previous, ...rest } = useAppStore.getState().draft.translations;
+    updateDraft({ translations: value ? { ...rest, [code]: value } : rest });
+  };
+
+  /** @param {string[]} targetLanguages */
+  const translate = async (targetLanguages) => {
+    setTranslating(targetLanguages);
+    onError('');
+    try {
+      const result = await translateDocument({ content, structured, targetLanguages });
+      const failures = [];
+      for (const t of result.translations) {
+        if (t.error) {
+          failures.push(`${t.label}: ${t.error}`);
+          continue;
+        }
+        setTranslation(t.language, {
+          content: t.content,
+          structured: t.document,
+          sourceContent: content,
+          missingTerms: t.missingTerms,
+        });
+      }
+      setSelected([]);
+      if (failures.length) onError('일부 언어를 번역하지 못했습니다: ' + failures.join(' / '));
+    } catch (error) {
+      console.error('번역 오류:', error);
+      onError('번역 중 오류가 발생했습니다: ' + error.message);
+    } finally {
+      setTranslating([]);
+    }
+  };
+
+  const busy = translating.length > 0;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.label}>다른 언어 번역본:</Text>
+      <View style={styles.chips}>
+        {TRANSLATION_LANGUAGES.map((language) => (
+          <TouchableOpacity
+            key={language.code}
+            style={[styles.chip, selected.includes(language.code) && styles.selectedChip]}
+            onPress={() => toggle(language.code)}
+          >
+            <Text style={styles.chipText}>{`${language.label}${translations[language.code] ? ' ✓' : ''}`}</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+      <Button
+        title={busy ? `번역 중... (${translating.map(languageLabel).join(', ')})` : `선택한 언어로 번역 (${selected.length})`}
+        onPress={() => translate(selected)}
+        disabled={disabled || busy || !content || selected.length === 0}
+      />
+
+      {codes.length > 0 ? (
+        <ScrollView horizontal style={styles.columns}>
+          <View style={styles.column}>
+            <Text style={styles.columnTitle}>{`${SOURCE_LANGUAGE.label} (원문)`}</Text>
+            <Text style={styles.sourceText}>{content}</Text>
+          </View>
+          {codes.map((code) => {
+            const translation = translations[code];
+            const stale = translation.sourceContent !== content;
+            return (
+              <View key={code} style={styles.column}>
+                <View style={styles.columnHeader}>
+                  <Text style={styles.columnTitle}>{languageLabel(code)}</Text>
+                  <TouchableOpacity onPress={() => setTranslation(code, null)} disabled={busy}>
+                    <Text style={styles.remove}>삭제</Text>
+                  </TouchableOpacity>
+                </View>
+                {stale ? (
+                  <View style={styles.notice}>
+                    <Text style={styles.warning}>원문이 바뀌었습니다.</Text>
+                    <Button title="다시 번역" onPress={() => translate([code])} disabled={disabled || busy || !content} />
+                  </View>
+                ) : null}
+                {translation.missingTerms?.length ? (
+                  <Text style={styles.warning}>{`용어집 표기가 빠졌습니다: ${translation.missingTerms.join(', ')}`}</Text>
+                ) : null}
+                <TextInput
+                  multiline
+                  value={translation.content}
+                  // 직접 고친 번역본은 텍스트로 다룸 (구조화 번역은 고치기 전 내용이므로 버림)
+                  onChangeText={(value) => setTranslation(code, { ...translation, content: value, structured: null })}
+                  style={styles.translationInput}
+                  editable={!busy}
+                />
+              </View>
+            );
+          })}
+        </ScrollView>
+      ) : null}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    marginTop: 12,
+  },
+  label: {
+    fontSize: 14,
+    marginBottom: 6,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginBottom: 6,
+  },
+  chip: {
+    paddingVertical: 4,
+    paddingHorizontal: 10,
+    borderRadius: 12,
+    backgroundColor: '#eee',
+    marginRight: 6,
+    marginBottom: 6,
+  },
+  selectedChip: {
+    backgroundColor: '#bae0ff',
+  },
+  chipText: {
+    fontSize: 12,
+  },
+  columns: {
+    marginTop: 8,
+  },
+  column: {
+    width: 300,
+    marginRight: 8,
+    padding: 8,
+    borderRadius: 4,
+    borderWidth: 1,
+    borderColor: '#eee',
+    backgroundColor: '#fff',
+  },
+  columnHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
+  columnTitle: {
+    fontSize: 14,
+    fontWeight: 'bold',
+    marginBottom: 6,
+  },
+  remove: {
+    fontSize: 12,
+    color: '#cf1322',
+  },
+  notice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  warning: {
+    fontSize: 12,
+    color: '#d4380d',
+    marginBottom: 4,
+  },
+  sourceText: {
+    fontSize: 14,
+    lineHeight: 22,
+  },
+  translationInput: {
+    minHeight: 200,
+    fontSize: 14,
+    lineHeight: 22,
+    textAlignVertical: 'top',
+    borderWidth: 1,
+    borderColor: '#ddd',
+    borderRadius: 4,
+    padding: 6,
+  },
+});
+
+export default TranslationPanel;
@@ -0,0 +1,55 @@
+import { apiRequest, apiDownload } from './api';
+import { saveDownloadedFile } from '../utils/saveDownloadedFile';
+
+/**
+ * 일정·마감·할 일 추출과 체크리스트 API (server/routes/extract.js, server/routes/actionItems.js)
+ * 항목: { id, type: 'event' | 'deadline' | 'action', title, assignee, date: 'YYYY-MM-DD' | null, time: 'HH:mm' | null,
+ *   dateText, quote, done, source: 'extracted' | 'manual', edited }
+ */
+
+/** 항목 종류 (선택 순서) */
+export const ACTION_ITEM_TYPES = [
+  { id: 'event', label: '일정' },
+  { id: 'deadline', label: '마감' },
+  { id: 'action', label: '할 일' },
+];
+
+/** 체크리스트 범위를 조회 문자열로: 문서가 있으면 문서, 없으면 첫 세션 */
+const scopeQuery = ({ documentId, sessionIds }) =>
+  documentId ? `documentId=${encodeURIComponent(documentId)}` : `sessionId=${encodeURIComponent(sessionIds[0])}`;
+
+/**
+ * 문서나 세션에서 항목을 추출해 체크리스트를 새로 고칩니다. (고치거나 완료한 항목은 남음)
+ * @param {{ documentId?: string, sessionIds?: string[] }} scope
+ * @returns {Promise<{ items: object[], extracted: number, redactions: object[] }>}
+ */
+export const extractActionItems = ({ documentId, sessionIds }) =>
+  apiRequest('/api/extract', { method: 'POST', body: documentId ? { documentId } : { sessionIds } });
+
+/** @param {{ documentId?: string, sessionIds?: string[] }} scope @returns {Promise<object[]>} */
+export const listActionItems = async (scope) => (await apiRequest(`/api/action-items?${scopeQuery(scope)}`)).items;
+
+/**
+ * 항목을 직접 추가합니다.
+ * @param {{ documentId?: string, sessionIds?: string[] }} scope
+ * @param {{ type: string, title: string, assignee?: string, date?: string | null, time?: string | null }} item
+ */
+export const createActionItem = async ({ documentId, sessionIds }, item) =>
+  (await apiRequest('/api/action-items', { method: 'POST', body: documentId ? { documentId, ...item } : { sessionIds, ...item } }))
+    .item;
+
+/** @param {object} patch - 바꿀 필드만 (date를 null로 보내면 시각도 지워짐) */
+export const updateActionItem = async (id, patch) =>
+  (await apiRequest(`/api/action-items/${id}`, { method: 'PUT', body: patch })).item;
+
+export const deleteActionItem = (id) => apiRequest(`/api/action-items/${id}`, { method: 'DELETE' });
+
+/**
+ * 날짜가 있는 항목을 .ics 달력 파일로 받아 저장합니다.
+ * @param {{ documentId?: string, sessionIds?: string[] }} scope
+ * @returns {Promise<string>} 저장 위치 (웹은 파일 이름, 네이티브는 파일 URI)
+ */
+export async function downloadCalendar(scope) {
+  const file = await apiDownload(`/api/action-items/calendar.ics?${scopeQuery(scope)}`, { method: 'GET' });
+  return saveDownloadedFile({ ...file, filename: file.filename || '일정.ics' });
+}
@@ -0,0 +1,118 @@
+import { authHeaders } from './credentials';
+import { API_BASE_URL } from './config';
+
+/**
+ * 백엔드 API 호출 공통 유틸리티 (서버 주소는 ./config 참고)
+ */
+export { API_BASE_URL };
+
+/**
+ * 서버 오류 응답
+ * - status: HTTP 상태 (401 인증 실패, 429 한도 초과 등)
+ * - code: 서버 오류 코드 ('rate_limited' | 'quota_exceeded' 등, 없으면 null)
+ * - retryAfter: 다시 시도할 수 있을 때까지 남은 초 (없으면 null)
+ * 서버에 연결하지 못하면 status 0, code 'network' (isNetworkError)
+ */
+export class ApiError extends Error {
+  constructor(message, { status, code = null, retryAfter = null, limit = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.retryAfter = retryAfter;
+    this.limit = limit;
+  }
+}
+
+/** 서버에 연결할 수 없을 때의 오류 */
+export const networkError = () => new ApiError('서버에 연결할 수 없습니다.', { status: 0, code: 'network' });
+
+/** @returns {boolean} 서버에 닿지 못한 오류인지 (오프라인 대기열 대상) */
+export const isNetworkError = (error) => error?.code === 'network';
+
+/**
+ * 오류 응답 본문과 Retry-After 헤더로 ApiError를 만듭니다.
+ * @param {number} status
+ * @param {object | null} data - 응답 JSON
+ * @param {string | null} [retryAfterHeader]
+ * @returns {ApiError}
+ */
+export function toApiError(status, data, retryAfterHeader = null) {
+  const retryAfter = data?.retryAfter ?? (retryAfterHeader ? Number(retryAfterHeader) || null : null);
+  return new ApiError(data?.error || `요청 실패 (${status})`, { status, code: data?.code, retryAfter, limit: data?.limit });
+}
+
+/**
+ * JSON API 요청을 보내고 응답 본문을 반환합니다.
+ * @param {string} path - API 경로 (예: '/api/sessions')
+ * @param {{ method?: string, body?: object | Blob, contentType?: string }} [options]
+ *   - contentType을 지정하면 body(파일 등)를 JSON으로 바꾸지 않고 그대로 보냄
+ * @returns {Promise<any>} 응답 JSON (204 응답이면 null)
+ * @throws {ApiError} 서버가 오류 상태를 반환하면 서버의 error 메시지로 예외 발생
+ */
+export async function apiRequest(path, { method = 'GET', body, contentType } = {}) {
+  const raw = Boolean(contentType);
+  let res;
+  try {
+    res = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers: {
+        ...authHeaders(),
+        ...(body ? { 'Content-Type': raw ? contentType : 'application/json' } : {}),
+      },
+      body: body ? (raw ? body : JSON.stringify(body)) : undefined,
+    });
+  } catch {
+    // fetch는 연결 실패(오프라인, 서버 중지, CORS 차단)일 때만 reject
+    throw networkError();
+  }
+
+  if (res.status === 204) return null;
+
+  const data = await res.json().catch(() => null);
+  if (!res.ok) {
+    throw toApiError(res.status, data, res.headers.get('Retry-After'));
+  }
+  return data;
+}
+
+/**
+ * Content-Disposition 헤더에서 파일 이름을 읽습니다. (filename* 우선)
+ * @param {string | null} header
+ * @returns {string | null}
+ */
+function readFilename(header) {
+  const encoded = header?.match(/filename\*=UTF-8''([^;]+)/i);
+  if (encoded) return decodeURIComponent(encoded[1]);
+  return header?.match(/filename="([^"]+)"/i)?.[1] || null;
+}
+
+/**
+ * 파일 응답을 받는 API 요청 (JSON 본문으로 요청)
+ * @param {string} path - API 경로 (예: '/api/export')
+ * @param {{ method?: string, body?: object }} [options]
+ * @returns {Promise<{ data: ArrayBuffer, filename: string | null, contentType: string | null }>}
+ * @throws {ApiError} 서버가 오류 상태를 반환하면 서버의 error 메시지로 예외 발생
+ */
+export async function apiDownload(path, { method = 'POST', body } = {}) {
+  let res;
+  try {
+    res = await fetch(`${API_BASE_URL}${path}`, {
+      method,
+      headers: { ...authHeaders(), ...(body ? { 'Content-Type': 'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+  } catch {
+    throw networkError();
+  }
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => null);
+    throw toApiError(res.status, data, res.headers.get('Retry-After'));
+  }
+  return {
+    data: await res.arrayBuffer(),
+    filename: readFilename(res.headers.get('Content-Disposition')),
+    contentType: res.headers.get('Content-Type'),
+  };
+}
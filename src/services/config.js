@@ -0,0 +1,16 @@
+import { Platform } from 'react-native';
+import appConfig from '../../app.json';
+import { resolveApiBaseUrl } from '../../shared/apiBaseUrl';
+
+/**
+ * 앱 설정
+ * API 서버 주소를 정하는 순서는 shared/apiBaseUrl.js를 참고하세요.
+ */
+
+export const API_BASE_URL = resolveApiBaseUrl({
+  envUrl: process.env.EXPO_PUBLIC_API_BASE_URL,
+  extraUrl: appConfig.expo?.extra?.apiBaseUrl,
+  platform: Platform.OS,
+  location: typeof window !== 'undefined' ? window.location : undefined,
+  dev: typeof __DEV__ !== 'undefined' && __DEV__,
+});
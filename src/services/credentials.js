@@ -0,0 +1,39 @@
+import { Platform } from 'react-native';
+
+/**
+ * API 키 보관
+ * - 기본값은 빌드 시 환경 변수 EXPO_PUBLIC_API_KEY (네이티브 빌드와 로컬 개발 서버에서만 사용)
+ * - EXPO_PUBLIC_* 값은 번들에 그대로 들어가 누구나 볼 수 있으므로, 배포한 웹에서는 쓰지 않고
+ *   인증 오류 시 화면(ApiKeyInput)에서 입력한 키만 사용
+ * - 화면에서 입력한 키가 우선하며, 웹에서는 localStorage에 남겨 새로고침 후에도 유지
+ */
+
+const STORAGE_KEY = 'voice-to-text.apiKey';
+
+const canUseStorage = () => Platform.OS === 'web' && typeof window !== 'undefined' && Boolean(window.localStorage);
+
+/** 빌드 시 넣은 기본 키 (배포용 웹 빌드에서는 항상 빈 문자열) */
+const defaultApiKey = () => {
+  const dev = typeof __DEV__ !== 'undefined' && __DEV__;
+  return Platform.OS !== 'web' || dev ? process.env.EXPO_PUBLIC_API_KEY || '' : '';
+};
+
+let apiKey = (canUseStorage() && window.localStorage.getItem(STORAGE_KEY)) || defaultApiKey();
+
+/** @returns {string} 현재 API 키 (없으면 빈 문자열) */
+export const getApiKey = () => apiKey;
+
+/**
+ * API 키를 바꿉니다. 빈 값이면 입력한 키를 지우고 기본값으로 돌아갑니다.
+ * @param {string} key
+ */
+export function setApiKey(key) {
+  const trimmed = (key || '').trim();
+  apiKey = trimmed || defaultApiKey();
+  if (!canUseStorage()) return;
+  if (trimmed) window.localStorage.setItem(STORAGE_KEY, trimmed);
+  else window.localStorage.removeItem(STORAGE_KEY);
+}
+
+/** @returns {object} 요청에 붙일 인증 헤더 */
+export const authHeaders = () => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {});
@@ -0,0 +1,29 @@
+import { apiDownload } from './api';
+import { saveDownloadedFile } from '../utils/saveDownloadedFile';
+
+/**
+ * 문서 내보내기 API (server/routes/export.js)
+ */
+
+/** 내보내기 형식 (버튼 순서). koreanOnly: 한국어 글꼴만 써서 번역본은 받을 수 없음 (server/export/pdf.js) */
+export const EXPORT_FORMATS = [
+  { id: 'docx', label: 'Word' },
+  { id: 'pdf', label: 'PDF', koreanOnly: true },
+  { id: 'md', label: 'Markdown' },
+  { id: 'txt', label: '텍스트' },
+];
+
+/**
+ * 편집 중인 문서를 파일로 받아 저장합니다.
+ * @param {{
+ *   format: 'docx' | 'pdf' | 'md' | 'txt',
+ *   content: string,
+ *   structured?: object | null,
+ *   letterhead?: { orgName?: string, date?: string, signer?: string },
+ * }} request - letterhead.date를 빼면 서버가 오늘 날짜를 넣음
+ * @returns {Promise<string>} 저장 위치 (웹은 파일 이름, 네이티브는 파일 URI)
+ */
+export async function exportDocument({ format, content, structured, letterhead }) {
+  const file = await apiDownload('/api/export', { body: { format, content, structured, letterhead } });
+  return saveDownloadedFile({ ...file, filename: file.filename || `문서.${format}` });
+}
@@ -0,0 +1,109 @@
+import { API_BASE_URL, toApiError, networkError } from './api';
+import { authHeaders } from './credentials';
+
+/**
+ * SSE 텍스트에서 완성된 이벤트들을 파싱합니다.
+ * @param {string} buffer - 아직 처리하지 않은 SSE 텍스트
+ * @returns {{ events: { event: string, data: any }[], rest: string }} 완성된 이벤트와 남은 텍스트
+ */
+function parseEvents(buffer) {
+  const blocks = buffer.split('\n\n');
+  const rest = blocks.pop();
+  const events = blocks
+    .map((block) => {
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      try {
+        return { event, data: data ? JSON.parse(data) : null };
+      } catch {
+        return null;
+      }
+    })
+    .filter(Boolean);
+  return { events, rest };
+}
+
+/**
+ * 문서 생성 스트리밍 요청 (POST /api/generate/stream)
+ * React Native의 fetch는 응답 스트림을 지원하지 않으므로 XMLHttpRequest의 progress 이벤트로
+ * 웹/네이티브 모두 같은 방식으로 조각을 읽습니다.
+ * @param {{ text: string, templateId?: string, documentType?: string, provider?: string, model?: string }} body
+ * @param {{ onStart?: (meta: { provider: string, model: string, corrections: object[], redactions: object[] }) => void, onChunk?: (text: string) => void }} [handlers]
+ *   - onChunk는 모델이 생성 중인 원문(JSON) 조각을 받습니다. 개인정보는 [이름1] 같은 자리표시자로 가려져 있고 완성된 문서에서 복원됩니다.
+ * @returns {{ promise: Promise<{ content: string, document: object, repairs: number }>, cancel: () => void }}
+ *   promise는 검증된 구조화 문서(document)와 텍스트 렌더링(content)으로 resolve
+ * @example
+ * const { promise, cancel } = streamGenerateDocument({ text }, { onChunk: (t) => append(t) });
+ */
+export function streamGenerateDocument(body, { onStart, onChunk } = {}) {
+  const xhr = new XMLHttpRequest();
+  let cancelled = false;
+
+  const promise = new Promise((resolve, reject) => {
+    let offset = 0;
+    let buffer = '';
+    let settled = false;
+
+    const finish = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      fn(value);
+    };
+
+    const consume = () => {
+      const text = xhr.responseText || '';
+      buffer += text.slice(offset);
+      offset = text.length;
+      const { events, rest } = parseEvents(buffer);
+      buffer = rest;
+      events.forEach(({ event, data }) => {
+        if (event === 'start') onStart?.(data);
+        else if (event === 'chunk') onChunk?.(data?.text || '');
+        else if (event === 'done') finish(resolve, data);
+        else if (event === 'error') finish(reject, new Error(data?.error || '문서 생성 요청 실패'));
+      });
+    };
+
+    xhr.open('POST', `${API_BASE_URL}/api/generate/stream`);
+    xhr.setRequestHeader('Content-Type', 'application/json');
+    Object.entries(authHeaders()).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+    xhr.onprogress = () => {
+      if (xhr.status === 200) consume();
+    };
+    xhr.onload = () => {
+      if (xhr.status !== 200) {
+        let data = null;
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch {
+          // JSON이 아닌 오류 응답
+        }
+        finish(reject, toApiError(xhr.status, { error: '문서 생성 요청 실패', ...data }, xhr.getResponseHeader('Retry-After')));
+        return;
+      }
+      consume();
+      finish(reject, new Error('스트림이 완료되지 않았습니다.'));
+    };
+    xhr.onerror = () => finish(reject, networkError());
+    xhr.onabort = () => {
+      const err = new Error('생성이 취소되었습니다.');
+      err.name = 'AbortError';
+      finish(reject, err);
+    };
+    xhr.send(JSON.stringify(body));
+  });
+
+  return {
+    promise,
+    cancel: () => {
+      if (!cancelled) {
+        cancelled = true;
+        xhr.abort();
+      }
+    },
+  };
+}
@@ -0,0 +1,62 @@
+import { apiRequest } from './api';
+import { createDocument } from './sessionApi';
+import { loadJSON, saveJSON } from './storage';
+import { createGenerationQueue } from '../../shared/generationQueue';
+
+/**
+ * 오프라인 문서 생성 대기열
+ * - 서버에 연결할 수 없을 때 생성 요청을 기기 저장소에 보관하고, 연결되면 자동으로 다시 보냅니다.
+ * - 항목: { id, body, label, recordingId, sourceSessionIds, documentType, templateId,
+ *          status: 'queued' | 'sending' | 'done' | 'failed', attempts, nextAttemptAt, lastError, result, createdAt }
+ *   result: { content, document, savedDocument } (savedDocument는 서버 세션에 저장된 문서, 없으면 null)
+ * - 보내는 순서와 재시도 규칙은 shared/generationQueue.js에 있습니다.
+ */
+
+const STORAGE_KEY = 'voice-to-text.generationQueue';
+
+/**
+ * 항목 하나를 생성하고, 서버 세션이 있으면 문서로 저장합니다.
+ * @param {object} item
+ * @returns {Promise<{ content: string, document: object, savedDocument: object | null }>}
+ */
+async function sendItem(item) {
+  const { content, document } = await apiRequest('/api/generate', { method: 'POST', body: item.body });
+  let savedDocument = null;
+  if (item.recordingId) {
+    savedDocument = await createDocument(item.recordingId, {
+      documentType: item.documentType,
+      templateId: item.templateId || undefined,
+      generatedContent: content,
+      editedContent: content,
+      structured: document,
+      sourceSessionIds: item.sourceSessionIds,
+    }).catch((err) => {
+      console.log('대기열 문서 저장 실패:', err);
+      return null;
+    });
+  }
+  return { content, document, savedDocument };
+}
+
+const queue = createGenerationQueue({
+  items: loadJSON(STORAGE_KEY, []),
+  save: (items) => saveJSON(STORAGE_KEY, items),
+  send: sendItem,
+});
+
+export const { getQueue, subscribeQueue, removeQueued, retryQueued } = queue;
+
+/**
+ * 생성 요청을 대기열에 넣습니다.
+ * @param {{ body: object, label: string, recordingId?: string | null, sourceSessionIds?: string[], documentType?: string, templateId?: string | null }} request
+ *   - body: POST /api/generate 본문, recordingId: 결과를 저장할 서버 세션 (없으면 결과만 보관)
+ * @returns {object} 추가된 항목
+ */
+export const enqueueGeneration = ({ body, label, recordingId = null, sourceSessionIds, documentType, templateId = null }) =>
+  queue.enqueue({ body, label, recordingId, sourceSessionIds, documentType, templateId });
+
+/**
+ * 대기열 처리를 시작합니다. (앱 화면이 떠 있는 동안)
+ * @returns {() => void} 중지 함수
+ */
+export const startGenerationQueue = () => queue.start();
@@ -0,0 +1,21 @@
+import { apiRequest } from './api';
+
+/**
+ * 용어집 API (server/routes/glossary.js)
+ * 항목: { id, term, variants[], aliases[], description }
+ */
+
+/** @returns {Promise<object[]>} 용어순 항목 목록 */
+export const listGlossary = async () => (await apiRequest('/api/glossary')).entries;
+
+/**
+ * @param {{ term: string, variants?: string[], aliases?: string[], description?: string }} entry
+ *   - variants: 잘못 인식되는 표기, aliases: 발음대로 적힌 표기 (모두 term으로 교정)
+ */
+export const createGlossaryEntry = async (entry) =>
+  (await apiRequest('/api/glossary', { method: 'POST', body: entry })).entry;
+
+export const updateGlossaryEntry = async (id, patch) =>
+  (await apiRequest(`/api/glossary/${id}`, { method: 'PUT', body: patch })).entry;
+
+export const deleteGlossaryEntry = (id) => apiRequest(`/api/glossary/${id}`, { method: 'DELETE' });
@@ -0,0 +1,19 @@
+import { apiRequest } from './api';
+
+/**
+ * 서버 문자 전송 API (server/routes/messages.js)
+ * 기기에서 SMS 작성 화면을 띄울 수 없을 때(웹 등) 서버 게이트웨이로 보냅니다.
+ */
+
+/**
+ * @param {{ recipients: string[], body: string, documentId: string, encoding?: 'EUC-KR' | 'UCS-2' }} message - documentId는 승인된 문서, body는 승인된 내용(또는 나눈 조각)이나 승인된 문자 문안 (아니면 409), encoding은 EUC-KR에 없는 글자를 쓰는 번역본이면 UCS-2
+ * @returns {Promise<{ batchId: string, messages: object[] }>} 수신자별 전송 기록 { id, recipient, status, sentAt, ... }
+ */
+export const sendServerMessages = (message) => apiRequest('/api/messages', { method: 'POST', body: message });
+
+/** @returns {Promise<object[]>} 한 번의 전송 요청(batchId)에 속한 전송 기록 */
+export const listBatchMessages = async (batchId) =>
+  (await apiRequest(`/api/messages?batchId=${encodeURIComponent(batchId)}`)).messages;
+
+/** @returns {Promise<object>} 전송 기록 한 건 (상태 조회) */
+export const getMessage = async (id) => (await apiRequest(`/api/messages/${id}`)).message;
@@ -0,0 +1,25 @@
+import { apiRequest } from './api';
+
+/**
+ * 문서 웹 게시 API (server/routes/publications.js)
+ * 게시: { id, slug, url, documentId, title, status: 'live' | 'expired' | 'unpublished', expiresAt, localExpiresAt, views, lastViewedAt }
+ */
+
+/** @returns {Promise<object[]>} 문서의 게시 기록 (최근 순) */
+export const listPublications = async (documentId) =>
+  (await apiRequest(`/api/publications?documentId=${encodeURIComponent(documentId)}`)).publications;
+
+/**
+ * 저장된 문서를 게시합니다. 이미 게시 중이면 같은 링크의 내용을 새로 고칩니다.
+ * @param {{ documentId: string, expiresAt?: string | null, letterhead?: { orgName?: string, date?: string, signer?: string } }} request
+ *   - expiresAt은 서울 시각 "YYYY-MM-DD HH:mm" (null이면 만료 없음, 빼면 기존 만료 유지)
+ */
+export const publishDocument = async (request) =>
+  (await apiRequest('/api/publications', { method: 'POST', body: request })).publication;
+
+/** @param {string | null} expiresAt - 서울 시각 "YYYY-MM-DD HH:mm", null이면 만료 없음 */
+export const updatePublicationExpiry = async (id, expiresAt) =>
+  (await apiRequest(`/api/publications/${id}`, { method: 'PUT', body: { expiresAt } })).publication;
+
+export const unpublishPublication = async (id) =>
+  (await apiRequest(`/api/publications/${id}/unpublish`, { method: 'POST' })).publication;
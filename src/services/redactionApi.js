@@ -0,0 +1,16 @@
+import { apiRequest } from './api';
+
+/**
+ * 개인정보 가림 설정 API (server/routes/redaction.js)
+ * 전화번호·주민등록번호·주소는 자동으로 찾고, 이름은 여기 등록한 목록으로 찾습니다.
+ */
+
+/** @returns {Promise<string[]>} 항상 가릴 이름 목록 */
+export const getRedactionNames = async () => (await apiRequest('/api/redaction/names')).names;
+
+/**
+ * @param {string[]} names - 전체 목록 (기존 목록을 대체)
+ * @returns {Promise<string[]>} 저장된 목록
+ */
+export const saveRedactionNames = async (names) =>
+  (await apiRequest('/api/redaction/names', { method: 'PUT', body: { names } })).names;
@@ -0,0 +1,9 @@
+import { apiRequest } from './api';
+
+/**
+ * 문서 다듬기 요청 (POST /api/refine)
+ * @param {{ content: string, instruction: string, structured?: object | null }} body
+ * @returns {Promise<{ content: string, document: object | null, redactions: object[] }>}
+ *   수정된 문서 (구조화 문서를 보냈으면 document 포함), redactions는 모델에 보내기 전 가린 개인정보
+ */
+export const refineDocument = (body) => apiRequest('/api/refine', { method: 'POST', body });
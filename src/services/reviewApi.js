@@ -0,0 +1,106 @@
+import { apiRequest } from './api';
+
+/**
+ * 문서 검토·승인 API (server/routes/reviews.js)
+ * 문서 상태: 'draft'(초안) → 'in_review'(검토 중) → 'approved'(승인됨) → 'sent'(전송됨). 승인된 문서만 보낼 수 있습니다.
+ * 감사 기록: { id, action, from, to, actor: { id, name, role }, comment, detail, createdAt }
+ * 문자 문안: 요약본·번역본·링크 문자는 문서와 따로 검토·승인을 받아야 보낼 수 있습니다.
+ *   { id, kind('short' | 'translation' | 'link'), language, content, status('draft' | 'in_review' | 'approved'),
+ *     submittedBy, approvedBy, approvedAt }
+ */
+
+export const STATUS_LABELS = { draft: '초안', in_review: '검토 중', approved: '승인됨', sent: '전송됨' };
+
+export const EVENT_LABELS = {
+  created: '작성',
+  submitted: '검토 요청',
+  withdrawn: '검토 요청 취소',
+  approved: '승인',
+  changes_requested: '수정 요청',
+  reopened: '내용 변경으로 초안 전환',
+  commented: '의견',
+  sent: '전송',
+  deleted: '삭제',
+  variant_submitted: '문안 검토 요청',
+  variant_approved: '문안 승인',
+  variant_changes_requested: '문안 수정 요청',
+};
+
+export const VARIANT_LABELS = { short: '요약본', translation: '번역본', link: '링크 문자' };
+
+export const VARIANT_STATUS_LABELS = { draft: '검토 필요', in_review: '검토 중', approved: '승인됨' };
+
+export const ROLE_LABELS = { author: '작성자', approver: '승인자' };
+
+/**
+ * 보낼 수 있는 상태인지 (승인됐거나 이미 보낸 문서)
+ * @param {{ status?: string } | null} document
+ * @returns {boolean}
+ */
+export const isSendable = (document) => document?.status === 'approved' || document?.status === 'sent';
+
+/** @returns {Promise<{ id: string, name: string, role: 'author' | 'approver' }>} 현재 API 키의 사용자와 역할 */
+export const getReviewer = async () => (await apiRequest('/api/reviews/me')).actor;
+
+/**
+ * @param {string} [status='in_review']
+ * @returns {Promise<object[]>} 상태별 문서 (오래 기다린 순, 각 문서에 events 포함)
+ */
+export const listReviewQueue = async (status = 'in_review') =>
+  (await apiRequest(`/api/reviews?status=${encodeURIComponent(status)}`)).documents;
+
+/** @returns {Promise<{ document: object, events: object[], variants: object[] }>} */
+export const getReview = (documentId) => apiRequest(`/api/reviews/${documentId}`);
+
+/**
+ * 문서 상태를 바꿉니다.
+ * @param {string} documentId
+ * @param {'submit' | 'withdraw' | 'approve' | 'request_changes'} action - 승인·수정 요청은 승인자만
+ * @param {string} [comment] - 수정 요청에는 필수
+ * @returns {Promise<{ document: object, event: object }>}
+ */
+export const transitionDocument = (documentId, action, comment) =>
+  apiRequest(`/api/reviews/${documentId}/transitions`, { method: 'POST', body: { action, comment } });
+
+/** @returns {Promise<object>} 기록된 의견 */
+export const commentOnDocument = async (documentId, comment) =>
+  (await apiRequest(`/api/reviews/${documentId}/comments`, { method: 'POST', body: { comment } })).event;
+
+/**
+ * 보낼 문구와 같은 문자 문안 (종류·언어·내용이 모두 같아야 함)
+ * @param {object[]} variants
+ * @param {{ kind: string, language?: string | null, content: string }} wanted
+ * @returns {object | null}
+ */
+export const findVariant = (variants, { kind, language = null, content }) =>
+  variants.find((v) => v.kind === kind && (v.language ?? null) === language && v.content === content) || null;
+
+/**
+ * 문자 문안의 검토를 요청합니다. 같은 종류(번역본은 언어)의 이전 문안은 새 내용으로 바뀝니다.
+ * @param {string} documentId
+ * @param {{ kind: 'short' | 'translation' | 'link', language?: string, content: string }} variant
+ * @returns {Promise<object>} 문안
+ */
+export const submitVariant = async (documentId, variant) =>
+  (await apiRequest(`/api/reviews/${documentId}/variants`, { method: 'POST', body: variant })).variant;
+
+/**
+ * 검토 중인 문자 문안을 승인하거나 수정을 요청합니다. (승인자만)
+ * @param {string} documentId
+ * @param {string} variantId
+ * @param {'approve' | 'request_changes'} action
+ * @param {string} [comment] - 수정 요청에는 필수
+ * @returns {Promise<{ variant: object, event: object }>}
+ */
+export const transitionVariant = (documentId, variantId, action, comment) =>
+  apiRequest(`/api/reviews/${documentId}/variants/${variantId}/transitions`, { method: 'POST', body: { action, comment } });
+
+/**
+ * 기기 문자 앱으로 보낸 것을 기록합니다. (서버 전송·예약은 서버가 기록)
+ * @param {string} documentId
+ * @param {number} recipients - 수신자 수
+ * @param {string[]} [messages] - 보낸 문구 (서버가 승인된 문구인지 확인)
+ * @returns {Promise<{ document: object, events: object[] }>}
+ */
+export const recordDeviceSent = (documentId, recipients, messages) =>
+  apiRequest(`/api/reviews/${documentId}/sent`, { method: 'POST', body: { recipients, messages } });
@@ -0,0 +1,22 @@
+import { apiRequest } from './api';
+
+/**
+ * 예약 전송 API (server/routes/schedules.js)
+ * 작업: { id, recipients, messages, documentId, sendAt, localSendAt, timezone, status, attempts, nextAttemptAt, lastError, sentAt }
+ */
+
+/** @returns {Promise<object[]>} 예약 목록 (전송 시각 순) */
+export const listSchedules = async () => (await apiRequest('/api/schedules')).jobs;
+
+/**
+ * @param {{ recipients: string[], messages: string[], sendAt: string, timezone?: string, documentId: string }} job
+ *   - sendAt은 timezone(기본 Asia/Seoul)의 "YYYY-MM-DD HH:mm"
+ *   - documentId는 승인된 문서, messages는 승인된 문구만 (전송 시각에 승인이 취소돼 있으면 보내지 않고 실패 처리됨)
+ */
+export const createSchedule = async (job) => (await apiRequest('/api/schedules', { method: 'POST', body: job })).job;
+
+/** 아직 시도하지 않은 대기 작업만 수정할 수 있습니다. */
+export const updateSchedule = async (id, patch) =>
+  (await apiRequest(`/api/schedules/${id}`, { method: 'PUT', body: patch })).job;
+
+export const cancelSchedule = async (id) => (await apiRequest(`/api/schedules/${id}/cancel`, { method: 'POST' })).job;
@@ -0,0 +1,23 @@
+import { apiRequest } from './api';
+
+/**
+ * 녹음 전사문·문서 전체 검색 API (server/routes/search.js)
+ * 결과: { type('session' | 'document'), id, sessionId, title, date, status, templateId, documentType, score,
+ *   snippets[[{ text, highlight }]] } (스니펫마다 강조할 구간이 highlight=true)
+ */
+
+/**
+ * @param {string} q - 검색어 (조사가 붙어 있어도 됨)
+ * @param {{ from?: string, to?: string, type?: 'session' | 'document', templateId?: string, status?: string,
+ *   limit?: number, offset?: number }} [filters]
+ *   - from, to: "YYYY-MM-DD" (한국 시간, to 포함). 세션은 녹음 시각, 문서는 작성 시각 기준
+ *   - templateId, status: 주면 문서만 검색
+ * @returns {Promise<{ results: object[], total: number }>} 관련도 높은 순
+ */
+export const searchAll = (q, filters = {}) => {
+  const params = new URLSearchParams({ q });
+  for (const [key, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') params.set(key, String(value));
+  }
+  return apiRequest(`/api/search?${params}`);
+};
@@ -0,0 +1,84 @@
+import { apiRequest } from './api';
+
+/**
+ * 녹음 세션 & 문서 저장소 API (server/routes/sessions.js)
+ */
+
+/** @returns {Promise<object[]>} 최신순 세션 목록 */
+export const listSessions = async () => (await apiRequest('/api/sessions')).sessions;
+
+/**
+ * @param {{ timestamp?: string, transcript?: string, segments?: object[] }} session
+ *   - segments: [{ text, startMs, endMs, confidence }] (세션 시작 기준 ms). 있으면 서버가 transcript를 만듦
+ * @returns {Promise<object>} 저장된 세션
+ */
+export const createSession = async (session) =>
+  (await apiRequest('/api/sessions', { method: 'POST', body: session })).session;
+
+export const updateSession = async (id, patch) =>
+  (await apiRequest(`/api/sessions/${id}`, { method: 'PUT', body: patch })).session;
+
+export const deleteSession = (id) => apiRequest(`/api/sessions/${id}`, { method: 'DELETE' });
+
+/**
+ * 용어집 교정 하나를 되돌리거나 다시 적용합니다.
+ * @param {string} sessionId
+ * @param {string} correctionId
+ * @param {boolean} reverted - true면 원래 표현으로 되돌림
+ * @returns {Promise<object>} 수정된 세션
+ */
+export const setCorrectionReverted = async (sessionId, correctionId, reverted) =>
+  (await apiRequest(`/api/sessions/${sessionId}/corrections/${correctionId}`, { method: 'PUT', body: { reverted } })).session;
+
+/** @returns {Promise<object[]>} 세션의 문서 목록 (최근 수정순) */
+export const listDocuments = async (sessionId) =>
+  (await apiRequest(`/api/sessions/${sessionId}/documents`)).documents;
+
+/** @returns {Promise<object>} 문서 하나 */
+export const getDocument = async (sessionId, docId) =>
+  (await apiRequest(`/api/sessions/${sessionId}/documents/${docId}`)).document;
+
+/**
+ * @param {string} sessionId
+ * @param {{ documentType?: string, generatedContent?: string, editedContent?: string }} document
+ * @returns {Promise<object>} 저장된 문서
+ */
+export const createDocument = async (sessionId, document) =>
+  (await apiRequest(`/api/sessions/${sessionId}/documents`, { method: 'POST', body: document })).document;
+
+/**
+ * @param {string} sessionId
+ * @param {string} docId
+ * @param {object} patch - 바꿀 필드. revisionAction('generated' | 'edited' | 'refined', 기본 'edited')은 리비전 기록용
+ * @returns {Promise<object>} 수정된 문서
+ */
+export const updateDocument = async (sessionId, docId, patch) =>
+  (await apiRequest(`/api/sessions/${sessionId}/documents/${docId}`, { method: 'PUT', body: patch })).document;
+
+export const deleteDocument = (sessionId, docId) =>
+  apiRequest(`/api/sessions/${sessionId}/documents/${docId}`, { method: 'DELETE' });
+
+/** @returns {Promise<object[]>} 문서의 리비전 목록 (최신순) { id, action, content, structured, restoredFrom, createdAt } */
+export const listRevisions = async (sessionId, docId) =>
+  (await apiRequest(`/api/sessions/${sessionId}/documents/${docId}/revisions`)).revisions;
+
+/**
+ * 리비전의 내용으로 문서를 되돌립니다. (되돌린 상태도 새 리비전으로 기록됨)
+ * @returns {Promise<{ document: object, revision: object }>}
+ */
+export const restoreRevision = (sessionId, docId, revisionId) =>
+  apiRequest(`/api/sessions/${sessionId}/documents/${docId}/revisions/${revisionId}/restore`, { method: 'POST' });
+
+/**
+ * 서버 세션을 녹음 기록 항목 형태로 변환합니다.
+ * @param {object} session - 서버 세션
+ * @returns {{ id: string, text: string, timestamp: string, segments: object[], corrections: object[], synced: boolean }}
+ */
+export const toHistoryItem = (session) => ({
+  id: session.id,
+  text: session.transcript,
+  timestamp: new Date(session.timestamp).toLocaleString(),
+  segments: session.segments || [],
+  corrections: session.corrections || [],
+  synced: true,
+});
@@ -0,0 +1,304 @@
+import { Platform } from 'react-native';
+import Voice from '@react-native-community/voice';
+
+/**
+ * 음성 인식 엔진 (웹 SpeechRecognition / 네이티브 Voice 공통)
+ *
+ * 이벤트:
+ * - start   { }                          세션 시작 (start() 호출 후 한 번)
+ * - interim { text }                     아직 확정되지 않은 인식 결과 (매번 전체를 교체, 누적하지 않음)
+ * - final   { text, confidence, startedAt, endedAt }
+ *                                        확정된 인식 결과 (이것만 누적해야 중복이 없음). confidence는 없으면 null,
+ *                                        startedAt/endedAt은 발화 시작(첫 임시 결과)/확정 시각 (epoch ms)
+ * - pause / resume { }                   일시정지/재개
+ * - error   { error, fatal }             fatal이면 세션이 끝남 (권한 거부 등)
+ * - end     { }                          세션 종료 (stop() 또는 치명적 오류 후 한 번)
+ *
+ * 브라우저/안드로이드는 말이 없으면 인식을 스스로 끝내므로, stop()을 부르기 전까지는
+ * 같은 세션 안에서 인식기를 자동으로 다시 시작합니다.
+ */
+
+// 세션을 계속할 수 없는 오류 (웹 error 코드 / 안드로이드 오류 메시지 일부)
+const FATAL_WEB_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported'];
+const FATAL_NATIVE_ERRORS = ['9/Insufficient permissions'];
+// 자동 재시작 과정에서 늘 생기는 오류 (무음, 재시작/중지에 따른 중단)라 알리지 않음
+const IGNORED_WEB_ERRORS = ['no-speech', 'aborted'];
+
+// 인식기가 시작하자마자 끝나기를 반복하면 멈춤 (권한/장치 문제 등으로 무한 재시작 방지)
+const MAX_QUICK_RESTARTS = 5;
+const QUICK_RUN_MS = 1000;
+const RESTART_DELAY_MS = 250;
+
+/**
+ * 웹 SpeechRecognition 어댑터
+ * @param {{ lang: string, onResult: Function, onError: Function, onEnd: Function }} handlers
+ */
+function createWebRecognizer({ lang, onResult, onError, onEnd }) {
+  const SpeechRecognition = typeof window !== 'undefined' && (window.SpeechRecognition || window.webkitSpeechRecognition);
+  if (!SpeechRecognition) return null;
+
+  const recog = new SpeechRecognition();
+  recog.continuous = true;
+  recog.interimResults = true;
+  recog.lang = lang;
+  let lastFinalIndex = 0; // 이번 인식 실행에서 처리한 마지막 final 인덱스 (재시작마다 0부터)
+
+  recog.onresult = (e) => {
+    // interim과 final이 섞여 들어오므로, 처리한 final 이후의 결과만 봅니다.
+    let interim = '';
+    for (let i = lastFinalIndex; i < e.results.length; i++) {
+      const res = e.results[i];
+      const text = (res[0]?.transcript || '').trim();
+      if (res.isFinal) {
+        lastFinalIndex = i + 1;
+        if (text) onResult({ type: 'final', text, confidence: res[0]?.confidence ?? null });
+      } else if (text) {
+        interim += (interim ? ' ' : '') + text;
+      }
+    }
+    onResult({ type: 'interim', text: interim });
+  };
+  recog.onerror = (e) => {
+    if (!IGNORED_WEB_ERRORS.includes(e.error)) onError(e.error, FATAL_WEB_ERRORS.includes(e.error));
+  };
+  recog.onend = () => onEnd();
+
+  return {
+    async requestPermission() {
+      await navigator.mediaDevices.getUserMedia({ audio: true });
+    },
+    start() {
+      lastFinalIndex = 0;
+      recog.start();
+    },
+    stop() {
+      recog.stop();
+    },
+    destroy() {
+      recog.onresult = null;
+      recog.onerror = null;
+      recog.onend = null;
+      try {
+        recog.abort();
+      } catch {
+        // 이미 멈춘 상태
+      }
+    },
+  };
+}
+
+/**
+ * 네이티브 Voice 어댑터
+ * - onSpeechPartialResults는 현재 발화의 전체 부분 결과이므로 interim으로 교체 표시만 합니다.
+ * - onSpeechResults의 value는 후보 목록이므로 첫 번째(가장 가능성 높은) 후보만 씁니다.
+ * - 안드로이드는 확정 결과를 한 번 보낸 뒤 인식을 끝내므로 결과/오류 이후를 실행 종료로 봅니다.
+ * - iOS는 인식하는 동안 onSpeechResults를 여러 번 보내고 매번 지금까지의 전체 텍스트가 들어오므로,
+ *   interim으로 교체 표시만 하다가 onSpeechEnd(stop 후)에서 마지막 텍스트를 final로 한 번 보냅니다.
+ */
+function createNativeRecognizer({ lang, onResult, onError, onEnd }) {
+  const cumulative = Platform.OS === 'ios';
+  let pending = ''; // iOS: 아직 final로 보내지 않은 누적 결과
+
+  const flushPending = () => {
+    const text = pending;
+    pending = '';
+    onResult({ type: 'interim', text: '' });
+    if (text) onResult({ type: 'final', text, confidence: null });
+  };
+
+  Voice.onSpeechPartialResults = (e) => {
+    onResult({ type: 'interim', text: (e.value?.[0] || '').trim() });
+  };
+  Voice.onSpeechResults = (e) => {
+    const text = (e.value?.[0] || '').trim();
+    if (cumulative) {
+      if (text) pending = text;
+      onResult({ type: 'interim', text: pending });
+      return;
+    }
+    onResult({ type: 'interim', text: '' });
+    if (text) onResult({ type: 'final', text, confidence: null });
+    onEnd();
+  };
+  if (cumulative) {
+    Voice.onSpeechEnd = () => {
+      flushPending();
+      onEnd();
+    };
+  }
+  Voice.onSpeechError = (e) => {
+    const message = e.error?.message || String(e.error?.code || 'unknown');
+    // 오류로 끝나도 그때까지 인식한 내용은 남김
+    if (cumulative) flushPending();
+    onError(message, FATAL_NATIVE_ERRORS.some((code) => message.includes(code)));
+    onEnd();
+  };
+
+  return {
+    async requestPermission() {
+      // Voice.start가 권한을 요청함
+    },
+    start() {
+      pending = '';
+      return Voice.start(lang);
+    },
+    stop() {
+      return Voice.stop();
+    },
+    destroy() {
+      Voice.destroy().then(Voice.removeAllListeners);
+    },
+  };
+}
+
+/**
+ * 음성 인식 엔진을 만듭니다.
+ * @param {{ lang?: string }} [options] - 인식 언어 (기본 'ko-KR')
+ * @returns {{
+ *   isSupported: boolean,
+ *   getState: () => 'idle' | 'listening' | 'paused' | 'stopping',
+ *   on: (event: string, handler: (payload: object) => void) => () => void,
+ *   start: () => Promise<void>,
+ *   pause: () => void,
+ *   resume: () => void,
+ *   stop: () => void,
+ *   destroy: () => void,
+ * }}
+ * @example
+ * const engine = createSpeechEngine({ lang: 'ko-KR' });
+ * engine.on('final', ({ text }) => append(text));
+ * await engine.start();
+ */
+export function createSpeechEngine({ lang = 'ko-KR' } = {}) {
+  const listeners = {};
+  let state = 'idle';
+  let running = false; // 인식기가 실제로 동작 중인지
+  let runStartedAt = 0;
+  let quickRestarts = 0;
+  let restartTimer = null;
+  let utteranceStartedAt = null; // 현재 발화의 첫 임시 결과 시각
+
+  const emit = (event, payload = {}) => (listeners[event] || []).forEach((handler) => handler(payload));
+
+  const finish = () => {
+    clearTimeout(restartTimer);
+    state = 'idle';
+    emit('end');
+  };
+
+  // 시작 실패도 실행 종료로 처리해 재시작 횟수 제한을 받게 합니다.
+  const failRun = (err) => {
+    handleError(err?.message || String(err), false);
+    handleEnd();
+  };
+
+  const runRecognizer = () => {
+    running = true;
+    runStartedAt = Date.now();
+    try {
+      Promise.resolve(recognizer.start()).catch(failRun);
+    } catch (err) {
+      failRun(err);
+    }
+  };
+
+  const stopRecognizer = () => Promise.resolve(recognizer.stop()).catch((err) => console.error(err));
+
+  const handleResult = ({ type, text, confidence }) => {
+    const now = Date.now();
+    if (type === 'final') {
+      emit('final', { text, confidence, startedAt: utteranceStartedAt ?? now, endedAt: now });
+      utteranceStartedAt = null;
+    } else {
+      if (text && utteranceStartedAt === null) utteranceStartedAt = now;
+      emit('interim', { text });
+    }
+  };
+
+  const handleError = (error, fatal) => {
+    // 무음·일시적 오류는 흔하므로 녹음을 멈추는 오류만 남김
+    if (fatal) console.warn('음성 인식 오류:', error);
+    emit('error', { error, fatal });
+    if (fatal && state !== 'idle') {
+      state = 'stopping';
+      if (!running) finish();
+    }
+  };
+
+  const handleEnd = () => {
+    if (!running) return;
+    running = false;
+    if (state === 'listening') {
+      // 무음 등으로 끝난 경우 같은 세션에서 다시 시작
+      quickRestarts = Date.now() - runStartedAt < QUICK_RUN_MS ? quickRestarts + 1 : 0;
+      if (quickRestarts > MAX_QUICK_RESTARTS) {
+        emit('error', { error: '음성 인식을 다시 시작할 수 없습니다.', fatal: true });
+        finish();
+        return;
+      }
+      restartTimer = setTimeout(() => {
+        if (state === 'listening' && !running) runRecognizer();
+      }, RESTART_DELAY_MS);
+    } else if (state === 'stopping') {
+      finish();
+    }
+  };
+
+  const handlers = { lang, onResult: handleResult, onError: handleError, onEnd: handleEnd };
+  const recognizer = Platform.OS === 'web' ? createWebRecognizer(handlers) : createNativeRecognizer(handlers);
+
+  return {
+    isSupported: Boolean(recognizer),
+    getState: () => state,
+
+    on(event, handler) {
+      listeners[event] = [...(listeners[event] || []), handler];
+      return () => {
+        listeners[event] = listeners[event].filter((h) => h !== handler);
+      };
+    },
+
+    async start() {
+      if (!recognizer || state !== 'idle') return;
+      await recognizer.requestPermission();
+      state = 'listening';
+      quickRestarts = 0;
+      emit('start');
+      runRecognizer();
+    },
+
+    pause() {
+      if (state !== 'listening') return;
+      state = 'paused';
+      clearTimeout(restartTimer);
+      if (running) stopRecognizer();
+      emit('pause');
+    },
+
+    resume() {
+      if (state !== 'paused') return;
+      state = 'listening';
+      quickRestarts = 0;
+      emit('resume');
+      if (!running) runRecognizer();
+    },
+
+    stop() {
+      if (state === 'idle' || state === 'stopping') return;
+      clearTimeout(restartTimer);
+      if (running) {
+        // 인식기가 끝나면(마지막 final 결과 전달 후) end 이벤트
+        state = 'stopping';
+        stopRecognizer();
+      } else {
+        finish();
+      }
+    },
+
+    destroy() {
+      clearTimeout(restartTimer);
+      Object.keys(listeners).forEach((event) => delete listeners[event]);
+      recognizer?.destroy();
+    },
+  };
+}
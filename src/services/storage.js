@@ -0,0 +1,116 @@
+import { Platform } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+
+/**
+ * 기기 저장소 (문자열 키-값)
+ * - 웹: localStorage
+ * - 네이티브: 앱 문서 폴더의 `<key>.json` 파일 (expo-file-system)
+ * getItem/setItem/removeItem 형태라 zustand persist의 storage로도 쓸 수 있습니다.
+ * 쓰기(저장·삭제)에 실패하면 subscribeWriteErrors로 등록한 함수에 알리고, 같은 키에 다시 쓰는 데 성공하면 null로 알립니다.
+ * (저장 공간이 가득 찼을 때 등 화면에서 경고하도록)
+ */
+
+const webStorage = () => (typeof window !== 'undefined' && window.localStorage) || null;
+
+/** @type {Set<(error: { key: string, message: string } | null) => void>} */
+const writeErrorListeners = new Set();
+/** 마지막으로 실패한 쓰기 { key, message } (성공하면 null) */
+let lastWriteError = null;
+
+const reportWrite = (key, error) => {
+  if (error) {
+    console.error('저장소 쓰기 실패:', key, error);
+    lastWriteError = { key, message: error?.message || String(error) };
+  } else if (lastWriteError?.key === key) {
+    lastWriteError = null;
+  } else {
+    return;
+  }
+  writeErrorListeners.forEach((listener) => listener(lastWriteError));
+};
+
+/**
+ * 쓰기 실패 알림을 받습니다.
+ * @param {(error: { key: string, message: string } | null) => void} listener
+ * @returns {() => void} 구독 해제 함수
+ */
+export function subscribeWriteErrors(listener) {
+  writeErrorListeners.add(listener);
+  return () => writeErrorListeners.delete(listener);
+}
+
+const fileFor = (key) => new File(Paths.document, `${key.replace(/[^\w.-]/g, '_')}.json`);
+
+/**
+ * @param {string} key
+ * @returns {string | null} 저장된 값 (없거나 읽지 못하면 null)
+ */
+function getItem(key) {
+  try {
+    if (Platform.OS === 'web') return webStorage()?.getItem(key) ?? null;
+    const file = fileFor(key);
+    return file.exists ? file.textSync() : null;
+  } catch (error) {
+    console.error('저장소 읽기 실패:', key, error);
+    return null;
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {string} value
+ */
+function setItem(key, value) {
+  try {
+    if (Platform.OS === 'web') {
+      webStorage()?.setItem(key, value);
+    } else {
+      const file = fileFor(key);
+      if (!file.exists) file.create();
+      file.write(value);
+    }
+    reportWrite(key, null);
+  } catch (error) {
+    reportWrite(key, error);
+  }
+}
+
+/** @param {string} key */
+function removeItem(key) {
+  try {
+    if (Platform.OS === 'web') {
+      webStorage()?.removeItem(key);
+    } else {
+      const file = fileFor(key);
+      if (file.exists) file.delete();
+    }
+    reportWrite(key, null);
+  } catch (error) {
+    reportWrite(key, error);
+  }
+}
+
+export const storage = { getItem, setItem, removeItem };
+
+/**
+ * JSON 값을 읽습니다.
+ * @param {string} key
+ * @param {any} fallback - 없거나 형식이 잘못되었을 때 값
+ * @returns {any}
+ */
+export function loadJSON(key, fallback) {
+  const raw = getItem(key);
+  if (raw === null) return fallback;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * JSON 값을 저장합니다.
+ * @param {string} key
+ * @param {any} value
+ */
+export const saveJSON = (key, value) => setItem(key, JSON.stringify(value));
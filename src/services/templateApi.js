@@ -0,0 +1,16 @@
+import { apiRequest } from './api';
+
+/**
+ * 문서 템플릿 API (server/routes/templates.js)
+ */
+
+/** @returns {Promise<object[]>} 템플릿 목록 { id, name, instructions, sections, tone, maxLength } */
+export const listTemplates = async () => (await apiRequest('/api/templates')).templates;
+
+export const createTemplate = async (template) =>
+  (await apiRequest('/api/templates', { method: 'POST', body: template })).template;
+
+export const updateTemplate = async (id, patch) =>
+  (await apiRequest(`/api/templates/${id}`, { method: 'PUT', body: patch })).template;
+
+export const deleteTemplate = (id) => apiRequest(`/api/templates/${id}`, { method: 'DELETE' });
@@ -0,0 +1,17 @@
+import { apiRequest } from './api';
+
+/**
+ * 녹음 파일 업로드 → 새 녹음 세션 (POST /api/transcribe)
+ * @param {Blob} file - wav, m4a, webm 파일
+ * @param {{ language: string, filename?: string }} options
+ * @returns {Promise<object>} 생성된 세션 { id, timestamp, transcript, segments, language, ... }
+ */
+export const transcribeAudio = async (file, { language, filename }) => {
+  const query = new URLSearchParams({ language, ...(filename ? { filename } : {}) });
+  const { session } = await apiRequest(`/api/transcribe?${query}`, {
+    method: 'POST',
+    body: file,
+    contentType: file.type || 'application/octet-stream',
+  });
+  return session;
+};
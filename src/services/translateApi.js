@@ -0,0 +1,36 @@
+import { apiRequest } from './api';
+
+/**
+ * 문서 번역 API (server/routes/translate.js)
+ */
+
+/** 원문 언어 (shared/recipientLanguages.js) */
+export { SOURCE_LANGUAGE } from '../../shared/recipientLanguages';
+
+/** 번역 대상 언어 (server/languages.js의 TRANSLATION_LANGUAGES와 같은 순서) */
+export const TRANSLATION_LANGUAGES = [
+  { code: 'vi', label: 'Tiếng Việt' },
+  { code: 'zh', label: '中文(简体)' },
+  { code: 'en', label: 'English' },
+  { code: 'ja', label: '日本語' },
+  { code: 'th', label: 'ภาษาไทย' },
+  { code: 'fil', label: 'Filipino' },
+  { code: 'mn', label: 'Монгол' },
+  { code: 'ru', label: 'Русский' },
+  { code: 'uz', label: 'Oʻzbek' },
+];
+
+/**
+ * @param {string} code
+ * @returns {string} 언어 이름 (모르는 코드면 코드 그대로)
+ */
+export const languageLabel = (code) =>
+  [SOURCE_LANGUAGE, ...TRANSLATION_LANGUAGES].find((l) => l.code === code)?.label || code;
+
+/**
+ * 문서를 여러 언어로 번역합니다. (POST /api/translate, 한 번에 최대 5개 언어)
+ * @param {{ content: string, structured?: object | null, targetLanguages: string[] }} body
+ * @returns {Promise<{ translations: object[], redactions: object[] }>}
+ *   translations: 언어별 { language, label, content, document, missingTerms } 또는 실패한 언어 { language, label, error }
+ */
+export const translateDocument = (body) => apiRequest('/api/translate', { method: 'POST', body });
@@ -0,0 +1,158 @@
+import { create } from 'zustand';
+import { persist, createJSONStorage } from 'zustand/middleware';
+import { storage, subscribeWriteErrors } from '../services/storage';
+import { DEFAULT_LANGUAGE } from '../utils/languages';
+
+/**
+ * 앱 전역 상태 (zustand)
+ * - sessions: 녹음 기록 (서버에 저장된 세션 + 아직 저장하지 못한 로컬 세션 synced=false)
+ * - activeSessionId: 받아쓰는 중인 로컬 세션 ID (앱이 그 사이 꺼졌으면 다음 실행 때 저장을 이어감)
+ * - transcribedText: 확정된 변환 텍스트 (확정 전 임시 결과와 생성 중 미리보기는 화면 상태로만 두어 자주 저장하지 않음)
+ * - selectedRecordingIds: 문서 생성에 쓸 녹음 (선택 순서 = 통합 순서)
+ * - draft: 편집 중인 문서 (생성 결과, 편집본, 구조화 문서, 다듬기 단계, 저장된 문서, 언어별 번역본)
+ * - phoneNumbers: 문자 수신자 입력 (입력한 그대로)
+ * - recipientLanguages: 수신자별로 받을 언어 (번호 → 언어 코드, 없으면 한국어)
+ * - settings: 인식 언어, 문서 템플릿, 내보내기 레터헤드 (기관명, 날짜, 서명)
+ * 웹은 localStorage, 네이티브는 기기 파일(services/storage)에 저장되어 새로고침·재시작 후에도 이어집니다.
+ * - storageError: 마지막 기기 저장 실패 { key, message } (저장되지 않음, 다시 저장에 성공하면 null)
+ */
+
+const STORAGE_KEY = 'voice-to-text.state';
+
+export const DEFAULT_TEMPLATE_ID = 'report'; // 서버 기본 템플릿 '보고서'
+
+const EMPTY_DRAFT = {
+  generatedDocument: '',
+  editedDocument: '',
+  structuredDocument: null, // { title, summary, sections[], closing }
+  editMode: 'sections', // 'sections' | 'text'
+  refinementSteps: [], // [{ instruction, previous: { editedDocument, structuredDocument } }]
+  currentDocument: null, // 서버에 저장된 문서 { id, sessionId, ... }
+  translations: {}, // 언어 코드 → { content, structured, sourceContent, missingTerms } (sourceContent: 번역한 한국어 원문)
+};
+
+export const useAppStore = create(
+  persist(
+    (set) => ({
+      sessions: [],
+      activeSessionId: null,
+      transcribedText: '',
+      selectedRecordingIds: [],
+      draft: EMPTY_DRAFT,
+      phoneNumbers: '',
+      recipientLanguages: {},
+      settings: {
+        language: DEFAULT_LANGUAGE,
+        templateId: DEFAULT_TEMPLATE_ID,
+        letterhead: { orgName: '', date: '', signer: '' }, // date가 비어 있으면 내보낼 때 오늘 날짜
+      },
+      storageError: null,
+
+      /**
+       * 서버에서 불러온 녹음 기록으로 바꿉니다. 아직 저장하지 못한 로컬 세션은 뒤에 남깁니다.
+       * @param {object[]} loaded - 서버 세션 기록 (오래된 순)
+       */
+      replaceSyncedSessions: (loaded) =>
+        set((state) => {
+          const sessions = [...loaded, ...state.sessions.filter((s) => !s.synced)];
+          return {
+            sessions,
+            selectedRecordingIds: state.selectedRecordingIds.filter((id) => sessions.some((s) => s.id === id)),
+          };
+        }),
+
+      /** @param {object} session - 추가할 녹음 기록 */
+      addSession: (session) => set((state) => ({ sessions: [...state.sessions, session] })),
+
+      /**
+       * 녹음 기록 하나를 고칩니다.
+       * @param {string | number} id
+       * @param {object} patch
+       */
+      patchSession: (id, patch) =>
+        set((state) => ({ sessions: state.sessions.map((s) => (s.id === id ? { ...s, ...patch } : s)) })),
+
+      /**
+       * 로컬 세션을 서버에 저장된 세션으로 바꿉니다. (ID가 바뀌므로 선택도 함께 바꿈)
+       * @param {string | number} id - 기존 ID
+       * @param {object} session - 새 기록
+       */
+      replaceSession: (id, session) =>
+        set((state) => ({
+          sessions: state.sessions.map((s) => (s.id === id ? session : s)),
+          selectedRecordingIds: state.selectedRecordingIds.map((selected) => (selected === id ? session.id : selected)),
+        })),
+
+      /** @param {string | number} id - 지울 녹음 기록 */
+      removeSession: (id) =>
+        set((state) => ({
+          sessions: state.sessions.filter((s) => s.id !== id),
+          selectedRecordingIds: state.selectedRecordingIds.filter((selected) => selected !== id),
+        })),
+
+      setActiveSessionId: (activeSessionId) => set({ activeSessionId }),
+      setTranscribedText: (transcribedText) => set({ transcribedText }),
+      setSelectedRecordingIds: (selectedRecordingIds) => set({ selectedRecordingIds }),
+
+      /** @param {object} patch - 바꿀 편집 문서 필드 */
+      updateDraft: (patch) => set((state) => ({ draft: { ...state.draft, ...patch } })),
+
+      /** 편집 중인 문서를 비웁니다. */
+      resetDraft: () => set({ draft: EMPTY_DRAFT }),
+
+      setPhoneNumbers: (phoneNumbers) => set({ phoneNumbers }),
+
+      /**
+       * 수신자가 받을 언어를 정합니다.
+       * @param {string} number - 숫자만 남긴 전화번호
+       * @param {string} language - 언어 코드 ('ko'이면 기본값으로 되돌림)
+       */
+      setRecipientLanguage: (number, language) =>
+        set((state) => {
+          const { [number]: _previous, ...rest } = state.recipientLanguages;
+          return { recipientLanguages: language === 'ko' ? rest : { ...rest, [number]: language } };
+        }),
+
+      /** @param {object} patch - 바꿀 설정 */
+      updateSettings: (patch) => set((state) => ({ settings: { ...state.settings, ...patch } })),
+    }),
+    {
+      name: STORAGE_KEY,
+      version: 1,
+      storage: createJSONStorage(() => storage),
+      // 동작 함수는 저장하지 않음
+      partialize: ({
+        sessions,
+        activeSessionId,
+        transcribedText,
+        selectedRecordingIds,
+        draft,
+        phoneNumbers,
+        recipientLanguages,
+        settings,
+      }) => ({
+        sessions,
+        activeSessionId,
+        transcribedText,
+        selectedRecordingIds,
+        draft,
+        phoneNumbers,
+        recipientLanguages,
+        settings,
+      }),
+      merge: (persisted, current) => ({
+        ...current,
+        ...persisted,
+        draft: { ...EMPTY_DRAFT, ...persisted?.draft },
+        settings: { ...current.settings, ...persisted?.settings },
+      }),
+    }
+  )
+);
+
+// 기기 저장 실패를 화면에 알림. 상태를 바꾸면 다시 저장을 시도하므로 같은 실패가 반복되면 그대로 둠
+subscribeWriteErrors((storageError) => {
+  const current = useAppStore.getState().storageError;
+  if (current?.key === storageError?.key && current?.message === storageError?.message) return;
+  useAppStore.setState({ storageError });
+});
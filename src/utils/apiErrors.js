@@ -0,0 +1,42 @@
+/**
+ * API 오류를 사용자에게 보여줄 문장으로 바꿉니다. (인증 실패·한도 초과를 구분)
+ */
+
+/**
+ * 남은 초를 "N초", "N분", "H시간 M분"으로 표시합니다.
+ * @param {number} seconds
+ * @returns {string}
+ */
+export function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}초`;
+  const minutes = Math.ceil(seconds / 60);
+  if (minutes < 60) return `${minutes}분`;
+  const h = Math.floor(minutes / 60);
+  const m = minutes % 60;
+  return m ? `${h}시간 ${m}분` : `${h}시간`;
+}
+
+/** @returns {boolean} API 키가 없거나 잘못되어 실패했는지 */
+export const isAuthError = (error) => error?.status === 401;
+
+/**
+ * @param {Error & { status?: number, code?: string, retryAfter?: number, limit?: number }} error
+ * @param {string} action - 실패한 작업 (예: '문서 생성')
+ * @returns {string}
+ * @example
+ * describeApiError({ status: 429, code: 'quota_exceeded', limit: 200, retryAfter: 5400 }, '문서 생성');
+ * // => '오늘 문서 생성 사용량(200회)을 모두 사용했습니다. 1시간 30분 후 다시 시도할 수 있습니다.'
+ */
+export function describeApiError(error, action) {
+  if (isAuthError(error)) {
+    return `${action}에 실패했습니다: ${error.message} API 키를 확인해주세요.`;
+  }
+  if (error?.status === 429) {
+    const wait = error.retryAfter ? ` ${formatWait(error.retryAfter)} 후 다시 시도할 수 있습니다.` : '';
+    if (error.code === 'quota_exceeded') {
+      return `오늘 ${action} 사용량${error.limit ? `(${error.limit}회)` : ''}을 모두 사용했습니다.${wait}`;
+    }
+    return `요청이 너무 많습니다.${wait}`;
+  }
+  return `${action} 중 오류가 발생했습니다: ${error?.message || '알 수 없는 오류'}`;
+}
@@ -0,0 +1,51 @@
+/**
+ * 구조화 문서 { title, summary, sections: [{ heading, body }], closing } 표시 유틸리티
+ * 텍스트 형식은 server/structured.js의 renderStructuredDocument와 같습니다.
+ */
+
+/**
+ * 구조화 문서를 텍스트로 렌더링합니다.
+ * @param {{ title: string, summary: string, sections: { heading: string, body: string }[], closing?: string }} doc
+ * @returns {string}
+ */
+export function renderStructuredDocument(doc) {
+  return [
+    doc.title,
+    `[요약]\n${doc.summary}`,
+    ...doc.sections.map((s) => `[${s.heading}]\n${s.body}`),
+    doc.closing,
+  ]
+    .filter((part) => part && part.trim())
+    .join('\n\n');
+}
+
+// 생성 중인 JSON에서 문자열 필드를 (마지막 미완성 값 포함) 순서대로 찾음
+const FIELD_RE = /"(title|summary|heading|body|closing)"\s*:\s*"((?:[^"\\]|\\.)*)/g;
+
+const decodeJsonString = (value) => {
+  try {
+    return JSON.parse(`"${value.replace(/\\$/, '')}"`);
+  } catch {
+    return value;
+  }
+};
+
+/**
+ * 스트리밍 중인(미완성) JSON 문서를 읽을 수 있는 미리보기 텍스트로 변환합니다.
+ * @param {string} raw - 지금까지 받은 JSON 텍스트
+ * @returns {string}
+ * @example
+ * renderPartialJson('{"title":"운동회 안내","summary":"내일 운');
+ * // => '운동회 안내\n\n[요약]\n내일 운'
+ */
+export function renderPartialJson(raw) {
+  const parts = [];
+  for (const [, field, value] of raw.matchAll(FIELD_RE)) {
+    const text = decodeJsonString(value);
+    if (field === 'summary') parts.push(`[요약]\n${text}`);
+    else if (field === 'heading') parts.push(`[${text}]`);
+    else if (field === 'body' && parts.length > 0) parts[parts.length - 1] += `\n${text}`;
+    else parts.push(text);
+  }
+  return parts.filter((part) => part.trim()).join('\n\n');
+}
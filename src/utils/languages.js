@@ -0,0 +1,13 @@
+/**
+ * 음성 인식 언어 (BCP 47)
+ */
+
+export const DEFAULT_LANGUAGE = 'ko-KR';
+
+export const RECOGNITION_LANGUAGES = [
+  { code: 'ko-KR', label: '한국어' },
+  { code: 'en-US', label: 'English' },
+  { code: 'zh-CN', label: '中文' },
+  { code: 'vi-VN', label: 'Tiếng Việt' },
+  { code: 'ja-JP', label: '日本語' },
+];
@@ -0,0 +1,23 @@
+import { Platform } from 'react-native';
+
+export const AUDIO_FILE_TYPES = '.wav,.m4a,.webm,audio/wav,audio/mp4,audio/x-m4a,audio/webm';
+
+/**
+ * 녹음 파일을 선택합니다. 웹에서는 파일 선택 창을 띄웁니다.
+ * @returns {Promise<File | null>} 선택한 파일 (취소하면 null)
+ * @throws {Error} 파일 선택을 지원하지 않는 플랫폼
+ */
+export function pickAudioFile() {
+  if (Platform.OS !== 'web') {
+    return Promise.reject(new Error('녹음 파일 업로드는 현재 웹에서만 지원합니다.'));
+  }
+  return new Promise((resolve) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = AUDIO_FILE_TYPES;
+    input.onchange = () => resolve(input.files?.[0] || null);
+    // 취소 이벤트를 지원하는 브라우저에서만 호출됨
+    input.oncancel = () => resolve(null);
+    input.click();
+  });
+}
@@ -0,0 +1,26 @@
+import { Platform } from 'react-native';
+import { File, Paths } from 'expo-file-system';
+
+/**
+ * 받은 파일을 저장합니다.
+ * - 웹: 브라우저 다운로드
+ * - 네이티브: 앱 문서 폴더에 저장 (같은 이름이 있으면 덮어씀)
+ * @param {{ data: ArrayBuffer, filename: string, contentType?: string | null }} file
+ * @returns {string} 저장 위치 (웹은 파일 이름, 네이티브는 파일 URI)
+ */
+export function saveDownloadedFile({ data, filename, contentType }) {
+  if (Platform.OS === 'web') {
+    const url = URL.createObjectURL(new Blob([data], { type: contentType || 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    // 다운로드가 시작된 뒤 해제
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return filename;
+  }
+  const file = new File(Paths.document, filename);
+  if (!file.exists) file.create();
+  file.write(new Uint8Array(data));
+  return file.uri;
+}
@@ -0,0 +1,40 @@
+/**
+ * 예약 전송 시각 유틸리티
+ * - 서버 기본 시간대(Asia/Seoul)의 벽시계 시각 "YYYY-MM-DD HH:mm"으로 주고받습니다.
+ * - 서울은 일광절약시간이 없는 UTC+9 고정이므로 Intl 시간대 지원 없이 계산합니다.
+ */
+
+export const SCHEDULE_TIMEZONE = 'Asia/Seoul';
+
+const SEOUL_OFFSET_MS = 9 * 60 * 60 * 1000;
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * 시점을 서울 시각 문자열로 표시합니다.
+ * @param {Date | string} date
+ * @returns {string} "YYYY-MM-DD HH:mm"
+ */
+export function formatSeoulTime(date) {
+  const d = new Date(new Date(date).getTime() + SEOUL_OFFSET_MS);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}`;
+}
+
+/**
+ * 서울 기준 다음 날 아침 시각 (예약 기본값)
+ * @param {number} [hour=8]
+ * @param {Date} [now]
+ * @returns {string} "YYYY-MM-DD HH:00"
+ * @example
+ * nextMorning(); // 오늘이 5월 1일이면 => '2024-05-02 08:00'
+ */
+export function nextMorning(hour = 8, now = new Date()) {
+  const d = new Date(now.getTime() + SEOUL_OFFSET_MS + 24 * 60 * 60 * 1000);
+  return `${d.getUTCFullYear()}-${pad(d.getUTCMonth() + 1)}-${pad(d.getUTCDate())} ${pad(hour)}:00`;
+}
+
+/**
+ * @param {string} value
+ * @returns {boolean} "YYYY-MM-DD HH:mm" 형식인지
+ */
+export const isScheduleTime = (value) => /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}$/.test((value || '').trim());
@@ -0,0 +1,135 @@
+/**
+ * 한국어 문서 비교 유틸리티 (리비전 비교용)
+ * - 어절(띄어쓰기) 단위로 먼저 비교하고, 바뀐 어절끼리는 글자(음절) 단위로 다시 비교해
+ *   조사·어미만 바뀐 경우("학생들이" → "학생들은") 바뀐 글자만 표시합니다.
+ * - 비교 전에 NFC로 정규화해 자모가 분리된(NFD) 한글도 같은 글자로 봅니다.
+ * 결과: [{ type: 'equal' | 'insert' | 'delete', text }]
+ */
+
+const MAX_TABLE_CELLS = 4000000; // 이보다 크면 바뀐 부분 전체를 삭제+추가로 표시
+const MAX_REFINE_LENGTH = 200; // 글자 단위로 다시 비교할 최대 길이
+const MIN_SHARED_RATIO = 0.4; // 공통 글자가 이 비율 이상일 때만 글자 단위로 표시 (아니면 어절 통째로)
+
+const tokenize = (text) => (text || '').normalize('NFC').split(/(\s+)/).filter(Boolean);
+
+/**
+ * 두 토큰 목록의 최장 공통 부분열로 편집 연산을 만듭니다.
+ * @param {string[]} a
+ * @param {string[]} b
+ * @returns {{ type: string, text: string }[]}
+ */
+function diffSequences(a, b) {
+  const ops = [];
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+  a.slice(0, start).forEach((text) => ops.push({ type: 'equal', text }));
+
+  const n = endA - start;
+  const m = endB - start;
+  if ((n + 1) * (m + 1) > MAX_TABLE_CELLS) {
+    a.slice(start, endA).forEach((text) => ops.push({ type: 'delete', text }));
+    b.slice(start, endB).forEach((text) => ops.push({ type: 'insert', text }));
+  } else {
+    // lcs[i][j] = a[start+i..], b[start+j..]의 최장 공통 부분열 길이
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i -= 1) {
+      for (let j = m - 1; j >= 0; j -= 1) {
+        lcs[i * width + j] =
+          a[start + i] === b[start + j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        ops.push({ type: 'equal', text: a[start + i] });
+        i += 1;
+        j += 1;
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        // 바뀐 부분은 삭제를 추가보다 먼저 둠
+        ops.push({ type: 'delete', text: a[start + i] });
+        i += 1;
+      } else {
+        ops.push({ type: 'insert', text: b[start + j] });
+        j += 1;
+      }
+    }
+  }
+
+  a.slice(endA).forEach((text) => ops.push({ type: 'equal', text }));
+  return ops;
+}
+
+/** 같은 종류의 연속 연산을 합칩니다. */
+function mergeOps(ops) {
+  const merged = [];
+  for (const op of ops) {
+    if (!op.text) continue;
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) last.text += op.text;
+    else merged.push({ ...op });
+  }
+  return merged;
+}
+
+/**
+ * 바뀐 어절 묶음(삭제+추가)을 글자 단위로 다시 비교합니다. 공통 글자가 적으면 그대로 둡니다.
+ * @param {string} removed
+ * @param {string} added
+ * @returns {{ type: string, text: string }[]}
+ */
+function refineReplacement(removed, added) {
+  const whole = [
+    { type: 'delete', text: removed },
+    { type: 'insert', text: added },
+  ];
+  if (removed.length > MAX_REFINE_LENGTH || added.length > MAX_REFINE_LENGTH) return whole;
+  const chars = mergeOps(diffSequences(Array.from(removed), Array.from(added)));
+  const shared = chars.filter((op) => op.type === 'equal').reduce((sum, op) => sum + op.text.length, 0);
+  return shared / Math.max(removed.length, added.length) >= MIN_SHARED_RATIO ? chars : whole;
+}
+
+/**
+ * 두 텍스트를 비교합니다.
+ * @param {string} before - 이전 리비전
+ * @param {string} after - 비교할 리비전
+ * @returns {{ type: 'equal' | 'insert' | 'delete', text: string }[]}
+ * @example
+ * diffText('학생들이 운동장에 모였다.', '학생들은 강당에 모였다.');
+ * // => [{ type: 'equal', text: '학생들' }, { type: 'delete', text: '이' }, { type: 'insert', text: '은' },
+ * //     { type: 'equal', text: ' ' }, { type: 'delete', text: '운동장에' }, { type: 'insert', text: '강당에' }, ...]
+ */
+export function diffText(before, after) {
+  const words = mergeOps(diffSequences(tokenize(before), tokenize(after)));
+  const result = [];
+  for (let k = 0; k < words.length; k += 1) {
+    const op = words[k];
+    const next = words[k + 1];
+    if (op.type === 'delete' && next?.type === 'insert') {
+      result.push(...refineReplacement(op.text, next.text));
+      k += 1;
+    } else {
+      result.push(op);
+    }
+  }
+  return mergeOps(result);
+}
+
+/**
+ * 비교 결과의 추가/삭제 글자 수
+ * @param {{ type: string, text: string }[]} ops
+ * @returns {{ inserted: number, deleted: number }}
+ */
+export function summarizeDiff(ops) {
+  const count = (type) => ops.filter((op) => op.type === type).reduce((sum, op) => sum + op.text.replace(/\s/g, '').length, 0);
+  return { inserted: count('insert'), deleted: count('delete') };
+}
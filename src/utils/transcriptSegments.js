@@ -0,0 +1,31 @@
+/**
+ * 녹음 구간(segment) 유틸리티
+ * 구간: { id, text, startMs, endMs, confidence } — 오프셋은 세션 시작 기준 ms
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+/**
+ * 세션 시작 기준 오프셋을 "mm:ss" (1시간 이상이면 "h:mm:ss")로 표시합니다. (server/transcript.js와 같은 형식)
+ * @param {number} ms
+ * @returns {string}
+ * @example
+ * formatOffset(83000); // => '01:23'
+ */
+export function formatOffset(ms) {
+  const total = Math.floor(ms / 1000);
+  const h = Math.floor(total / 3600);
+  const mmss = `${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  return h > 0 ? `${h}:${mmss}` : mmss;
+}
+
+/**
+ * 구간들을 하나의 원문으로 잇습니다.
+ * @param {{ text: string }[]} segments
+ * @returns {string}
+ */
+export const joinSegments = (segments) =>
+  segments
+    .map((s) => s.text.trim())
+    .filter(Boolean)
+    .join(' ');